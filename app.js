@@ -3,13 +3,16 @@ import "dotenv/config";
 import express from "express";
 import mongoose from "mongoose";
 import http from "http";
-import { Server } from "socket.io";
 import cors from "cors";
 
 // Routes
 import registerRoute from "./routes/auth/register.js";
 import loginRoute from "./routes/auth/login.js";
 import forgotRoute from "./routes/auth/forgotPassword.js";
+import resetPasswordRoute from "./routes/auth/resetPassword.js";
+import sessionRoute from "./routes/auth/session.js";
+import verifyEmailRoute from "./routes/auth/verifyEmail.js";
+import twoFactorRoute from "./routes/auth/twoFactor.js";
 import commonUserRoute from "./routes/common/commonUser.js";
 import adminLotteryRoute from "./routes/admin/adminLottery.js";
 import commonLotteryTypeRoute from "./routes/common/commonLotteryType.js";
@@ -17,14 +20,44 @@ import commonLotteryRoute from "./routes/common/commonLottery.js";
 import adminUserRoute from "./routes/admin/adminUser.js";
 import userTicketRoute from "./routes/user/userTicket.js";
 import userLotteryRoute from "./routes/user/userLottery.js";
+import userEventRoute from "./routes/user/userEvent.js";
+import userNotificationRoute from "./routes/user/userNotification.js";
 import walletRoute from "./routes/common/wallet.js";
 import adminWalletRoute from "./routes/admin/adminWallet.js";
+import adminRolesRoute from "./routes/admin/adminRoles.js";
+import adminAuditLogRoute from "./routes/admin/adminAuditLog.js";
+import adminNotificationRoute from "./routes/admin/adminNotification.js";
+import adminJobsRoute from "./routes/admin/adminJobs.js";
+
+// Middleware
+import requestId from "./middleware/requestId.js";
+
+// Real-time events
+import {
+  initSocket,
+  attachSocketAdapter,
+  startUserEventRelay,
+} from "./services/socketService.js";
+
+// Multi-instance coordination
+import { startLeaderElection, stepDown } from "./services/lockService.js";
 
 // Cron jobs
 import { startCronJobs } from "./cron-jobs/cronJobs.js";
+import { startReconciliationJob } from "./cron-jobs/reconciliationJob.js";
+import { startReservationJob } from "./cron-jobs/reservationJob.js";
+import { startJobWorkers } from "./cron-jobs/jobWorker.js";
 
 const app = express();
 
+// Behind a reverse proxy req.ip must come from X-Forwarded-For (login throttling)
+if (process.env.TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY
+  );
+}
+
 // --------------------
 // ✅ CORS Config
 // --------------------
@@ -44,6 +77,7 @@ app.use(
   })
 );
 
+app.use(requestId());
 app.use(express.json());
 
 // --------------------
@@ -51,7 +85,8 @@ app.use(express.json());
 // --------------------
 const server = http.createServer(app);
 
-const io = new Server(server, {
+// Authenticated sockets with per-lottery rooms (services/socketService.js)
+initSocket(server, {
   cors: {
     origin: function (origin, callback) {
       if (!origin || allowedOrigins.includes(origin)) {
@@ -64,11 +99,6 @@ const io = new Server(server, {
   },
 });
 
-io.on("connection", (socket) => {
-  console.log("🔌 A user connected");
-  socket.emit("newMessage", "Welcome from socket server!");
-});
-
 // --------------------
 // ✅ Routes
 // --------------------
@@ -77,21 +107,31 @@ io.on("connection", (socket) => {
 app.use("/api/auth", registerRoute);
 app.use("/api/auth", loginRoute);
 app.use("/api/auth", forgotRoute);
+app.use("/api/auth", resetPasswordRoute);
+app.use("/api/auth", sessionRoute);
+app.use("/api/auth", verifyEmailRoute);
+app.use("/api/auth", twoFactorRoute);
 
 // Common
 app.use("/api", commonUserRoute);
 app.use("/api", commonLotteryRoute);
 app.use("/api", userTicketRoute);
+app.use("/api", userNotificationRoute);
 app.use("/api", walletRoute);
 app.use("/api", commonLotteryTypeRoute);
 
 // User
 app.use("/api/user", userLotteryRoute);
+app.use("/api/user", userEventRoute);
 
 // Admin
 app.use("/api/admin", adminUserRoute);
 app.use("/api/admin", adminLotteryRoute);
 app.use("/api/admin", adminWalletRoute);
+app.use("/api/admin", adminRolesRoute);
+app.use("/api/admin", adminAuditLogRoute);
+app.use("/api/admin", adminNotificationRoute);
+app.use("/api/admin", adminJobsRoute);
 
 // Health Check / Test
 app.get("/api/someData", (req, res) => {
@@ -109,11 +149,23 @@ mongoose
     useNewUrlParser: true,
     useUnifiedTopology: true,
   })
-  .then(() => {
+  .then(async () => {
     console.log("✅ MongoDB connected:", MONGO_URI);
 
-    // start cron jobs after DB is connected
+    // cron jobs only do work on the elected leader instance
+    startLeaderElection();
     startCronJobs();
+    startReconciliationJob();
+    startReservationJob();
+
+    // queued draws/payouts run on whichever instance claims them first
+    startJobWorkers();
+
+    // socket events reach clients on every instance
+    await attachSocketAdapter();
+
+    // private socket events (wins, wallet reviews, purchases)
+    startUserEventRelay();
 
     // start express + websocket server
     server.listen(PORT, () => {
@@ -125,3 +177,11 @@ mongoose
     console.error("❌ Failed to connect to MongoDB", err.message);
     process.exit(1); // stop if DB fails
   });
+
+// Hand leadership over right away instead of waiting for the lease to expire
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, async () => {
+    await stepDown().catch(() => {});
+    process.exit(0);
+  });
+}
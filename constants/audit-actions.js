@@ -0,0 +1,38 @@
+// Admin mutations recorded in the audit log (models/AuditLog.js)
+export const AUDIT_ACTIONS = {
+  USER_DELETE: "user.delete",
+  USER_RECOVER: "user.recover",
+  USER_UPDATE: "user.update",
+  USER_PASSWORD_CHANGE: "user.password-change",
+  USER_BLOCK: "user.block",
+  USER_UNBLOCK: "user.unblock",
+  USER_LOCKOUT_CLEAR: "user.lockout-clear",
+  IP_THROTTLE_CLEAR: "ip.throttle-clear",
+
+  TOPUP_APPROVE: "wallet.topup-approve",
+  TOPUP_REJECT: "wallet.topup-reject",
+  WITHDRAW_APPROVE: "wallet.withdraw-approve",
+  WITHDRAW_REJECT: "wallet.withdraw-reject",
+  RECONCILIATION_RUN: "wallet.reconciliation-run",
+  RECONCILIATION_CORRECT: "wallet.reconciliation-correct",
+
+  LOTTERY_CREATE: "lottery.create",
+  LOTTERY_FORCE_DRAW: "lottery.force-draw",
+  LOTTERY_MANUAL_DRAW_SUBMIT: "lottery.manual-draw-submit",
+  LOTTERY_MANUAL_DRAW_CONFIRM: "lottery.manual-draw-confirm",
+  LOTTERY_MANUAL_DRAW_REJECT: "lottery.manual-draw-reject",
+  LOTTERY_CANCEL: "lottery.cancel",
+
+  ADMIN_ROLE_CREATE: "admin-role.create",
+  ADMIN_ROLE_UPDATE: "admin-role.update",
+  ADMIN_ROLE_DELETE: "admin-role.delete",
+  ADMIN_ROLES_ASSIGN: "admin-role.assign",
+
+  ANNOUNCEMENT_BROADCAST: "notification.broadcast",
+
+  JOB_RETRY: "job.retry",
+  JOB_CANCEL: "job.cancel",
+};
+
+// For enums in schema
+export const AUDIT_ACTION_NAMES = Object.values(AUDIT_ACTIONS);
@@ -4,4 +4,11 @@ export const DRAW_METHODS = {
 };
 
 // For enums in schema
-export const DRAW_METHOD_NAMES = Object.values(DRAW_METHODS);
\ No newline at end of file
+export const DRAW_METHOD_NAMES = Object.values(DRAW_METHODS);
+
+// Two-admin workflow for externally drawn (manual) lotteries
+export const MANUAL_DRAW_STATUS = {
+  PENDING_CONFIRMATION: "pending_confirmation",
+  CONFIRMED: "confirmed",
+  REJECTED: "rejected",
+};
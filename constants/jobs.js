@@ -0,0 +1,16 @@
+// Background job kinds (models/Job.js)
+export const JOB_TYPES = {
+  SETTLE_LOTTERY: "lottery.settle", // draw + pay out, or cancel + refund
+};
+
+export const JOB_TYPE_NAMES = Object.values(JOB_TYPES);
+
+export const JOB_STATUS = {
+  PENDING: "pending", // waiting for runAt
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed", // out of attempts (dead-lettered)
+  CANCELLED: "cancelled", // by an admin
+};
+
+export const JOB_STATUS_NAMES = Object.values(JOB_STATUS);
@@ -0,0 +1,15 @@
+// Counter accounts for wallet ledger entries.
+// Every Transaction is a balanced two-leg entry: the user's wallet on one
+// side and one of these accounts on the other.
+export const LEDGER_ACCOUNTS = {
+  DEPOSITS: "external:deposits", // approved top-ups
+  WITHDRAWALS: "external:withdrawals", // withdrawals paid out directly
+  WITHDRAWAL_HOLDS: "liability:withdrawal-holds", // funds reserved for pending withdrawals
+  TICKET_SALES: "revenue:ticket-sales",
+  PRIZES: "expense:prizes",
+  SIGNUP_BONUS: "expense:signup-bonus",
+  ADJUSTMENTS: "equity:adjustments", // manual corrections
+};
+
+// For enums in schema
+export const LEDGER_ACCOUNT_NAMES = Object.values(LEDGER_ACCOUNTS);
@@ -0,0 +1,24 @@
+// Inbox notification kinds (models/Notification.js)
+export const NOTIFICATION_TYPES = {
+  PRIZE_WON: "prize.won",
+  REFUND: "refund",
+  TOPUP_APPROVED: "topup.approved",
+  TOPUP_REJECTED: "topup.rejected",
+  WITHDRAWAL_APPROVED: "withdrawal.approved",
+  WITHDRAWAL_REJECTED: "withdrawal.rejected",
+  LOTTERY_LIVE: "lottery.live",
+  LOTTERY_ENDED: "lottery.ended",
+  ANNOUNCEMENT: "announcement",
+};
+
+// For enums in schema
+export const NOTIFICATION_TYPE_NAMES = Object.values(NOTIFICATION_TYPES);
+
+// Who an admin announcement goes to
+export const ANNOUNCEMENT_SEGMENTS = {
+  ALL: "all",
+  VERIFIED: "verified", // email verified
+  LOTTERY_PARTICIPANTS: "lottery-participants", // bought into lotteryId
+};
+
+export const ANNOUNCEMENT_SEGMENT_NAMES = Object.values(ANNOUNCEMENT_SEGMENTS);
@@ -0,0 +1,61 @@
+// Named admin permissions, checked by authMiddleware({ permissions })
+export const PERMISSIONS = {
+  USERS_READ: "users:read",
+  USERS_MANAGE: "users:manage", // edit, block, delete, recover
+  USERS_RESET_PASSWORD: "users:reset-password",
+  USERS_UNLOCK: "users:unlock", // clear login lockouts
+
+  LOTTERIES_READ: "lotteries:read",
+  LOTTERIES_MANAGE: "lotteries:manage", // create, cancel
+  DRAWS_EXECUTE: "draws:execute", // forced + manual draws
+
+  WALLET_READ: "wallet:read", // requests, reports, reconciliation
+  WALLET_APPROVE_TOPUPS: "wallet:approve-topups",
+  WALLET_APPROVE_WITHDRAWALS: "wallet:approve-withdrawals",
+  RECONCILIATION_MANAGE: "reconciliation:manage", // run, post corrections
+
+  ADMIN_ROLES_MANAGE: "admin-roles:manage",
+  AUDIT_LOG_READ: "audit-log:read", // search + CSV export
+  NOTIFICATIONS_BROADCAST: "notifications:broadcast", // announcements
+
+  JOBS_READ: "jobs:read", // background job queue
+  JOBS_MANAGE: "jobs:manage", // retry, cancel
+};
+
+export const PERMISSION_NAMES = Object.values(PERMISSIONS);
+
+// Built-in admin roles (read-only; custom roles live in models/AdminRole.js)
+export const ADMIN_ROLES = {
+  SUPER_ADMIN: "super-admin",
+  FINANCE: "finance",
+  SUPPORT: "support",
+  LOTTERY_OPERATOR: "lottery-operator",
+};
+
+export const BUILT_IN_ROLE_PERMISSIONS = {
+  [ADMIN_ROLES.SUPER_ADMIN]: PERMISSION_NAMES,
+  [ADMIN_ROLES.FINANCE]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.LOTTERIES_READ,
+    PERMISSIONS.WALLET_READ,
+    PERMISSIONS.WALLET_APPROVE_TOPUPS,
+    PERMISSIONS.WALLET_APPROVE_WITHDRAWALS,
+    PERMISSIONS.RECONCILIATION_MANAGE,
+  ],
+  [ADMIN_ROLES.SUPPORT]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_MANAGE,
+    PERMISSIONS.USERS_RESET_PASSWORD,
+    PERMISSIONS.USERS_UNLOCK,
+    PERMISSIONS.LOTTERIES_READ,
+    PERMISSIONS.WALLET_READ,
+    PERMISSIONS.NOTIFICATIONS_BROADCAST,
+  ],
+  [ADMIN_ROLES.LOTTERY_OPERATOR]: [
+    PERMISSIONS.LOTTERIES_READ,
+    PERMISSIONS.LOTTERIES_MANAGE,
+    PERMISSIONS.DRAWS_EXECUTE,
+    PERMISSIONS.JOBS_READ,
+    PERMISSIONS.JOBS_MANAGE,
+  ],
+};
@@ -0,0 +1,8 @@
+export const PRIZE_FUNDING = {
+  FIXED: "fixed", // every winner gets the range's prizeAmount
+  PERCENTAGE: "percentage", // a share of ticket sales is paid out
+  GUARANTEED: "guaranteed", // percentage, but never below prizeAmount
+};
+
+// For enums in schema
+export const PRIZE_FUNDING_NAMES = Object.values(PRIZE_FUNDING);
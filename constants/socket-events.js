@@ -0,0 +1,17 @@
+// Socket.IO event names (server → client unless noted)
+export const SOCKET_EVENTS = {
+  LOTTERY_SUBSCRIBE: "lottery:subscribe", // client → server
+  LOTTERY_UNSUBSCRIBE: "lottery:unsubscribe", // client → server
+  LOTTERY_TICKETS: "lottery:tickets",
+  LOTTERY_STATUS: "lottery:status",
+  LOTTERY_RESULT: "lottery:result",
+  USER_EVENT: "user:event", // private, see constants/user-events.js
+};
+
+// Every authenticated socket joins this room (lottery list updates)
+export const LOTTERIES_ROOM = "lotteries";
+
+export const lotteryRoom = (lotteryId) => `lottery:${lotteryId}`;
+
+// Each socket also joins its user's room (private events)
+export const userRoom = (userId) => `user:${userId}`;
@@ -0,0 +1,19 @@
+// Status of a single ticket number in the inventory (models/Ticket.js)
+export const TICKET_STATUS = {
+  RESERVED: "reserved", // held for checkout (models/TicketReservation.js)
+  SOLD: "sold",
+  REFUNDED: "refunded",
+};
+
+// For enums in schema
+export const TICKET_STATUS_NAMES = Object.values(TICKET_STATUS);
+
+// Lifecycle of a checkout hold (models/TicketReservation.js)
+export const RESERVATION_STATUS = {
+  ACTIVE: "active",
+  CONVERTED: "converted", // turned into a purchase
+  RELEASED: "released", // cancelled by the user or replaced by a new hold
+  EXPIRED: "expired",
+};
+
+export const RESERVATION_STATUS_NAMES = Object.values(RESERVATION_STATUS);
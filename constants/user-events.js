@@ -0,0 +1,12 @@
+// Private events for one user (models/UserEvent.js)
+export const USER_EVENTS = {
+  PRIZE_WON: "prize.won",
+  TOPUP_APPROVED: "topup.approved",
+  TOPUP_REJECTED: "topup.rejected",
+  WITHDRAWAL_APPROVED: "withdrawal.approved",
+  WITHDRAWAL_REJECTED: "withdrawal.rejected",
+  PURCHASE_COMPLETED: "purchase.completed",
+};
+
+// For enums in schema
+export const USER_EVENT_NAMES = Object.values(USER_EVENTS);
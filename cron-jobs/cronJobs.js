@@ -1,51 +1,93 @@
 import cron from "node-cron";
 import Lottery from "../models/Lottery.js";
-import { drawLottery } from "../services/drawLotteryService.js";
+import { emitLotteryStatus } from "../services/socketService.js";
+import { enqueueLotterySettlement } from "../services/lotterySettlementService.js";
+import { notifyLotteryParticipants } from "../services/notificationService.js";
+import { isLeader } from "../services/lockService.js";
+import { NOTIFICATION_TYPES } from "../constants/notification-types.js";
+
+// Set flags on matching lotteries and announce each one's new status
+async function transition(filter, flags, status) {
+  const lotteries = await Lottery.find(filter)
+    .select("title drawDatetime")
+    .lean();
+  if (lotteries.length === 0) return [];
+
+  await Lottery.updateMany(
+    { _id: { $in: lotteries.map((l) => l._id) }, ...filter },
+    { $set: flags }
+  );
+  lotteries.forEach((l) => emitLotteryStatus(l._id, status));
+  return lotteries;
+}
+
+// Inbox notification for ticket holders (a failure doesn't stop the cron)
+async function notifyParticipants(lotteries, build) {
+  for (const lottery of lotteries) {
+    try {
+      await notifyLotteryParticipants(lottery._id, {
+        ...build(lottery),
+        data: { lotteryId: lottery._id.toString() },
+      });
+    } catch (err) {
+      console.error(
+        `❌ Notifying participants of ${lottery._id} failed:`,
+        err.message
+      );
+    }
+  }
+}
 
 export function startCronJobs() {
   // Runs every minute
   cron.schedule("* * * * *", async () => {
+    // Only one instance maintains lotteries (services/lockService.js)
+    if (!isLeader()) return;
+
     console.log("⏳ Running lottery maintenance...");
 
     const now = new Date();
 
     try {
       // 1️⃣ Mark lotteries as UPCOMING (future lotteries)
-      const upcomingResult = await Lottery.updateMany(
+      const upcoming = await transition(
         {
           "flags.isUpcoming": false,
           "flags.isActive": false,
           "flags.isEnded": false,
           startDatetime: { $gt: now },
         },
-        { $set: { "flags.isUpcoming": true } }
+        { "flags.isUpcoming": true },
+        "upcoming"
       );
 
-      if (upcomingResult.modifiedCount > 0) {
-        console.log(
-          `🕒 Marked ${upcomingResult.modifiedCount} lotteries as upcoming.`
-        );
+      if (upcoming.length > 0) {
+        console.log(`🕒 Marked ${upcoming.length} lotteries as upcoming.`);
       }
 
       // 2️⃣ Mark lotteries as ACTIVE (started but not ended)
-      const activeResult = await Lottery.updateMany(
+      const active = await transition(
         {
           "flags.isActive": false,
           "flags.isEnded": false,
           startDatetime: { $lte: now },
           endDatetime: { $gt: now },
         },
-        { $set: { "flags.isActive": true, "flags.isUpcoming": false } }
+        { "flags.isActive": true, "flags.isUpcoming": false },
+        "active"
       );
 
-      if (activeResult.modifiedCount > 0) {
-        console.log(
-          `✅ Marked ${activeResult.modifiedCount} lotteries as active.`
-        );
+      if (active.length > 0) {
+        console.log(`✅ Marked ${active.length} lotteries as active.`);
+        await notifyParticipants(active, (lottery) => ({
+          type: NOTIFICATION_TYPES.LOTTERY_LIVE,
+          title: "Lottery is live",
+          message: `${lottery.title} is now live.`,
+        }));
       }
 
       // 3️⃣ Mark lotteries as ENDED (time up OR all tickets sold)
-      const endedResult = await Lottery.updateMany(
+      const ended = await transition(
         {
           "flags.isEnded": false,
           $or: [
@@ -54,54 +96,42 @@ export function startCronJobs() {
           ],
         },
         {
-          $set: {
-            "flags.isEnded": true,
-            "flags.isActive": false,
-            "flags.isUpcoming": false,
-          },
-        }
+          "flags.isEnded": true,
+          "flags.isActive": false,
+          "flags.isUpcoming": false,
+        },
+        "ended"
       );
 
-      if (endedResult.modifiedCount > 0) {
+      if (ended.length > 0) {
         console.log(
-          `✅ Marked ${endedResult.modifiedCount} lotteries as ended (time up or sold out).`
+          `✅ Marked ${ended.length} lotteries as ended (time up or sold out).`
         );
+        await notifyParticipants(ended, (lottery) => ({
+          type: NOTIFICATION_TYPES.LOTTERY_ENDED,
+          title: "Lottery ended",
+          message: `${lottery.title} has ended. Results follow after the draw.`,
+        }));
       }
 
-      // 4️⃣ Auto-draw lotteries that have ended but result not announced AND drawDatetime <= now
-      const lotteriesToDraw = await Lottery.find({
+      // 🗂️ Settlement (draw/refund) runs as a job at drawDatetime
+      for (const lottery of ended) {
+        await enqueueLotterySettlement(lottery);
+      }
+
+      // 4️⃣ Backstop: queue settlement for ended lotteries that have none yet
+      // (e.g. ended before the queue existed); already-queued ones are no-ops
+      const unsettled = await Lottery.find({
         "flags.resultAnnounced": false,
         "flags.isEnded": true,
+        "flags.isCancelled": { $ne: true },
         drawDatetime: { $lte: now },
-      });
-
-      for (const lottery of lotteriesToDraw) {
-        try {
-          if (lottery.ticketsSold === 0) {
-            // No tickets sold → skip actual draw but mark as resultAnnounced
-            await Lottery.updateOne(
-              { _id: lottery._id },
-              { $set: { "flags.resultAnnounced": true } }
-            );
-            console.log(
-              `⚠️ Lottery ${lottery._id} has no tickets sold. Marked as resultAnnounced without drawing.`
-            );
-            continue;
-          }
-
-          // Tickets sold → do normal draw
-          console.log(`🎲 Auto-drawing lottery ${lottery._id}...`);
-          await drawLottery(lottery._id);
-
-          await Lottery.updateOne(
-            { _id: lottery._id },
-            { $set: { "flags.resultAnnounced": true } }
-          );
+      })
+        .select("drawDatetime")
+        .lean();
 
-          console.log(`🏆 Results announced for lottery ${lottery._id}.`);
-        } catch (err) {
-          console.error(`❌ Auto draw failed for ${lottery._id}:`, err.message);
-        }
+      for (const lottery of unsettled) {
+        await enqueueLotterySettlement(lottery);
       }
     } catch (err) {
       console.error("❌ Cron job error:", err.message);
@@ -0,0 +1,15 @@
+import {
+  registerJobHandler,
+  startJobWorker,
+} from "../services/jobQueueService.js";
+import { settleEndedLottery } from "../services/lotterySettlementService.js";
+import { JOB_TYPES } from "../constants/jobs.js";
+
+// Runs on every instance; each job is claimed by exactly one of them
+export function startJobWorkers() {
+  registerJobHandler(JOB_TYPES.SETTLE_LOTTERY, ({ lotteryId }) =>
+    settleEndedLottery(lotteryId)
+  );
+
+  startJobWorker();
+}
@@ -0,0 +1,30 @@
+import cron from "node-cron";
+import { isLeader } from "../services/lockService.js";
+import { runReconciliation } from "../services/reconciliationService.js";
+
+// Default: hourly at minute 15 (override with RECONCILIATION_CRON)
+const SCHEDULE = process.env.RECONCILIATION_CRON || "15 * * * *";
+
+export function startReconciliationJob() {
+  cron.schedule(SCHEDULE, async () => {
+    if (!isLeader()) return;
+
+    console.log("⏳ Running wallet reconciliation...");
+
+    try {
+      const run = await runReconciliation({ trigger: "cron" });
+
+      if (run.mismatches > 0) {
+        console.warn(
+          `⚠️ Wallet reconciliation: ${run.mismatches} of ${run.usersChecked} users don't match their ledger.`
+        );
+      } else {
+        console.log(
+          `✅ Wallet reconciliation: ${run.usersChecked} users balanced.`
+        );
+      }
+    } catch (err) {
+      console.error("❌ Wallet reconciliation error:", err.message);
+    }
+  });
+}
@@ -0,0 +1,22 @@
+import cron from "node-cron";
+import { isLeader } from "../services/lockService.js";
+import { releaseExpiredReservations } from "../services/ticketReservationService.js";
+
+// Default: every minute (override with RESERVATION_CRON)
+const SCHEDULE = process.env.RESERVATION_CRON || "* * * * *";
+
+export function startReservationJob() {
+  cron.schedule(SCHEDULE, async () => {
+    if (!isLeader()) return;
+
+    try {
+      const released = await releaseExpiredReservations();
+
+      if (released > 0) {
+        console.log(`⌛ Released ${released} expired ticket reservation(s).`);
+      }
+    } catch (err) {
+      console.error("❌ Ticket reservation cleanup error:", err.message);
+    }
+  });
+}
@@ -1,7 +1,28 @@
-import jwt from "jsonwebtoken";
-import User from "../models/User.js"; // Don't forget .js in ESM
+import { verifyAccessToken } from "../services/tokenService.js";
+import { ROLES } from "../constants/roles.js";
+import { resolvePermissions } from "../services/permissionService.js";
 
-function authMiddleware(requiredRole = null, allowedContexts = []) {
+const TOKEN_ERROR_STATUS = {
+  INVALID_TOKEN: 401,
+  USER_NOT_FOUND: 401,
+  SESSION_REVOKED: 401,
+  ACCOUNT_DISABLED: 403,
+};
+
+/**
+ * @param {String|String[]} [requiredRole]
+ * @param {String[]} [allowedContexts] - Accepted X-App-Context values
+ * @param {Object} [options]
+ * @param {Boolean} [options.allowTwoFactorSetup] - Let admins without 2FA in
+ *   (only for the enrollment routes)
+ * @param {String[]} [options.permissions] - Admin permissions required (all of
+ *   them; constants/permissions.js)
+ */
+function authMiddleware(
+  requiredRole = null,
+  allowedContexts = [],
+  { allowTwoFactorSetup = false, permissions = [] } = {}
+) {
   return async (req, res, next) => {
     const authHeader = req.headers.authorization;
 
@@ -15,9 +36,8 @@ function authMiddleware(requiredRole = null, allowedContexts = []) {
     if (!token) return res.status(401).json({ error: "Token missing" });
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select("-passwordHash");
-      if (!user) return res.status(401).json({ error: "User not found" });
+      // Checks signature, expiry, token version and account state
+      const { user, decoded } = await verifyAccessToken(token);
 
       // Check user role
       if (requiredRole) {
@@ -43,10 +63,43 @@ function authMiddleware(requiredRole = null, allowedContexts = []) {
         }
       }
 
+      // 🔐 Admins must have signed in with a second factor
+      if (
+        user.role === ROLES.ADMIN &&
+        !allowTwoFactorSetup &&
+        !decoded.amr?.includes("otp")
+      ) {
+        return res.status(403).json({
+          error: user.twoFactor?.enabled
+            ? "Please sign in again with your two-factor code"
+            : "Two-factor authentication must be set up for admin accounts",
+          code: "TWO_FACTOR_REQUIRED",
+        });
+      }
+
+      // 🔑 Fine-grained admin permissions
+      if (user.role === ROLES.ADMIN) {
+        req.permissions = await resolvePermissions(user);
+
+        const missing = permissions.filter((p) => !req.permissions.has(p));
+        if (missing.length > 0) {
+          return res.status(403).json({
+            error: "Access forbidden: missing permission",
+            code: "PERMISSION_DENIED",
+            missing,
+          });
+        }
+      }
+
       req.user = user;
+      req.auth = decoded;
       next();
     } catch (err) {
-      return res.status(401).json({ error: "Invalid or expired token" });
+      const status = TOKEN_ERROR_STATUS[err.code];
+      if (status) return res.status(status).json({ error: err.message });
+
+      console.error("Auth middleware error:", err);
+      return res.status(500).json({ error: "Internal server error" });
     }
   };
 }
@@ -0,0 +1,94 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import { ROLES } from "../constants/roles.js";
+import { ADMIN_ROLES, PERMISSIONS } from "../constants/permissions.js";
+import { fakeQuery } from "../utils/testing.js";
+import authMiddleware from "./authMiddleware.js";
+
+process.env.JWT_SECRET ||= "test-secret";
+
+let user;
+
+beforeEach(() => {
+  mock.restoreAll();
+  user = {
+    _id: new mongoose.Types.ObjectId(),
+    role: ROLES.ADMIN,
+    adminRoles: [ADMIN_ROLES.SUPPORT],
+    tokenVersion: 0,
+  };
+  mock.method(User, "findById", () => fakeQuery(user));
+});
+
+async function call(middleware, amr = ["pwd", "otp"]) {
+  const token = jwt.sign(
+    { id: user._id, role: user.role, tv: 0, amr },
+    process.env.JWT_SECRET
+  );
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  const res = {
+    statusCode: 200,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  let passed = false;
+  await middleware(req, res, () => {
+    passed = true;
+  });
+  return { req, res, passed };
+}
+
+test("admins pass when they hold every required permission", async () => {
+  const { req, passed } = await call(
+    authMiddleware(ROLES.ADMIN, [], {
+      permissions: [PERMISSIONS.USERS_READ, PERMISSIONS.USERS_MANAGE],
+    })
+  );
+
+  assert.equal(passed, true);
+  assert.ok(req.permissions.has(PERMISSIONS.USERS_UNLOCK));
+});
+
+test("a missing permission is a 403 listing what's missing", async () => {
+  const { res, passed } = await call(
+    authMiddleware(ROLES.ADMIN, [], {
+      permissions: [
+        PERMISSIONS.USERS_READ,
+        PERMISSIONS.WALLET_APPROVE_WITHDRAWALS,
+      ],
+    })
+  );
+
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.code, "PERMISSION_DENIED");
+  assert.deepEqual(res.body.missing, [PERMISSIONS.WALLET_APPROVE_WITHDRAWALS]);
+});
+
+test("an admin with no roles can't reach permission-guarded routes", async () => {
+  user.adminRoles = [];
+
+  const { res } = await call(
+    authMiddleware(ROLES.ADMIN, [], { permissions: [PERMISSIONS.USERS_READ] })
+  );
+
+  assert.equal(res.statusCode, 403);
+});
+
+test("admins still need the second factor before permissions count", async () => {
+  user.adminRoles = [ADMIN_ROLES.SUPER_ADMIN];
+
+  const { res, passed } = await call(authMiddleware(ROLES.ADMIN), ["pwd"]);
+
+  assert.equal(passed, false);
+  assert.equal(res.body.code, "TWO_FACTOR_REQUIRED");
+});
@@ -0,0 +1,169 @@
+import crypto from "crypto";
+import IdempotencyRecord from "../models/IdempotencyRecord.js";
+
+// How long a key is remembered (override with IDEMPOTENCY_TTL_HOURS)
+const TTL_HOURS = Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+// A request still "in progress" after this long is assumed to have crashed.
+// Well past Mongo's 60s transaction limit, and even if the original is still
+// running it can't complete any more: completing checks the lockToken.
+const STALE_LOCK_MS = 5 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// JSON with sorted object keys, so the same body always hashes the same
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+function fingerprintOf(req, path) {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${path} ${stableStringify(req.body ?? {})}`)
+    .digest("hex");
+}
+
+/**
+ * Makes a route safe to retry with an `Idempotency-Key` header.
+ * Must run after authMiddleware (keys are scoped per user).
+ *
+ * - first request: runs normally, its response is stored
+ * - retry with the same key and body: stored response is replayed
+ * - same key, different request: 422
+ * - same key while the first request is still running: 409
+ * Requests without the header are not affected. 5xx responses are not
+ * stored, so the client can retry them with the same key.
+ *
+ * Routes that move money must store their response in their own transaction
+ * with `req.idempotency.complete(status, body, session)` before committing;
+ * otherwise a crash between the commit and storing the response would let a
+ * retry run the request twice. Other responses are stored once sent.
+ */
+function idempotencyMiddleware() {
+  return async (req, res, next) => {
+    const key = req.headers["idempotency-key"];
+    if (key === undefined) return next();
+
+    if (!key || key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`,
+      });
+    }
+
+    const path = `${req.baseUrl}${req.path}`;
+    const fingerprint = fingerprintOf(req, path);
+    const userId = req.user._id;
+
+    // Identifies this run; a request that took over the key gets a new one
+    const lockToken = crypto.randomUUID();
+
+    try {
+      let record;
+      try {
+        record = await IdempotencyRecord.create({
+          userId,
+          key,
+          method: req.method,
+          path,
+          fingerprint,
+          lockToken,
+          expiresAt: new Date(Date.now() + TTL_HOURS * 60 * 60 * 1000),
+        });
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+
+        const existing = await IdempotencyRecord.findOne({ userId, key });
+        if (!existing) {
+          // Expired between the insert and the lookup
+          return res.status(409).json({
+            error: "Request with this Idempotency-Key is in progress",
+          });
+        }
+
+        if (existing.fingerprint !== fingerprint) {
+          return res.status(422).json({
+            error: "Idempotency-Key was already used for a different request",
+          });
+        }
+
+        if (existing.status === "completed") {
+          res.set("Idempotent-Replayed", "true");
+          return res
+            .status(existing.responseStatus)
+            .json(existing.responseBody);
+        }
+
+        // 🔒 Take over a lock left behind by a crashed request
+        record = await IdempotencyRecord.findOneAndUpdate(
+          {
+            _id: existing._id,
+            status: "in_progress",
+            createdAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) },
+          },
+          { $set: { createdAt: new Date(), lockToken } },
+          { new: true }
+        );
+        if (!record) {
+          return res.status(409).json({
+            error: "Request with this Idempotency-Key is in progress",
+          });
+        }
+      }
+
+      const ownRecord = { _id: record._id, lockToken, status: "in_progress" };
+
+      req.idempotency = {
+        /**
+         * Store the response inside the route's transaction.
+         * @throws code IDEMPOTENCY_CONFLICT if another request took the key over
+         */
+        complete: async (responseStatus, responseBody, session) => {
+          const { modifiedCount } = await IdempotencyRecord.updateOne(
+            ownRecord,
+            { $set: { status: "completed", responseStatus, responseBody } },
+            { session }
+          );
+          if (modifiedCount === 0) {
+            throw Object.assign(
+              new Error("Request with this Idempotency-Key is in progress"),
+              { code: "IDEMPOTENCY_CONFLICT" }
+            );
+          }
+        },
+      };
+
+      // 💾 Store the response once the route answers (unless complete() did)
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const update =
+          res.statusCode >= 500
+            ? IdempotencyRecord.deleteOne(ownRecord)
+            : IdempotencyRecord.updateOne(ownRecord, {
+                $set: {
+                  status: "completed",
+                  responseStatus: res.statusCode,
+                  responseBody: body,
+                },
+              });
+        update.catch((err) =>
+          console.error("❌ Failed to store idempotent response:", err.message)
+        );
+        return json(body);
+      };
+
+      next();
+    } catch (err) {
+      console.error("Idempotency middleware error:", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  };
+}
+
+export default idempotencyMiddleware;
@@ -0,0 +1,217 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import IdempotencyRecord from "../models/IdempotencyRecord.js";
+import { fakeQuery, matches } from "../utils/testing.js";
+import idempotencyMiddleware from "./idempotencyMiddleware.js";
+
+const userId = new mongoose.Types.ObjectId();
+let records;
+
+function fakeResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name] = value;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+}
+
+// Runs the middleware; `route` plays the handler when next() is called
+async function send({ key = "key-1", body = { amount: 10 }, route } = {}) {
+  const req = {
+    method: "POST",
+    baseUrl: "/api/wallet",
+    path: "/add",
+    headers: key === null ? {} : { "idempotency-key": key },
+    body,
+    user: { _id: userId },
+  };
+  const res = fakeResponse();
+  let handled = false;
+  let routeDone;
+  await idempotencyMiddleware()(req, res, () => {
+    handled = true;
+    routeDone = route?.(req, res);
+  });
+  await routeDone;
+  // The stored response is written after the route answers
+  await new Promise(setImmediate);
+  return { req, res, handled };
+}
+
+beforeEach(() => {
+  mock.restoreAll();
+  records = [];
+
+  mock.method(IdempotencyRecord, "create", async (doc) => {
+    if (records.some((r) => matches(r, { userId: doc.userId, key: doc.key }))) {
+      throw Object.assign(new Error("E11000"), { code: 11000 });
+    }
+    const record = {
+      _id: new mongoose.Types.ObjectId(),
+      status: "in_progress",
+      createdAt: new Date(),
+      ...doc,
+    };
+    records.push(record);
+    return record;
+  });
+  mock.method(IdempotencyRecord, "findOne", (filter) =>
+    fakeQuery(records.find((r) => matches(r, filter)) ?? null)
+  );
+  const update = (filter, { $set }) => {
+    const record = records.find((r) => matches(r, filter));
+    if (record) Object.assign(record, $set);
+    return record ?? null;
+  };
+  mock.method(IdempotencyRecord, "findOneAndUpdate", async (filter, change) =>
+    update(filter, change)
+  );
+  mock.method(IdempotencyRecord, "updateOne", async (filter, change) => ({
+    modifiedCount: update(filter, change) ? 1 : 0,
+  }));
+  mock.method(IdempotencyRecord, "deleteOne", async (filter) => {
+    records = records.filter((r) => !matches(r, filter));
+    return { deletedCount: 1 };
+  });
+});
+
+const topUp = (req, res) => res.status(201).json({ balance: 110 });
+
+test("requests without the header are passed straight through", async () => {
+  const { handled } = await send({ key: null });
+
+  assert.equal(handled, true);
+  assert.equal(IdempotencyRecord.create.mock.callCount(), 0);
+});
+
+test("rejects empty and oversized keys", async () => {
+  for (const key of ["", "k".repeat(256)]) {
+    const { res, handled } = await send({ key });
+    assert.equal(handled, false);
+    assert.equal(res.statusCode, 400);
+  }
+});
+
+test("a retry gets the stored response without running the route again", async () => {
+  let runs = 0;
+  const route = (req, res) => {
+    runs++;
+    topUp(req, res);
+  };
+
+  const first = await send({ route });
+  const retry = await send({ route });
+
+  assert.equal(runs, 1);
+  assert.equal(first.res.statusCode, 201);
+  assert.equal(retry.handled, false);
+  assert.equal(retry.res.statusCode, 201);
+  assert.deepEqual(retry.res.body, { balance: 110 });
+  assert.equal(retry.res.headers["Idempotent-Replayed"], "true");
+});
+
+test("the same key with a different body is refused", async () => {
+  await send({ route: topUp });
+  const { res, handled } = await send({ body: { amount: 99 } });
+
+  assert.equal(handled, false);
+  assert.equal(res.statusCode, 422);
+});
+
+test("a retry while the first request is still running gets 409", async () => {
+  await send(); // route never answers
+  const { res, handled } = await send({ route: topUp });
+
+  assert.equal(handled, false);
+  assert.equal(res.statusCode, 409);
+});
+
+test("a lock left behind by a crashed request is taken over", async () => {
+  await send();
+  records[0].createdAt = new Date(Date.now() - 10 * 60 * 1000);
+
+  const { res, handled } = await send({ route: topUp });
+
+  assert.equal(handled, true);
+  assert.equal(res.statusCode, 201);
+  assert.equal(records[0].status, "completed");
+});
+
+test("server errors are not stored, so the key can be retried", async () => {
+  await send({
+    route: (req, res) => res.status(500).json({ error: "boom" }),
+  });
+  assert.equal(records.length, 0);
+
+  const { handled } = await send({ route: topUp });
+  assert.equal(handled, true);
+});
+
+test("keys are scoped per user", async () => {
+  await send({ route: topUp });
+  records[0].userId = new mongoose.Types.ObjectId();
+
+  const { handled } = await send({ route: topUp });
+  assert.equal(handled, true);
+});
+
+// A money-moving route: stores its response in its transaction, then answers
+const payOut = (session) => async (req, res) => {
+  const body = { balance: 90 };
+  await req.idempotency.complete(200, body, session);
+  res.json(body);
+};
+
+test("routes can store the response inside their own transaction", async () => {
+  const session = { id: "txn" };
+  await send({ route: payOut(session) });
+
+  const [, , options] = IdempotencyRecord.updateOne.mock.calls[0].arguments;
+  assert.equal(options.session, session);
+  assert.equal(records[0].status, "completed");
+  assert.deepEqual(records[0].responseBody, { balance: 90 });
+
+  const retry = await send({ route: payOut(session) });
+  assert.equal(retry.handled, false);
+  assert.deepEqual(retry.res.body, { balance: 90 });
+});
+
+test("a request that was taken over can no longer complete", async () => {
+  let original;
+  await send({
+    route: (req) => {
+      original = req;
+    },
+  });
+  records[0].createdAt = new Date(Date.now() - 10 * 60 * 1000);
+  await send({ route: topUp });
+
+  await assert.rejects(original.idempotency.complete(200, {}, {}), {
+    code: "IDEMPOTENCY_CONFLICT",
+  });
+  assert.deepEqual(records[0].responseBody, { balance: 110 });
+});
+
+test("a request that may still commit is not taken over", async () => {
+  await send();
+  records[0].createdAt = new Date(Date.now() - 2 * 60 * 1000);
+
+  const { res, handled } = await send({ route: topUp });
+
+  assert.equal(handled, false);
+  assert.equal(res.statusCode, 409);
+});
@@ -0,0 +1,22 @@
+import crypto from "crypto";
+
+// Accept a caller's id only if it is short and harmless to log
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Gives every request an id (req.id), taken from X-Request-Id when the
+ * caller (or a proxy) sent a sane one, and echoes it in the response.
+ */
+function requestId() {
+  return (req, res, next) => {
+    const incoming = req.get("x-request-id");
+    req.id =
+      incoming && VALID_REQUEST_ID.test(incoming)
+        ? incoming
+        : crypto.randomUUID();
+    res.set("X-Request-Id", req.id);
+    next();
+  };
+}
+
+export default requestId;
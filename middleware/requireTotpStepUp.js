@@ -0,0 +1,53 @@
+import { verifySecondFactor } from "../services/twoFactorService.js";
+import {
+  checkStepUpAllowed,
+  recordStepUpFailure,
+  recordStepUpSuccess,
+} from "../services/loginThrottleService.js";
+
+/**
+ * Sensitive actions need a fresh TOTP code in the X-TOTP-Code header,
+ * even with a valid session. Must run after authMiddleware.
+ * Wrong codes back off and then lock step-up like failed logins do.
+ */
+function requireTotpStepUp() {
+  return async (req, res, next) => {
+    const code = req.headers["x-totp-code"];
+    if (!code) {
+      return res.status(401).json({
+        error: "This action requires a two-factor code (X-TOTP-Code header)",
+        code: "TOTP_STEP_UP_REQUIRED",
+      });
+    }
+
+    try {
+      // 🛑 Backoff / lockout after wrong codes
+      const throttle = await checkStepUpAllowed(req.user._id);
+      if (!throttle.allowed) {
+        res.set("Retry-After", String(throttle.retryAfter));
+        return res.status(429).json({
+          error: "Too many wrong two-factor codes. Please try again later.",
+          code: "TOTP_STEP_UP_LOCKED",
+          retryAfter: throttle.retryAfter,
+        });
+      }
+
+      await verifySecondFactor(req.user._id, { code });
+      await recordStepUpSuccess(req.user._id);
+      next();
+    } catch (err) {
+      if (err.code === "TWO_FACTOR_NOT_ENABLED") {
+        return res.status(403).json({ error: err.message, code: err.code });
+      }
+      if (err.code === "INVALID_TWO_FACTOR_CODE") {
+        await recordStepUpFailure(req.user._id);
+        return res.status(401).json({ error: err.message, code: err.code });
+      }
+
+      console.error("TOTP step-up error:", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  };
+}
+
+export default requireTotpStepUp;
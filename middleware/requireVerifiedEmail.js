@@ -0,0 +1,17 @@
+/**
+ * Blocks users who haven't verified their email yet.
+ * Must run after authMiddleware.
+ */
+function requireVerifiedEmail() {
+  return (req, res, next) => {
+    if (req.user?.emailVerified === false) {
+      return res.status(403).json({
+        error: "Please verify your email address first.",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
+    next();
+  };
+}
+
+export default requireVerifiedEmail;
@@ -0,0 +1,63 @@
+const LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Validates the request against zod schemas (validators/) before the handler
+ * runs. Parsed values replace the raw ones, so handlers get trimmed strings,
+ * numbers for numeric query parameters and defaults filled in; unknown body
+ * fields are dropped.
+ *
+ * Any problem → 400 { error, code: "VALIDATION_ERROR", details: [{ location,
+ * field, message }] } listing every invalid field at once.
+ *
+ * @param {Object} schemas
+ * @param {ZodType} [schemas.params]
+ * @param {ZodType} [schemas.query]
+ * @param {ZodType} [schemas.body]
+ */
+function validate(schemas) {
+  return (req, res, next) => {
+    const details = [];
+    const parsed = {};
+
+    for (const location of LOCATIONS) {
+      const schema = schemas[location];
+      if (!schema) continue;
+
+      const result = schema.safeParse(req[location] ?? {});
+      if (result.success) {
+        parsed[location] = result.data;
+      } else {
+        for (const issue of result.error.issues) {
+          details.push({
+            location,
+            field: issue.path.join(".") || null,
+            message: issue.message,
+          });
+        }
+      }
+    }
+
+    if (details.length > 0) {
+      return res.status(400).json({
+        error: "Invalid request",
+        code: "VALIDATION_ERROR",
+        details,
+      });
+    }
+
+    if (parsed.params) req.params = parsed.params;
+    if (parsed.body) req.body = parsed.body;
+    // Express 5 exposes req.query through a getter
+    if (parsed.query) {
+      Object.defineProperty(req, "query", {
+        value: parsed.query,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+    }
+    next();
+  };
+}
+
+export default validate;
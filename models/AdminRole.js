@@ -0,0 +1,15 @@
+import mongoose from "mongoose";
+import { PERMISSION_NAMES } from "../constants/permissions.js";
+
+// Custom admin role (the built-in ones are in constants/permissions.js)
+const AdminRoleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    description: { type: String },
+    permissions: { type: [{ type: String, enum: PERMISSION_NAMES }] },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("AdminRole", AdminRoleSchema);
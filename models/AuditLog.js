@@ -0,0 +1,58 @@
+import mongoose from "mongoose";
+import { AUDIT_ACTION_NAMES } from "../constants/audit-actions.js";
+
+// One admin mutation. Append-only: entries are never updated or deleted
+// (services/auditLogService.js writes them, the hooks below refuse changes).
+const AuditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  actorEmail: { type: String }, // as it was at the time
+  action: { type: String, enum: AUDIT_ACTION_NAMES, required: true },
+  target: {
+    kind: { type: String, required: true }, // model name, e.g. "User"
+    id: { type: String, required: true },
+  },
+  // Fields that changed; secrets appear as "[redacted]"
+  changes: [
+    {
+      _id: false,
+      field: { type: String, required: true },
+      before: { type: mongoose.Schema.Types.Mixed },
+      after: { type: mongoose.Schema.Types.Mixed },
+    },
+  ],
+  metadata: { type: mongoose.Schema.Types.Mixed }, // reason, counts, ...
+  ip: { type: String },
+  userAgent: { type: String },
+  requestId: { type: String },
+  createdAt: { type: Date, default: Date.now, immutable: true },
+});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+AuditLogSchema.index({ "target.kind": 1, "target.id": 1, createdAt: -1 });
+AuditLogSchema.index({ requestId: 1 });
+
+const refuseChange = function () {
+  throw new Error("Audit log entries are append-only");
+};
+
+AuditLogSchema.pre("save", function () {
+  if (!this.isNew) refuseChange();
+});
+AuditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  { document: false, query: true },
+  refuseChange
+);
+
+export default mongoose.model("AuditLog", AuditLogSchema);
@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// Stored outcome of a request sent with an Idempotency-Key header, so a
+// retried request gets the original response instead of running again.
+const IdempotencyRecordSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  key: { type: String, required: true },
+  method: { type: String, required: true },
+  path: { type: String, required: true },
+  fingerprint: { type: String, required: true }, // sha256 of method + path + body
+  lockToken: { type: String, required: true }, // run currently holding the key
+  status: {
+    type: String,
+    enum: ["in_progress", "completed"],
+    default: "in_progress",
+  },
+  responseStatus: { type: Number },
+  responseBody: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+});
+
+IdempotencyRecordSchema.index({ userId: 1, key: 1 }, { unique: true });
+IdempotencyRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("IdempotencyRecord", IdempotencyRecordSchema);
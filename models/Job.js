@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import {
+  JOB_TYPE_NAMES,
+  JOB_STATUS,
+  JOB_STATUS_NAMES,
+} from "../constants/jobs.js";
+
+// A unit of background work (services/jobQueueService.js)
+const jobSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: JOB_TYPE_NAMES, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: {
+      type: String,
+      enum: JOB_STATUS_NAMES,
+      default: JOB_STATUS.PENDING,
+    },
+    // Same key = same job; enqueueing it again is a no-op
+    dedupeKey: { type: String },
+    runAt: { type: Date, default: Date.now },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+    // Worker holding it while running; the lease is renewed as it works
+    lockedBy: { type: String },
+    lockedUntil: { type: Date },
+    lastError: { type: String },
+    // Most recent failures, newest last
+    failures: [
+      {
+        attempt: { type: Number },
+        message: { type: String },
+        at: { type: Date },
+        _id: false,
+      },
+    ],
+    result: { type: mongoose.Schema.Types.Mixed },
+    completedAt: { type: Date },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+jobSchema.index({ dedupeKey: 1 }, { unique: true, sparse: true });
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model("Job", jobSchema);
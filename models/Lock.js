@@ -0,0 +1,14 @@
+import mongoose from "mongoose";
+
+// A named lease held by one process until expiresAt (services/lockService.js)
+const lockSchema = new mongoose.Schema({
+  _id: { type: String }, // lock name, e.g. "lottery:<id>"
+  owner: { type: String, required: true }, // INSTANCE_ID (+ per-call token for withLock)
+  expiresAt: { type: Date, required: true },
+  acquiredAt: { type: Date, default: Date.now },
+});
+
+// Housekeeping only; expiry is checked on acquire, not left to the TTL monitor
+lockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+export default mongoose.model("Lock", lockSchema);
@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// Failed-login counter for one IP ("ip:1.2.3.4") or one email address
+// ("email:a@b.c", whether or not an account exists), or failed TOTP step-ups
+// for one user ("stepup:<userId>"). Expires on its own.
+const LoginThrottleSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  failures: { type: Number, default: 0 },
+  lastFailureAt: { type: Date },
+  blockedUntil: { type: Date },
+  expiresAt: { type: Date, required: true },
+});
+
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+LoginThrottleSchema.index({ blockedUntil: 1 });
+
+export default mongoose.model("LoginThrottle", LoginThrottleSchema);
@@ -1,15 +1,56 @@
 import mongoose from "mongoose";
 import crypto from "crypto";
 import { LOTTERY_STATUS } from "../constants/lottery-statuses.js";
-import { DRAW_METHOD_NAMES } from "../constants/draw-methods.js";
+import {
+  DRAW_METHOD_NAMES,
+  MANUAL_DRAW_STATUS,
+} from "../constants/draw-methods.js";
 import { LOTTERY_TYPE_NAMES } from "../constants/lottery-types.js";
-
-// Sub-schema for winners
+import {
+  PRIZE_FUNDING,
+  PRIZE_FUNDING_NAMES,
+} from "../constants/prize-funding.js";
+import { generateServerSeed, hashServerSeed } from "../utils/provablyFair.js";
+import {
+  estimatedPrizePool,
+  prizeStructureIssues,
+} from "../utils/prizePool.js";
+
+// Sub-schema for winners (see utils/prizePool.js for how prizes are funded)
 const WinnerStructureSchema = new mongoose.Schema(
   {
     fromRank: { type: Number, required: true },
     toRank: { type: Number, required: true },
-    prizeAmount: { type: mongoose.Types.Decimal128, required: true },
+    // Per winner: the prize (fixed) or the minimum prize (guaranteed)
+    prizeAmount: { type: mongoose.Types.Decimal128 },
+    // Percentage of the pool for this range (percentage / guaranteed)
+    sharePercent: { type: Number, min: 0, max: 100 },
+  },
+  { _id: false }
+);
+
+// Sub-schema for externally drawn results (drawMethod = manual)
+const ManualDrawSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: Object.values(MANUAL_DRAW_STATUS),
+      required: true,
+    },
+    winningTickets: [
+      {
+        rank: { type: Number, required: true },
+        ticketNumber: { type: String, required: true },
+        _id: false,
+      },
+    ],
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    submittedAt: { type: Date },
+    confirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    confirmedAt: { type: Date },
+    rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    rejectedAt: { type: Date },
+    rejectionReason: { type: String },
   },
   { _id: false }
 );
@@ -26,8 +67,17 @@ const LotterySchema = new mongoose.Schema({
   ticketPrice: { type: mongoose.Types.Decimal128, required: true },
   maxTickets: { type: Number, required: true },
   maxTicketsPerUser: { type: Number, default: 1 },
+  // Below this many tickets sold at end time the lottery is cancelled + refunded
+  minTicketsSold: { type: Number, default: 0, min: 0 },
 
   winnerStructure: [WinnerStructureSchema],
+  prizeFunding: {
+    type: String,
+    enum: PRIZE_FUNDING_NAMES,
+    default: PRIZE_FUNDING.FIXED,
+  },
+  // Share of ticket sales paid out as prizes (percentage / guaranteed)
+  prizePoolPercent: { type: Number, min: 0, max: 100 },
 
   startDatetime: { type: Date, required: true },
   endDatetime: { type: Date, required: true },
@@ -47,6 +97,8 @@ const LotterySchema = new mongoose.Schema({
 
   imageUrl: { type: String },
 
+  manualDraw: ManualDrawSchema,
+
   ticketsSold: { type: Number, default: 0 },
 
   status: {
@@ -60,15 +112,49 @@ const LotterySchema = new mongoose.Schema({
     isActive: { type: Boolean, default: false },
     isEnded: { type: Boolean, default: false },
     resultAnnounced: { type: Boolean, default: false },
+    isCancelled: { type: Boolean, default: false },
+  },
+
+  cancellation: {
+    reason: { type: String },
+    cancelledAt: { type: Date },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // empty = system
+    refundedPurchases: { type: Number },
   },
 
   lotteryPrefix: { type: String, required: true },
 
+  // 🔐 Provably-fair draw: seed stays secret until the draw, hash is public
+  drawSeed: { type: String, select: false },
+  drawSeedHash: { type: String },
+
   createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
 });
 
+// Commit to a draw seed as soon as the lottery is created
+LotterySchema.pre("validate", function (next) {
+  if (this.isNew && !this.drawSeed) {
+    this.drawSeed = generateServerSeed();
+    this.drawSeedHash = hashServerSeed(this.drawSeed);
+  }
+  next();
+});
+
+// 🏆 Winner ranks and prize funding must add up
+LotterySchema.pre("validate", function (next) {
+  const changed = ["winnerStructure", "prizeFunding", "prizePoolPercent"].some(
+    (path) => this.isModified(path)
+  );
+  if ((this.isNew || changed) && this.ticketPrice && this.maxTickets) {
+    prizeStructureIssues(this).forEach(({ path, message }) =>
+      this.invalidate(path.join("."), message)
+    );
+  }
+  next();
+});
+
 // Virtual: Number of winners
 LotterySchema.virtual("numWinners").get(function () {
   if (!this.winnerStructure || this.winnerStructure.length === 0) return 0;
@@ -78,19 +164,16 @@ LotterySchema.virtual("numWinners").get(function () {
   );
 });
 
-// Virtual: Estimated total prize
+// Virtual: Estimated total prize at current ticket sales
 LotterySchema.virtual("estimatedPrize").get(function () {
-  if (!this.winnerStructure || this.winnerStructure.length === 0) return 0;
-  return this.winnerStructure.reduce((total, w) => {
-    const winnersCount = w.toRank - w.fromRank + 1;
-    return total + winnersCount * parseFloat(w.prizeAmount.toString());
-  }, 0);
+  return estimatedPrizePool(this);
 });
 
 // Virtual: Current status for frontend logic
 LotterySchema.virtual("currentStatus").get(function () {
   const now = new Date();
 
+  if (this.flags.isCancelled) return "cancelled"; // refunded
   if (this.flags.resultAnnounced) return "closed"; // hide from user
   if (this.flags.isEnded) return "ended"; // sold out or expired
   if (this.flags.isActive) return "active"; // ongoing
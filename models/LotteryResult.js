@@ -1,7 +1,9 @@
 import mongoose from "mongoose";
 import crypto from "crypto";
+import { DRAW_METHOD_NAMES } from "../constants/draw-methods.js";
 
 const WinnerSchema = new mongoose.Schema({
+  rank: { type: Number },
   rankRange: { type: String, required: true },
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
   ticketNumber: { type: String, required: true },
@@ -10,6 +12,22 @@ const WinnerSchema = new mongoose.Schema({
   email: { type: String },
 });
 
+// Everything needed to independently re-run the draw
+const FairnessSchema = new mongoose.Schema(
+  {
+    algorithm: { type: String, required: true },
+    serverSeed: { type: String, required: true },
+    seedCommitment: { type: String, required: true },
+    ticketsDigest: { type: String, required: true },
+    ticketCount: { type: Number, required: true },
+    // false: the seed was generated at draw time (lottery from before
+    // commit–reveal), so nobody saw its hash in advance and the draw can't be
+    // verified. Unset on results stored before this was recorded.
+    committedInAdvance: { type: Boolean },
+  },
+  { _id: false }
+);
+
 const LotteryResultSchema = new mongoose.Schema({
   _id: {
     type: mongoose.Schema.Types.UUID,
@@ -21,7 +39,16 @@ const LotteryResultSchema = new mongoose.Schema({
     required: true,
   },
   winners: [WinnerSchema],
+  drawMethod: { type: String, enum: DRAW_METHOD_NAMES },
+  fairness: FairnessSchema, // system draws only
+  manualDraw: {
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    confirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
   drawnAt: { type: Date, default: Date.now },
 });
 
+// One result per lottery: a second draw can never be saved
+LotteryResultSchema.index({ lotteryId: 1 }, { unique: true });
+
 export default mongoose.model("LotteryResult", LotteryResultSchema);
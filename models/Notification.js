@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+import { NOTIFICATION_TYPE_NAMES } from "../constants/notification-types.js";
+
+// One entry in a user's in-app inbox
+const notificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  type: { type: String, enum: NOTIFICATION_TYPE_NAMES, required: true },
+  title: { type: String, required: true },
+  message: { type: String, required: true },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  readAt: { type: Date, default: null },
+  // Admin who sent it (announcements only)
+  sentBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+export default mongoose.model("Notification", notificationSchema);
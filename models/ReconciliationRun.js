@@ -0,0 +1,15 @@
+// models/ReconciliationRun.js
+import mongoose from "mongoose";
+
+const reconciliationRunSchema = new mongoose.Schema({
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date },
+  trigger: { type: String, enum: ["cron", "admin"], default: "cron" },
+  triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  usersChecked: { type: Number, default: 0 },
+  mismatches: { type: Number, default: 0 },
+  resolved: { type: Number, default: 0 },
+  error: { type: String },
+});
+
+export default mongoose.model("ReconciliationRun", reconciliationRunSchema);
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// Server-side record of an issued refresh token. Only a hash of the token is
+// stored. Tokens rotate on every use; all tokens from one login share a
+// `family` so reuse of an old token can revoke the whole chain.
+const RefreshTokenSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  family: { type: String, required: true },
+  amr: { type: [String], default: ["pwd"] }, // how the session was authenticated
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: { type: String },
+  replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: "RefreshToken" },
+  userAgent: { type: String },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now },
+});
+
+RefreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+RefreshTokenSchema.index({ family: 1 });
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RefreshToken", RefreshTokenSchema);
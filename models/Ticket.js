@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+import { TICKET_STATUS_NAMES } from "../constants/ticket-statuses.js";
+
+// One document per taken ticket number. The unique (lotteryId, number)
+// index is what guarantees a number can never be sold twice.
+const TicketSchema = new mongoose.Schema({
+  lotteryId: {
+    type: mongoose.Schema.Types.UUID,
+    ref: "Lottery",
+    required: true,
+  },
+  number: { type: Number, required: true }, // 1..maxTickets
+  ticketNumber: { type: String, required: true }, // formatted, e.g. PL-DA-01012025-0042
+  status: { type: String, enum: TICKET_STATUS_NAMES, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  purchaseId: { type: mongoose.Schema.Types.UUID, ref: "TicketPurchase" },
+  // Set while status is "reserved"
+  reservationId: {
+    type: mongoose.Schema.Types.UUID,
+    ref: "TicketReservation",
+  },
+  reservedUntil: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+TicketSchema.index({ lotteryId: 1, number: 1 }, { unique: true });
+TicketSchema.index({ purchaseId: 1 });
+TicketSchema.index({ lotteryId: 1, userId: 1 });
+TicketSchema.index({ reservationId: 1 });
+TicketSchema.index({ status: 1, reservedUntil: 1 });
+
+export default mongoose.model("Ticket", TicketSchema);
@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+// Taken-ticket counter per block of BLOCK_SIZE numbers. Lets the inventory
+// jump to page N of available tickets without scanning every sold ticket.
+const TicketBlockSchema = new mongoose.Schema({
+  lotteryId: {
+    type: mongoose.Schema.Types.UUID,
+    ref: "Lottery",
+    required: true,
+  },
+  block: { type: Number, required: true }, // numbers block*SIZE+1 .. (block+1)*SIZE
+  taken: { type: Number, default: 0 },
+});
+
+TicketBlockSchema.index({ lotteryId: 1, block: 1 }, { unique: true });
+
+export default mongoose.model("TicketBlock", TicketBlockSchema);
@@ -21,6 +21,17 @@ const TicketPurchaseSchema = new mongoose.Schema({
   perTicketPrice: { type: Number, required: true },  // 💰 Price of one ticket
   totalPrice: { type: Number, required: true },      // 💰 Total cost of purchase
   purchasedAt: { type: Date, default: Date.now },
+  status: {
+    type: String,
+    enum: ["active", "refunded"],
+    default: "active",
+  },
+  refundedAt: { type: Date },
+  refundTransaction: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
 });
 
+// One purchase document per user per lottery (per-user limit is enforced on it).
+// Older data may have duplicates: run scripts/dedupeTicketPurchases.js first.
+TicketPurchaseSchema.index({ lotteryId: 1, userId: 1 }, { unique: true });
+
 export default mongoose.model("TicketPurchase", TicketPurchaseSchema);
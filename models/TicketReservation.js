@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { RESERVATION_STATUS_NAMES } from "../constants/ticket-statuses.js";
+
+// Short checkout hold on specific ticket numbers. The numbers themselves are
+// taken in the inventory as "reserved" Ticket documents.
+const TicketReservationSchema = new mongoose.Schema({
+  _id: {
+    type: mongoose.Schema.Types.UUID,
+    default: () => crypto.randomUUID(),
+  },
+  lotteryId: {
+    type: mongoose.Schema.Types.UUID,
+    ref: "Lottery",
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  ticketNumbers: { type: [String], required: true },
+  status: { type: String, enum: RESERVATION_STATUS_NAMES, required: true },
+  expiresAt: { type: Date, required: true },
+  purchaseId: { type: mongoose.Schema.Types.UUID, ref: "TicketPurchase" }, // when converted
+  releasedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now },
+});
+
+TicketReservationSchema.index({ lotteryId: 1, userId: 1, status: 1 });
+TicketReservationSchema.index({ status: 1, expiresAt: 1 });
+
+export default mongoose.model("TicketReservation", TicketReservationSchema);
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { LEDGER_ACCOUNT_NAMES } from "../constants/ledger-accounts.js";
 
 const { Schema } = mongoose;
 
@@ -26,10 +27,34 @@ const transactionSchema = new Schema(
       type: mongoose.Types.Decimal128,
       required: true,
     },
+    // Other side of the double entry (see constants/ledger-accounts.js)
+    counterAccount: {
+      type: String,
+      enum: LEDGER_ACCOUNT_NAMES,
+      required: true,
+    },
+    // Same key = same entry; retries never post twice
+    idempotencyKey: {
+      type: String,
+    },
+    // What caused the entry (e.g. WalletTransactionRecord, TicketPurchase)
+    reference: {
+      kind: { type: String },
+      id: { type: String },
+    },
   },
   { timestamps: true }
 );
 
+transactionSchema.index(
+  { idempotencyKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { idempotencyKey: { $type: "string" } },
+  }
+);
+transactionSchema.index({ user: 1, createdAt: -1 });
+
 const Transaction = mongoose.model("Transaction", transactionSchema);
 
 export default Transaction; // ✅ Correct default export
@@ -14,6 +14,8 @@ const userSchema = new Schema(
       enum: [ROLES.USER, ROLES.ADMIN],
       default: ROLES.USER,
     },
+    // Admin only: built-in (constants/permissions.js) or custom role names
+    adminRoles: { type: [String], default: undefined },
     walletBalance: {
       type: mongoose.Types.Decimal128,
       required: function () {
@@ -22,15 +24,38 @@ const userSchema = new Schema(
       },
       default: function () {
         // Only default if role is USER
+        // Starts empty; the signup bonus is posted through the ledger
         if (this.role === ROLES.USER) {
-          return mongoose.Types.Decimal128.fromString("10000.00");
+          return mongoose.Types.Decimal128.fromString("0.00");
         }
         return undefined;
       },
     },
+    // Accounts created before verification existed count as verified;
+    // registration sets this to false until the emailed link is used
+    emailVerified: { type: Boolean, default: true },
+    emailVerifiedAt: { type: Date },
+    emailVerificationSentAt: { type: Date },
     resetToken: String,
     resetTokenExpiry: Date,
     blocked: { type: Boolean, default: false },
+    // TOTP two-factor auth (services/twoFactorService.js); secrets encrypted
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false }, // during enrollment
+      recoveryCodes: { type: [String], select: false }, // sha256 hashes
+      lastUsedStep: { type: Number, select: false }, // blocks code replay
+      enabledAt: { type: Date },
+    },
+    // Brute-force protection (services/loginThrottleService.js)
+    failedLoginAttempts: { type: Number, default: 0 },
+    lastFailedLoginAt: { type: Date },
+    lockedUntil: { type: Date },
+    // Bumped to invalidate every access token issued so far
+    tokenVersion: { type: Number, default: 0 },
+    // Last UserEvent seq (services/userEventService.js)
+    eventSeq: { type: Number, default: 0 },
     isDeleted: { type: Boolean, default: false },
     deletedAt: { type: Date, default: null },
   },
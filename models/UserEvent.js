@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+import { USER_EVENT_NAMES } from "../constants/user-events.js";
+
+// Days events are kept for replay (override with USER_EVENT_TTL_DAYS)
+const TTL_DAYS = Number(process.env.USER_EVENT_TTL_DAYS) || 30;
+
+// One private real-time event; seq is the user's replay cursor
+const userEventSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  seq: { type: Number, required: true },
+  type: { type: String, enum: USER_EVENT_NAMES, required: true },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  createdAt: { type: Date, default: Date.now },
+});
+
+userEventSchema.index({ user: 1, seq: 1 }, { unique: true });
+userEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: TTL_DAYS * 24 * 60 * 60 }
+);
+
+export default mongoose.model("UserEvent", userEventSchema);
@@ -0,0 +1,37 @@
+// models/WalletDiscrepancy.js
+import mongoose from "mongoose";
+
+// A user whose walletBalance doesn't match their ledger history
+const walletDiscrepancySchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  expectedBalance: { type: mongoose.Types.Decimal128, required: true },
+  actualBalance: { type: mongoose.Types.Decimal128, required: true },
+  difference: { type: mongoose.Types.Decimal128, required: true }, // actual - expected
+  status: {
+    type: String,
+    enum: ["open", "resolved"],
+    default: "open",
+  },
+  firstDetectedAt: { type: Date, default: Date.now },
+  lastDetectedAt: { type: Date, default: Date.now },
+  lastRun: { type: mongoose.Schema.Types.ObjectId, ref: "ReconciliationRun" },
+  resolvedAt: { type: Date },
+  resolution: { type: String, enum: ["auto", "correction"] },
+  // Correcting entry posted by an admin (who, why, what)
+  correction: {
+    target: { type: String, enum: ["balance", "ledger"] },
+    transaction: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+    postedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    reason: { type: String },
+    postedAt: { type: Date },
+  },
+});
+
+// Only one open discrepancy per user
+walletDiscrepancySchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+walletDiscrepancySchema.index({ status: 1, lastDetectedAt: -1 });
+
+export default mongoose.model("WalletDiscrepancy", walletDiscrepancySchema);
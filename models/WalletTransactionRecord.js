@@ -14,6 +14,19 @@ const walletTransactionRecordSchema = new mongoose.Schema({
   },
   relatedRequest: { type: mongoose.Schema.Types.ObjectId, refPath: "type" },
   rejectionReason: { type: String },
+  // Withdrawals: admins needed / given (services/withdrawalApprovalService.js)
+  requiredApprovals: { type: Number, default: 1 },
+  approvals: [
+    {
+      _id: false,
+      admin: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      approvedAt: { type: Date },
+    },
+  ],
+  // Ledger entries posted for this request (hold, release, credit…)
+  ledgerTransactions: [
+    { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+  ],
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
   reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
@@ -0,0 +1,102 @@
+import express from "express";
+import authMiddleware from "../../middleware/authMiddleware.js";
+import { ROLES } from "../../constants/roles.js";
+import { PERMISSIONS } from "../../constants/permissions.js";
+import {
+  buildAuditFilter,
+  searchAuditLog,
+  streamAuditLog,
+  auditEntryToCsv,
+  AUDIT_CSV_HEADER,
+} from "../../services/auditLogService.js";
+import validate from "../../middleware/validate.js";
+import { auditLogSchema } from "../../validators/admin.js";
+
+const router = express.Router();
+
+const canReadAuditLog = authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+  permissions: [PERMISSIONS.AUDIT_LOG_READ],
+});
+
+// Resolves when the client can take more data (or has gone away)
+const waitForDrain = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+
+/**
+ * @desc Search the audit log (newest first). Filters: actor, actorEmail,
+ * action (comma-separated), targetKind, targetId, requestId, from, to
+ */
+router.get(
+  "/audit-log",
+  canReadAuditLog,
+  validate(auditLogSchema),
+  async (req, res) => {
+    try {
+      const filter = buildAuditFilter(req.query);
+      const { page, limit } = req.query;
+
+      const result = await searchAuditLog(filter, { page, limit });
+      return res.status(200).json(result);
+    } catch (error) {
+      if (error.code === "INVALID_FILTER") {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Error searching audit log:", error);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @desc Download matching entries as CSV (same filters as /audit-log)
+ */
+router.get(
+  "/audit-log/export",
+  canReadAuditLog,
+  validate(auditLogSchema),
+  async (req, res) => {
+    let filter;
+    try {
+      filter = buildAuditFilter(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const cursor = streamAuditLog(filter);
+    try {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="audit-log-${new Date()
+          .toISOString()
+          .slice(0, 10)}.csv"`
+      );
+      res.write(AUDIT_CSV_HEADER);
+
+      for await (const entry of cursor) {
+        if (res.destroyed) break;
+        // Respect backpressure on large exports
+        if (!res.write(auditEntryToCsv(entry))) await waitForDrain(res);
+      }
+      await cursor.close();
+      res.end();
+    } catch (error) {
+      console.error("Error exporting audit log:", error);
+      await cursor.close();
+      if (!res.headersSent) {
+        return res.status(500).json({ error: "Internal server error" });
+      }
+      res.destroy(error);
+    }
+  }
+);
+
+export default router;
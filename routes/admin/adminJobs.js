@@ -0,0 +1,93 @@
+import express from "express";
+import authMiddleware from "../../middleware/authMiddleware.js";
+import validate from "../../middleware/validate.js";
+import { ROLES } from "../../constants/roles.js";
+import { PERMISSIONS } from "../../constants/permissions.js";
+import { AUDIT_ACTIONS } from "../../constants/audit-actions.js";
+import {
+  listJobs,
+  retryJob,
+  cancelJob,
+} from "../../services/jobQueueService.js";
+import { recordAudit } from "../../services/auditLogService.js";
+import { listJobsSchema, jobIdSchema } from "../../validators/jobs.js";
+
+const router = express.Router();
+
+// Map jobQueueService error codes to HTTP statuses
+const JOB_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  INVALID_STATE: 409,
+};
+
+const canManageJobs = authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+  permissions: [PERMISSIONS.JOBS_MANAGE],
+});
+
+/**
+ * @desc Background jobs (newest first). Filters: status, type.
+ * Dead-lettered jobs have status "failed".
+ */
+router.get(
+  "/jobs",
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+    permissions: [PERMISSIONS.JOBS_READ],
+  }),
+  validate(listJobsSchema),
+  async (req, res) => {
+    try {
+      const { status, type, page, limit } = req.query;
+      const result = await listJobs({ status, type }, { page, limit });
+      return res.status(200).json(result);
+    } catch (err) {
+      console.error("Error listing jobs:", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Shared handler for retry + cancel
+const changeJob = (action, change, message) => async (req, res) => {
+  try {
+    const { before, job } = await change(req.params.id, req.user._id);
+
+    await recordAudit(req, {
+      action,
+      target: { kind: "Job", id: job._id },
+      before,
+      after: job,
+    });
+
+    return res.status(200).json({ message, job });
+  } catch (err) {
+    if (JOB_ERROR_STATUS[err.code]) {
+      return res
+        .status(JOB_ERROR_STATUS[err.code])
+        .json({ error: err.message });
+    }
+    console.error(`Error on ${action}:`, err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+/**
+ * @desc Run a failed (dead-lettered) or cancelled job again, now
+ */
+router.post(
+  "/jobs/:id/retry",
+  canManageJobs,
+  validate(jobIdSchema),
+  changeJob(AUDIT_ACTIONS.JOB_RETRY, retryJob, "Job queued for retry")
+);
+
+/**
+ * @desc Cancel a pending or failed job so it never runs
+ */
+router.post(
+  "/jobs/:id/cancel",
+  canManageJobs,
+  validate(jobIdSchema),
+  changeJob(AUDIT_ACTIONS.JOB_CANCEL, cancelJob, "Job cancelled")
+);
+
+export default router;
@@ -1,21 +1,70 @@
 import express from "express";
 import Lottery from "../../models/Lottery.js";
 import authMiddleware from "../../middleware/authMiddleware.js";
+import requireTotpStepUp from "../../middleware/requireTotpStepUp.js";
 import { ROLES } from "../../constants/roles.js";
+import { PERMISSIONS } from "../../constants/permissions.js";
 import mongoose from "mongoose";
 import { LOTTERY_TYPES } from "../../constants/lottery-types.js";
-import { DRAW_METHODS } from "../../constants/draw-methods.js";
 import { LOTTERY_STATUS } from "../../constants/lottery-statuses.js";
-import { drawLottery } from "../../services/drawLotteryService.js";
+import { AUDIT_ACTIONS } from "../../constants/audit-actions.js";
+import {
+  drawLottery,
+  submitManualDraw,
+  confirmManualDraw,
+  withLotteryLock,
+  rejectManualDraw,
+} from "../../services/drawLotteryService.js";
+import { emitLotteryResult } from "../../services/socketService.js";
+import { cancelLottery } from "../../services/lotteryCancellationService.js";
+import { recordAudit } from "../../services/auditLogService.js";
+import validate from "../../middleware/validate.js";
+import {
+  createLotterySchema,
+  lotteryIdSchema,
+  manualDrawSchema,
+  rejectManualDrawSchema,
+  cancelLotterySchema,
+} from "../../validators/lottery.js";
 
 const router = express.Router();
 
+// Map drawLotteryService error codes to HTTP statuses
+const DRAW_ERROR_STATUS = {
+  NOT_FOUND: 404,
+  ALREADY_DRAWN: 409,
+  CANCELLED: 409,
+  NOT_READY: 400,
+  NO_TICKETS: 400,
+  NOT_MANUAL: 400,
+  MANUAL_DRAW_REQUIRED: 400,
+  INVALID_MANUAL_DRAW: 400,
+  MANUAL_DRAW_PENDING: 409,
+  NO_PENDING_MANUAL_DRAW: 409,
+  SAME_ADMIN: 403,
+  LOCKED: 409,
+  LOCK_LOST: 409,
+};
+
+// Lottery as it is now, for audit log before/after
+const lotterySnapshot = (id, session = null) =>
+  Lottery.findById(id).session(session).lean();
+
+const drawErrorResponse = (res, err) =>
+  res.status(DRAW_ERROR_STATUS[err.code] || 500).json({
+    error: err.message,
+    ...(err.invalid && { invalid: err.invalid }),
+  });
+
 /**
  * Create Lottery (no bulk ticket generation)
  */
 router.post(
   "/create-lottery",
-  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN]),
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+    permissions: [PERMISSIONS.LOTTERIES_MANAGE],
+  }),
+  validate(createLotterySchema),
   async (req, res) => {
     try {
       const {
@@ -25,46 +74,19 @@ router.post(
         ticketPrice,
         maxTickets,
         maxTicketsPerUser,
+        minTicketsSold,
         winnerStructure,
+        prizeFunding,
+        prizePoolPercent,
         drawMethod,
         startDatetime,
         imageUrl,
       } = req.body;
 
-      // ✅ Required validation
-      const requiredFields = {
-        title,
-        category,
-        ticketPrice,
-        maxTickets,
-        drawMethod,
-        startDatetime,
-        winnerStructure,
-      };
-      for (const [key, value] of Object.entries(requiredFields)) {
-        if (
-          value === undefined ||
-          value === null ||
-          value === "" ||
-          (Array.isArray(value) && value.length === 0)
-        ) {
-          return res
-            .status(400)
-            .json({ error: `Missing required field: ${key}` });
-        }
-      }
-
-      // ✅ Validate category
+      // Fields are checked by createLotterySchema; the category decides timings
       const type = Object.values(LOTTERY_TYPES).find(
         (t) => t.name === category
       );
-      if (!type) {
-        return res.status(400).json({ error: "Invalid lottery category" });
-      }
-
-      if (!Object.values(DRAW_METHODS).includes(drawMethod)) {
-        return res.status(400).json({ error: "Invalid draw method" });
-      }
 
       // 🕒 Calculate timings using type.durationSeconds
       const start = new Date(startDatetime);
@@ -95,7 +117,10 @@ router.post(
         ticketPrice,
         maxTickets,
         maxTicketsPerUser: maxTicketsPerUser || 1,
+        minTicketsSold,
         winnerStructure,
+        prizeFunding,
+        prizePoolPercent,
         drawMethod,
         startDatetime: start,
         endDatetime: end,
@@ -114,11 +139,18 @@ router.post(
 
       await lottery.save();
 
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.LOTTERY_CREATE,
+        target: { kind: "Lottery", id: lottery._id },
+        after: lottery,
+      });
+
       return res.status(201).json({
         message: "Lottery created successfully (tickets generated on demand)",
         lotteryId: lottery._id,
         prefixExample: `${prefix}-0000001`,
         totalTickets: lottery.maxTickets,
+        drawSeedHash: lottery.drawSeedHash, // 🔐 public commitment for the draw
       });
     } catch (error) {
       console.error("Error creating lottery:", error);
@@ -129,7 +161,9 @@ router.post(
 
 router.get(
   "/lotteries",
-  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN]),
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+    permissions: [PERMISSIONS.LOTTERIES_READ],
+  }),
   async (req, res) => {
     try {
       const lotteries = await Lottery.find().sort({ startDatetime: 1 });
@@ -153,29 +187,285 @@ router.get(
  */
 router.post(
   "/lottery/:id/draw",
-  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN]),
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+    permissions: [PERMISSIONS.DRAWS_EXECUTE],
+  }),
+  validate(lotteryIdSchema),
+  requireTotpStepUp(),
   async (req, res) => {
-    const session = await mongoose.startSession();
-    session.startTransaction();
+    const { id } = req.params;
 
     try {
-      const { id } = req.params;
-      // ✅ Pass force = true for admin override
-      const winners = await drawLottery(id, session, true);
+      // 🔒 The cron or another admin may be settling the same lottery
+      const winners = await withLotteryLock(id, async (signal) => {
+        const session = await mongoose.startSession();
+        session.startTransaction();
 
-      await session.commitTransaction();
-      session.endSession();
+        try {
+          const before = await lotterySnapshot(id, session);
+          // ✅ Pass force = true for admin override
+          const winners = await drawLottery(id, session, true);
+
+          await recordAudit(
+            req,
+            {
+              action: AUDIT_ACTIONS.LOTTERY_FORCE_DRAW,
+              target: { kind: "Lottery", id },
+              before,
+              after: await lotterySnapshot(id, session),
+              metadata: { winners },
+            },
+            session
+          );
+
+          // 🔒 Don't commit if another process took over the lock
+          signal.throwIfAborted();
+          await session.commitTransaction();
+          return winners;
+        } catch (err) {
+          await session.abortTransaction();
+          throw err;
+        } finally {
+          session.endSession();
+        }
+      });
+      emitLotteryResult(id, winners);
 
       return res.status(201).json({
         message: "Lottery result drawn successfully",
         winners,
       });
     } catch (err) {
-      await session.abortTransaction();
-      session.endSession();
+      console.error("Forced draw failed:", err);
+      return drawErrorResponse(res, err);
+    }
+  }
+);
+
+/**
+ * 🎯 GET /lottery/:id/manual-draw
+ * View the manual (externally drawn) result awaiting confirmation
+ */
+router.get(
+  "/lottery/:id/manual-draw",
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+    permissions: [PERMISSIONS.LOTTERIES_READ],
+  }),
+  validate(lotteryIdSchema),
+  async (req, res) => {
+    try {
+      const lottery = await Lottery.findById(req.params.id)
+        .select(
+          "title drawMethod numWinners winnerStructure ticketsSold manualDraw"
+        )
+        .populate("manualDraw.submittedBy", "name email")
+        .lean();
+      if (!lottery) {
+        return res.status(404).json({ error: "Lottery not found" });
+      }
+
+      return res.status(200).json({
+        lotteryId: lottery._id,
+        title: lottery.title,
+        drawMethod: lottery.drawMethod,
+        manualDraw: lottery.manualDraw || null,
+      });
+    } catch (err) {
+      console.error("Error fetching manual draw:", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * 🎯 POST /lottery/:id/manual-draw
+ * Enter externally drawn winning tickets per rank (e.g. from a ball machine)
+ * Body: { winningTickets: [{ rank: 1, ticketNumber: "PL-DA-01012025-0042" }, ...] }
+ */
+router.post(
+  "/lottery/:id/manual-draw",
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+    permissions: [PERMISSIONS.DRAWS_EXECUTE],
+  }),
+  validate(manualDrawSchema),
+  requireTotpStepUp(),
+  async (req, res) => {
+    try {
+      const before = await lotterySnapshot(req.params.id);
+      const manualDraw = await submitManualDraw(
+        req.params.id,
+        req.body.winningTickets,
+        req.user._id
+      );
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.LOTTERY_MANUAL_DRAW_SUBMIT,
+        target: { kind: "Lottery", id: req.params.id },
+        before,
+        after: await lotterySnapshot(req.params.id),
+      });
+
+      return res.status(201).json({
+        message:
+          "Manual result submitted, awaiting confirmation by another admin",
+        manualDraw,
+      });
+    } catch (err) {
+      console.error("Manual draw submission failed:", err);
+      return drawErrorResponse(res, err);
+    }
+  }
+);
+
+/**
+ * 🎯 POST /lottery/:id/manual-draw/confirm
+ * Second admin confirms the submitted result → prizes are credited
+ */
+router.post(
+  "/lottery/:id/manual-draw/confirm",
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+    permissions: [PERMISSIONS.DRAWS_EXECUTE],
+  }),
+  validate(lotteryIdSchema),
+  requireTotpStepUp(),
+  async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      // 🔒 Only one confirmation (or cancellation) at a time
+      const winners = await withLotteryLock(id, async (signal) => {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+          const before = await lotterySnapshot(id, session);
+          const winners = await confirmManualDraw(id, req.user._id, session);
+
+          await recordAudit(
+            req,
+            {
+              action: AUDIT_ACTIONS.LOTTERY_MANUAL_DRAW_CONFIRM,
+              target: { kind: "Lottery", id },
+              before,
+              after: await lotterySnapshot(id, session),
+              metadata: { winners },
+            },
+            session
+          );
+
+          // 🔒 Don't commit if another process took over the lock
+          signal.throwIfAborted();
+          await session.commitTransaction();
+          return winners;
+        } catch (err) {
+          await session.abortTransaction();
+          throw err;
+        } finally {
+          session.endSession();
+        }
+      });
+      emitLotteryResult(id, winners);
+
+      return res.status(201).json({
+        message: "Manual result confirmed and prizes credited",
+        winners,
+      });
+    } catch (err) {
+      console.error("Manual draw confirmation failed:", err);
+      return drawErrorResponse(res, err);
+    }
+  }
+);
+
+/**
+ * 🎯 POST /lottery/:id/manual-draw/reject
+ * Discard a submitted result so it can be entered again
+ */
+router.post(
+  "/lottery/:id/manual-draw/reject",
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+    permissions: [PERMISSIONS.DRAWS_EXECUTE],
+  }),
+  validate(rejectManualDrawSchema),
+  async (req, res) => {
+    try {
+      const before = await lotterySnapshot(req.params.id);
+      const manualDraw = await rejectManualDraw(
+        req.params.id,
+        req.user._id,
+        req.body.reason
+      );
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.LOTTERY_MANUAL_DRAW_REJECT,
+        target: { kind: "Lottery", id: req.params.id },
+        before,
+        after: await lotterySnapshot(req.params.id),
+        metadata: { reason: req.body.reason },
+      });
+
+      return res.status(200).json({
+        message: "Manual result rejected",
+        manualDraw,
+      });
+    } catch (err) {
+      console.error("Manual draw rejection failed:", err);
+      return drawErrorResponse(res, err);
+    }
+  }
+);
 
-      console.error("Manual draw failed:", err);
-      return res.status(500).json({ error: err.message });
+/**
+ * 🎯 POST /lottery/:id/cancel
+ * Cancel a lottery and refund every ticket purchase
+ */
+router.post(
+  "/lottery/:id/cancel",
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+    permissions: [PERMISSIONS.LOTTERIES_MANAGE],
+  }),
+  validate(cancelLotterySchema),
+  requireTotpStepUp(),
+  async (req, res) => {
+    try {
+      const { reason } = req.body;
+
+      // 🔒 Not while the lottery is being drawn
+      const { before, lottery, refunded } = await withLotteryLock(
+        req.params.id,
+        async () => {
+          const before = await lotterySnapshot(req.params.id);
+          const result = await cancelLottery(req.params.id, {
+            reason,
+            cancelledBy: req.user._id,
+          });
+          return { before, ...result };
+        }
+      );
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.LOTTERY_CANCEL,
+        target: { kind: "Lottery", id: lottery._id },
+        before,
+        after: lottery,
+        metadata: { reason, refundedPurchases: refunded },
+      });
+
+      return res.status(200).json({
+        message: "Lottery cancelled and purchases refunded",
+        lotteryId: lottery._id,
+        refundedPurchases: refunded,
+      });
+    } catch (err) {
+      console.error("Lottery cancellation failed:", err);
+      const status =
+        {
+          NOT_FOUND: 404,
+          ALREADY_CANCELLED: 409,
+          ALREADY_DRAWN: 409,
+          LOCKED: 409,
+        }[err.code] || 500;
+      return res.status(status).json({ error: err.message });
     }
   }
 );
@@ -0,0 +1,48 @@
+import express from "express";
+import authMiddleware from "../../middleware/authMiddleware.js";
+import validate from "../../middleware/validate.js";
+import { ROLES } from "../../constants/roles.js";
+import { PERMISSIONS } from "../../constants/permissions.js";
+import { AUDIT_ACTIONS } from "../../constants/audit-actions.js";
+import { broadcastAnnouncement } from "../../services/notificationService.js";
+import { recordAudit } from "../../services/auditLogService.js";
+import { broadcastSchema } from "../../validators/notifications.js";
+
+const router = express.Router();
+
+/**
+ * @desc Send an announcement to the inbox of all users or a segment
+ * (verified, or participants of one lottery)
+ */
+router.post(
+  "/notifications/broadcast",
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+    permissions: [PERMISSIONS.NOTIFICATIONS_BROADCAST],
+  }),
+  validate(broadcastSchema),
+  async (req, res) => {
+    try {
+      const { title, segment, lotteryId } = req.body;
+      const recipients = await broadcastAnnouncement(req.body, req.user._id);
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.ANNOUNCEMENT_BROADCAST,
+        target: { kind: "Announcement", id: segment },
+        metadata: { title, segment, lotteryId, recipients },
+      });
+
+      return res.status(201).json({
+        message: "Announcement sent",
+        recipients,
+      });
+    } catch (err) {
+      if (err.code === "NOT_FOUND") {
+        return res.status(404).json({ error: err.message });
+      }
+      console.error("Error broadcasting announcement:", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+export default router;
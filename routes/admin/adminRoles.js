@@ -0,0 +1,198 @@
+import express from "express";
+import AdminRole from "../../models/AdminRole.js";
+import User from "../../models/User.js";
+import authMiddleware from "../../middleware/authMiddleware.js";
+import { ROLES } from "../../constants/roles.js";
+import { PERMISSIONS, PERMISSION_NAMES } from "../../constants/permissions.js";
+import { AUDIT_ACTIONS } from "../../constants/audit-actions.js";
+import {
+  listAdminRoles,
+  createAdminRole,
+  updateAdminRole,
+  deleteAdminRole,
+  assignAdminRoles,
+} from "../../services/permissionService.js";
+import { recordAudit } from "../../services/auditLogService.js";
+import validate from "../../middleware/validate.js";
+import {
+  createRoleSchema,
+  updateRoleSchema,
+  roleNameSchema,
+  assignRolesSchema,
+} from "../../validators/admin.js";
+
+const router = express.Router();
+
+const canManageRoles = authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+  permissions: [PERMISSIONS.ADMIN_ROLES_MANAGE],
+});
+
+const ROLE_ERROR_STATUS = {
+  INVALID_ROLE: 400,
+  INVALID_PERMISSIONS: 400,
+  BUILT_IN_ROLE: 400,
+  ROLE_IN_USE: 409,
+  ROLE_EXISTS: 409,
+  LAST_SUPER_ADMIN: 409,
+  ROLE_NOT_FOUND: 404,
+  USER_NOT_FOUND: 404,
+};
+
+const roleErrorResponse = (res, error, label) => {
+  const status = ROLE_ERROR_STATUS[error.code];
+  if (status) return res.status(status).json({ error: error.message });
+
+  console.error(`Error ${label}:`, error);
+  return res.status(500).json({ error: "Internal server error" });
+};
+
+/**
+ * @desc Current admin's roles and permissions
+ */
+router.get(
+  "/me/permissions",
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN]),
+  (req, res) => {
+    return res.status(200).json({
+      roles: req.user.adminRoles || [],
+      permissions: [...req.permissions],
+    });
+  }
+);
+
+/**
+ * @desc All permission names
+ */
+router.get("/permissions", canManageRoles, (req, res) => {
+  return res.status(200).json({ permissions: PERMISSION_NAMES });
+});
+
+/**
+ * @desc Built-in and custom admin roles
+ */
+router.get("/roles", canManageRoles, async (req, res) => {
+  try {
+    const roles = await listAdminRoles();
+    return res.status(200).json({ roles });
+  } catch (error) {
+    return roleErrorResponse(res, error, "fetching roles");
+  }
+});
+
+/**
+ * @desc Create a custom role { name, description, permissions }
+ */
+router.post(
+  "/roles",
+  canManageRoles,
+  validate(createRoleSchema),
+  async (req, res) => {
+    try {
+      const { name, description, permissions } = req.body;
+      const role = await createAdminRole(
+        { name, description, permissions },
+        req.user._id
+      );
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.ADMIN_ROLE_CREATE,
+        target: { kind: "AdminRole", id: role.name },
+        after: role,
+      });
+
+      return res.status(201).json({ message: "Role created", role });
+    } catch (error) {
+      return roleErrorResponse(res, error, "creating role");
+    }
+  }
+);
+
+/**
+ * @desc Update a custom role's description / permissions
+ */
+router.put(
+  "/roles/:name",
+  canManageRoles,
+  validate(updateRoleSchema),
+  async (req, res) => {
+    try {
+      const { description, permissions } = req.body;
+      const before = await AdminRole.findOne({ name: req.params.name }).lean();
+      const role = await updateAdminRole(req.params.name, {
+        description,
+        permissions,
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.ADMIN_ROLE_UPDATE,
+        target: { kind: "AdminRole", id: role.name },
+        before,
+        after: role,
+      });
+      return res.status(200).json({ message: "Role updated", role });
+    } catch (error) {
+      return roleErrorResponse(res, error, "updating role");
+    }
+  }
+);
+
+/**
+ * @desc Delete an unassigned custom role
+ */
+router.delete(
+  "/roles/:name",
+  canManageRoles,
+  validate(roleNameSchema),
+  async (req, res) => {
+    try {
+      const before = await AdminRole.findOne({ name: req.params.name }).lean();
+      await deleteAdminRole(req.params.name);
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.ADMIN_ROLE_DELETE,
+        target: { kind: "AdminRole", id: req.params.name },
+        before,
+      });
+      return res.status(200).json({ message: "Role deleted" });
+    } catch (error) {
+      return roleErrorResponse(res, error, "deleting role");
+    }
+  }
+);
+
+/**
+ * @desc Set an admin's roles { roles: ["finance", ...] }
+ */
+router.put(
+  "/users/:id/admin-roles",
+  canManageRoles,
+  validate(assignRolesSchema),
+  async (req, res) => {
+    try {
+      const before = await User.findById(req.params.id)
+        .select("adminRoles")
+        .lean();
+      const user = await assignAdminRoles(req.params.id, req.body.roles);
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.ADMIN_ROLES_ASSIGN,
+        target: { kind: "User", id: user._id },
+        before,
+        after: { _id: user._id, adminRoles: user.adminRoles },
+      });
+      return res.status(200).json({
+        message: "Admin roles updated",
+        user: {
+          _id: user._id,
+          name: user.name,
+          email: user.email,
+          adminRoles: user.adminRoles,
+        },
+      });
+    } catch (error) {
+      return roleErrorResponse(res, error, "assigning admin roles");
+    }
+  }
+);
+
+export default router;
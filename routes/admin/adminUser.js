@@ -3,6 +3,25 @@ import bcryptjs from "bcryptjs";
 import User from "../../models/User.js";
 import authMiddleware from "../../middleware/authMiddleware.js";
 import { ROLES } from "../../constants/roles.js";
+import { PERMISSIONS } from "../../constants/permissions.js";
+import { AUDIT_ACTIONS } from "../../constants/audit-actions.js";
+import { recordAudit } from "../../services/auditLogService.js";
+import { revokeAllSessions } from "../../services/tokenService.js";
+import { assertNotLastSuperAdmin } from "../../services/permissionService.js";
+import {
+  listLockouts,
+  clearUserLockout,
+  clearIpThrottle,
+} from "../../services/loginThrottleService.js";
+import validate from "../../middleware/validate.js";
+import {
+  listUsersSchema,
+  userIdSchema,
+  updateUserSchema,
+  changePasswordSchema,
+  blockUserSchema,
+  ipThrottleSchema,
+} from "../../validators/admin.js";
 
 const router = express.Router();
 
@@ -11,7 +30,10 @@ const router = express.Router();
  */
 router.get(
   "/users",
-  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN]),
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+    permissions: [PERMISSIONS.USERS_READ],
+  }),
+  validate(listUsersSchema),
   async (req, res) => {
     try {
       const { search } = req.query;
@@ -39,10 +61,14 @@ router.get(
  */
 router.delete(
   "/users/:id",
-  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN]),
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+    permissions: [PERMISSIONS.USERS_MANAGE],
+  }),
+  validate(userIdSchema),
   async (req, res) => {
     try {
       const { id } = req.params;
+      const before = await User.findById(id).lean();
       const deletedUser = await User.findByIdAndUpdate(
         id,
         { isDeleted: true, deletedAt: new Date() },
@@ -53,6 +79,16 @@ router.delete(
         return res.status(404).json({ error: "User not found" });
       }
 
+      // 🔒 End all of the user's sessions
+      await revokeAllSessions(deletedUser._id, "deleted");
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.USER_DELETE,
+        target: { kind: "User", id: deletedUser._id },
+        before,
+        after: deletedUser,
+      });
+
       return res.status(200).json({
         message:
           "User marked as deleted. Will be permanently removed after 30 days.",
@@ -70,11 +106,15 @@ router.delete(
  */
 router.patch(
   "/users/:id/recover",
-  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN]),
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+    permissions: [PERMISSIONS.USERS_MANAGE],
+  }),
+  validate(userIdSchema),
   async (req, res) => {
     try {
       const { id } = req.params;
 
+      const before = await User.findById(id).select("-passwordHash").lean();
       const recoveredUser = await User.findByIdAndUpdate(
         id,
         { isDeleted: false, deletedAt: null },
@@ -85,6 +125,13 @@ router.patch(
         return res.status(404).json({ error: "User not found" });
       }
 
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.USER_RECOVER,
+        target: { kind: "User", id: recoveredUser._id },
+        before,
+        after: recoveredUser,
+      });
+
       return res.status(200).json({
         message: "User account recovered successfully",
         user: recoveredUser,
@@ -97,30 +144,64 @@ router.patch(
 );
 
 /**
- * @desc Edit user details (name, email, role)
+ * @desc Edit user details (name, email, role); changing the role also needs
+ *       admin-roles:manage
  */
 router.put(
   "/users/:id",
-  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN]),
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+    permissions: [PERMISSIONS.USERS_MANAGE],
+  }),
+  validate(updateUserSchema),
   async (req, res) => {
     try {
       const { id } = req.params;
       const { name, email, role } = req.body;
 
-      const updatedUser = await User.findByIdAndUpdate(
-        id,
-        { name, email, role },
-        { new: true, runValidators: true }
-      ).select("-passwordHash");
+      const before = await User.findById(id).select("-passwordHash").lean();
+      if (!before) return res.status(404).json({ error: "User not found" });
+
+      const update = { name, email };
+
+      // 🔑 Making or unmaking admins is role management, not user support
+      if (role !== undefined && role !== before.role) {
+        if (!req.permissions.has(PERMISSIONS.ADMIN_ROLES_MANAGE)) {
+          return res.status(403).json({
+            error: "Access forbidden: missing permission",
+            code: "PERMISSION_DENIED",
+            missing: [PERMISSIONS.ADMIN_ROLES_MANAGE],
+          });
+        }
+        await assertNotLastSuperAdmin(before);
+
+        update.role = role;
+        // A demoted admin keeps no admin roles to come back with
+        if (role !== ROLES.ADMIN) update.adminRoles = [];
+      }
+
+      const updatedUser = await User.findByIdAndUpdate(id, update, {
+        new: true,
+        runValidators: true,
+      }).select("-passwordHash");
 
       if (!updatedUser) {
         return res.status(404).json({ error: "User not found" });
       }
 
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.USER_UPDATE,
+        target: { kind: "User", id: updatedUser._id },
+        before,
+        after: updatedUser,
+      });
+
       return res
         .status(200)
         .json({ message: "User updated", user: updatedUser });
     } catch (error) {
+      if (error.code === "LAST_SUPER_ADMIN") {
+        return res.status(409).json({ error: error.message });
+      }
       console.error("Error updating user:", error);
       return res.status(500).json({ error: "Internal server error" });
     }
@@ -132,19 +213,17 @@ router.put(
  */
 router.put(
   "/users/:id/password",
-  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN]),
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+    permissions: [PERMISSIONS.USERS_RESET_PASSWORD],
+  }),
+  validate(changePasswordSchema),
   async (req, res) => {
     try {
       const { id } = req.params;
       const { newPassword } = req.body;
 
-      if (!newPassword || newPassword.length < 6) {
-        return res
-          .status(400)
-          .json({ error: "Password must be at least 6 characters long" });
-      }
-
       const passwordHash = await bcryptjs.hash(newPassword, 10);
+      const before = await User.findById(id).lean();
       const user = await User.findByIdAndUpdate(
         id,
         { passwordHash },
@@ -155,6 +234,16 @@ router.put(
         return res.status(404).json({ error: "User not found" });
       }
 
+      // 🔒 Old password's sessions must not survive the reset
+      await revokeAllSessions(user._id, "password-reset");
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.USER_PASSWORD_CHANGE,
+        target: { kind: "User", id: user._id },
+        before,
+        after: user,
+      });
+
       return res.status(200).json({ message: "Password updated successfully" });
     } catch (error) {
       console.error("Error changing password:", error);
@@ -168,15 +257,19 @@ router.put(
  */
 router.patch(
   "/users/:id/block",
-  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN]),
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+    permissions: [PERMISSIONS.USERS_MANAGE],
+  }),
+  validate(blockUserSchema),
   async (req, res) => {
     try {
       const { id } = req.params;
       const { blocked } = req.body; // true = block, false = unblock
 
+      const before = await User.findById(id).select("-passwordHash").lean();
       const user = await User.findByIdAndUpdate(
         id,
-        { blocked: Boolean(blocked) },
+        { blocked },
         { new: true }
       ).select("-passwordHash");
 
@@ -184,6 +277,20 @@ router.patch(
         return res.status(404).json({ error: "User not found" });
       }
 
+      // 🔒 A blocked user is logged out everywhere
+      if (user.blocked) {
+        await revokeAllSessions(user._id, "blocked");
+      }
+
+      await recordAudit(req, {
+        action: user.blocked
+          ? AUDIT_ACTIONS.USER_BLOCK
+          : AUDIT_ACTIONS.USER_UNBLOCK,
+        target: { kind: "User", id: user._id },
+        before,
+        after: user,
+      });
+
       return res.status(200).json({
         message: `User ${blocked ? "blocked" : "unblocked"} successfully`,
         user,
@@ -195,4 +302,93 @@ router.patch(
   }
 );
 
+/**
+ * @desc Locked accounts, users with failed logins, and throttled IPs/emails
+ */
+router.get(
+  "/lockouts",
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+    permissions: [PERMISSIONS.USERS_READ],
+  }),
+  async (req, res) => {
+    try {
+      const { users, throttles } = await listLockouts();
+      return res.status(200).json({ users, throttles });
+    } catch (error) {
+      console.error("Error fetching lockouts:", error);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @desc Unlock a user account (clears failed attempts and email backoff)
+ */
+router.delete(
+  "/lockouts/users/:id",
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+    permissions: [PERMISSIONS.USERS_UNLOCK],
+  }),
+  validate(userIdSchema),
+  async (req, res) => {
+    try {
+      const before = await User.findById(req.params.id)
+        .select("failedLoginAttempts lastFailedLoginAt lockedUntil")
+        .lean();
+      const user = await clearUserLockout(req.params.id);
+
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.USER_LOCKOUT_CLEAR,
+        target: { kind: "User", id: user._id },
+        before,
+        after: {
+          ...before,
+          failedLoginAttempts: 0,
+          lastFailedLoginAt: null,
+          lockedUntil: null,
+        },
+      });
+
+      return res.status(200).json({ message: "User lockout cleared", user });
+    } catch (error) {
+      console.error("Error clearing user lockout:", error);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * @desc Clear the login backoff of an IP address
+ */
+router.delete(
+  "/lockouts/ips/:ip",
+  authMiddleware([ROLES.ADMIN], [ROLES.ADMIN], {
+    permissions: [PERMISSIONS.USERS_UNLOCK],
+  }),
+  validate(ipThrottleSchema),
+  async (req, res) => {
+    try {
+      const cleared = await clearIpThrottle(req.params.ip);
+
+      if (!cleared) {
+        return res.status(404).json({ error: "No throttle for this IP" });
+      }
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.IP_THROTTLE_CLEAR,
+        target: { kind: "LoginThrottle", id: req.params.ip },
+      });
+
+      return res.status(200).json({ message: "IP throttle cleared" });
+    } catch (error) {
+      console.error("Error clearing IP throttle:", error);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 export default router;
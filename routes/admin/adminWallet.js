@@ -3,11 +3,44 @@ import mongoose from "mongoose";
 
 // Middleware & Constants
 import authMiddleware from "../../middleware/authMiddleware.js";
+import requireTotpStepUp from "../../middleware/requireTotpStepUp.js";
+import validate from "../../middleware/validate.js";
 import { ROLES } from "../../constants/roles.js";
+import { PERMISSIONS } from "../../constants/permissions.js";
+import { LEDGER_ACCOUNTS } from "../../constants/ledger-accounts.js";
+import { USER_EVENTS } from "../../constants/user-events.js";
+import { NOTIFICATION_TYPES } from "../../constants/notification-types.js";
+import { AUDIT_ACTIONS } from "../../constants/audit-actions.js";
 
 // Models
-import User from "../../models/User.js";
 import WalletTransactionRecord from "../../models/WalletTransactionRecord.js";
+import WalletDiscrepancy from "../../models/WalletDiscrepancy.js";
+import ReconciliationRun from "../../models/ReconciliationRun.js";
+import Transaction from "../../models/Transaction.js";
+
+// Services
+import { updateWallet } from "../../services/walletService.js";
+import {
+  runReconciliation,
+  getUserReconciliation,
+  postCorrectingEntry,
+} from "../../services/reconciliationService.js";
+import { recordAudit } from "../../services/auditLogService.js";
+import { recordUserEvent } from "../../services/userEventService.js";
+import { notifyUser } from "../../services/notificationService.js";
+import {
+  approveWithdrawal,
+  requiredApprovalsFor,
+} from "../../services/withdrawalApprovalService.js";
+import {
+  walletRecordSchema,
+  rejectTopUpSchema,
+  withdrawRequestsSchema,
+  rejectWithdrawalSchema,
+  reconciliationReportSchema,
+  userReconciliationSchema,
+  correctionSchema,
+} from "../../validators/wallet.js";
 
 const router = express.Router();
 
@@ -20,6 +53,7 @@ const router = express.Router();
  *  - Top-up (deposit) requests
  *  - Withdraw requests
  *  - Wallet analytics (top depositors, withdrawers, etc.)
+ *  - Ledger reconciliation (balance vs. transaction history)
  *
  * All routes are protected by ADMIN role.
  */
@@ -33,6 +67,64 @@ const decimalToFloat = (value) => {
   return parseFloat(value);
 };
 
+// Utility: shared checks before moderating a request (null when OK)
+const checkPendingRecord = (record, type) => {
+  if (!record) return { status: 404, message: "Record not found" };
+  if (record.type !== type)
+    return {
+      status: 400,
+      message:
+        type === "topup" ? "Not a top-up record" : "Not a withdrawal record",
+    };
+  if (record.status !== "pending")
+    return { status: 400, message: "Already processed" };
+  return null;
+};
+
+// Inbox text for each review outcome
+const REVIEW_NOTIFICATIONS = {
+  [USER_EVENTS.TOPUP_APPROVED]: {
+    type: NOTIFICATION_TYPES.TOPUP_APPROVED,
+    title: "Top-up approved",
+    message: ({ amount }) =>
+      `Your top-up of ${amount} was added to your wallet.`,
+  },
+  [USER_EVENTS.TOPUP_REJECTED]: {
+    type: NOTIFICATION_TYPES.TOPUP_REJECTED,
+    title: "Top-up rejected",
+    message: ({ amount, reason }) =>
+      `Your top-up of ${amount} was rejected: ${reason}`,
+  },
+  [USER_EVENTS.WITHDRAWAL_APPROVED]: {
+    type: NOTIFICATION_TYPES.WITHDRAWAL_APPROVED,
+    title: "Withdrawal approved",
+    message: ({ amount }) => `Your withdrawal of ${amount} was approved.`,
+  },
+  [USER_EVENTS.WITHDRAWAL_REJECTED]: {
+    type: NOTIFICATION_TYPES.WITHDRAWAL_REJECTED,
+    title: "Withdrawal rejected",
+    message: ({ amount, reason }) =>
+      `Your withdrawal of ${amount} was rejected: ${reason}. The amount is back in your wallet.`,
+  },
+};
+
+// Utility: tell the user their request was reviewed (socket event + inbox)
+const notifyReview = async (record, event, extra = {}, session = null) => {
+  const data = {
+    recordId: record._id.toString(),
+    amount: record.amount.toString(),
+    ...extra,
+  };
+  await recordUserEvent(record.user, event, data, session);
+
+  const { type, title, message } = REVIEW_NOTIFICATIONS[event];
+  await notifyUser(
+    record.user,
+    { type, title, message: message(data), data },
+    session
+  );
+};
+
 /* -------------------------------------------------------
  *  TOP-UP (Deposit) Moderation
  * ----------------------------------------------------- */
@@ -44,7 +136,9 @@ const decimalToFloat = (value) => {
  */
 router.get(
   "/wallet/top-up-requests",
-  authMiddleware([ROLES.ADMIN]),
+  authMiddleware([ROLES.ADMIN], [], {
+    permissions: [PERMISSIONS.WALLET_READ],
+  }),
   async (req, res) => {
     try {
       const requests = await WalletTransactionRecord.find({
@@ -74,39 +168,82 @@ router.get(
  */
 router.post(
   "/wallet/top-up-requests/:id/approve",
-  authMiddleware([ROLES.ADMIN]),
+  authMiddleware([ROLES.ADMIN], [], {
+    permissions: [PERMISSIONS.WALLET_APPROVE_TOPUPS],
+  }),
+  validate(walletRecordSchema),
+  requireTotpStepUp(),
   async (req, res) => {
-    try {
-      const record = await WalletTransactionRecord.findById(req.params.id);
-      if (!record) return res.status(404).json({ message: "Record not found" });
-      if (record.type !== "topup")
-        return res.status(400).json({ message: "Not a top-up record" });
-      if (record.status !== "pending")
-        return res.status(400).json({ message: "Already processed" });
+    const session = await mongoose.startSession();
+    session.startTransaction();
 
-      const user = await User.findById(record.user);
-      if (!user) return res.status(404).json({ message: "User not found" });
-
-      const balance = decimalToFloat(user.walletBalance);
-      const amount = decimalToFloat(record.amount);
+    try {
+      const record = await WalletTransactionRecord.findById(
+        req.params.id
+      ).session(session);
+      const invalid = checkPendingRecord(record, "topup");
+      if (invalid) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(invalid.status).json({ message: invalid.message });
+      }
+      const before = record.toObject();
 
       // Add funds to wallet
-      user.walletBalance = mongoose.Types.Decimal128.fromString(
-        (balance + amount).toFixed(2)
+      const { balance, transaction } = await updateWallet(
+        record.user,
+        record.amount,
+        record.description || "Wallet top-up",
+        session,
+        {
+          counterAccount: LEDGER_ACCOUNTS.DEPOSITS,
+          idempotencyKey: `topup:${record._id}`,
+          reference: {
+            kind: "WalletTransactionRecord",
+            id: record._id.toString(),
+          },
+        }
       );
-      await user.save();
 
       // Update record
       record.status = "approved";
       record.reviewedAt = new Date();
       record.reviewedBy = req.user.id;
-      await record.save();
+      record.ledgerTransactions.push(transaction._id);
+      await record.save({ session });
+
+      await recordAudit(
+        req,
+        {
+          action: AUDIT_ACTIONS.TOPUP_APPROVE,
+          target: { kind: "WalletTransactionRecord", id: record._id },
+          before,
+          after: record,
+          metadata: { user: record.user, amount: record.amount },
+        },
+        session
+      );
+      await notifyReview(
+        record,
+        USER_EVENTS.TOPUP_APPROVED,
+        { balance: balance.toString() },
+        session
+      );
+
+      await session.commitTransaction();
+      session.endSession();
 
       res.json({
         message: "Top-up approved and wallet updated",
-        newBalance: decimalToFloat(user.walletBalance),
+        newBalance: decimalToFloat(balance),
       });
     } catch (err) {
+      await session.abortTransaction();
+      session.endSession();
+
+      if (err.message === "User not found") {
+        return res.status(404).json({ message: "User not found" });
+      }
       res.status(500).json({ error: err.message });
     }
   }
@@ -119,30 +256,63 @@ router.post(
  */
 router.post(
   "/wallet/top-up-requests/:id/reject",
-  authMiddleware([ROLES.ADMIN]),
+  authMiddleware([ROLES.ADMIN], [], {
+    permissions: [PERMISSIONS.WALLET_APPROVE_TOPUPS],
+  }),
+  validate(rejectTopUpSchema),
   async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
     try {
       const { reason } = req.body; // ✅ get reason from request body
 
-      const record = await WalletTransactionRecord.findById(req.params.id);
-      if (!record) return res.status(404).json({ message: "Record not found" });
-      if (record.type !== "topup")
-        return res.status(400).json({ message: "Not a top-up record" });
-      if (record.status !== "pending")
-        return res.status(400).json({ message: "Already processed" });
+      const record = await WalletTransactionRecord.findById(
+        req.params.id
+      ).session(session);
+      const invalid = checkPendingRecord(record, "topup");
+      if (invalid) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(invalid.status).json({ message: invalid.message });
+      }
+      const before = record.toObject();
 
       // Update record with rejection reason
       record.status = "rejected";
       record.reviewedAt = new Date();
       record.reviewedBy = req.user.id;
       record.rejectionReason = reason || "No reason provided"; // ✅ save reason
-      await record.save();
+      await record.save({ session });
+
+      await recordAudit(
+        req,
+        {
+          action: AUDIT_ACTIONS.TOPUP_REJECT,
+          target: { kind: "WalletTransactionRecord", id: record._id },
+          before,
+          after: record,
+          metadata: { user: record.user, amount: record.amount },
+        },
+        session
+      );
+      await notifyReview(
+        record,
+        USER_EVENTS.TOPUP_REJECTED,
+        { reason: record.rejectionReason },
+        session
+      );
+
+      await session.commitTransaction();
+      session.endSession();
 
       res.json({
         message: "Top-up request rejected",
         rejectionReason: record.rejectionReason,
       });
     } catch (err) {
+      if (session.inTransaction()) await session.abortTransaction();
+      session.endSession();
       res.status(500).json({ error: err.message });
     }
   }
@@ -154,26 +324,44 @@ router.post(
 
 /**
  * @route   GET /wallet/withdraw-requests
- * @desc    Get all pending withdraw requests
+ * @desc    Get all pending withdraw requests, with their approvals so far
+ *          (?awaiting=second-approval → only those one admin has approved)
  * @access  Private (ADMIN only)
  */
 router.get(
   "/wallet/withdraw-requests",
-  authMiddleware([ROLES.ADMIN]),
+  authMiddleware([ROLES.ADMIN], [], {
+    permissions: [PERMISSIONS.WALLET_READ],
+  }),
+  validate(withdrawRequestsSchema),
   async (req, res) => {
     try {
       const requests = await WalletTransactionRecord.find({
         type: "withdraw",
         status: "pending",
+        ...(req.query.awaiting === "second-approval" && {
+          "approvals.0": { $exists: true },
+        }),
       })
         .populate("user", "email name")
+        .populate("approvals.admin", "email name")
         .sort({ createdAt: -1 })
         .lean();
 
-      const converted = requests.map((r) => ({
-        ...r,
-        amount: decimalToFloat(r.amount),
-      }));
+      const converted = requests.map((r) => {
+        const approvals = r.approvals || [];
+        const requiredApprovals = Math.max(
+          r.requiredApprovals || 1,
+          requiredApprovalsFor(r.amount)
+        );
+        return {
+          ...r,
+          amount: decimalToFloat(r.amount),
+          approvals,
+          requiredApprovals,
+          approvalsRemaining: Math.max(0, requiredApprovals - approvals.length),
+        };
+      });
 
       res.json(converted);
     } catch (err) {
@@ -184,29 +372,80 @@ router.get(
 
 /**
  * @route   POST /wallet/withdraw-requests/:id/approve
- * @desc    Approve a withdrawal request
+ * @desc    Approve a withdrawal request. Above the dual-approval threshold
+ *          the first approval is recorded and a second admin must approve.
  * @access  Private (ADMIN only)
  */
 router.post(
   "/wallet/withdraw-requests/:id/approve",
-  authMiddleware([ROLES.ADMIN]),
+  authMiddleware([ROLES.ADMIN], [], {
+    permissions: [PERMISSIONS.WALLET_APPROVE_WITHDRAWALS],
+  }),
+  validate(walletRecordSchema),
+  requireTotpStepUp(),
   async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
     try {
-      const record = await WalletTransactionRecord.findById(req.params.id);
-      if (!record) return res.status(404).json({ message: "Record not found" });
-      if (record.type !== "withdraw")
-        return res.status(400).json({ message: "Not a withdrawal record" });
-      if (record.status !== "pending")
-        return res.status(400).json({ message: "Already processed" });
-
-      // NOTE: Funds were already deducted when request was created
-      record.status = "approved";
-      record.reviewedAt = new Date();
-      record.reviewedBy = req.user.id;
-      await record.save();
+      const { before, record, approved } = await approveWithdrawal(
+        req.params.id,
+        req.user._id,
+        session
+      );
+
+      // 🧾 Audited in the same transaction as the approval
+      await recordAudit(
+        req,
+        {
+          action: AUDIT_ACTIONS.WITHDRAW_APPROVE,
+          target: { kind: "WalletTransactionRecord", id: record._id },
+          before,
+          after: record,
+          metadata: {
+            user: record.user,
+            amount: record.amount,
+            approvals: record.approvals.length,
+            requiredApprovals: record.requiredApprovals,
+          },
+        },
+        session
+      );
+
+      // 🔔 Pushed to the user's socket once this commits
+      if (approved) {
+        await notifyReview(
+          record,
+          USER_EVENTS.WITHDRAWAL_APPROVED,
+          {},
+          session
+        );
+      }
+
+      await session.commitTransaction();
+      session.endSession();
+
+      if (!approved) {
+        return res.status(202).json({
+          message: "Approval recorded, waiting for a second admin to approve",
+          approvals: record.approvals.length,
+          requiredApprovals: record.requiredApprovals,
+        });
+      }
 
       res.json({ message: "Withdrawal approved successfully" });
     } catch (err) {
+      if (session.inTransaction()) await session.abortTransaction();
+      session.endSession();
+
+      const status = {
+        NOT_FOUND: 404,
+        NOT_WITHDRAWAL: 400,
+        ALREADY_PROCESSED: 400,
+        ALREADY_APPROVED: 409,
+      }[err.code];
+      if (status) return res.status(status).json({ message: err.message });
+
       res.status(500).json({ error: err.message });
     }
   }
@@ -215,52 +454,90 @@ router.post(
 /**
  * @route   POST /wallet/withdraw-requests/:id/reject
  * @desc    Reject a withdrawal request and restore reserved funds
+ *          (also while it waits for a second approval)
  * @access  Private (ADMIN only)
  */
 router.post(
   "/wallet/withdraw-requests/:id/reject",
-  authMiddleware([ROLES.ADMIN]),
+  authMiddleware([ROLES.ADMIN], [], {
+    permissions: [PERMISSIONS.WALLET_APPROVE_WITHDRAWALS],
+  }),
+  validate(rejectWithdrawalSchema),
   async (req, res) => {
-    try {
-      const { reason } = req.body; // ✅ get rejection reason
-      if (!reason || reason.trim() === "") {
-        return res
-          .status(400)
-          .json({ message: "Rejection reason is required" });
-      }
+    const { reason } = req.body; // ✅ get rejection reason
 
-      const record = await WalletTransactionRecord.findById(req.params.id);
-      if (!record) return res.status(404).json({ message: "Record not found" });
-      if (record.type !== "withdraw")
-        return res.status(400).json({ message: "Not a withdrawal record" });
-      if (record.status !== "pending")
-        return res.status(400).json({ message: "Already processed" });
+    const session = await mongoose.startSession();
+    session.startTransaction();
 
-      const user = await User.findById(record.user);
-      if (!user) return res.status(404).json({ message: "User not found" });
-
-      const balance = decimalToFloat(user.walletBalance);
-      const amount = decimalToFloat(record.amount);
+    try {
+      const record = await WalletTransactionRecord.findById(
+        req.params.id
+      ).session(session);
+      const invalid = checkPendingRecord(record, "withdraw");
+      if (invalid) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(invalid.status).json({ message: invalid.message });
+      }
+      const before = record.toObject();
 
       // ✅ Restore reserved funds
-      user.walletBalance = mongoose.Types.Decimal128.fromString(
-        (balance + amount).toFixed(2)
+      const { balance, transaction } = await updateWallet(
+        record.user,
+        record.amount,
+        `Withdrawal rejected: ${reason}`,
+        session,
+        {
+          counterAccount: LEDGER_ACCOUNTS.WITHDRAWAL_HOLDS,
+          idempotencyKey: `withdraw-release:${record._id}`,
+          reference: {
+            kind: "WalletTransactionRecord",
+            id: record._id.toString(),
+          },
+        }
       );
-      await user.save();
 
       // ✅ Update record with rejection reason
       record.status = "rejected";
       record.rejectionReason = reason; // <- added
       record.reviewedAt = new Date();
       record.reviewedBy = req.user.id;
-      await record.save();
+      record.ledgerTransactions.push(transaction._id);
+      await record.save({ session });
+
+      await recordAudit(
+        req,
+        {
+          action: AUDIT_ACTIONS.WITHDRAW_REJECT,
+          target: { kind: "WalletTransactionRecord", id: record._id },
+          before,
+          after: record,
+          metadata: { user: record.user, amount: record.amount },
+        },
+        session
+      );
+      await notifyReview(
+        record,
+        USER_EVENTS.WITHDRAWAL_REJECTED,
+        { reason, balance: balance.toString() },
+        session
+      );
+
+      await session.commitTransaction();
+      session.endSession();
 
       res.json({
         message: "Withdrawal request rejected and funds restored",
         rejectionReason: reason,
-        newBalance: decimalToFloat(user.walletBalance),
+        newBalance: decimalToFloat(balance),
       });
     } catch (err) {
+      await session.abortTransaction();
+      session.endSession();
+
+      if (err.message === "User not found") {
+        return res.status(404).json({ message: "User not found" });
+      }
       res.status(500).json({ error: err.message });
     }
   }
@@ -277,7 +554,9 @@ router.post(
  */
 router.get(
   "/wallet/top-depositors",
-  authMiddleware([ROLES.ADMIN]),
+  authMiddleware([ROLES.ADMIN], [], {
+    permissions: [PERMISSIONS.WALLET_READ],
+  }),
   async (req, res) => {
     try {
       const topDepositors = await WalletTransactionRecord.aggregate([
@@ -316,7 +595,9 @@ router.get(
  */
 router.get(
   "/wallet/top-withdrawalers",
-  authMiddleware([ROLES.ADMIN]),
+  authMiddleware([ROLES.ADMIN], [], {
+    permissions: [PERMISSIONS.WALLET_READ],
+  }),
   async (req, res) => {
     try {
       const topWithdrawalers = await WalletTransactionRecord.aggregate([
@@ -355,7 +636,9 @@ router.get(
  */
 router.get(
   "/wallet/deposit-vs-withdraw",
-  authMiddleware([ROLES.ADMIN]),
+  authMiddleware([ROLES.ADMIN], [], {
+    permissions: [PERMISSIONS.WALLET_READ],
+  }),
   async (req, res) => {
     try {
       const oneMonthAgo = new Date();
@@ -384,4 +667,194 @@ router.get(
   }
 );
 
+/* -------------------------------------------------------
+ *  RECONCILIATION (Balance vs. Ledger)
+ * ----------------------------------------------------- */
+
+/**
+ * @route   GET /wallet/reconciliation
+ * @desc    Discrepancy report (default: open) + last reconciliation run
+ * @access  Private (ADMIN only)
+ */
+router.get(
+  "/wallet/reconciliation",
+  authMiddleware([ROLES.ADMIN], [], {
+    permissions: [PERMISSIONS.WALLET_READ],
+  }),
+  validate(reconciliationReportSchema),
+  async (req, res) => {
+    try {
+      const { status, page, limit } = req.query;
+
+      const query = status === "all" ? {} : { status };
+
+      const [total, discrepancies, lastRun] = await Promise.all([
+        WalletDiscrepancy.countDocuments(query),
+        WalletDiscrepancy.find(query)
+          .populate("user", "name email")
+          .sort({ lastDetectedAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        ReconciliationRun.findOne().sort({ startedAt: -1 }).lean(),
+      ]);
+
+      res.json({
+        lastRun,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        totalRecords: total,
+        content: discrepancies.map((d) => ({
+          ...d,
+          expectedBalance: decimalToFloat(d.expectedBalance),
+          actualBalance: decimalToFloat(d.actualBalance),
+          difference: decimalToFloat(d.difference),
+        })),
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * @route   POST /wallet/reconciliation/run
+ * @desc    Run reconciliation now instead of waiting for the schedule
+ * @access  Private (ADMIN only)
+ */
+router.post(
+  "/wallet/reconciliation/run",
+  authMiddleware([ROLES.ADMIN], [], {
+    permissions: [PERMISSIONS.RECONCILIATION_MANAGE],
+  }),
+  async (req, res) => {
+    try {
+      const run = await runReconciliation({
+        trigger: "admin",
+        triggeredBy: req.user.id,
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.RECONCILIATION_RUN,
+        target: { kind: "ReconciliationRun", id: run._id },
+      });
+
+      res.json({ message: "Reconciliation completed", run });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * @route   GET /wallet/reconciliation/:userId
+ * @desc    Drill-down: live balance breakdown, discrepancy history, recent ledger
+ * @access  Private (ADMIN only)
+ */
+router.get(
+  "/wallet/reconciliation/:userId",
+  authMiddleware([ROLES.ADMIN], [], {
+    permissions: [PERMISSIONS.WALLET_READ],
+  }),
+  validate(userReconciliationSchema),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const [summary, history, recentTransactions] = await Promise.all([
+        getUserReconciliation(userId),
+        WalletDiscrepancy.find({ user: userId })
+          .populate("correction.postedBy", "name email")
+          .sort({ lastDetectedAt: -1 })
+          .lean(),
+        Transaction.find({ user: userId })
+          .sort({ createdAt: -1 })
+          .limit(50)
+          .lean(),
+      ]);
+
+      res.json({
+        ...summary,
+        discrepancies: history.map((d) => ({
+          ...d,
+          expectedBalance: decimalToFloat(d.expectedBalance),
+          actualBalance: decimalToFloat(d.actualBalance),
+          difference: decimalToFloat(d.difference),
+        })),
+        recentTransactions: recentTransactions.map((tx) => ({
+          ...tx,
+          amount: decimalToFloat(tx.amount),
+          balanceAfter: decimalToFloat(tx.balanceAfter),
+        })),
+      });
+    } catch (err) {
+      if (err.code === "NOT_FOUND") {
+        return res.status(404).json({ message: "User not found" });
+      }
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+/**
+ * @route   POST /wallet/reconciliation/:userId/correct
+ * @desc    Post a correcting entry for an open discrepancy
+ *          target=balance → set balance to what the ledger says
+ *          target=ledger  → keep balance, record the missing ledger entry
+ * @access  Private (ADMIN only)
+ */
+router.post(
+  "/wallet/reconciliation/:userId/correct",
+  authMiddleware([ROLES.ADMIN], [], {
+    permissions: [PERMISSIONS.RECONCILIATION_MANAGE],
+  }),
+  validate(correctionSchema),
+  requireTotpStepUp(),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { target, reason } = req.body;
+
+      const { discrepancy, transaction } = await postCorrectingEntry(userId, {
+        target,
+        reason,
+        adminId: req.user.id,
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.RECONCILIATION_CORRECT,
+        target: { kind: "User", id: userId },
+        metadata: {
+          target,
+          reason,
+          discrepancyId: discrepancy._id,
+          transactionId: transaction._id,
+          amount: transaction.amount,
+          balanceAfter: transaction.balanceAfter,
+        },
+      });
+
+      console.log(
+        `🧾 Reconciliation correction (${target}) for user ${userId} by admin ${req.user.id}: ${reason}`
+      );
+
+      res.json({
+        message: "Correcting entry posted",
+        discrepancyId: discrepancy._id,
+        transactionId: transaction._id,
+        balanceAfter: decimalToFloat(transaction.balanceAfter),
+      });
+    } catch (err) {
+      if (err.code === "NOT_FOUND") {
+        return res.status(404).json({ message: "User not found" });
+      }
+      if (err.code === "NO_DISCREPANCY") {
+        return res.status(409).json({ message: err.message });
+      }
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
 export default router;
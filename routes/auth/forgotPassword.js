@@ -1,54 +1,46 @@
 import express from "express";
 import crypto from "crypto";
 import User from "../../models/User.js"; // Ensure .js extension is present
+import { hashToken } from "../../services/tokenService.js";
+import { sendPasswordResetEmail } from "../../services/accountEmails.js";
+import validate from "../../middleware/validate.js";
+import { forgotPasswordSchema } from "../../validators/auth.js";
 
 const router = express.Router();
 
-router.post("/forgot-password", async (req, res) => {
-  try {
-    const { email } = req.body;
-
-    if (!email) {
-      return res.status(400).json({ error: "Email is required." });
+const RESET_SENT_MESSAGE =
+  "If an account exists, password reset instructions have been sent to it.";
+
+router.post(
+  "/forgot-password",
+  validate(forgotPasswordSchema),
+  async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      const user = await User.findOne({ email });
+
+      // Same answer for unknown, deleted and blocked accounts (no enumeration)
+      if (!user || user.isDeleted || user.blocked) {
+        return res.status(200).json({ message: RESET_SENT_MESSAGE });
+      }
+
+      // Only the hash is stored; the raw token goes out by email
+      const token = crypto.randomBytes(32).toString("hex");
+      user.resetToken = hashToken(token);
+      user.resetTokenExpiry = Date.now() + 3600000; // 1 hour
+      await user.save();
+
+      await sendPasswordResetEmail(user, token);
+
+      res.json({ message: RESET_SENT_MESSAGE });
+    } catch (err) {
+      console.error("Forgot password error:", err);
+      res
+        .status(500)
+        .json({ error: "Unexpected server error. Please try again." });
     }
-
-    const user = await User.findOne({ email });
-
-    if (!user) {
-      return res
-        .status(200)
-        .json({ message: "If an account exists, a reset link has been sent." });
-    }
-
-    if (user.isDeleted) {
-      return res.status(403).json({ error: "Account has been deleted." });
-    }
-
-    if (user.blocked) {
-      return res
-        .status(403)
-        .json({ error: "Account is blocked. Please contact support." });
-    }
-
-    const token = crypto.randomBytes(32).toString("hex");
-    user.resetToken = token;
-    user.resetTokenExpiry = Date.now() + 3600000; // 1 hour
-    await user.save();
-
-    // TODO: Replace with actual email sending
-    console.log(
-      `Reset link: http://yourfrontend.com/auth/reset-password?token=${token}`
-    );
-
-    res.json({
-      message: "Password reset instructions have been sent to your email.",
-    });
-  } catch (err) {
-    console.error("Forgot password error:", err);
-    res
-      .status(500)
-      .json({ error: "Unexpected server error. Please try again." });
   }
-});
+);
 
 export default router;
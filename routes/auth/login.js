@@ -1,24 +1,64 @@
 // server/routes/auth/login.js
 import express from "express";
-import jwt from "jsonwebtoken";
+import bcrypt from "bcryptjs";
 import User from "../../models/User.js";
+import { issueTokens } from "../../services/tokenService.js";
+import { ROLES } from "../../constants/roles.js";
+import {
+  createLoginChallenge,
+  verifyLoginChallenge,
+  verifySecondFactor,
+} from "../../services/twoFactorService.js";
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from "../../services/loginThrottleService.js";
+import validate from "../../middleware/validate.js";
+import { loginSchema, loginTwoFactorSchema } from "../../validators/auth.js";
 
 const router = express.Router();
 
-router.post("/login", async (req, res) => {
+// Compared against when the email is unknown, so timing doesn't reveal it
+const DUMMY_PASSWORD_HASH =
+  "$2b$10$Y.aslp6V1kGFt8pUbNaE.OH7qEbVFu2CM6GsichUdYsDcPSM/qRzG";
+
+const tooManyAttempts = (res, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    error: "Too many failed login attempts. Please try again later.",
+    retryAfter,
+  });
+};
+
+const formatLoginUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+});
+
+router.post("/login", validate(loginSchema), async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password)
-      return res
-        .status(400)
-        .json({ error: "Email and password are required." });
-
     const user = await User.findOne({ email });
 
-    if (!user)
+    // 🛑 Backoff / lockout (same answer whether or not the account exists)
+    const throttle = await checkLoginAllowed({ ip: req.ip, email, user });
+    if (!throttle.allowed) return tooManyAttempts(res, throttle.retryAfter);
+
+    const match = user
+      ? await user.comparePassword(password)
+      : await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+    if (!match) {
+      await recordLoginFailure({ ip: req.ip, email, user });
       return res.status(401).json({ error: "Invalid email or password." });
+    }
 
+    // Account state is only revealed to someone who knows the password
     if (user.isDeleted) {
       return res.status(403).json({ error: "This account is deleted, you can register again after 30 days." });
     }
@@ -29,27 +69,85 @@ router.post("/login", async (req, res) => {
         .json({ error: "Account is blocked. Please contact support." });
     }
 
-    const match = await user.comparePassword(password);
-    if (!match)
+    // 🔐 Second step: client posts the code to /login/2fa. Failure counters
+    // are only cleared once the code checks out there, so knowing the
+    // password doesn't buy unlimited code guesses.
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: "Two-factor code required.",
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(user),
+      });
+    }
+
+    await recordLoginSuccess({ email, user });
+
+    const { accessToken, refreshToken, expiresIn } = await issueTokens(user, {
+      userAgent: req.headers["user-agent"],
+      ip: req.ip,
+    });
+
+    res.json({
+      message: "Login successful.",
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+      user: formatLoginUser(user),
+      // Admin tokens only open the 2FA setup routes until it is enabled
+      ...(user.role === ROLES.ADMIN && { twoFactorSetupRequired: true }),
+    });
+  } catch (err) {
+    console.error(err);
+    res
+      .status(500)
+      .json({ error: "Unexpected server error. Please try again." });
+  }
+});
+
+router.post("/login/2fa", validate(loginTwoFactorSchema), async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = verifyLoginChallenge(challengeToken);
+    const user = await User.findById(userId);
+
+    if (!user || user.isDeleted || user.blocked)
       return res.status(401).json({ error: "Invalid email or password." });
 
-    const token = jwt.sign(
-      { id: user._id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "7d" }
+    const throttle = await checkLoginAllowed({
+      ip: req.ip,
+      email: user.email,
+      user,
+    });
+    if (!throttle.allowed) return tooManyAttempts(res, throttle.retryAfter);
+
+    try {
+      await verifySecondFactor(user._id, { code, recoveryCode });
+    } catch (err) {
+      // Wrong TOTP or recovery code counts like a wrong password
+      if (err.code === "INVALID_TWO_FACTOR_CODE")
+        await recordLoginFailure({ ip: req.ip, email: user.email, user });
+      throw err;
+    }
+    await recordLoginSuccess({ email: user.email, user });
+
+    const { accessToken, refreshToken, expiresIn } = await issueTokens(
+      user,
+      { userAgent: req.headers["user-agent"], ip: req.ip },
+      ["pwd", "otp"]
     );
 
     res.json({
       message: "Login successful.",
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-      },
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+      user: formatLoginUser(user),
     });
   } catch (err) {
+    if (["INVALID_CHALLENGE", "INVALID_TWO_FACTOR_CODE"].includes(err.code))
+      return res.status(401).json({ error: err.message });
+
     console.error(err);
     res
       .status(500)
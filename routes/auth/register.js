@@ -2,29 +2,51 @@
 import express from "express";
 import bcrypt from "bcryptjs";
 import User from "../../models/User.js";
+import { sendVerification } from "../../services/emailVerificationService.js";
+import { sendAccountExistsEmail } from "../../services/accountEmails.js";
+import validate from "../../middleware/validate.js";
+import { registerSchema } from "../../validators/auth.js";
 
 const router = express.Router();
 
-router.post("/register", async (req, res) => {
+const REGISTERED_MESSAGE =
+  "Registration successful. Check your email to verify your account, then log in.";
+
+router.post("/register", validate(registerSchema), async (req, res) => {
   try {
     const { name, email, password } = req.body;
 
-    if (!name || !email || !password) {
-      return res.status(400).json({ error: "All fields are required." });
-    }
+    // Hashed up front so both paths take as long (no timing difference)
+    const hash = await bcrypt.hash(password, 10);
 
+    // Same answer whether or not the email is taken (no enumeration);
+    // the owner of an existing account gets a heads-up email instead
     const exists = await User.findOne({ email });
     if (exists) {
-      return res.status(409).json({ error: "Email already registered." });
+      try {
+        await sendAccountExistsEmail(exists);
+      } catch (mailErr) {
+        console.error("Account exists email failed:", mailErr);
+      }
+      return res.status(201).json({ message: REGISTERED_MESSAGE });
     }
 
-    const hash = await bcrypt.hash(password, 10);
-    const user = new User({ name, email, passwordHash: hash });
-    await user.save();
+    // ✉️ Starts unverified; the signup bonus is credited on verification
+    const user = await User.create({
+      name,
+      email,
+      passwordHash: hash,
+      emailVerified: false,
+    });
 
-    res
-      .status(201)
-      .json({ message: "Registration successful. Please log in." });
+    try {
+      await sendVerification(user);
+    } catch (mailErr) {
+      // Account exists either way; the user can ask for a new link
+      console.error("Verification email failed:", mailErr);
+    }
+
+    res.status(201).json({ message: REGISTERED_MESSAGE });
   } catch (err) {
     console.error(err);
     res
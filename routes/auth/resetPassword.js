@@ -0,0 +1,63 @@
+import express from "express";
+import bcrypt from "bcryptjs";
+import User from "../../models/User.js";
+import { hashToken, revokeAllSessions } from "../../services/tokenService.js";
+import { sendPasswordChangedEmail } from "../../services/accountEmails.js";
+import validate from "../../middleware/validate.js";
+import { resetPasswordSchema } from "../../validators/auth.js";
+
+const router = express.Router();
+
+/**
+ * POST /auth/reset-password
+ * Set a new password with the token from the forgot-password email
+ */
+router.post(
+  "/reset-password",
+  validate(resetPasswordSchema),
+  async (req, res) => {
+    try {
+      const { token, password } = req.body;
+
+      const passwordHash = await bcrypt.hash(password, 10);
+
+      // Match + consume the token in one step so it can only be used once
+      const user = await User.findOneAndUpdate(
+        {
+          resetToken: hashToken(token),
+          resetTokenExpiry: { $gt: new Date() },
+          isDeleted: { $ne: true },
+        },
+        {
+          $set: { passwordHash },
+          $unset: { resetToken: "", resetTokenExpiry: "" },
+        },
+        { new: true }
+      );
+
+      if (!user) {
+        return res
+          .status(400)
+          .json({ error: "Reset link is invalid or has expired." });
+      }
+
+      // 🔒 Sessions opened with the old password end here
+      await revokeAllSessions(user._id, "password-reset");
+
+      try {
+        await sendPasswordChangedEmail(user);
+      } catch (mailErr) {
+        console.error("Password changed email failed:", mailErr);
+      }
+
+      res.json({ message: "Password has been reset. Please log in again." });
+    } catch (err) {
+      console.error("Reset password error:", err);
+      res
+        .status(500)
+        .json({ error: "Unexpected server error. Please try again." });
+    }
+  }
+);
+
+export default router;
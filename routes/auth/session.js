@@ -0,0 +1,84 @@
+// server/routes/auth/session.js
+import express from "express";
+import authMiddleware from "../../middleware/authMiddleware.js";
+import { ROLES } from "../../constants/roles.js";
+import {
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+} from "../../services/tokenService.js";
+import validate from "../../middleware/validate.js";
+import { refreshSchema, logoutSchema } from "../../validators/auth.js";
+
+const router = express.Router();
+
+/**
+ * POST /auth/refresh
+ * Exchange a refresh token for a new access token (the refresh token rotates)
+ */
+router.post("/refresh", validate(refreshSchema), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const tokens = await rotateRefreshToken(refreshToken, {
+      userAgent: req.headers["user-agent"],
+      ip: req.ip,
+    });
+
+    res.json({
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+    });
+  } catch (err) {
+    if (["INVALID_REFRESH_TOKEN", "REFRESH_TOKEN_REUSED"].includes(err.code)) {
+      return res.status(401).json({ error: err.message });
+    }
+    if (err.code === "ACCOUNT_DISABLED") {
+      return res.status(403).json({ error: err.message });
+    }
+
+    console.error("Refresh token error:", err);
+    res
+      .status(500)
+      .json({ error: "Unexpected server error. Please try again." });
+  }
+});
+
+/**
+ * POST /auth/logout
+ * End this device's session (its refresh token chain)
+ */
+router.post("/logout", validate(logoutSchema), async (req, res) => {
+  try {
+    await revokeRefreshToken(req.body.refreshToken);
+    res.json({ message: "Logged out." });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res
+      .status(500)
+      .json({ error: "Unexpected server error. Please try again." });
+  }
+});
+
+/**
+ * POST /auth/logout-all
+ * End every session of the current user on all devices
+ */
+router.post(
+  "/logout-all",
+  authMiddleware([ROLES.USER, ROLES.ADMIN], [], { allowTwoFactorSetup: true }),
+  async (req, res) => {
+    try {
+      await revokeAllSessions(req.user._id, "logout-all");
+      res.json({ message: "Logged out from all devices." });
+    } catch (err) {
+      console.error("Logout all error:", err);
+      res
+        .status(500)
+        .json({ error: "Unexpected server error. Please try again." });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,171 @@
+import express from "express";
+import User from "../../models/User.js";
+import authMiddleware from "../../middleware/authMiddleware.js";
+import { ROLES } from "../../constants/roles.js";
+import {
+  startEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from "../../services/twoFactorService.js";
+import { issueTokens, revokeAllSessions } from "../../services/tokenService.js";
+import {
+  checkStepUpAllowed,
+  recordStepUpFailure,
+  recordStepUpSuccess,
+} from "../../services/loginThrottleService.js";
+import validate from "../../middleware/validate.js";
+import {
+  totpCodeSchema,
+  disableTwoFactorSchema,
+} from "../../validators/auth.js";
+
+const router = express.Router();
+
+// Admins without 2FA may use these routes to set it up
+const auth = authMiddleware([ROLES.USER, ROLES.ADMIN], [], {
+  allowTwoFactorSetup: true,
+});
+
+const TWO_FACTOR_ERROR_STATUS = {
+  ALREADY_ENABLED: 400,
+  NO_PENDING_SETUP: 400,
+  TWO_FACTOR_NOT_ENABLED: 400,
+  INVALID_TWO_FACTOR_CODE: 401,
+  TWO_FACTOR_REQUIRED: 403,
+};
+
+const twoFactorErrorResponse = (res, err, label) => {
+  const status = TWO_FACTOR_ERROR_STATUS[err.code];
+  if (status) return res.status(status).json({ error: err.message });
+
+  console.error(`${label} error:`, err);
+  return res
+    .status(500)
+    .json({ error: "Unexpected server error. Please try again." });
+};
+
+// 🛑 Codes checked with a signed-in session share the step-up backoff and
+// lockout (middleware/requireTotpStepUp.js). Sends the 429 when locked.
+const rejectIfStepUpLocked = async (req, res) => {
+  const throttle = await checkStepUpAllowed(req.user._id);
+  if (throttle.allowed) return false;
+
+  res.set("Retry-After", String(throttle.retryAfter));
+  res.status(429).json({
+    error: "Too many wrong two-factor codes. Please try again later.",
+    code: "TOTP_STEP_UP_LOCKED",
+    retryAfter: throttle.retryAfter,
+  });
+  return true;
+};
+
+const recordCodeFailure = async (req, err) => {
+  if (err.code === "INVALID_TWO_FACTOR_CODE") {
+    await recordStepUpFailure(req.user._id);
+  }
+};
+
+/**
+ * GET /auth/2fa/status
+ */
+router.get("/2fa/status", auth, (req, res) => {
+  res.json({
+    enabled: Boolean(req.user.twoFactor?.enabled),
+    enabledAt: req.user.twoFactor?.enabledAt || null,
+    required: req.user.role === ROLES.ADMIN,
+  });
+});
+
+/**
+ * POST /auth/2fa/setup
+ * New secret + QR code to scan with an authenticator app
+ */
+router.post("/2fa/setup", auth, async (req, res) => {
+  try {
+    const { secret, otpauthUrl, qrCode } = await startEnrollment(req.user._id);
+    res.json({ secret, otpauthUrl, qrCode });
+  } catch (err) {
+    return twoFactorErrorResponse(res, err, "2FA setup");
+  }
+});
+
+/**
+ * POST /auth/2fa/enable { code }
+ * Confirm setup. Returns one-time recovery codes and a fresh session;
+ * every other session is signed out.
+ */
+router.post("/2fa/enable", auth, validate(totpCodeSchema), async (req, res) => {
+  try {
+    const recoveryCodes = await confirmEnrollment(req.user._id, req.body.code);
+
+    await revokeAllSessions(req.user._id, "2fa-enabled");
+    const user = await User.findById(req.user._id);
+    const tokens = await issueTokens(
+      user,
+      { userAgent: req.headers["user-agent"], ip: req.ip },
+      ["pwd", "otp"]
+    );
+
+    res.json({
+      message: "Two-factor authentication enabled.",
+      recoveryCodes,
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+    });
+  } catch (err) {
+    return twoFactorErrorResponse(res, err, "2FA enable");
+  }
+});
+
+/**
+ * POST /auth/2fa/disable { code | recoveryCode }
+ * Users only; admins must keep 2FA on
+ */
+router.post(
+  "/2fa/disable",
+  auth,
+  validate(disableTwoFactorSchema),
+  async (req, res) => {
+    try {
+      const { code, recoveryCode } = req.body;
+      if (await rejectIfStepUpLocked(req, res)) return;
+
+      await disableTwoFactor(req.user._id, { code, recoveryCode });
+      await recordStepUpSuccess(req.user._id);
+      res.json({ message: "Two-factor authentication disabled." });
+    } catch (err) {
+      await recordCodeFailure(req, err);
+      return twoFactorErrorResponse(res, err, "2FA disable");
+    }
+  }
+);
+
+/**
+ * POST /auth/2fa/recovery-codes { code }
+ * Replace all recovery codes
+ */
+router.post(
+  "/2fa/recovery-codes",
+  auth,
+  validate(totpCodeSchema),
+  async (req, res) => {
+    try {
+      const { code } = req.body;
+      if (await rejectIfStepUpLocked(req, res)) return;
+
+      const recoveryCodes = await regenerateRecoveryCodes(
+        req.user._id,
+        String(code)
+      );
+      await recordStepUpSuccess(req.user._id);
+      res.json({ recoveryCodes });
+    } catch (err) {
+      await recordCodeFailure(req, err);
+      return twoFactorErrorResponse(res, err, "2FA recovery codes");
+    }
+  }
+);
+
+export default router;
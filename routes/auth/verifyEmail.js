@@ -0,0 +1,67 @@
+import express from "express";
+import authMiddleware from "../../middleware/authMiddleware.js";
+import { ROLES } from "../../constants/roles.js";
+import {
+  sendVerification,
+  verifyEmail,
+} from "../../services/emailVerificationService.js";
+import validate from "../../middleware/validate.js";
+import { verifyEmailSchema } from "../../validators/auth.js";
+
+const router = express.Router();
+
+/**
+ * POST /auth/verify-email
+ * Confirm the address with the token from the verification email
+ */
+router.post("/verify-email", validate(verifyEmailSchema), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const { alreadyVerified } = await verifyEmail(token);
+
+    res.json({
+      message: alreadyVerified
+        ? "Email is already verified."
+        : "Email verified successfully.",
+    });
+  } catch (err) {
+    if (err.code === "INVALID_VERIFICATION_TOKEN") {
+      return res.status(400).json({ error: err.message });
+    }
+
+    console.error("Verify email error:", err);
+    res
+      .status(500)
+      .json({ error: "Unexpected server error. Please try again." });
+  }
+});
+
+/**
+ * POST /auth/resend-verification
+ * Send a new verification link to the logged-in user
+ */
+router.post(
+  "/resend-verification",
+  authMiddleware([ROLES.USER]),
+  async (req, res) => {
+    try {
+      await sendVerification(req.user);
+      res.json({ message: "Verification email sent." });
+    } catch (err) {
+      if (err.code === "ALREADY_VERIFIED") {
+        return res.status(400).json({ error: err.message });
+      }
+      if (err.code === "RESEND_TOO_SOON") {
+        return res.status(429).json({ error: err.message });
+      }
+
+      console.error("Resend verification error:", err);
+      res
+        .status(500)
+        .json({ error: "Unexpected server error. Please try again." });
+    }
+  }
+);
+
+export default router;
@@ -1,13 +1,31 @@
 import express from "express";
-import mongoose from "mongoose";
-import { validate as isUUID } from "uuid";
 import Lottery from "../../models/Lottery.js";
 import TicketPurchase from "../../models/TicketPurchase.js";
 import authMiddleware from "../../middleware/authMiddleware.js";
+import idempotencyMiddleware from "../../middleware/idempotencyMiddleware.js";
+import requireVerifiedEmail from "../../middleware/requireVerifiedEmail.js";
 import { ROLES } from "../../constants/roles.js";
-import { computeLotteryFlags } from "../../utils/computeLotteryFlags.js";
-import { updateWallet } from "../../services/walletService.js";
+import { listAvailableTickets } from "../../services/ticketInventoryService.js";
+import { purchaseTickets } from "../../services/ticketPurchaseService.js";
+import {
+  createReservation,
+  getActiveReservation,
+  releaseReservation,
+} from "../../services/ticketReservationService.js";
 import LotteryResult from "../../models/LotteryResult.js";
+import { sortTicketNumbers } from "../../utils/provablyFair.js";
+import { estimatedPrizePool } from "../../utils/prizePool.js";
+import { DRAW_METHODS } from "../../constants/draw-methods.js";
+import validate from "../../middleware/validate.js";
+import {
+  lotteryIdSchema,
+  availableTicketsSchema,
+  createReservationSchema,
+  releaseReservationSchema,
+  purchaseSchema,
+  resultsSchema,
+  winnersSchema,
+} from "../../validators/lottery.js";
 
 const router = express.Router();
 
@@ -27,13 +45,6 @@ router.get(
       const publicLotteries = lotteries
         .filter((lottery) => !lottery.flags?.resultAnnounced) // hide closed lotteries
         .map((lottery) => {
-          // Safely compute estimated prize
-          const estimatedPrize =
-            lottery.winnerStructure?.reduce((total, w) => {
-              const winnersCount = w.toRank - w.fromRank + 1;
-              return total + winnersCount * Number(w.prizeAmount.toString());
-            }, 0) || 0;
-
           return {
             _id: lottery._id.toString(),
             title: lottery.title,
@@ -47,13 +58,15 @@ router.get(
             endDatetime: lottery.endDatetime,
             drawDatetime: lottery.drawDatetime,
             imageUrl: lottery.imageUrl,
-            estimatedPrize,
+            prizeFunding: lottery.prizeFunding,
+            estimatedPrize: estimatedPrizePool(lottery),
             currentStatus: lottery.currentStatus, // virtual for frontend logic
             flags: {
               isUpcoming: lottery.flags?.isUpcoming,
               isActive: lottery.flags?.isActive,
               isEnded: lottery.flags?.isEnded,
               resultAnnounced: lottery.flags?.resultAnnounced,
+              isCancelled: lottery.flags?.isCancelled ?? false,
             },
           };
         });
@@ -73,32 +86,23 @@ router.get(
 router.get(
   "/lottery/:id/details",
   authMiddleware([ROLES.USER, ROLES.ADMIN]),
+  validate(lotteryIdSchema),
   async (req, res) => {
     try {
       const { id } = req.params;
 
-      if (!isUUID(id)) {
-        return res.status(400).json({ error: "Invalid lotteryId" });
-      }
-
       const lottery = await Lottery.findById(id).lean();
       if (!lottery) {
         return res.status(404).json({ error: "Lottery not found" });
       }
 
-      // ✅ Normalize decimal fields and compute estimated prize
-      const estimatedPrize =
-        lottery.winnerStructure?.reduce((total, w) => {
-          const winnersCount = w.toRank - w.fromRank + 1;
-          return total + winnersCount * Number(w.prizeAmount.toString());
-        }, 0) || 0;
-
       // Ensure flags exist and include isUpcoming
       const flags = {
         isUpcoming: lottery.flags?.isUpcoming ?? false,
         isActive: lottery.flags?.isActive ?? false,
         isEnded: lottery.flags?.isEnded ?? false,
         resultAnnounced: lottery.flags?.resultAnnounced ?? false,
+        isCancelled: lottery.flags?.isCancelled ?? false,
       };
 
       return res.status(200).json({
@@ -107,12 +111,14 @@ router.get(
         maxTickets: Number(lottery.maxTickets || 0),
         maxTicketsPerUser: Number(lottery.maxTicketsPerUser || 0),
         ticketsSold: Number(lottery.ticketsSold || 0),
+        // ✅ Normalize decimal fields
         winnerStructure: lottery.winnerStructure?.map((w) => ({
           fromRank: w.fromRank,
           toRank: w.toRank,
-          prizeAmount: Number(w.prizeAmount?.toString() || 0),
+          prizeAmount: w.prizeAmount ? Number(w.prizeAmount.toString()) : null,
+          sharePercent: w.sharePercent ?? null,
         })),
-        estimatedPrize,
+        estimatedPrize: estimatedPrizePool(lottery),
         flags,
       });
     } catch (error) {
@@ -123,22 +129,15 @@ router.get(
 );
 
 // 🎯 GET /lottery/:id/available-tickets (Paginated)
+// ?page=2&limit=10 or ?cursor=<nextCursor>&limit=10, optional &search=0042
 router.get(
   "/lottery/:id/available-tickets",
   authMiddleware([ROLES.USER, ROLES.ADMIN]),
+  validate(availableTicketsSchema),
   async (req, res) => {
     try {
       const { id } = req.params;
-      const {
-        search = "",
-        page = 1,
-        limit = 10, // default 10 items per page
-      } = req.query;
-
-      // ✅ Validate UUID (make sure you import isUUID from "validator")
-      if (!isUUID(id)) {
-        return res.status(400).json({ error: "Invalid lotteryId" });
-      }
+      const { search, page, limit, cursor } = req.query;
 
       // ✅ Fetch lottery by UUID
       const lottery = await Lottery.findById(id).lean();
@@ -146,55 +145,23 @@ router.get(
         return res.status(404).json({ error: "Lottery not found" });
       }
 
-      // ✅ Fetch sold tickets for this lottery
-      const purchases = await TicketPurchase.find({
-        lotteryId: lottery._id,
-      }).lean();
-      const soldTickets = purchases.flatMap((p) => p.ticketNumbers);
-      const soldTicketsSet = new Set(soldTickets); // Faster lookup
-
-      // ✅ Generate all available tickets using single lotteryPrefix
-      let availableTickets = [];
-      for (let i = 1; i <= lottery.maxTickets; i++) {
-        const ticketNum = `${lottery.lotteryPrefix}-${String(i).padStart(
-          4,
-          "0"
-        )}`;
-        if (!soldTicketsSet.has(ticketNum)) {
-          availableTickets.push(ticketNum);
-        }
-      }
-
-      // ✅ Filter by search query if provided
-      if (search.trim()) {
-        const searchLower = search.toLowerCase();
-        availableTickets = availableTickets.filter((t) =>
-          t.toLowerCase().includes(searchLower)
-        );
-      }
-
-      // ✅ Pagination
-      const totalAvailable = availableTickets.length;
-      const perPage = Math.max(1, parseInt(limit, 10));
-      const totalPages = Math.ceil(totalAvailable / perPage);
-      const currentPage = Math.min(
-        Math.max(1, parseInt(page, 10)),
-        totalPages || 1
-      );
-
-      const startIndex = (currentPage - 1) * perPage;
-      const paginatedTickets = availableTickets.slice(
-        startIndex,
-        startIndex + perPage
-      );
+      // ✅ Free numbers come from the inventory, never from 1..maxTickets
+      const { totalAvailable, totalPages, tickets, nextCursor } =
+        await listAvailableTickets(lottery, {
+          page,
+          limit,
+          cursor: cursor ?? null,
+          search,
+        });
 
       return res.status(200).json({
         lotteryId: lottery._id,
         totalAvailable,
-        totalPages,
-        currentPage,
-        perPage,
-        tickets: paginatedTickets,
+        totalPages, // null when searching (use nextCursor)
+        currentPage: page,
+        perPage: limit,
+        tickets,
+        nextCursor,
       });
     } catch (error) {
       console.error("Error fetching available tickets:", error);
@@ -203,168 +170,173 @@ router.get(
   }
 );
 
+const formatReservation = (reservation) => ({
+  _id: reservation._id,
+  lotteryId: reservation.lotteryId,
+  ticketNumbers: reservation.ticketNumbers,
+  expiresAt: reservation.expiresAt,
+});
+
 /**
- * 🎯 POST /lottery/:id/purchase
- * User purchases specific ticket numbers or auto-assigns
+ * 🛒 POST /lottery/:id/reservations
+ * Hold chosen ticket numbers for checkout (replaces the user's previous hold)
  */
 router.post(
-  "/lottery/:id/purchase",
+  "/lottery/:id/reservations",
   authMiddleware([ROLES.USER]),
+  requireVerifiedEmail(),
+  validate(createReservationSchema),
   async (req, res) => {
-    const session = await mongoose.startSession();
-    session.startTransaction();
-
     try {
       const { id } = req.params;
-      const { quantity, chosenTickets = [] } = req.body;
-
-      // 🔍 Validate quantity
-      if (!quantity || quantity <= 0) {
-        return res.status(400).json({ error: "Invalid ticket quantity" });
-      }
+      const { ticketNumbers } = req.body;
 
-      // 🔍 Validate lotteryId format
-      if (!isUUID(id)) {
-        return res.status(400).json({ error: "Invalid lotteryId" });
-      }
-
-      // 📦 Fetch lottery
-      const lottery = await Lottery.findById(id).session(session);
-      if (!lottery) {
-        return res.status(404).json({ error: "Lottery not found" });
-      }
+      const reservation = await createReservation(
+        id,
+        req.user._id,
+        ticketNumbers
+      );
 
-      // 📅 Check lottery status
-      const flags = computeLotteryFlags(lottery);
-      if (!flags.isActive || flags.isEnded) {
-        return res.status(400).json({ error: "Lottery is not active" });
-      }
+      return res.status(201).json({
+        message: "Tickets reserved",
+        reservation: formatReservation(reservation),
+      });
+    } catch (error) {
+      console.error("Error reserving tickets:", error);
 
-      // 🏷 Get already sold tickets
-      const purchases = await TicketPurchase.find({
-        lotteryId: lottery._id,
-      }).session(session);
-      const soldTickets = purchases.flatMap((p) => p.ticketNumbers);
-      const soldTicketsSet = new Set(soldTickets);
-
-      // 🎟 Build list of available tickets
-      const availableTickets = [];
-      for (let i = 1; i <= lottery.maxTickets; i++) {
-        const ticketNum = `${lottery.lotteryPrefix}-${String(i).padStart(
-          4,
-          "0"
-        )}`;
-        if (!soldTicketsSet.has(ticketNum)) {
-          availableTickets.push(ticketNum);
-        }
+      if (error.code === "NOT_FOUND") {
+        return res.status(404).json({ error: error.message });
       }
-      const availableTicketsSet = new Set(availableTickets);
-
-      // 🧮 Check per-user ticket limit
-      const existingPurchase = await TicketPurchase.findOne({
-        lotteryId: lottery._id,
-        userId: req.user._id,
-      }).session(session);
-
-      const existingQty = existingPurchase ? existingPurchase.quantity : 0;
-      if (existingQty + quantity > lottery.maxTicketsPerUser) {
+      if (
+        [
+          "INVALID_TICKETS",
+          "TICKETS_TAKEN",
+          "NOT_ACTIVE",
+          "USER_LIMIT",
+        ].includes(error.code)
+      ) {
         return res.status(400).json({
-          error: `Cannot purchase more than ${lottery.maxTicketsPerUser} ticket(s) for this lottery.`,
+          error: error.message,
+          ...(error.invalid && { invalid: error.invalid }),
         });
       }
 
-      // ✅ Determine tickets to buy
-      let ticketsToBuy;
-      if (chosenTickets.length > 0) {
-        const expectedPrefix = `${lottery.lotteryPrefix}-`;
-        const invalid = chosenTickets.filter(
-          (t) => !t.startsWith(expectedPrefix) || !availableTicketsSet.has(t)
-        );
+      return res.status(500).json({
+        error: "Something went wrong. Please try again later.",
+      });
+    }
+  }
+);
 
-        if (invalid.length > 0) {
-          return res.status(400).json({
-            error: "Some chosen tickets are invalid or already sold",
-            invalid,
-          });
-        }
-
-        if (chosenTickets.length !== quantity) {
-          return res.status(400).json({
-            error: "Quantity does not match chosen tickets count",
-          });
-        }
-        ticketsToBuy = chosenTickets;
-      } else {
-        if (availableTickets.length < quantity) {
-          return res
-            .status(400)
-            .json({ error: "Not enough tickets available" });
-        }
-        ticketsToBuy = availableTickets.slice(0, quantity);
-      }
+/**
+ * 🛒 GET /lottery/:id/reservations
+ * Current user's active hold on this lottery
+ */
+router.get(
+  "/lottery/:id/reservations",
+  authMiddleware([ROLES.USER]),
+  validate(lotteryIdSchema),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
 
-      // 💰 Ensure price is numeric
-      const ticketPrice = Number(lottery.ticketPrice.toString());
-      const qty = Number(quantity);
+      const reservation = await getActiveReservation(id, req.user._id);
 
-      if (isNaN(ticketPrice) || isNaN(qty)) {
-        return res
-          .status(400)
-          .json({ error: "Invalid ticket price or quantity" });
-      }
+      return res.status(200).json({
+        reservation: reservation ? formatReservation(reservation) : null,
+      });
+    } catch (error) {
+      console.error("Error fetching reservation:", error);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
 
-      const totalCost = ticketPrice * qty;
+/**
+ * 🛒 DELETE /lottery/:id/reservations/:reservationId
+ * Release a hold before it expires
+ */
+router.delete(
+  "/lottery/:id/reservations/:reservationId",
+  authMiddleware([ROLES.USER]),
+  validate(releaseReservationSchema),
+  async (req, res) => {
+    try {
+      const { reservationId } = req.params;
 
-      // Deduct Money from wallet
-      await updateWallet(
-        req.user._id,
-        -totalCost,
-        `Purchase ${qty} ticket(s) for ${lottery.title}`,
-        session
-      );
+      await releaseReservation(reservationId, req.user._id);
 
-      // 🔄 Upsert purchase record
-      if (existingPurchase) {
-        existingPurchase.ticketNumbers.push(...ticketsToBuy);
-        existingPurchase.quantity += qty;
-        existingPurchase.totalPrice =
-          (existingPurchase.totalPrice || 0) + totalCost;
-        existingPurchase.perTicketPrice = ticketPrice;
-        await existingPurchase.save({ session });
-      } else {
-        const newPurchase = new TicketPurchase({
-          lotteryId: lottery._id,
-          userId: req.user._id,
-          ticketNumbers: ticketsToBuy,
-          quantity: qty,
-          perTicketPrice: ticketPrice,
-          totalPrice: totalCost,
-        });
-        await newPurchase.save({ session });
-      }
+      return res.status(200).json({ message: "Reservation released" });
+    } catch (error) {
+      console.error("Error releasing reservation:", error);
 
-      // 📈 Update tickets sold count
-      lottery.ticketsSold += qty;
-      await lottery.save({ session });
+      if (error.code === "RESERVATION_NOT_FOUND") {
+        return res.status(404).json({ error: error.message });
+      }
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
 
-      await session.commitTransaction();
-      session.endSession();
+/**
+ * 🎯 POST /lottery/:id/purchase
+ * User purchases specific ticket numbers, auto-assigns, or checks out a
+ * reservation ({ reservationId })
+ */
+router.post(
+  "/lottery/:id/purchase",
+  authMiddleware([ROLES.USER]),
+  requireVerifiedEmail(),
+  validate(purchaseSchema),
+  idempotencyMiddleware(),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { quantity, chosenTickets, reservationId } = req.body;
 
-      return res.status(201).json({
+      const purchased = (tickets) => ({
         message: "Tickets purchased successfully",
-        tickets: ticketsToBuy,
+        tickets,
       });
-    } catch (error) {
-      await session.abortTransaction();
-      session.endSession();
 
+      const { tickets } = await purchaseTickets(id, req.user._id, {
+        quantity,
+        chosenTickets,
+        reservationId,
+        // 🔁 Stored with the purchase, so a retry can't buy twice
+        beforeCommit: (session, result) =>
+          req.idempotency?.complete(201, purchased(result.tickets), session),
+      });
+
+      return res.status(201).json(purchased(tickets));
+    } catch (error) {
       console.error("Error purchasing tickets:", error);
 
+      if (["NOT_FOUND", "RESERVATION_NOT_FOUND"].includes(error.code)) {
+        return res.status(404).json({ error: error.message });
+      }
+      if (
+        ["INVALID_QUANTITY", "NOT_ACTIVE", "USER_LIMIT"].includes(error.code)
+      ) {
+        return res.status(400).json({ error: error.message });
+      }
       if (error.code === "INSUFFICIENT_FUNDS") {
         return res.status(400).json({
           error: "You don't have enough funds to complete this purchase.",
         });
       }
+      if (["INVALID_TICKETS", "TICKETS_TAKEN"].includes(error.code)) {
+        return res.status(400).json({
+          error: error.message,
+          ...(error.invalid && { invalid: error.invalid }),
+        });
+      }
+      if (error.code === "NOT_ENOUGH_TICKETS") {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.code === "IDEMPOTENCY_CONFLICT") {
+        return res.status(409).json({ error: error.message });
+      }
       if (error.message === "User not found") {
         return res
           .status(404)
@@ -400,9 +372,9 @@ router.post(
 //   /api/lotteries/results?last30=true&page=1&limit=20
 //   /api/lotteries/results?today=true&page=1&limit=20
 
-router.get("/lotteries/results", async (req, res) => {
+router.get("/lotteries/results", validate(resultsSchema), async (req, res) => {
   try {
-    const { date, last30, today, page = 1, limit = 10 } = req.query;
+    const { date, last30, today, page, limit } = req.query;
 
     let startDate, endDate;
 
@@ -433,8 +405,8 @@ router.get("/lotteries/results", async (req, res) => {
     }
 
     // Pagination setup
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const perPage = parseInt(limit);
+    const skip = (page - 1) * limit;
+    const perPage = limit;
 
     // ✅ Query: result must be announced + within date range
     const query = {
@@ -451,7 +423,7 @@ router.get("/lotteries/results", async (req, res) => {
       results,
       pagination: {
         total,
-        page: parseInt(page),
+        page,
         limit: perPage,
         totalPages: Math.ceil(total / perPage),
       },
@@ -469,6 +441,7 @@ router.get("/lotteries/results", async (req, res) => {
 router.get(
   "/lottery/:id/result",
   authMiddleware([ROLES.ADMIN, ROLES.USER], [ROLES.ADMIN, ROLES.USER]), // both admin & user can view
+  validate(lotteryIdSchema),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -508,6 +481,7 @@ router.get(
 router.get(
   "/lottery/:id/result/details",
   authMiddleware([ROLES.ADMIN, ROLES.USER]),
+  validate(lotteryIdSchema),
   async (req, res) => {
     try {
       const { id } = req.params;
@@ -542,6 +516,82 @@ router.get(
   }
 );
 
+/**
+ * 🎯 GET /lottery/:id/result/verify
+ * Public payload to independently re-run the draw
+ * (see scripts/verifyDraw.js)
+ */
+router.get(
+  "/lottery/:id/result/verify",
+  validate(lotteryIdSchema),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const lottery = await Lottery.findById(id).lean();
+      if (!lottery) {
+        return res.status(404).json({ error: "Lottery not found" });
+      }
+
+      const result = await LotteryResult.findOne({ lotteryId: id }).lean();
+      if (!result) {
+        return res.status(404).json({ error: "Result not declared yet" });
+      }
+
+      if (result.drawMethod === DRAW_METHODS.MANUAL) {
+        return res.status(409).json({
+          error: "This lottery was drawn manually and cannot be recomputed",
+        });
+      }
+
+      if (!result.fairness) {
+        return res.status(409).json({
+          error: "This result was drawn before verifiable draws were enabled",
+        });
+      }
+
+      // 🎟 Full ticket list the shuffle ran over (sorted, no owner data)
+      const purchases = await TicketPurchase.find({
+        lotteryId: id,
+        status: { $ne: "refunded" },
+      })
+        .select("ticketNumbers")
+        .lean();
+      const tickets = sortTicketNumbers(
+        purchases.flatMap((p) => p.ticketNumbers)
+      );
+
+      return res.status(200).json({
+        lottery: {
+          _id: lottery._id,
+          title: lottery.title,
+          drawSeedHash: lottery.drawSeedHash,
+        },
+        fairness: result.fairness,
+        // Seed made up at draw time (legacy lottery): recomputable, not provable
+        verifiable: result.fairness.committedInAdvance !== false,
+        tickets,
+        winnerStructure: lottery.winnerStructure.map((w) => ({
+          fromRank: w.fromRank,
+          toRank: w.toRank,
+          prizeAmount: w.prizeAmount?.toString() ?? null,
+          sharePercent: w.sharePercent ?? null,
+        })),
+        winners: result.winners.map((w) => ({
+          rank: w.rank,
+          rankRange: w.rankRange,
+          ticketNumber: w.ticketNumber,
+          prizeAmount: w.prizeAmount.toString(),
+        })),
+        drawnAt: result.drawnAt,
+      });
+    } catch (error) {
+      console.error("Error building draw verification payload:", error);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
 /**
  * 🎯 GET /lottery/:id/result/winners?page=1&limit=20&search=LOT123
  * Fetch paginated winners with optional search by lottery number
@@ -549,13 +599,13 @@ router.get(
 router.get(
   "/lottery/:id/result/winners",
   authMiddleware([ROLES.ADMIN, ROLES.USER]),
+  validate(winnersSchema),
   async (req, res) => {
     try {
       const { id } = req.params;
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 20;
+      const { page, limit } = req.query;
       const skip = (page - 1) * limit;
-      const search = req.query.search ? req.query.search.trim() : null;
+      const search = req.query.search || null;
 
       const result = await LotteryResult.findOne({ lotteryId: id }).lean();
       if (!result) {
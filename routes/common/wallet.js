@@ -8,7 +8,21 @@ import WalletTransactionRecord from "../../models/WalletTransactionRecord.js";
 
 // Middleware & Constants
 import authMiddleware from "../../middleware/authMiddleware.js";
+import idempotencyMiddleware from "../../middleware/idempotencyMiddleware.js";
+import requireVerifiedEmail from "../../middleware/requireVerifiedEmail.js";
+import validate from "../../middleware/validate.js";
 import { ROLES } from "../../constants/roles.js";
+import { LEDGER_ACCOUNTS } from "../../constants/ledger-accounts.js";
+
+// Services & Utils
+import { updateWallet } from "../../services/walletService.js";
+import { requiredApprovalsFor } from "../../services/withdrawalApprovalService.js";
+import { toCents, formatCents, centsToDecimal128 } from "../../utils/money.js";
+import {
+  walletPageSchema,
+  addFundsSchema,
+  withdrawSchema,
+} from "../../validators/wallet.js";
 
 const router = express.Router();
 
@@ -66,12 +80,10 @@ router.get(
 router.get(
   "/wallet/all-transactions",
   authMiddleware([ROLES.USER], [ROLES.USER]),
+  validate(walletPageSchema),
   async (req, res) => {
     try {
-      // Get page and limit from query params with defaults
-      let { page = 1, limit = 10 } = req.query;
-      page = parseInt(page, 10);
-      limit = parseInt(limit, 10);
+      const { page, limit } = req.query;
 
       // Count total transactions for pagination metadata
       const total = await Transaction.countDocuments({ user: req.user.id });
@@ -112,62 +124,91 @@ router.get(
 router.post(
   "/wallet/add",
   authMiddleware([ROLES.USER], [ROLES.USER]),
+  validate(addFundsSchema),
+  idempotencyMiddleware(),
   async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
     try {
       const { amount, description, referenceNumber } = req.body; // ✅ added referenceNumber
-      const parsedAmount = parseFloat(amount);
-
-      if (!amount || isNaN(parsedAmount) || parsedAmount <= 0) {
-        return res.status(400).json({ error: "Invalid amount" });
-      }
-      if (!referenceNumber || referenceNumber.trim() === "") {
-        return res.status(400).json({ error: "Reference number is required" });
-      }
 
-      const user = await User.findById(req.user.id);
-      if (!user) return res.status(404).json({ error: "User not found" });
+      const amountCents = toCents(amount);
+
+      const autoApprove = process.env.APPROVAL_MODE === "auto";
+
+      const [record] = await WalletTransactionRecord.create(
+        [
+          {
+            user: req.user.id,
+            type: "topup",
+            amount: centsToDecimal128(amountCents),
+            description: description || "Wallet top-up",
+            referenceNumber, // ✅ store reference
+            status: autoApprove ? "approved" : "pending",
+            ...(autoApprove && {
+              reviewedBy: req.user.id,
+              reviewedAt: new Date(),
+            }),
+          },
+        ],
+        { session }
+      );
 
-      // Auto-approval mode
-      if (process.env.APPROVAL_MODE === "auto") {
-        const currentBalance = decimalToFloat(user.walletBalance);
-        user.walletBalance = mongoose.Types.Decimal128.fromString(
-          (currentBalance + parsedAmount).toFixed(2)
-        );
-        await user.save();
-
-        const record = await WalletTransactionRecord.create({
-          user: req.user.id,
-          type: "topup",
-          amount: mongoose.Types.Decimal128.fromString(parsedAmount.toFixed(2)),
-          description: description || "Wallet top-up",
-          referenceNumber, // ✅ store reference
-          status: "approved",
-          reviewedBy: req.user.id,
-          reviewedAt: new Date(),
-        });
-
-        return res.json({
-          message: "Wallet updated automatically",
-          newBalance: decimalToFloat(user.walletBalance),
+      // Manual mode: nothing is credited until an admin approves
+      if (!autoApprove) {
+        const body = {
+          message: "Top-up request created, pending admin approval",
           transactionId: record._id,
-        });
+        };
+        await req.idempotency?.complete(200, body, session);
+
+        await session.commitTransaction();
+        session.endSession();
+
+        return res.json(body);
       }
 
-      // Manual mode
-      const record = await WalletTransactionRecord.create({
-        user: req.user.id,
-        type: "topup",
-        amount: mongoose.Types.Decimal128.fromString(parsedAmount.toFixed(2)),
-        description: description || "Wallet top-up",
-        referenceNumber, // ✅ store reference
-        status: "pending",
-      });
+      // Auto-approval mode
+      const { balance, transaction } = await updateWallet(
+        req.user.id,
+        formatCents(amountCents),
+        record.description,
+        session,
+        {
+          counterAccount: LEDGER_ACCOUNTS.DEPOSITS,
+          idempotencyKey: `topup:${record._id}`,
+          reference: {
+            kind: "WalletTransactionRecord",
+            id: record._id.toString(),
+          },
+        }
+      );
+      record.ledgerTransactions.push(transaction._id);
+      await record.save({ session });
 
-      res.json({
-        message: "Top-up request created, pending admin approval",
+      // 🔁 Stored with the credit, so a retry can't post it twice
+      const body = {
+        message: "Wallet updated automatically",
+        newBalance: decimalToFloat(balance),
         transactionId: record._id,
-      });
+      };
+      await req.idempotency?.complete(200, body, session);
+
+      await session.commitTransaction();
+      session.endSession();
+
+      return res.json(body);
     } catch (err) {
+      await session.abortTransaction();
+      session.endSession();
+
+      if (err.code === "IDEMPOTENCY_CONFLICT") {
+        return res.status(409).json({ error: err.message });
+      }
+      if (err.message === "User not found") {
+        return res.status(404).json({ error: "User not found" });
+      }
       res.status(500).json({ error: err.message });
     }
   }
@@ -181,73 +222,88 @@ router.post(
 router.post(
   "/wallet/withdraw",
   authMiddleware([ROLES.USER], [ROLES.USER]),
+  requireVerifiedEmail(),
+  validate(withdrawSchema),
+  idempotencyMiddleware(),
   async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
     try {
       const { amount, description } = req.body;
-      const parsedAmount = parseFloat(amount);
 
-      if (!amount || isNaN(parsedAmount) || parsedAmount <= 0) {
-        return res.status(400).json({ error: "Invalid amount" });
-      }
-
-      const user = await User.findById(req.user.id);
-      if (!user) return res.status(404).json({ error: "User not found" });
-
-      const balance = decimalToFloat(user.walletBalance);
+      const amountCents = toCents(amount);
+
+      // Large withdrawals always wait for two admins, even in auto mode
+      const requiredApprovals = requiredApprovalsFor(formatCents(amountCents));
+      const autoApprove =
+        process.env.APPROVAL_MODE === "auto" && requiredApprovals === 1;
+
+      const [record] = await WalletTransactionRecord.create(
+        [
+          {
+            user: req.user.id,
+            type: "withdraw",
+            amount: centsToDecimal128(amountCents),
+            description: description || "Wallet withdrawal",
+            status: autoApprove ? "approved" : "pending",
+            requiredApprovals,
+            ...(autoApprove && {
+              reviewedBy: req.user.id,
+              reviewedAt: new Date(),
+            }),
+          },
+        ],
+        { session }
+      );
 
-      // Auto-approval mode
-      if (process.env.APPROVAL_MODE === "auto") {
-        if (balance < parsedAmount) {
-          return res.status(400).json({ error: "Insufficient balance" });
+      // Auto mode pays out directly; manual mode reserves the funds
+      const { balance, transaction } = await updateWallet(
+        req.user.id,
+        formatCents(-amountCents),
+        record.description,
+        session,
+        {
+          counterAccount: autoApprove
+            ? LEDGER_ACCOUNTS.WITHDRAWALS
+            : LEDGER_ACCOUNTS.WITHDRAWAL_HOLDS,
+          idempotencyKey: `withdraw:${record._id}`,
+          reference: {
+            kind: "WalletTransactionRecord",
+            id: record._id.toString(),
+          },
         }
-
-        user.walletBalance = mongoose.Types.Decimal128.fromString(
-          (balance - parsedAmount).toFixed(2)
-        );
-        await user.save();
-
-        const record = await WalletTransactionRecord.create({
-          user: req.user.id,
-          type: "withdraw",
-          amount: mongoose.Types.Decimal128.fromString(parsedAmount.toFixed(2)),
-          description: description || "Wallet withdrawal",
-          status: "approved",
-          reviewedBy: req.user.id,
-          reviewedAt: new Date(),
-        });
-
-        return res.json({
-          message: "Withdrawal processed automatically",
-          newBalance: decimalToFloat(user.walletBalance),
-          transactionId: record._id,
-        });
-      }
-
-      // Manual-approval mode
-      if (balance < parsedAmount) {
-        return res.status(400).json({ error: "Insufficient balance" });
-      }
-
-      user.walletBalance = mongoose.Types.Decimal128.fromString(
-        (balance - parsedAmount).toFixed(2)
       );
-      await user.save();
+      record.ledgerTransactions.push(transaction._id);
+      await record.save({ session });
+
+      // 🔁 Stored with the debit, so a retry can't post it twice
+      const body = {
+        message: autoApprove
+          ? "Withdrawal processed automatically"
+          : "Withdrawal request created, amount reserved, pending admin approval",
+        newBalance: decimalToFloat(balance),
+        transactionId: record._id,
+      };
+      await req.idempotency?.complete(200, body, session);
 
-      const record = await WalletTransactionRecord.create({
-        user: req.user.id,
-        type: "withdraw",
-        amount: mongoose.Types.Decimal128.fromString(parsedAmount.toFixed(2)),
-        description: description || "Wallet withdrawal",
-        status: "pending",
-      });
+      await session.commitTransaction();
+      session.endSession();
 
-      return res.json({
-        message:
-          "Withdrawal request created, amount reserved, pending admin approval",
-        newBalance: decimalToFloat(user.walletBalance),
-        transactionId: record._id,
-      });
+      return res.json(body);
     } catch (err) {
+      await session.abortTransaction();
+      session.endSession();
+
+      if (err.code === "INSUFFICIENT_FUNDS") {
+        return res.status(400).json({ error: "Insufficient balance" });
+      }
+      if (err.code === "IDEMPOTENCY_CONFLICT") {
+        return res.status(409).json({ error: err.message });
+      }
+      if (err.message === "User not found") {
+        return res.status(404).json({ error: "User not found" });
+      }
       res.status(500).json({ error: err.message });
     }
   }
@@ -261,12 +317,10 @@ router.post(
 router.get(
   "/wallet/transaction-records",
   authMiddleware([ROLES.USER], [ROLES.USER]),
+  validate(walletPageSchema),
   async (req, res) => {
     try {
-      // Get page and limit from query, fallback to defaults
-      let { page = 1, limit = 10 } = req.query;
-      page = parseInt(page, 10);
-      limit = parseInt(limit, 10);
+      const { page, limit } = req.query;
 
       // Count total records for pagination metadata
       const total = await WalletTransactionRecord.countDocuments({
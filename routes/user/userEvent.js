@@ -0,0 +1,31 @@
+import express from "express";
+import { ROLES } from "../../constants/roles.js";
+import authMiddleware from "../../middleware/authMiddleware.js";
+import validate from "../../middleware/validate.js";
+import { listUserEventsSince } from "../../services/userEventService.js";
+import { userEventsSchema } from "../../validators/events.js";
+
+const router = express.Router();
+
+/**
+ * 🎯 GET /events?since=42&limit=100
+ * Private events missed while disconnected (same shape as the socket's
+ * "user:event"). Pass the last seq seen; keep the returned cursor for next time.
+ */
+router.get(
+  "/events",
+  authMiddleware([ROLES.USER]),
+  validate(userEventsSchema),
+  async (req, res) => {
+    try {
+      const { since, limit } = req.query;
+      const result = await listUserEventsSince(req.user._id, since, limit);
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Error fetching user events:", error);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+export default router;
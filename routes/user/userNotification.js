@@ -0,0 +1,84 @@
+import express from "express";
+import { ROLES } from "../../constants/roles.js";
+import authMiddleware from "../../middleware/authMiddleware.js";
+import validate from "../../middleware/validate.js";
+import {
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from "../../services/notificationService.js";
+import {
+  listNotificationsSchema,
+  notificationIdSchema,
+} from "../../validators/notifications.js";
+
+const router = express.Router();
+
+/**
+ * 🎯 GET /notifications?page=1&limit=20&unread=true
+ * The user's inbox, newest first, with the unread count
+ */
+router.get(
+  "/notifications",
+  authMiddleware([ROLES.USER]),
+  validate(listNotificationsSchema),
+  async (req, res) => {
+    try {
+      const { page, limit, unread } = req.query;
+      const result = await listNotifications(req.user._id, {
+        page,
+        limit,
+        unread,
+      });
+      return res.status(200).json(result);
+    } catch (error) {
+      console.error("Error fetching notifications:", error);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * 🎯 PATCH /notifications/:id/read
+ * Mark one notification read
+ */
+router.patch(
+  "/notifications/:id/read",
+  authMiddleware([ROLES.USER]),
+  validate(notificationIdSchema),
+  async (req, res) => {
+    try {
+      const notification = await markNotificationRead(
+        req.user._id,
+        req.params.id
+      );
+      return res.status(200).json({ notification });
+    } catch (error) {
+      if (error.code === "NOT_FOUND") {
+        return res.status(404).json({ error: error.message });
+      }
+      console.error("Error marking notification read:", error);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+/**
+ * 🎯 POST /notifications/read-all
+ * Mark every notification read
+ */
+router.post(
+  "/notifications/read-all",
+  authMiddleware([ROLES.USER]),
+  async (req, res) => {
+    try {
+      const updated = await markAllNotificationsRead(req.user._id);
+      return res.status(200).json({ updated });
+    } catch (error) {
+      console.error("Error marking notifications read:", error);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+export default router;
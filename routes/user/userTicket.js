@@ -3,18 +3,24 @@ import TicketPurchase from "../../models/TicketPurchase.js";
 import authMiddleware from "../../middleware/authMiddleware.js";
 import { ROLES } from "../../constants/roles.js";
 import mongoose from "mongoose";
+import validate from "../../middleware/validate.js";
+import {
+  purchasedTicketsSchema,
+  purchasedTicketSchema,
+  purchasedTicketNumbersSchema,
+} from "../../validators/lottery.js";
 
 const router = express.Router();
 
 router.get(
   "/active-purchased-lotteries",
   authMiddleware([ROLES.USER], [ROLES.USER]),
+  validate(purchasedTicketsSchema),
   async (req, res) => {
     try {
       const userId = req.user._id;
 
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
+      const { page, limit } = req.query;
       const skip = (page - 1) * limit;
 
       // First, get ALL user tickets with populated lottery
@@ -23,7 +29,7 @@ router.get(
           path: "lotteryId",
           match: { "flags.isActive": true },
           select:
-            "title category drawDatetime winnerStructure numWinners estimatedPrize flags",
+            "title category drawDatetime ticketPrice ticketsSold winnerStructure prizeFunding prizePoolPercent numWinners estimatedPrize flags",
         })
         .sort({ purchasedAt: -1 });
 
@@ -43,6 +49,8 @@ router.get(
         perTicketPrice: t.perTicketPrice,
         totalPrice: t.totalPrice,
         purchasedAt: t.purchasedAt,
+        status: t.status,
+        refundedAt: t.refundedAt,
         lotteryDetails: {
           lotteryId: t.lotteryId._id,
           title: t.lotteryId.title,
@@ -72,12 +80,12 @@ router.get(
 router.get(
   "/inactive-purchased-lotteries",
   authMiddleware([ROLES.USER], [ROLES.USER]),
+  validate(purchasedTicketsSchema),
   async (req, res) => {
     try {
       const userId = req.user._id;
 
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
+      const { page, limit } = req.query;
       const skip = (page - 1) * limit;
 
       // Fetch all tickets, don't paginate yet
@@ -86,7 +94,7 @@ router.get(
           path: "lotteryId",
           match: { "flags.isActive": false },
           select:
-            "title category drawDatetime winnerStructure numWinners estimatedPrize flags",
+            "title category drawDatetime ticketPrice ticketsSold winnerStructure prizeFunding prizePoolPercent numWinners estimatedPrize flags",
         })
         .sort({ purchasedAt: -1 });
 
@@ -106,6 +114,8 @@ router.get(
         perTicketPrice: t.perTicketPrice,
         totalPrice: t.totalPrice,
         purchasedAt: t.purchasedAt,
+        status: t.status,
+        refundedAt: t.refundedAt,
         lotteryDetails: {
           lotteryId: t.lotteryId._id,
           title: t.lotteryId.title,
@@ -135,6 +145,7 @@ router.get(
 router.get(
   "/purchased-lotteries/:ticketId/details",
   authMiddleware([ROLES.USER], [ROLES.USER]),
+  validate(purchasedTicketSchema),
   async (req, res) => {
     try {
       const { ticketId } = req.params;
@@ -165,6 +176,8 @@ router.get(
         perTicketPrice: ticket.perTicketPrice,
         totalPrice: ticket.totalPrice,
         purchasedAt: ticket.purchasedAt,
+        status: ticket.status,
+        refundedAt: ticket.refundedAt,
         lotteryDetails: ticket.lotteryId
           ? {
               lotteryId: ticket.lotteryId?._id,
@@ -189,6 +202,7 @@ router.get(
 router.get(
   "/purchased-lotteries/:ticketId/ticket-numbers",
   authMiddleware([ROLES.USER], [ROLES.USER]),
+  validate(purchasedTicketNumbersSchema),
   async (req, res) => {
     try {
       const { ticketId } = req.params;
@@ -198,8 +212,7 @@ router.get(
         return res.status(400).json({ error: "Invalid user ID" });
       }
 
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 20; // default 20 tickets per page
+      const { page, limit } = req.query;
       const skip = (page - 1) * limit;
 
       // Find the ticket purchase (ownership check included)
@@ -0,0 +1,106 @@
+// server/scripts/backfillTicketInventory.js
+//
+// One-off: build the ticket inventory (Ticket + TicketBlock) from existing
+// TicketPurchase.ticketNumbers. Safe to re-run; existing tickets are kept.
+//
+// Usage: node scripts/backfillTicketInventory.js
+import "dotenv/config";
+import mongoose from "mongoose";
+import Lottery from "../models/Lottery.js";
+import TicketPurchase from "../models/TicketPurchase.js";
+import Ticket from "../models/Ticket.js";
+import TicketBlock from "../models/TicketBlock.js";
+import { TICKET_STATUS } from "../constants/ticket-statuses.js";
+import {
+  TICKET_BLOCK_SIZE,
+  parseTicketNumber,
+} from "../services/ticketInventoryService.js";
+
+(async () => {
+  try {
+    const MONGO_URI = process.env.MONGO_URI;
+    if (!MONGO_URI) {
+      throw new Error("❌ MONGO_URI not found in .env file");
+    }
+
+    await mongoose.connect(MONGO_URI);
+    await Ticket.syncIndexes();
+    await TicketBlock.syncIndexes();
+
+    const lotteries = await Lottery.find()
+      .select("lotteryPrefix maxTickets title")
+      .lean();
+
+    for (const lottery of lotteries) {
+      const purchases = await TicketPurchase.find({ lotteryId: lottery._id })
+        .select("userId ticketNumbers status")
+        .lean();
+
+      const docs = [];
+      const skipped = [];
+      for (const purchase of purchases) {
+        for (const ticketNumber of purchase.ticketNumbers) {
+          const number = parseTicketNumber(lottery, ticketNumber);
+          if (number === null) {
+            skipped.push(ticketNumber);
+            continue;
+          }
+          docs.push({
+            lotteryId: lottery._id,
+            number,
+            ticketNumber,
+            status:
+              purchase.status === "refunded"
+                ? TICKET_STATUS.REFUNDED
+                : TICKET_STATUS.SOLD,
+            userId: purchase.userId,
+            purchaseId: purchase._id,
+          });
+        }
+      }
+
+      if (docs.length > 0) {
+        try {
+          await Ticket.insertMany(docs, { ordered: false });
+        } catch (err) {
+          if (err.code !== 11000) throw err; // already backfilled
+        }
+      }
+
+      // Rebuild block counters from the tickets collection
+      const blocks = await Ticket.aggregate([
+        { $match: { lotteryId: lottery._id } },
+        {
+          $group: {
+            _id: {
+              $floor: {
+                $divide: [{ $subtract: ["$number", 1] }, TICKET_BLOCK_SIZE],
+              },
+            },
+            taken: { $sum: 1 },
+          },
+        },
+      ]);
+      await TicketBlock.deleteMany({ lotteryId: lottery._id });
+      if (blocks.length > 0) {
+        await TicketBlock.insertMany(
+          blocks.map((b) => ({
+            lotteryId: lottery._id,
+            block: b._id,
+            taken: b.taken,
+          }))
+        );
+      }
+
+      console.log(
+        `✅ ${lottery.title} (${lottery._id}): ${docs.length} ticket(s)` +
+          (skipped.length ? `, ⚠️ ${skipped.length} unparseable skipped` : "")
+      );
+    }
+
+    process.exit(0);
+  } catch (err) {
+    console.error("❌ Error backfilling ticket inventory:", err);
+    process.exit(1);
+  }
+})();
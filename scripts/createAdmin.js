@@ -3,6 +3,8 @@ import "dotenv/config";
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import User from "../models/User.js"; // must also be an ESM export
+import { ROLES } from "../constants/roles.js";
+import { ADMIN_ROLES } from "../constants/permissions.js";
 
 // Change as needed
 const ADMIN_EMAIL = "admin@example.com";
@@ -25,7 +27,20 @@ const ADMIN_NAME = "Admin";
     const existing = await User.findOne({ email: ADMIN_EMAIL });
 
     if (existing) {
-      console.log("Admin already exists.");
+      // Make sure the existing admin can still manage everything
+      if (
+        existing.role === ROLES.ADMIN &&
+        !existing.adminRoles?.includes(ADMIN_ROLES.SUPER_ADMIN)
+      ) {
+        existing.adminRoles = [
+          ...(existing.adminRoles || []),
+          ADMIN_ROLES.SUPER_ADMIN,
+        ];
+        await existing.save();
+        console.log("✅ Existing admin promoted to super-admin.");
+      } else {
+        console.log("Admin already exists.");
+      }
     } else {
       const passwordHash = await bcrypt.hash(ADMIN_PASSWORD, 10);
 
@@ -33,10 +48,11 @@ const ADMIN_NAME = "Admin";
         name: ADMIN_NAME,
         email: ADMIN_EMAIL,
         passwordHash,
-        role: "admin",
+        role: ROLES.ADMIN,
+        adminRoles: [ADMIN_ROLES.SUPER_ADMIN],
       });
 
-      console.log("✅ Admin user created successfully!");
+      console.log("✅ Super-admin user created successfully!");
     }
 
     process.exit(0);
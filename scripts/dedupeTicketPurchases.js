@@ -0,0 +1,141 @@
+// server/scripts/dedupeTicketPurchases.js
+//
+// One-off: merge duplicate TicketPurchase documents (same lottery + user),
+// left over from before purchases were kept as one document per user, then
+// build the unique { lotteryId, userId } index. Run it before deploying the
+// concurrency-safe purchase flow; the index can't be built while duplicates
+// exist. Safe to re-run.
+//
+// The oldest purchase is kept and absorbs the others' tickets, quantity and
+// total; tickets and reservations are pointed at it. Groups that mix refunded
+// and active purchases are reported and left alone.
+//
+// Usage: node scripts/dedupeTicketPurchases.js [--dry-run]
+import "dotenv/config";
+import mongoose from "mongoose";
+import TicketPurchase from "../models/TicketPurchase.js";
+import Ticket from "../models/Ticket.js";
+import TicketReservation from "../models/TicketReservation.js";
+import { toCents, formatCents } from "../utils/money.js";
+
+const dryRun = process.argv.includes("--dry-run");
+
+async function mergeGroup(ids) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const purchases = await TicketPurchase.find({ _id: { $in: ids } })
+      .sort({ purchasedAt: 1, _id: 1 })
+      .session(session);
+
+    if (new Set(purchases.map((p) => p.status)).size > 1) {
+      await session.abortTransaction();
+      return { merged: false, reason: "mixed refunded and active purchases" };
+    }
+
+    const [keeper, ...duplicates] = purchases;
+    const duplicateIds = duplicates.map((p) => p._id);
+
+    keeper.ticketNumbers = purchases.flatMap((p) => p.ticketNumbers);
+    keeper.quantity = purchases.reduce((sum, p) => sum + p.quantity, 0);
+    keeper.totalPrice = Number(
+      formatCents(
+        purchases.reduce(
+          (sum, p) => sum + toCents((p.totalPrice || 0).toFixed(2)),
+          0n
+        )
+      )
+    );
+    keeper.refundTransaction ??= duplicates.find(
+      (p) => p.refundTransaction
+    )?.refundTransaction;
+
+    if (!dryRun) {
+      await keeper.save({ session });
+      await Ticket.updateMany(
+        { purchaseId: { $in: duplicateIds } },
+        { $set: { purchaseId: keeper._id } },
+        { session }
+      );
+      await TicketReservation.updateMany(
+        { purchaseId: { $in: duplicateIds } },
+        { $set: { purchaseId: keeper._id } },
+        { session }
+      );
+      await TicketPurchase.deleteMany(
+        { _id: { $in: duplicateIds } },
+        { session }
+      );
+      await session.commitTransaction();
+    } else {
+      await session.abortTransaction();
+    }
+
+    return { merged: true, keeper, removed: duplicateIds.length };
+  } catch (err) {
+    if (session.inTransaction()) await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+}
+
+(async () => {
+  try {
+    const MONGO_URI = process.env.MONGO_URI;
+    if (!MONGO_URI) {
+      throw new Error("❌ MONGO_URI not found in .env file");
+    }
+
+    await mongoose.connect(MONGO_URI);
+
+    const groups = await TicketPurchase.aggregate([
+      {
+        $group: {
+          _id: { lotteryId: "$lotteryId", userId: "$userId" },
+          ids: { $push: "$_id" },
+          count: { $sum: 1 },
+        },
+      },
+      { $match: { count: { $gt: 1 } } },
+    ]);
+
+    let skipped = 0;
+    for (const group of groups) {
+      const { lotteryId, userId } = group._id;
+      const result = await mergeGroup(group.ids);
+
+      if (!result.merged) {
+        skipped++;
+        console.warn(
+          `⚠️ Skipped lottery ${lotteryId}, user ${userId}: ${result.reason}`
+        );
+        continue;
+      }
+      console.log(
+        `${dryRun ? "🔍 Would merge" : "✅ Merged"} ${result.removed + 1} ` +
+          `purchases of user ${userId} in lottery ${lotteryId} into ` +
+          `${result.keeper._id} (${result.keeper.quantity} ticket(s))`
+      );
+    }
+
+    console.log(
+      `${groups.length - skipped} group(s) ${dryRun ? "to merge" : "merged"}` +
+        (skipped ? `, ${skipped} need a manual fix` : "")
+    );
+
+    if (skipped > 0) {
+      throw new Error("Duplicates remain; unique index not built");
+    }
+    if (!dryRun) {
+      await TicketPurchase.syncIndexes();
+      console.log("✅ Unique { lotteryId, userId } index is in place");
+    }
+
+    process.exit(0);
+  } catch (err) {
+    console.error("❌ Error deduplicating ticket purchases:", err);
+    process.exit(1);
+  }
+})();
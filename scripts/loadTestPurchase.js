@@ -0,0 +1,222 @@
+// server/scripts/loadTestPurchase.js
+//
+// Concurrency check for ticket purchase. Fires many parallel purchases at a
+// throwaway lottery and verifies nothing was oversold:
+//   - ticketsSold <= maxTickets and equals the number of Ticket documents
+//   - no ticket number sold twice
+//   - no user above maxTicketsPerUser
+//   - every wallet was charged exactly for the tickets it holds
+//
+// Needs a replica set (transactions), e.g.:
+//   mongod --replSet rs0 --dbpath /tmp/lottme-rs && mongosh --eval "rs.initiate()"
+//   MONGO_URI="mongodb://127.0.0.1:27017/lottme-loadtest?replicaSet=rs0" \
+//     node scripts/loadTestPurchase.js --users 50 --requests 400
+//
+// Options: --users, --requests, --max-tickets, --per-user, --keep (skip cleanup)
+import "dotenv/config";
+import mongoose from "mongoose";
+import Lottery from "../models/Lottery.js";
+import TicketPurchase from "../models/TicketPurchase.js";
+import Ticket from "../models/Ticket.js";
+import TicketBlock from "../models/TicketBlock.js";
+import Transaction from "../models/Transaction.js";
+import User from "../models/User.js";
+import { ROLES } from "../constants/roles.js";
+import { LOTTERY_TYPES } from "../constants/lottery-types.js";
+import { DRAW_METHODS } from "../constants/draw-methods.js";
+import { LEDGER_ACCOUNTS } from "../constants/ledger-accounts.js";
+import { updateWallet } from "../services/walletService.js";
+import { purchaseTickets } from "../services/ticketPurchaseService.js";
+import { formatTicketNumber } from "../services/ticketInventoryService.js";
+import { toCents, formatCents } from "../utils/money.js";
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  if (index === -1) return fallback;
+  return Number(process.argv[index + 1]);
+}
+
+const USERS = option("users", 50);
+const REQUESTS = option("requests", 400);
+const MAX_TICKETS = option("max-tickets", 100);
+const PER_USER = option("per-user", 5);
+const KEEP = process.argv.includes("--keep");
+
+const TICKET_PRICE = "10.00";
+const STARTING_BALANCE = "1000.00";
+
+const randomInt = (min, max) =>
+  min + Math.floor(Math.random() * (max - min + 1));
+
+async function setup(runId) {
+  const now = Date.now();
+  const lottery = await Lottery.create({
+    title: `Load test ${runId}`,
+    ticketPrice: TICKET_PRICE,
+    maxTickets: MAX_TICKETS,
+    maxTicketsPerUser: PER_USER,
+    winnerStructure: [{ fromRank: 1, toRank: 1, prizeAmount: "1.00" }],
+    startDatetime: new Date(now - 60 * 1000),
+    endDatetime: new Date(now + 60 * 60 * 1000),
+    drawDatetime: new Date(now + 2 * 60 * 60 * 1000),
+    category: LOTTERY_TYPES.HOURLY.name,
+    drawMethod: DRAW_METHODS.SYSTEM,
+    lotteryPrefix: `LT-${runId}`,
+  });
+
+  const users = await User.insertMany(
+    Array.from({ length: USERS }, (_, i) => ({
+      name: `Load test ${i}`,
+      email: `loadtest-${runId}-${i}@example.com`,
+      passwordHash: "x",
+      role: ROLES.USER,
+    }))
+  );
+  for (const user of users) {
+    await updateWallet(user._id, STARTING_BALANCE, "Load test funds", null, {
+      counterAccount: LEDGER_ACCOUNTS.ADJUSTMENTS,
+    });
+  }
+
+  return { lottery, users };
+}
+
+// Mix of auto-assigned and hand-picked (deliberately colliding) numbers
+function randomRequest(lottery, users) {
+  const user = users[randomInt(0, users.length - 1)];
+  const quantity = randomInt(1, Math.min(3, PER_USER));
+
+  let chosenTickets = [];
+  if (Math.random() < 0.5) {
+    const numbers = new Set();
+    while (numbers.size < quantity) numbers.add(randomInt(1, MAX_TICKETS));
+    chosenTickets = [...numbers].map((n) =>
+      formatTicketNumber(lottery.lotteryPrefix, n)
+    );
+  }
+
+  return purchaseTickets(lottery._id, user._id, { quantity, chosenTickets });
+}
+
+async function verify(lottery, users) {
+  const failures = [];
+
+  const fresh = await Lottery.findById(lottery._id).lean();
+  const tickets = await Ticket.find({ lotteryId: lottery._id }).lean();
+  const purchases = await TicketPurchase.find({
+    lotteryId: lottery._id,
+  }).lean();
+
+  if (fresh.ticketsSold > fresh.maxTickets) {
+    failures.push(`oversold: ${fresh.ticketsSold} > ${fresh.maxTickets}`);
+  }
+  if (fresh.ticketsSold !== tickets.length) {
+    failures.push(
+      `ticketsSold ${fresh.ticketsSold} != ${tickets.length} ticket documents`
+    );
+  }
+
+  const soldNumbers = purchases.flatMap((p) => p.ticketNumbers);
+  if (new Set(soldNumbers).size !== soldNumbers.length) {
+    failures.push("a ticket number was sold more than once");
+  }
+  if (soldNumbers.length !== tickets.length) {
+    failures.push(
+      `${soldNumbers.length} numbers on purchases != ${tickets.length} ticket documents`
+    );
+  }
+
+  const priceCents = toCents(TICKET_PRICE);
+  for (const user of users) {
+    const purchase = purchases.find((p) => p.userId.equals(user._id));
+    const quantity = purchase ? purchase.quantity : 0;
+
+    if (quantity > PER_USER) {
+      failures.push(`${user.email} holds ${quantity} > ${PER_USER} tickets`);
+    }
+    if (purchase && purchase.ticketNumbers.length !== quantity) {
+      failures.push(`${user.email} quantity does not match ticket numbers`);
+    }
+
+    const { walletBalance } = await User.findById(user._id).lean();
+    const expected = toCents(STARTING_BALANCE) - priceCents * BigInt(quantity);
+    if (toCents(walletBalance) !== expected) {
+      failures.push(
+        `${user.email} balance ${walletBalance} != ${formatCents(expected)}`
+      );
+    }
+  }
+
+  return { fresh, failures };
+}
+
+async function cleanup(lottery, users) {
+  const userIds = users.map((u) => u._id);
+  await Promise.all([
+    Ticket.deleteMany({ lotteryId: lottery._id }),
+    TicketBlock.deleteMany({ lotteryId: lottery._id }),
+    TicketPurchase.deleteMany({ lotteryId: lottery._id }),
+    Transaction.deleteMany({ user: { $in: userIds } }),
+    User.deleteMany({ _id: { $in: userIds } }),
+    Lottery.deleteOne({ _id: lottery._id }),
+  ]);
+}
+
+(async () => {
+  let lottery;
+  let users = [];
+
+  try {
+    const MONGO_URI = process.env.MONGO_URI;
+    if (!MONGO_URI) {
+      throw new Error("❌ MONGO_URI not found in .env file");
+    }
+
+    await mongoose.connect(MONGO_URI);
+    await Promise.all([
+      Ticket.syncIndexes(),
+      TicketBlock.syncIndexes(),
+      TicketPurchase.syncIndexes(),
+      Transaction.syncIndexes(),
+    ]);
+
+    const runId = Date.now().toString(36).toUpperCase();
+    ({ lottery, users } = await setup(runId));
+    console.log(
+      `🎟 ${REQUESTS} purchases from ${USERS} users for ${MAX_TICKETS} tickets (max ${PER_USER}/user)`
+    );
+
+    const started = Date.now();
+    const results = await Promise.allSettled(
+      Array.from({ length: REQUESTS }, () => randomRequest(lottery, users))
+    );
+
+    const outcomes = {};
+    for (const r of results) {
+      const key =
+        r.status === "fulfilled" ? "OK" : r.reason.code || r.reason.message;
+      outcomes[key] = (outcomes[key] || 0) + 1;
+    }
+    console.table(outcomes);
+
+    const { fresh, failures } = await verify(lottery, users);
+    console.log(
+      `⏱ ${Date.now() - started}ms, ${fresh.ticketsSold}/${
+        fresh.maxTickets
+      } sold`
+    );
+
+    if (failures.length > 0) {
+      failures.forEach((f) => console.error(`❌ ${f}`));
+      process.exitCode = 1;
+    } else {
+      console.log("✅ No oversell, no duplicate numbers, limits respected");
+    }
+  } catch (err) {
+    console.error("❌ Load test failed:", err);
+    process.exitCode = 2;
+  } finally {
+    if (lottery && !KEEP) await cleanup(lottery, users);
+    await mongoose.disconnect();
+  }
+})();
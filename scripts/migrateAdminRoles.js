@@ -0,0 +1,79 @@
+// server/scripts/migrateAdminRoles.js
+//
+// One-off: give admins created before role-based permissions an admin role.
+// Admins with no roles have no permissions, so without this every existing
+// admin is locked out after the deploy. They get super-admin by default (what
+// they could do before); pass another built-in role to use that instead.
+// Admins that already have roles are left alone. Safe to re-run.
+//
+// Usage: node scripts/migrateAdminRoles.js [--role=finance] [--dry-run]
+import "dotenv/config";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import { ROLES } from "../constants/roles.js";
+import {
+  ADMIN_ROLES,
+  BUILT_IN_ROLE_PERMISSIONS,
+} from "../constants/permissions.js";
+
+const dryRun = process.argv.includes("--dry-run");
+const role =
+  process.argv.find((arg) => arg.startsWith("--role="))?.split("=")[1] ||
+  ADMIN_ROLES.SUPER_ADMIN;
+
+(async () => {
+  try {
+    if (!BUILT_IN_ROLE_PERMISSIONS[role]) {
+      throw new Error(
+        `Unknown role "${role}" (one of: ${Object.values(ADMIN_ROLES).join(
+          ", "
+        )})`
+      );
+    }
+
+    const MONGO_URI = process.env.MONGO_URI;
+    if (!MONGO_URI) {
+      throw new Error("❌ MONGO_URI not found in .env file");
+    }
+
+    await mongoose.connect(MONGO_URI);
+
+    const withoutRoles = {
+      role: ROLES.ADMIN,
+      $or: [{ adminRoles: { $exists: false } }, { adminRoles: { $size: 0 } }],
+    };
+
+    const admins = await User.find(withoutRoles).select("email").lean();
+    admins.forEach((admin) =>
+      console.log(
+        `${dryRun ? "🔍 Would give" : "🔑 Giving"} ${admin.email} ${role}`
+      )
+    );
+
+    if (!dryRun && admins.length > 0) {
+      const { modifiedCount } = await User.updateMany(withoutRoles, {
+        $set: { adminRoles: [role] },
+      });
+      console.log(`✅ ${modifiedCount} admin(s) migrated`);
+    } else {
+      console.log(`${admins.length} admin(s) without roles`);
+    }
+
+    // Role management itself needs a super-admin
+    const superAdmins = await User.countDocuments({
+      role: ROLES.ADMIN,
+      adminRoles: ADMIN_ROLES.SUPER_ADMIN,
+      isDeleted: { $ne: true },
+    });
+    if (superAdmins === 0) {
+      console.warn(
+        "⚠️ No super-admin exists; run scripts/createAdmin.js to create one"
+      );
+    }
+
+    process.exit(0);
+  } catch (err) {
+    console.error("❌ Error migrating admin roles:", err);
+    process.exit(1);
+  }
+})();
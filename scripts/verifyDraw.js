@@ -0,0 +1,137 @@
+// server/scripts/verifyDraw.js
+//
+// Independently re-run a lottery draw and compare it with the stored winners.
+//
+// Usage:
+//   node scripts/verifyDraw.js <payload.json>
+//   node scripts/verifyDraw.js https://api.example.com/api/lottery/<id>/result/verify
+//   curl .../result/verify | node scripts/verifyDraw.js
+//
+// Needs no database or .env — only the public payload.
+import fs from "fs";
+import {
+  DRAW_ALGORITHM_VERSION,
+  hashServerSeed,
+  digestTickets,
+  sortTicketNumbers,
+  shuffleTickets,
+  assignWinners,
+} from "../utils/provablyFair.js";
+
+async function loadPayload(source) {
+  if (source && /^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`❌ Failed to fetch payload: HTTP ${response.status}`);
+    }
+    return response.json();
+  }
+
+  const raw = source
+    ? fs.readFileSync(source, "utf8")
+    : fs.readFileSync(0, "utf8"); // stdin
+  return JSON.parse(raw);
+}
+
+function verify(payload) {
+  const { fairness, tickets, winnerStructure, winners } = payload;
+  const problems = [];
+
+  if (fairness.algorithm !== DRAW_ALGORITHM_VERSION) {
+    problems.push(
+      `Unsupported algorithm "${fairness.algorithm}" (this script implements ${DRAW_ALGORITHM_VERSION})`
+    );
+    return { problems, diff: [] };
+  }
+
+  // 0️⃣ A seed generated at draw time was never published, so matching it
+  // proves nothing about fairness
+  if (fairness.committedInAdvance === false) {
+    problems.push(
+      "Unverifiable: the seed was generated at draw time and its commitment was never published in advance"
+    );
+  }
+
+  // 1️⃣ Seed matches the commitment published at creation
+  const commitment = hashServerSeed(fairness.serverSeed);
+  if (commitment !== fairness.seedCommitment) {
+    problems.push(
+      `Seed commitment mismatch: sha256(seed)=${commitment}, published=${fairness.seedCommitment}`
+    );
+  }
+  if (
+    payload.lottery?.drawSeedHash &&
+    payload.lottery.drawSeedHash !== fairness.seedCommitment
+  ) {
+    problems.push("Result commitment differs from the lottery's drawSeedHash");
+  }
+
+  // 2️⃣ Ticket list matches what the draw ran over
+  const sorted = sortTicketNumbers(tickets);
+  const digest = digestTickets(sorted);
+  if (digest !== fairness.ticketsDigest) {
+    problems.push(
+      `Ticket digest mismatch: computed=${digest}, stored=${fairness.ticketsDigest}`
+    );
+  }
+  if (sorted.length !== fairness.ticketCount) {
+    problems.push(
+      `Ticket count mismatch: payload has ${sorted.length}, draw used ${fairness.ticketCount}`
+    );
+  }
+
+  // 3️⃣ Recompute winners and diff rank by rank
+  const { shuffled } = shuffleTickets(sorted, fairness.serverSeed);
+  const expected = assignWinners(shuffled, winnerStructure);
+
+  const diff = [];
+  const total = Math.max(expected.length, winners.length);
+  for (let i = 0; i < total; i++) {
+    const exp = expected[i];
+    const got = winners[i];
+    if (
+      !exp ||
+      !got ||
+      exp.ticketNumber !== got.ticketNumber ||
+      exp.rankRange !== got.rankRange
+    ) {
+      diff.push({
+        rank: exp?.rank ?? got?.rank ?? i + 1,
+        expected: exp ? `${exp.ticketNumber} (${exp.rankRange})` : "—",
+        stored: got ? `${got.ticketNumber} (${got.rankRange})` : "—",
+      });
+    }
+  }
+
+  return { problems, diff, expected };
+}
+
+(async () => {
+  try {
+    const payload = await loadPayload(process.argv[2]);
+    const { problems, diff, expected } = verify(payload);
+
+    console.log(
+      `🎲 Lottery: ${payload.lottery?.title} (${payload.lottery?._id})`
+    );
+    console.log(`🔐 Commitment: ${payload.fairness?.seedCommitment}`);
+    console.log(`🎟 Tickets: ${payload.tickets?.length}`);
+
+    problems.forEach((p) => console.log(`❌ ${p}`));
+
+    if (diff.length > 0) {
+      console.log("❌ Winners differ from the recomputed draw:");
+      console.table(diff);
+    }
+
+    if (problems.length > 0 || diff.length > 0) {
+      process.exit(1);
+    }
+
+    console.log(`✅ Draw verified: ${expected.length} winner(s) match.`);
+    process.exit(0);
+  } catch (err) {
+    console.error("❌ Verification failed:", err.message);
+    process.exit(2);
+  }
+})();
@@ -0,0 +1,59 @@
+import { sendMail } from "./mailService.js";
+
+/**
+ * Emails about the user's account. Links point at the frontend (APP_URL).
+ */
+
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+export function sendPasswordResetEmail(user, token) {
+  const link = `${APP_URL}/auth/reset-password?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text:
+      `Hi ${user.name},\n\n` +
+      `Use the link below to choose a new password. It expires in 1 hour and can be used once.\n\n` +
+      `${link}\n\n` +
+      `If you didn't ask for this, you can ignore this email.`,
+  });
+}
+
+export function sendPasswordChangedEmail(user) {
+  return sendMail({
+    to: user.email,
+    subject: "Your password was changed",
+    text:
+      `Hi ${user.name},\n\n` +
+      `Your password was just changed and you have been signed out on all devices.\n\n` +
+      `If this wasn't you, contact support immediately.`,
+  });
+}
+
+export function sendVerificationEmail(user, token) {
+  const link = `${APP_URL}/auth/verify-email?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text:
+      `Hi ${user.name},\n\n` +
+      `Confirm your email address to start buying tickets. The link expires in 24 hours.\n\n` +
+      `${link}\n\n` +
+      `If you didn't create an account, you can ignore this email.`,
+  });
+}
+
+// Someone tried to register with an address that already has an account
+export function sendAccountExistsEmail(user) {
+  return sendMail({
+    to: user.email,
+    subject: "Someone tried to sign up with your email",
+    text:
+      `Hi ${user.name},\n\n` +
+      `Someone just tried to create a new account with this email address, but you already have one.\n\n` +
+      `Forgot your password? Reset it here: ${APP_URL}/auth/forgot-password\n\n` +
+      `If this wasn't you, you can ignore this email.`,
+  });
+}
@@ -0,0 +1,235 @@
+import mongoose from "mongoose";
+import AuditLog from "../models/AuditLog.js";
+
+/**
+ * Admin audit log.
+ *
+ * Routes call recordAudit() after (or inside the transaction of) every admin
+ * mutation with a snapshot of the target before and after; only the fields
+ * that changed are stored. Secrets are never written, only the fact that they
+ * changed.
+ */
+
+const REDACTED = "[redacted]";
+
+const SENSITIVE_FIELDS = [
+  "passwordHash",
+  "resetToken",
+  "twoFactor.secret",
+  "twoFactor.pendingSecret",
+  "twoFactor.recoveryCodes",
+  "drawSeed",
+];
+
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ["__v", "updatedAt"];
+
+const CSV_COLUMNS = [
+  "createdAt",
+  "requestId",
+  "actorId",
+  "actorEmail",
+  "action",
+  "targetKind",
+  "targetId",
+  "ip",
+  "userAgent",
+  "changes",
+  "metadata",
+];
+
+const isSensitive = (field) =>
+  SENSITIVE_FIELDS.some((s) => field === s || field.startsWith(`${s}.`));
+
+// ObjectId / Decimal128 / Date → strings, documents → plain objects
+function normalise(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value._bsontype) return value.toString();
+  if (typeof value.toObject === "function") {
+    return normalise(value.toObject({ depopulate: true }));
+  }
+  if (Array.isArray(value)) return value.map(normalise);
+  if (typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, normalise(v)])
+    );
+  }
+  return value;
+}
+
+// { a: { b: 1 } } → { "a.b": 1 }; arrays are compared as a whole
+function flatten(value, prefix = "", out = {}) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    const entries = Object.entries(value);
+    if (entries.length === 0 && prefix) out[prefix] = {};
+    for (const [key, child] of entries) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+/**
+ * Field-level differences between two snapshots (documents or plain objects).
+ * @returns {{field: String, before: *, after: *}[]}
+ */
+export function diffSnapshots(before, after) {
+  const from = flatten(normalise(before) || {});
+  const to = flatten(normalise(after) || {});
+  const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+
+  return fields
+    .filter((field) => !IGNORED_FIELDS.includes(field.split(".").pop()))
+    .filter(
+      (field) =>
+        JSON.stringify(from[field] ?? null) !==
+        JSON.stringify(to[field] ?? null)
+    )
+    .sort()
+    .map((field) => ({
+      field,
+      before: isSensitive(field) ? REDACTED : from[field] ?? null,
+      after: isSensitive(field) ? REDACTED : to[field] ?? null,
+    }));
+}
+
+/**
+ * Append an entry for an admin action.
+ * @param {Object} req - Authenticated admin request (actor, IP, request id)
+ * @param {Object} entry
+ * @param {String} entry.action - constants/audit-actions.js
+ * @param {{kind: String, id: *}} entry.target
+ * @param {Object} [entry.before] - Target before the change (null if created)
+ * @param {Object} [entry.after] - Target after the change (null if removed)
+ * @param {Object} [entry.metadata] - Extra context (reason, counts, ...)
+ * @param {ClientSession} [session] - Write with the action's transaction
+ */
+export async function recordAudit(
+  req,
+  { action, target, before = null, after = null, metadata },
+  session = null
+) {
+  const [entry] = await AuditLog.create(
+    [
+      {
+        actor: req.user._id,
+        actorEmail: req.user.email,
+        action,
+        target: { kind: target.kind, id: String(target.id) },
+        changes: diffSnapshots(before, after),
+        metadata: metadata && normalise(metadata),
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+        requestId: req.id,
+      },
+    ],
+    { session }
+  );
+  return entry;
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Mongo filter from query-string parameters.
+ * @param {Object} query - actor, actorEmail, action, targetKind, targetId,
+ *   requestId, from, to (ISO dates)
+ */
+export function buildAuditFilter(query = {}) {
+  const filter = {};
+
+  if (query.actor) {
+    if (!mongoose.isValidObjectId(query.actor)) {
+      throw Object.assign(new Error("Invalid actor ID"), {
+        code: "INVALID_FILTER",
+      });
+    }
+    filter.actor = query.actor;
+  }
+  if (query.actorEmail) {
+    filter.actorEmail = new RegExp(escapeRegex(query.actorEmail), "i");
+  }
+  if (query.action) filter.action = { $in: query.action.split(",") };
+  if (query.targetKind) filter["target.kind"] = query.targetKind;
+  if (query.targetId) filter["target.id"] = query.targetId;
+  if (query.requestId) filter.requestId = query.requestId;
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    for (const [key, op] of [
+      ["from", "$gte"],
+      ["to", "$lte"],
+    ]) {
+      if (!query[key]) continue;
+      const date = new Date(query[key]);
+      if (Number.isNaN(date.getTime())) {
+        throw Object.assign(new Error(`Invalid date: ${key}`), {
+          code: "INVALID_FILTER",
+        });
+      }
+      filter.createdAt[op] = date;
+    }
+  }
+
+  return filter;
+}
+
+/**
+ * One page of entries, newest first.
+ */
+export async function searchAuditLog(filter, { page = 1, limit = 50 } = {}) {
+  const [total, entries] = await Promise.all([
+    AuditLog.countDocuments(filter),
+    AuditLog.find(filter)
+      .populate("actor", "name email")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  return {
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    totalRecords: total,
+    content: entries,
+  };
+}
+
+// Quote a CSV cell; a leading = + - @ is neutralised for spreadsheet apps
+function csvCell(value) {
+  if (value === undefined || value === null) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export const AUDIT_CSV_HEADER = CSV_COLUMNS.join(",") + "\r\n";
+
+export function auditEntryToCsv(entry) {
+  const row = {
+    createdAt: entry.createdAt?.toISOString(),
+    requestId: entry.requestId,
+    actorId: entry.actor?.toString(),
+    actorEmail: entry.actorEmail,
+    action: entry.action,
+    targetKind: entry.target?.kind,
+    targetId: entry.target?.id,
+    ip: entry.ip,
+    userAgent: entry.userAgent,
+    changes: entry.changes?.length ? entry.changes : null,
+    metadata: entry.metadata,
+  };
+  return CSV_COLUMNS.map((column) => csvCell(row[column])).join(",") + "\r\n";
+}
+
+/**
+ * Cursor over every matching entry (for exports), newest first.
+ */
+export function streamAuditLog(filter) {
+  return AuditLog.find(filter).sort({ createdAt: -1 }).lean().cursor();
+}
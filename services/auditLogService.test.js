@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  diffSnapshots,
+  auditEntryToCsv,
+  AUDIT_CSV_HEADER,
+} from "./auditLogService.js";
+
+test("diffSnapshots lists only changed fields, flattened and sorted", () => {
+  const changes = diffSnapshots(
+    { name: "Ann", role: "user", flags: { isActive: false, isEnded: false } },
+    { name: "Ann", role: "admin", flags: { isActive: true, isEnded: false } }
+  );
+
+  assert.deepEqual(changes, [
+    { field: "flags.isActive", before: false, after: true },
+    { field: "role", before: "user", after: "admin" },
+  ]);
+});
+
+test("diffSnapshots handles creation and removal", () => {
+  assert.deepEqual(diffSnapshots(null, { title: "Draw" }), [
+    { field: "title", before: null, after: "Draw" },
+  ]);
+  assert.deepEqual(diffSnapshots({ title: "Draw" }, null), [
+    { field: "title", before: "Draw", after: null },
+  ]);
+});
+
+test("diffSnapshots redacts secrets but still records that they changed", () => {
+  const changes = diffSnapshots(
+    { passwordHash: "old", twoFactor: { secret: "AAA", enabled: false } },
+    { passwordHash: "new", twoFactor: { secret: "BBB", enabled: true } }
+  );
+
+  assert.deepEqual(changes, [
+    { field: "passwordHash", before: "[redacted]", after: "[redacted]" },
+    { field: "twoFactor.enabled", before: false, after: true },
+    { field: "twoFactor.secret", before: "[redacted]", after: "[redacted]" },
+  ]);
+});
+
+test("diffSnapshots ignores bookkeeping fields and compares arrays whole", () => {
+  const changes = diffSnapshots(
+    { __v: 0, updatedAt: new Date(1), tags: ["a", "b"] },
+    { __v: 1, updatedAt: new Date(2), tags: ["a", "c"] }
+  );
+
+  assert.deepEqual(changes, [
+    { field: "tags", before: ["a", "b"], after: ["a", "c"] },
+  ]);
+});
+
+test("diffSnapshots compares ObjectIds and Decimal128 by value", () => {
+  const id = new mongoose.Types.ObjectId();
+  const amount = (value) => mongoose.Types.Decimal128.fromString(value);
+
+  assert.deepEqual(
+    diffSnapshots(
+      { user: id, amount: amount("10.00") },
+      {
+        user: new mongoose.Types.ObjectId(id.toString()),
+        amount: amount("10.00"),
+      }
+    ),
+    []
+  );
+  assert.equal(
+    diffSnapshots({ amount: amount("10.00") }, { amount: amount("12.50") })
+      .length,
+    1
+  );
+});
+
+test("auditEntryToCsv quotes cells and neutralises formulas", () => {
+  const line = auditEntryToCsv({
+    createdAt: new Date("2026-01-02T03:04:05.000Z"),
+    requestId: "req-1",
+    actor: "64b000000000000000000001",
+    actorEmail: "admin@example.com",
+    action: "user.update",
+    target: { kind: "User", id: "u1" },
+    ip: '=HYPERLINK("x")',
+    userAgent: "Mozilla, 5.0",
+    changes: [{ field: "role", before: "user", after: "admin" }],
+    metadata: { reason: 'said "hi"\nbye' },
+  });
+
+  assert.ok(line.endsWith("\r\n"));
+  assert.ok(line.startsWith("2026-01-02T03:04:05.000Z,req-1,"));
+  assert.ok(line.includes(`"'=HYPERLINK(""x"")"`));
+  assert.ok(line.includes('"Mozilla, 5.0"'));
+  assert.ok(
+    line.includes(
+      '"[{""field"":""role"",""before"":""user"",""after"":""admin""}]"'
+    )
+  );
+  assert.ok(line.includes('"{""reason"":""said \\""hi\\""\\nbye""}"'));
+});
+
+test("auditEntryToCsv has one cell per header column", () => {
+  const columns = AUDIT_CSV_HEADER.trim().split(",").length;
+  const line = auditEntryToCsv({ action: "user.update", changes: [] });
+
+  assert.equal(line.trim().split(",").length, columns);
+  assert.ok(line.startsWith(",,,,user.update,"));
+});
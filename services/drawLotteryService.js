@@ -4,116 +4,423 @@ import TicketPurchase from "../models/TicketPurchase.js";
 import LotteryResult from "../models/LotteryResult.js";
 import mongoose from "mongoose";
 import { updateWallet } from "./walletService.js";
+import { emitLotteryResult } from "./socketService.js";
+import { notifyUser } from "./notificationService.js";
+import { withLock } from "./lockService.js";
+import { NOTIFICATION_TYPES } from "../constants/notification-types.js";
+import { LEDGER_ACCOUNTS } from "../constants/ledger-accounts.js";
+import { DRAW_METHODS, MANUAL_DRAW_STATUS } from "../constants/draw-methods.js";
+import {
+  DRAW_ALGORITHM_VERSION,
+  generateServerSeed,
+  hashServerSeed,
+  shuffleTickets,
+  assignWinners,
+} from "../utils/provablyFair.js";
+import { tierPayouts } from "../utils/prizePool.js";
+import { formatCents, centsToDecimal128 } from "../utils/money.js";
 
-export async function drawLottery(lotteryId, session = null, force = false) {
-  let localSession = null;
-  if (!session) {
-    localSession = await mongoose.startSession();
-    session = localSession;
-    session.startTransaction();
-  }
+// Errors carry a code so routes can map them to HTTP statuses
+const drawError = (message, code) =>
+  Object.assign(new Error(message), { code });
+
+// Lease for one draw or cancellation; renewed while it runs
+const LOTTERY_LOCK_TTL_MS = 60 * 1000;
 
+/**
+ * Run `work` while no other process draws or cancels this lottery
+ * (cron and admins on any instance).
+ * `work` gets an AbortSignal that fires if the lease is lost.
+ * @throws code LOCKED
+ */
+export const withLotteryLock = (lotteryId, work) =>
+  withLock(`lottery:${lotteryId}`, LOTTERY_LOCK_TTL_MS, work);
+
+// Run `work` inside the caller's session, or a local transaction
+async function withSession(session, work) {
+  if (session) return work(session);
+
+  const localSession = await mongoose.startSession();
+  localSession.startTransaction();
   try {
-    // 🔍 Validate lottery
-    const lottery = await Lottery.findById(lotteryId).session(session);
-    if (!lottery) throw new Error("Lottery not found");
-    if (lottery.flags.resultAnnounced)
-      throw new Error("Result already announced");
-
-    const now = new Date();
-    const endedByTime = now >= new Date(lottery.endDatetime);
-    const endedByTickets =
-      lottery.flags.isEnded && lottery.ticketsSold >= lottery.maxTickets;
-    const reachedDrawTime = now >= new Date(lottery.drawDatetime);
-
-    // ⛔ Only block if not forced and drawDatetime not reached
-    if (!force && !reachedDrawTime) {
-      throw new Error("Lottery draw time not reached yet");
-    }
+    const result = await work(localSession);
+    await localSession.commitTransaction();
+    return result;
+  } catch (err) {
+    await localSession.abortTransaction();
+    throw err;
+  } finally {
+    localSession.endSession();
+  }
+}
 
-    // Also check that lottery is ended before draw (time or tickets)
-    if (!endedByTime && !endedByTickets && !force) {
-      throw new Error("Lottery not ended yet");
-    }
+// 🔍 Lottery must exist, be ended and have no result yet
+async function loadDrawableLottery(lotteryId, session, force) {
+  const lottery = await Lottery.findById(lotteryId)
+    .select("+drawSeed")
+    .session(session);
+  if (!lottery) throw drawError("Lottery not found", "NOT_FOUND");
+  if (lottery.flags.isCancelled)
+    throw drawError("Lottery has been cancelled", "CANCELLED");
+  if (lottery.flags.resultAnnounced)
+    throw drawError("Result already announced", "ALREADY_DRAWN");
 
-    // 📦 Get all tickets
-    const purchases = await TicketPurchase.find({ lotteryId })
-      .populate("userId", "name email")
-      .session(session);
-
-    const allTickets = [];
-    purchases.forEach((p) => {
-      p.ticketNumbers.forEach((num) => {
-        allTickets.push({
-          ticketNumber: num,
-          userId: p.userId._id,
-          name: p.userId.name || "Unknown",
-          email: p.userId.email || "N/A",
-        });
+  const now = new Date();
+  const endedByTime = now >= new Date(lottery.endDatetime);
+  const endedByTickets =
+    lottery.flags.isEnded && lottery.ticketsSold >= lottery.maxTickets;
+  const reachedDrawTime = now >= new Date(lottery.drawDatetime);
+
+  // ⛔ Only block if not forced and drawDatetime not reached
+  if (!force && !reachedDrawTime) {
+    throw drawError("Lottery draw time not reached yet", "NOT_READY");
+  }
+
+  // Also check that lottery is ended before draw (time or tickets)
+  if (!endedByTime && !endedByTickets && !force) {
+    throw drawError("Lottery not ended yet", "NOT_READY");
+  }
+
+  return lottery;
+}
+
+// 📦 Every sold ticket keyed by ticket number
+async function loadSoldTickets(lotteryId, session) {
+  const purchases = await TicketPurchase.find({
+    lotteryId,
+    status: { $ne: "refunded" },
+  })
+    .populate("userId", "name email")
+    .session(session);
+
+  const ticketsByNumber = new Map();
+  purchases.forEach((p) => {
+    p.ticketNumbers.forEach((num) => {
+      ticketsByNumber.set(num, {
+        ticketNumber: num,
+        userId: p.userId._id,
+        name: p.userId.name || "Unknown",
+        email: p.userId.email || "N/A",
       });
     });
+  });
+
+  return ticketsByNumber;
+}
 
-    if (allTickets.length === 0)
-      throw new Error("No tickets sold for this lottery");
+// 🏆 Credit winners, save the result and close the lottery
+async function settleDraw(
+  lottery,
+  picks,
+  ticketsByNumber,
+  resultFields,
+  session
+) {
+  const winners = [];
 
-    // 🎲 Shuffle
-    const shuffled = allTickets.sort(() => Math.random() - 0.5);
+  // 💵 Actual prizes follow the funding model and what really sold
+  const payouts = tierPayouts(lottery, ticketsByNumber.size);
 
-    // 🏆 Pick winners
-    const winners = [];
-    let currentIndex = 0;
-    let rankCounter = 1; // 👈 keep track of actual rank
+  for (const pick of picks) {
+    const prizeCents = payouts[pick.tier];
+    const winnerTicket = ticketsByNumber.get(pick.ticketNumber);
 
-    for (const ws of lottery.winnerStructure) {
-      const groupSize = ws.toRank - ws.fromRank + 1;
+    winners.push({
+      rank: pick.rank,
+      rankRange: pick.rankRange,
+      userId: winnerTicket.userId,
+      ticketNumber: winnerTicket.ticketNumber,
+      prizeAmount: centsToDecimal128(prizeCents),
+      name: winnerTicket.name,
+      email: winnerTicket.email,
+    });
+
+    // A percentage share of very low sales can round to nothing
+    if (prizeCents === 0n) continue;
 
-      for (let i = 0; i < groupSize && currentIndex < shuffled.length; i++) {
-        const winnerTicket = shuffled[currentIndex++];
+    // 💰 Credit wallet
+    await updateWallet(
+      winnerTicket.userId,
+      formatCents(prizeCents),
+      `Prize for lottery ${lottery.title} (Ticket ${winnerTicket.ticketNumber})`,
+      session,
+      {
+        counterAccount: LEDGER_ACCOUNTS.PRIZES,
+        idempotencyKey: `prize:${lottery._id}:${pick.rank}`,
+        reference: { kind: "Lottery", id: lottery._id.toString() },
+      }
+    );
 
-        winners.push({
-          rank: rankCounter, // 👈 actual rank number
-          rankRange: `${ws.fromRank}-${ws.toRank}`,
-          userId: winnerTicket.userId,
+    await notifyUser(
+      winnerTicket.userId,
+      {
+        type: NOTIFICATION_TYPES.PRIZE_WON,
+        title: "You won!",
+        message: `Ticket ${winnerTicket.ticketNumber} won rank ${
+          pick.rank
+        } in ${lottery.title}: ${formatCents(
+          prizeCents
+        )} was added to your wallet.`,
+        data: {
+          lotteryId: lottery._id.toString(),
+          rank: pick.rank,
           ticketNumber: winnerTicket.ticketNumber,
-          prizeAmount: ws.prizeAmount,
-          name: winnerTicket.name,
-          email: winnerTicket.email,
-        });
-
-        // 💰 Credit wallet
-        await updateWallet(
-          winnerTicket.userId,
-          Number(ws.prizeAmount.toString()),
-          `Prize for lottery ${lottery.title} (Ticket ${winnerTicket.ticketNumber})`,
-          session
-        );
+          amount: formatCents(prizeCents),
+        },
+      },
+      session
+    );
+  }
+
+  // 💾 Save result
+  const result = new LotteryResult({
+    lotteryId: lottery._id,
+    winners,
+    drawMethod: lottery.drawMethod,
+    ...resultFields,
+  });
+  try {
+    await result.save({ session });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw drawError("Result already announced", "ALREADY_DRAWN");
+    }
+    throw err;
+  }
+
+  // 🔄 Update lottery
+  lottery.flags.resultAnnounced = true;
+  await lottery.save({ session });
+
+  return winners;
+}
+
+// Map rank -> tier index / rankRange of the winner structure
+function tierForRank(winnerStructure, rank) {
+  const tier = winnerStructure.findIndex(
+    (ws) => rank >= ws.fromRank && rank <= ws.toRank
+  );
+  if (tier === -1) return null;
+  const ws = winnerStructure[tier];
+  return { tier, rankRange: `${ws.fromRank}-${ws.toRank}` };
+}
+
+// 📡 Tell watchers once the result is committed (callers passing their own
+// session announce it after their commit)
+function announceIfCommitted(session, lotteryId, winners) {
+  if (!session) emitLotteryResult(lotteryId, winners);
+  return winners;
+}
+
+/**
+ * System draw: seeded, verifiable shuffle (see utils/provablyFair.js)
+ */
+export async function drawLottery(lotteryId, session = null, force = false) {
+  const winners = await withSession(session, async (session) => {
+    const lottery = await loadDrawableLottery(lotteryId, session, force);
 
-        rankCounter++; // 👈 increment after assigning
+    if (lottery.drawMethod === DRAW_METHODS.MANUAL) {
+      throw drawError(
+        "Manual lotteries must be drawn through the manual draw flow",
+        "MANUAL_DRAW_REQUIRED"
+      );
+    }
+
+    const ticketsByNumber = await loadSoldTickets(lotteryId, session);
+    if (ticketsByNumber.size === 0)
+      throw drawError("No tickets sold for this lottery", "NO_TICKETS");
+
+    // 🔐 Lotteries created before commit–reveal have no seed yet. One made up
+    // now was never published, so the result is marked unverifiable.
+    const committedInAdvance = Boolean(lottery.drawSeed);
+    if (!committedInAdvance) {
+      lottery.drawSeed = generateServerSeed();
+      lottery.drawSeedHash = hashServerSeed(lottery.drawSeed);
+    }
+
+    // 🎲 Seeded Fisher–Yates shuffle over the sorted ticket list
+    const { ticketsDigest, ticketCount, shuffled } = shuffleTickets(
+      [...ticketsByNumber.keys()],
+      lottery.drawSeed
+    );
+
+    return settleDraw(
+      lottery,
+      assignWinners(shuffled, lottery.winnerStructure),
+      ticketsByNumber,
+      {
+        fairness: {
+          algorithm: DRAW_ALGORITHM_VERSION,
+          serverSeed: lottery.drawSeed,
+          seedCommitment: lottery.drawSeedHash,
+          ticketsDigest,
+          ticketCount,
+          committedInAdvance,
+        },
+      },
+      session
+    );
+  });
+  return announceIfCommitted(session, lotteryId, winners);
+}
+
+/**
+ * Manual draw, step 1: an admin enters externally drawn winning tickets.
+ * @param {Array<{rank: Number, ticketNumber: String}>} winningTickets
+ */
+export async function submitManualDraw(lotteryId, winningTickets, adminId) {
+  return withSession(null, async (session) => {
+    const lottery = await loadDrawableLottery(lotteryId, session, false);
+
+    if (lottery.drawMethod !== DRAW_METHODS.MANUAL) {
+      throw drawError("Lottery is not a manual draw lottery", "NOT_MANUAL");
+    }
+    if (
+      lottery.manualDraw?.status === MANUAL_DRAW_STATUS.PENDING_CONFIRMATION
+    ) {
+      throw drawError(
+        "A manual result is already awaiting confirmation",
+        "MANUAL_DRAW_PENDING"
+      );
+    }
+
+    if (!Array.isArray(winningTickets) || winningTickets.length === 0) {
+      throw drawError("winningTickets are required", "INVALID_MANUAL_DRAW");
+    }
+
+    // 🎟 Every rank must be filled, unless fewer tickets were sold
+    const expectedCount = Math.min(lottery.numWinners, lottery.ticketsSold);
+    if (winningTickets.length !== expectedCount) {
+      throw drawError(
+        `Expected ${expectedCount} winning ticket(s), got ${winningTickets.length}`,
+        "INVALID_MANUAL_DRAW"
+      );
+    }
+
+    const sorted = [...winningTickets].sort((a, b) => a.rank - b.rank);
+    const seenTickets = new Set();
+    for (let i = 0; i < sorted.length; i++) {
+      const { rank, ticketNumber } = sorted[i];
+      if (rank !== i + 1) {
+        throw drawError(
+          `Ranks must run from 1 to ${expectedCount} without gaps`,
+          "INVALID_MANUAL_DRAW"
+        );
+      }
+      if (typeof ticketNumber !== "string" || !ticketNumber.trim()) {
+        throw drawError(
+          `Missing ticket number for rank ${rank}`,
+          "INVALID_MANUAL_DRAW"
+        );
+      }
+      if (seenTickets.has(ticketNumber)) {
+        throw drawError(
+          `Ticket ${ticketNumber} is listed more than once`,
+          "INVALID_MANUAL_DRAW"
+        );
       }
+      seenTickets.add(ticketNumber);
     }
 
-    // 💾 Save result
-    const result = new LotteryResult({
-      lotteryId,
-      winners,
-    });
-    await result.save({ session });
+    // 🔍 Winning tickets must actually have been sold
+    const ticketsByNumber = await loadSoldTickets(lotteryId, session);
+    const unsold = sorted
+      .map((t) => t.ticketNumber)
+      .filter((num) => !ticketsByNumber.has(num));
+    if (unsold.length > 0) {
+      throw Object.assign(
+        drawError("Some winning tickets were not sold", "INVALID_MANUAL_DRAW"),
+        { invalid: unsold }
+      );
+    }
 
-    // 🔄 Update lottery
-    lottery.flags.resultAnnounced = true;
+    lottery.manualDraw = {
+      status: MANUAL_DRAW_STATUS.PENDING_CONFIRMATION,
+      winningTickets: sorted.map(({ rank, ticketNumber }) => ({
+        rank,
+        ticketNumber,
+      })),
+      submittedBy: adminId,
+      submittedAt: new Date(),
+    };
     await lottery.save({ session });
 
-    if (localSession) {
-      await session.commitTransaction();
-      session.endSession();
-    }
+    return lottery.manualDraw;
+  });
+}
 
-    return winners;
-  } catch (err) {
-    if (localSession) {
-      await session.abortTransaction();
-      session.endSession();
+/**
+ * Manual draw, step 2: a second admin confirms and prizes are credited.
+ */
+export async function confirmManualDraw(lotteryId, adminId, session = null) {
+  const winners = await withSession(session, async (session) => {
+    const lottery = await loadDrawableLottery(lotteryId, session, false);
+    const manualDraw = lottery.manualDraw;
+
+    if (manualDraw?.status !== MANUAL_DRAW_STATUS.PENDING_CONFIRMATION) {
+      throw drawError(
+        "No manual result awaiting confirmation",
+        "NO_PENDING_MANUAL_DRAW"
+      );
     }
-    throw err;
+    if (manualDraw.submittedBy.equals(adminId)) {
+      throw drawError(
+        "A different admin must confirm this result",
+        "SAME_ADMIN"
+      );
+    }
+
+    const ticketsByNumber = await loadSoldTickets(lotteryId, session);
+    const picks = manualDraw.winningTickets.map(({ rank, ticketNumber }) => {
+      const tier = tierForRank(lottery.winnerStructure, rank);
+      if (!tier || !ticketsByNumber.has(ticketNumber)) {
+        throw drawError(
+          "Submitted result no longer matches the lottery",
+          "INVALID_MANUAL_DRAW"
+        );
+      }
+      return { rank, ticketNumber, ...tier };
+    });
+
+    manualDraw.status = MANUAL_DRAW_STATUS.CONFIRMED;
+    manualDraw.confirmedBy = adminId;
+    manualDraw.confirmedAt = new Date();
+
+    return settleDraw(
+      lottery,
+      picks,
+      ticketsByNumber,
+      {
+        manualDraw: {
+          submittedBy: manualDraw.submittedBy,
+          confirmedBy: adminId,
+        },
+      },
+      session
+    );
+  });
+  return announceIfCommitted(session, lotteryId, winners);
+}
+
+/**
+ * Manual draw: discard a pending submission so it can be re-entered.
+ */
+export async function rejectManualDraw(lotteryId, adminId, reason) {
+  const lottery = await Lottery.findById(lotteryId);
+  if (!lottery) throw drawError("Lottery not found", "NOT_FOUND");
+
+  if (lottery.manualDraw?.status !== MANUAL_DRAW_STATUS.PENDING_CONFIRMATION) {
+    throw drawError(
+      "No manual result awaiting confirmation",
+      "NO_PENDING_MANUAL_DRAW"
+    );
   }
+
+  lottery.manualDraw.status = MANUAL_DRAW_STATUS.REJECTED;
+  lottery.manualDraw.rejectedBy = adminId;
+  lottery.manualDraw.rejectedAt = new Date();
+  lottery.manualDraw.rejectionReason = reason || "No reason provided";
+  await lottery.save();
+
+  return lottery.manualDraw;
 }
@@ -0,0 +1,137 @@
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import { updateWallet } from "./walletService.js";
+import { sendVerificationEmail } from "./accountEmails.js";
+import { LEDGER_ACCOUNTS } from "../constants/ledger-accounts.js";
+import { toCents } from "../utils/money.js";
+
+/**
+ * Email verification.
+ *
+ * The link carries a signed JWT bound to the user and the address it was sent
+ * to. The signup bonus is only credited once the address is verified, so
+ * throwaway registrations get nothing.
+ */
+
+const SIGNUP_BONUS = process.env.SIGNUP_BONUS_AMOUNT || "10000.00";
+const VERIFICATION_TTL = process.env.EMAIL_VERIFICATION_TTL || "24h";
+// Minimum gap between two verification emails to the same user
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const TOKEN_PURPOSE = "verify-email";
+
+const verificationError = (message, code) =>
+  Object.assign(new Error(message), { code });
+
+function createVerificationToken(user) {
+  return jwt.sign(
+    { sub: user._id.toString(), email: user.email, purpose: TOKEN_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: VERIFICATION_TTL }
+  );
+}
+
+/**
+ * Email a fresh verification link.
+ * @throws code ALREADY_VERIFIED | RESEND_TOO_SOON
+ */
+export async function sendVerification(user) {
+  if (user.emailVerified) {
+    throw verificationError("Email is already verified", "ALREADY_VERIFIED");
+  }
+
+  // Claim the send slot atomically so parallel resends can't spam
+  const claimed = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      $or: [
+        { emailVerificationSentAt: null },
+        {
+          emailVerificationSentAt: {
+            $lte: new Date(Date.now() - RESEND_COOLDOWN_MS),
+          },
+        },
+      ],
+    },
+    { $set: { emailVerificationSentAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw verificationError(
+      "Verification email was sent recently. Please wait a minute.",
+      "RESEND_TOO_SOON"
+    );
+  }
+
+  await sendVerificationEmail(claimed, createVerificationToken(claimed));
+}
+
+/**
+ * Mark the address verified and credit the signup bonus.
+ * @param {String} token - From the verification link
+ * @returns {Promise<{user: Object, alreadyVerified: Boolean}>}
+ * @throws code INVALID_VERIFICATION_TOKEN
+ */
+export async function verifyEmail(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    throw verificationError(
+      "Verification link is invalid or has expired.",
+      "INVALID_VERIFICATION_TOKEN"
+    );
+  }
+  if (payload.purpose !== TOKEN_PURPOSE) {
+    throw verificationError(
+      "Verification link is invalid or has expired.",
+      "INVALID_VERIFICATION_TOKEN"
+    );
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Only flips once, and only for the address the link was sent to
+    const user = await User.findOneAndUpdate(
+      { _id: payload.sub, email: payload.email, emailVerified: false },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+      { new: true, session }
+    );
+
+    if (!user) {
+      const existing = await User.findOne({
+        _id: payload.sub,
+        email: payload.email,
+      }).session(session);
+      if (!existing) {
+        throw verificationError(
+          "Verification link is invalid or has expired.",
+          "INVALID_VERIFICATION_TOKEN"
+        );
+      }
+
+      await session.commitTransaction();
+      session.endSession();
+      return { user: existing, alreadyVerified: true };
+    }
+
+    // 🎁 Starting balance goes through the ledger like any other credit
+    if (toCents(SIGNUP_BONUS) > 0n) {
+      await updateWallet(user._id, SIGNUP_BONUS, "Signup bonus", session, {
+        counterAccount: LEDGER_ACCOUNTS.SIGNUP_BONUS,
+        idempotencyKey: `signup-bonus:${user._id}`,
+      });
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return { user, alreadyVerified: false };
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
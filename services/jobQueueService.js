@@ -0,0 +1,268 @@
+import Job from "../models/Job.js";
+import { INSTANCE_ID } from "./lockService.js";
+import { JOB_STATUS } from "../constants/jobs.js";
+
+/**
+ * Durable job queue in Mongo.
+ *
+ * Any instance's worker can run a job: claiming is one atomic update, and the
+ * claim is a lease renewed while the handler runs, so a job whose worker died
+ * is picked up again once the lease expires. Failures are retried with
+ * exponential backoff; after maxAttempts the job is dead-lettered as failed
+ * for an admin to retry or cancel. Handlers must be safe to run twice.
+ */
+
+const JOB_LEASE_MS = Number(process.env.JOB_LEASE_MS) || 5 * 60 * 1000;
+const BASE_BACKOFF_MS = Number(process.env.JOB_BACKOFF_MS) || 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const MAX_FAILURES_KEPT = 10;
+
+const handlers = new Map();
+
+const jobError = (message, code) => Object.assign(new Error(message), { code });
+
+/**
+ * @param {String} type - JOB_TYPES
+ * @param {Function} handler - async (payload, job) => result
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Add a job. With a dedupeKey, an existing job with that key is returned
+ * untouched instead (whatever its status).
+ * @param {String} type
+ * @param {Object} payload
+ * @param {Object} [options]
+ * @param {String} [options.dedupeKey]
+ * @param {Date} [options.runAt]
+ * @param {Number} [options.maxAttempts]
+ * @returns {Promise<Object>}
+ */
+export async function enqueueJob(
+  type,
+  payload,
+  { dedupeKey, runAt = new Date(), maxAttempts } = {}
+) {
+  if (!dedupeKey) {
+    return Job.create({ type, payload, runAt, maxAttempts });
+  }
+
+  try {
+    return await Job.findOneAndUpdate(
+      { dedupeKey },
+      {
+        $setOnInsert: {
+          type,
+          payload,
+          runAt,
+          ...(maxAttempts && { maxAttempts }),
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (err) {
+    // Two instances enqueued it at once; the other one won
+    if (err.code === 11000) return Job.findOne({ dedupeKey });
+    throw err;
+  }
+}
+
+// Delay before attempt n + 1: 30s, 1m, 2m, ... capped at an hour, ±10%
+export function backoffMs(attempts) {
+  const delay = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempts - 1));
+  return Math.round(delay * (0.9 + Math.random() * 0.2));
+}
+
+/**
+ * Take the next due job (or one whose worker stopped renewing its lease).
+ * @returns {Promise<Object|null>}
+ */
+export async function claimNextJob() {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: [...handlers.keys()] },
+      $or: [
+        { status: JOB_STATUS.PENDING, runAt: { $lte: now } },
+        { status: JOB_STATUS.RUNNING, lockedUntil: { $lte: now } },
+      ],
+    },
+    {
+      $set: {
+        status: JOB_STATUS.RUNNING,
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + JOB_LEASE_MS),
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+// Only the worker holding the lease may record the outcome
+const ownJob = (job) => ({
+  _id: job._id,
+  status: JOB_STATUS.RUNNING,
+  lockedBy: INSTANCE_ID,
+});
+
+async function recordFailure(job, err) {
+  const deadLetter = job.attempts >= job.maxAttempts || err.retryable === false;
+
+  await Job.updateOne(ownJob(job), {
+    $set: {
+      status: deadLetter ? JOB_STATUS.FAILED : JOB_STATUS.PENDING,
+      runAt: new Date(Date.now() + (deadLetter ? 0 : backoffMs(job.attempts))),
+      lastError: err.message,
+    },
+    $unset: { lockedBy: "", lockedUntil: "" },
+    $push: {
+      failures: {
+        $each: [
+          { attempt: job.attempts, message: err.message, at: new Date() },
+        ],
+        $slice: -MAX_FAILURES_KEPT,
+      },
+    },
+  });
+
+  console.error(
+    deadLetter
+      ? `☠️ Job ${job._id} (${job.type}) failed for good after ${job.attempts} attempt(s): ${err.message}`
+      : `🔁 Job ${job._id} (${job.type}) attempt ${job.attempts} failed, will retry: ${err.message}`
+  );
+}
+
+/**
+ * Run a claimed job and record the outcome.
+ */
+export async function runJob(job) {
+  const renewal = setInterval(() => {
+    Job.updateOne(ownJob(job), {
+      $set: { lockedUntil: new Date(Date.now() + JOB_LEASE_MS) },
+    }).catch((err) =>
+      console.error(`❌ Renewing job ${job._id} failed:`, err.message)
+    );
+  }, JOB_LEASE_MS / 3);
+
+  try {
+    const handler = handlers.get(job.type);
+    const result = await handler(job.payload, job);
+
+    await Job.updateOne(ownJob(job), {
+      $set: {
+        status: JOB_STATUS.COMPLETED,
+        result: result ?? null,
+        completedAt: new Date(),
+      },
+      $unset: { lockedBy: "", lockedUntil: "", lastError: "" },
+    });
+  } catch (err) {
+    await recordFailure(job, err);
+  } finally {
+    clearInterval(renewal);
+  }
+}
+
+/**
+ * Poll for due jobs and run them one at a time until none are left.
+ * @param {Object} [options]
+ * @param {Number} [options.pollMs]
+ */
+export function startJobWorker({
+  pollMs = Number(process.env.JOB_POLL_MS) || 5000,
+} = {}) {
+  let busy = false;
+
+  const drain = async () => {
+    if (busy) return;
+    busy = true;
+    try {
+      let job;
+      while ((job = await claimNextJob())) await runJob(job);
+    } catch (err) {
+      console.error("❌ Job worker error:", err.message);
+    } finally {
+      busy = false;
+    }
+  };
+
+  drain();
+  setInterval(drain, pollMs);
+}
+
+/* ---------- Admin ---------- */
+
+/**
+ * One page of jobs, newest first.
+ * @param {Object} filter - { status, type }
+ * @param {Object} options - { page, limit }
+ */
+export async function listJobs({ status, type }, { page, limit }) {
+  const filter = {
+    ...(status && { status }),
+    ...(type && { type }),
+  };
+
+  const [jobs, total] = await Promise.all([
+    Job.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Job.countDocuments(filter),
+  ]);
+
+  return {
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    totalRecords: total,
+    content: jobs,
+  };
+}
+
+/**
+ * Run a failed or cancelled job again, with a fresh set of attempts.
+ * @returns {Promise<{before: Object, job: Object}>}
+ * @throws code NOT_FOUND | INVALID_STATE
+ */
+export async function retryJob(jobId) {
+  return changeJobState(
+    jobId,
+    [JOB_STATUS.FAILED, JOB_STATUS.CANCELLED],
+    { status: JOB_STATUS.PENDING, runAt: new Date(), attempts: 0 },
+    "Only failed or cancelled jobs can be retried"
+  );
+}
+
+/**
+ * Stop a job that hasn't run yet or has failed.
+ * @returns {Promise<{before: Object, job: Object}>}
+ * @throws code NOT_FOUND | INVALID_STATE
+ */
+export async function cancelJob(jobId, adminId) {
+  return changeJobState(
+    jobId,
+    [JOB_STATUS.PENDING, JOB_STATUS.FAILED],
+    { status: JOB_STATUS.CANCELLED, cancelledBy: adminId },
+    "Only pending or failed jobs can be cancelled"
+  );
+}
+
+// Conditional status change, so it can't race a worker claiming the job
+async function changeJobState(jobId, fromStatuses, update, invalidMessage) {
+  const before = await Job.findById(jobId).lean();
+  if (!before) throw jobError("Job not found", "NOT_FOUND");
+
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: { $in: fromStatuses } },
+    { $set: update },
+    { new: true }
+  ).lean();
+  if (!job) throw jobError(invalidMessage, "INVALID_STATE");
+
+  return { before, job };
+}
@@ -0,0 +1,210 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Job from "../models/Job.js";
+import { JOB_STATUS, JOB_TYPES } from "../constants/jobs.js";
+import { fakeQuery, matches } from "../utils/testing.js";
+import {
+  enqueueJob,
+  claimNextJob,
+  runJob,
+  retryJob,
+  cancelJob,
+  registerJobHandler,
+} from "./jobQueueService.js";
+
+const MINUTE = 60 * 1000;
+let jobs;
+
+// The update operators the queue uses
+function applyUpdate(doc, { $set = {}, $unset = {}, $inc = {}, $push = {} }) {
+  Object.assign(doc, $set);
+  Object.keys($unset).forEach((key) => delete doc[key]);
+  Object.entries($inc).forEach(([key, by]) => {
+    doc[key] = (doc[key] || 0) + by;
+  });
+  Object.entries($push).forEach(([key, { $each, $slice }]) => {
+    doc[key] = [...(doc[key] || []), ...$each].slice($slice);
+  });
+  return doc;
+}
+
+const newJob = (fields) => {
+  const job = {
+    _id: new mongoose.Types.ObjectId(),
+    type: JOB_TYPES.SETTLE_LOTTERY,
+    payload: {},
+    status: JOB_STATUS.PENDING,
+    runAt: new Date(),
+    attempts: 0,
+    maxAttempts: 3,
+    failures: [],
+    ...fields,
+  };
+  jobs.push(job);
+  return job;
+};
+
+const stored = (job) => jobs.find((j) => j._id.equals(job._id));
+
+beforeEach(() => {
+  mock.restoreAll();
+  jobs = [];
+  mock.method(console, "error", () => {});
+
+  mock.method(Job, "create", async (fields) => newJob(fields));
+  mock.method(Job, "findOne", (filter) =>
+    fakeQuery(jobs.find((j) => matches(j, filter)) ?? null)
+  );
+  mock.method(Job, "findById", (id) => {
+    const job = jobs.find((j) => j._id.equals(id));
+    return fakeQuery(job ? { ...job } : null);
+  });
+  mock.method(Job, "findOneAndUpdate", (filter, update, options = {}) => {
+    let [job] = jobs
+      .filter((j) => matches(j, filter))
+      .sort((a, b) => a.runAt - b.runAt);
+    if (!job && options.upsert) {
+      job = newJob({ ...filter, ...update.$setOnInsert });
+      return fakeQuery(job);
+    }
+    if (job && !update.$setOnInsert) applyUpdate(job, update);
+    return fakeQuery(job ? { ...job } : null);
+  });
+  mock.method(Job, "updateOne", async (filter, update) => {
+    const job = jobs.find((j) => matches(j, filter));
+    if (job) applyUpdate(job, update);
+    return { modifiedCount: job ? 1 : 0 };
+  });
+});
+
+test("enqueueing with the same dedupeKey returns the existing job", async () => {
+  const first = await enqueueJob(
+    JOB_TYPES.SETTLE_LOTTERY,
+    { lotteryId: "l1" },
+    { dedupeKey: "settle:l1" }
+  );
+  const again = await enqueueJob(
+    JOB_TYPES.SETTLE_LOTTERY,
+    { lotteryId: "other" },
+    { dedupeKey: "settle:l1" }
+  );
+
+  assert.equal(jobs.length, 1);
+  assert.ok(again._id.equals(first._id));
+  assert.deepEqual(jobs[0].payload, { lotteryId: "l1" });
+});
+
+test("workers claim due jobs oldest first, one worker per job", async () => {
+  registerJobHandler(JOB_TYPES.SETTLE_LOTTERY, async () => {});
+  const later = newJob({ runAt: new Date(Date.now() - MINUTE) });
+  const oldest = newJob({ runAt: new Date(Date.now() - 2 * MINUTE) });
+  newJob({ runAt: new Date(Date.now() + MINUTE) }); // not due yet
+
+  const first = await claimNextJob();
+  const second = await claimNextJob();
+
+  assert.ok(first._id.equals(oldest._id));
+  assert.ok(second._id.equals(later._id));
+  assert.equal(first.status, JOB_STATUS.RUNNING);
+  assert.equal(first.attempts, 1);
+  assert.ok(first.lockedUntil > new Date());
+  assert.equal(await claimNextJob(), null);
+});
+
+test("a job whose worker stopped renewing its lease is picked up again", async () => {
+  registerJobHandler(JOB_TYPES.SETTLE_LOTTERY, async () => {});
+  const job = newJob({
+    status: JOB_STATUS.RUNNING,
+    attempts: 1,
+    lockedBy: "dead-instance",
+    lockedUntil: new Date(Date.now() - 1000),
+  });
+
+  const claimed = await claimNextJob();
+
+  assert.ok(claimed._id.equals(job._id));
+  assert.equal(claimed.attempts, 2);
+  assert.notEqual(claimed.lockedBy, "dead-instance");
+});
+
+test("a successful run stores the handler's result", async () => {
+  registerJobHandler(JOB_TYPES.SETTLE_LOTTERY, async (payload) => ({
+    outcome: "drawn",
+    lotteryId: payload.lotteryId,
+  }));
+  newJob({ payload: { lotteryId: "l1" } });
+
+  await runJob(await claimNextJob());
+
+  assert.equal(jobs[0].status, JOB_STATUS.COMPLETED);
+  assert.deepEqual(jobs[0].result, { outcome: "drawn", lotteryId: "l1" });
+  assert.equal(jobs[0].lockedBy, undefined);
+});
+
+test("failures back off and are dead-lettered after maxAttempts", async () => {
+  registerJobHandler(JOB_TYPES.SETTLE_LOTTERY, async () => {
+    throw new Error("mongo down");
+  });
+  const job = newJob({ maxAttempts: 2 });
+
+  await runJob(await claimNextJob());
+  assert.equal(stored(job).status, JOB_STATUS.PENDING);
+  assert.ok(stored(job).runAt > new Date());
+  assert.equal(await claimNextJob(), null); // waiting for the backoff
+
+  stored(job).runAt = new Date(Date.now() - 1000);
+  await runJob(await claimNextJob());
+
+  assert.equal(stored(job).status, JOB_STATUS.FAILED);
+  assert.equal(stored(job).lastError, "mongo down");
+  assert.deepEqual(
+    stored(job).failures.map((f) => f.attempt),
+    [1, 2]
+  );
+});
+
+test("errors marked not retryable fail the job at once", async () => {
+  registerJobHandler(JOB_TYPES.SETTLE_LOTTERY, async () => {
+    throw Object.assign(new Error("Lottery not found"), { retryable: false });
+  });
+  const job = newJob({ maxAttempts: 5 });
+
+  await runJob(await claimNextJob());
+
+  assert.equal(stored(job).status, JOB_STATUS.FAILED);
+  assert.equal(stored(job).attempts, 1);
+});
+
+test("a worker that lost its lease can't record the outcome", async () => {
+  const job = newJob();
+  registerJobHandler(JOB_TYPES.SETTLE_LOTTERY, async () => {
+    stored(job).lockedBy = "other-instance"; // lease taken over meanwhile
+    return { outcome: "drawn" };
+  });
+
+  await runJob(await claimNextJob());
+
+  assert.equal(stored(job).status, JOB_STATUS.RUNNING);
+  assert.equal(stored(job).lockedBy, "other-instance");
+});
+
+test("admins can retry dead jobs and cancel ones that haven't run", async () => {
+  const dead = newJob({ status: JOB_STATUS.FAILED, attempts: 3 });
+  const running = newJob({ status: JOB_STATUS.RUNNING });
+  const pending = newJob();
+
+  const { before, job } = await retryJob(dead._id);
+  assert.equal(before.status, JOB_STATUS.FAILED);
+  assert.equal(job.status, JOB_STATUS.PENDING);
+  assert.equal(job.attempts, 0);
+
+  await assert.rejects(cancelJob(running._id), { code: "INVALID_STATE" });
+  await assert.rejects(retryJob(pending._id), { code: "INVALID_STATE" });
+  await assert.rejects(retryJob(new mongoose.Types.ObjectId()), {
+    code: "NOT_FOUND",
+  });
+
+  await cancelJob(pending._id);
+  assert.equal(stored(pending).status, JOB_STATUS.CANCELLED);
+});
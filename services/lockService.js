@@ -0,0 +1,157 @@
+import os from "os";
+import crypto from "crypto";
+import Lock from "../models/Lock.js";
+
+/**
+ * Mongo-backed locks for running several API instances.
+ *
+ * A lock is a lease: one document per name, held by an owner until
+ * expiresAt. Taking it is a single upsert that only matches when the lease
+ * is free, expired or already ours, so two processes can't both win; a crashed
+ * holder's lease simply runs out.
+ *
+ * Leader election uses the same lease: every instance keeps campaigning, the
+ * holder renews it, and work that must run once (crons) checks isLeader().
+ */
+
+// This process, as a lock owner
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomUUID()
+  .slice(0, 8)}`;
+
+const LEADER_LOCK = "leader";
+const LEADER_LEASE_MS = Number(process.env.LEADER_LEASE_MS) || 30 * 1000;
+// Stop acting as leader a little before the lease runs out (clock drift)
+const LEADER_SAFETY_MS = 2000;
+
+const lockError = (message, code) =>
+  Object.assign(new Error(message), { code });
+
+/**
+ * Take or renew a lease.
+ * @param {String} name
+ * @param {Number} ttlMs
+ * @param {String} [owner]
+ * @returns {Promise<Boolean>} true if this owner now holds it
+ */
+export async function acquireLock(name, ttlMs, owner = INSTANCE_ID) {
+  const now = new Date();
+  try {
+    await Lock.updateOne(
+      { _id: name, $or: [{ expiresAt: { $lte: now } }, { owner }] },
+      {
+        $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) },
+        $setOnInsert: { acquiredAt: now },
+      },
+      { upsert: true }
+    );
+    return true;
+  } catch (err) {
+    // Held by someone else: the filter missed and the upsert hit _id
+    if (err.code === 11000) return false;
+    throw err;
+  }
+}
+
+export async function releaseLock(name, owner = INSTANCE_ID) {
+  await Lock.deleteOne({ _id: name, owner });
+}
+
+/**
+ * Extend a lease this owner still holds.
+ * @returns {Promise<Boolean>} false if the lease was lost (expired and taken)
+ */
+export async function renewLock(name, ttlMs, owner = INSTANCE_ID) {
+  const { matchedCount } = await Lock.updateOne(
+    { _id: name, owner },
+    { $set: { expiresAt: new Date(Date.now() + ttlMs) } }
+  );
+  return matchedCount === 1;
+}
+
+/**
+ * Run `work` while holding `name`, renewing the lease until it finishes.
+ * Each call is its own owner, so it also excludes other calls in this
+ * process. If the lease is lost mid-way, the signal passed to `work` is
+ * aborted; call signal.throwIfAborted() (code LOCK_LOST) before committing.
+ * @param {String} name
+ * @param {Number} ttlMs - Lease length; renewed every ttlMs / 3
+ * @param {Function} work - async (signal) => result
+ * @throws code LOCKED if another holder has it
+ */
+export async function withLock(name, ttlMs, work) {
+  const owner = `${INSTANCE_ID}:${crypto.randomUUID()}`;
+
+  if (!(await acquireLock(name, ttlMs, owner))) {
+    throw lockError(
+      "Another operation on this resource is in progress",
+      "LOCKED"
+    );
+  }
+
+  const controller = new AbortController();
+  const renewal = setInterval(async () => {
+    try {
+      if (!(await renewLock(name, ttlMs, owner))) {
+        clearInterval(renewal);
+        console.error(`❌ Lost lock ${name} while holding it`);
+        controller.abort(
+          lockError(
+            `Lock ${name} was lost before the work finished`,
+            "LOCK_LOST"
+          )
+        );
+      }
+    } catch (err) {
+      console.error(`❌ Renewing lock ${name} failed:`, err.message);
+    }
+  }, ttlMs / 3);
+
+  try {
+    return await work(controller.signal);
+  } finally {
+    clearInterval(renewal);
+    await releaseLock(name, owner).catch((err) =>
+      console.error(`❌ Releasing lock ${name} failed:`, err.message)
+    );
+  }
+}
+
+/* ---------- Leader election ---------- */
+
+let leaderUntil = 0;
+
+async function campaign() {
+  const startedAt = Date.now();
+  try {
+    const won = await acquireLock(LEADER_LOCK, LEADER_LEASE_MS);
+    const wasLeader = isLeader();
+    leaderUntil = won ? startedAt + LEADER_LEASE_MS - LEADER_SAFETY_MS : 0;
+
+    if (won && !wasLeader) console.log(`👑 ${INSTANCE_ID} is now leader`);
+    if (!won && wasLeader) console.log(`👋 ${INSTANCE_ID} lost leadership`);
+  } catch (err) {
+    console.error("❌ Leader election error:", err.message);
+  }
+}
+
+// True while this process holds the leader lease
+export function isLeader() {
+  return Date.now() < leaderUntil;
+}
+
+/**
+ * Keep campaigning for leadership (renews well within the lease).
+ */
+export function startLeaderElection() {
+  campaign();
+  setInterval(campaign, LEADER_LEASE_MS / 3).unref();
+}
+
+/**
+ * Give up leadership (graceful shutdown) so another instance takes over now.
+ */
+export async function stepDown() {
+  leaderUntil = 0;
+  await releaseLock(LEADER_LOCK);
+}
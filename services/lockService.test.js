@@ -0,0 +1,116 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import Lock from "../models/Lock.js";
+import { acquireLock, withLock } from "./lockService.js";
+
+/*
+ * In-memory stand-in for the locks collection: just enough of updateOne /
+ * deleteOne for the filters lockService uses (_id, owner, expiresAt $lte,
+ * and an $or of those), including the duplicate-key error a missed upsert hits.
+ */
+const locks = new Map();
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((sub) => matches(doc, sub));
+    if (condition && condition.$lte) return doc[key] <= condition.$lte;
+    return doc[key] === condition;
+  });
+
+mock.method(Lock, "updateOne", async (filter, update, options = {}) => {
+  const doc = locks.get(filter._id);
+  if (doc && matches(doc, filter)) {
+    Object.assign(doc, update.$set);
+    return { matchedCount: 1 };
+  }
+  if (!options.upsert) return { matchedCount: 0 };
+  if (doc) throw Object.assign(new Error("E11000"), { code: 11000 });
+
+  locks.set(filter._id, {
+    _id: filter._id,
+    ...update.$setOnInsert,
+    ...update.$set,
+  });
+  return { matchedCount: 0, upsertedCount: 1 };
+});
+
+mock.method(Lock, "deleteOne", async (filter) => {
+  const doc = locks.get(filter._id);
+  if (doc && matches(doc, filter)) locks.delete(filter._id);
+  return { deletedCount: doc ? 1 : 0 };
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+beforeEach(() => locks.clear());
+
+test("acquireLock only succeeds for a free, expired or own lease", async () => {
+  assert.equal(await acquireLock("job", 1000, "a"), true);
+  assert.equal(await acquireLock("job", 1000, "b"), false);
+  assert.equal(await acquireLock("job", 1000, "a"), true);
+
+  locks.get("job").expiresAt = new Date(Date.now() - 1);
+  assert.equal(await acquireLock("job", 1000, "b"), true);
+  assert.equal(locks.get("job").owner, "b");
+});
+
+test("withLock excludes a second call in the same process", async () => {
+  let release;
+  const first = withLock(
+    "lottery:1",
+    1000,
+    () => new Promise((resolve) => (release = resolve))
+  );
+  await sleep(5);
+
+  await assert.rejects(
+    withLock("lottery:1", 1000, async () => "second"),
+    { code: "LOCKED" }
+  );
+  // The failed attempt must not have released the first holder's lease
+  assert.ok(locks.has("lottery:1"));
+
+  release("first");
+  assert.equal(await first, "first");
+  assert.equal(locks.has("lottery:1"), false);
+});
+
+test("withLock can be taken again once the holder finishes", async () => {
+  await withLock("lottery:2", 1000, async () => {});
+  assert.equal(await withLock("lottery:2", 1000, async () => "again"), "again");
+});
+
+test("withLock releases the lease when the work throws", async () => {
+  await assert.rejects(
+    withLock("lottery:3", 1000, async () => {
+      throw new Error("boom");
+    }),
+    /boom/
+  );
+  assert.equal(locks.has("lottery:3"), false);
+});
+
+test("withLock aborts the signal when the lease is lost", async () => {
+  let signal;
+  await withLock("lottery:4", 30, async (s) => {
+    signal = s;
+    // Lease expired and another holder took it
+    locks.get("lottery:4").owner = "someone-else";
+    await sleep(50);
+  });
+
+  assert.equal(signal.aborted, true);
+  assert.equal(signal.reason.code, "LOCK_LOST");
+  assert.throws(() => signal.throwIfAborted(), { code: "LOCK_LOST" });
+  // Not ours any more, so not released
+  assert.equal(locks.get("lottery:4").owner, "someone-else");
+});
+
+test("withLock renews the lease while the work runs", async () => {
+  await withLock("lottery:5", 30, async (signal) => {
+    const firstExpiry = locks.get("lottery:5").expiresAt;
+    await sleep(50);
+    assert.ok(locks.get("lottery:5").expiresAt > firstExpiry);
+    assert.equal(signal.aborted, false);
+  });
+});
@@ -0,0 +1,229 @@
+import User from "../models/User.js";
+import LoginThrottle from "../models/LoginThrottle.js";
+
+/**
+ * Login brute-force protection.
+ *
+ * Failures are counted per IP and per email address (also for addresses
+ * without an account, so responses look the same either way):
+ *  - after a few free attempts each failure doubles a wait before the next try
+ *  - an account with too many consecutive failures is locked on User
+ * A successful login clears the account and email counters.
+ *
+ * TOTP step-up checks on sensitive actions are counted per user the same way,
+ * so a stolen session can't be used to guess codes.
+ */
+
+const FREE_ATTEMPTS = Number(process.env.LOGIN_FREE_ATTEMPTS) || 3;
+const IP_FREE_ATTEMPTS = Number(process.env.LOGIN_IP_FREE_ATTEMPTS) || 20;
+const MAX_BACKOFF_SECONDS = 15 * 60;
+const LOCKOUT_THRESHOLD = Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 30;
+// Counters are forgotten after a quiet day
+const THROTTLE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const ipKey = (ip) => `ip:${ip}`;
+const emailKey = (email) => `email:${String(email).trim().toLowerCase()}`;
+const stepUpKey = (userId) => `stepup:${userId}`;
+
+const backoffSeconds = (failures, freeAttempts) =>
+  failures < freeAttempts
+    ? 0
+    : Math.min(MAX_BACKOFF_SECONDS, 2 ** (failures - freeAttempts));
+
+const secondsUntil = (date) =>
+  Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+/**
+ * May this login attempt go ahead?
+ * @returns {Promise<{allowed: Boolean, retryAfter?: Number}>} retryAfter in seconds
+ */
+export async function checkLoginAllowed({ ip, email, user = null }) {
+  const now = new Date();
+  let blockedUntil = null;
+
+  const throttles = await LoginThrottle.find({
+    key: { $in: [ipKey(ip), emailKey(email)] },
+    blockedUntil: { $gt: now },
+  }).lean();
+  for (const t of throttles) {
+    if (!blockedUntil || t.blockedUntil > blockedUntil) {
+      blockedUntil = t.blockedUntil;
+    }
+  }
+
+  if (user?.lockedUntil && user.lockedUntil > now) {
+    if (!blockedUntil || user.lockedUntil > blockedUntil) {
+      blockedUntil = user.lockedUntil;
+    }
+  }
+
+  return blockedUntil
+    ? { allowed: false, retryAfter: secondsUntil(blockedUntil) }
+    : { allowed: true };
+}
+
+async function bumpThrottle(key, freeAttempts) {
+  const now = new Date();
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: {
+        lastFailureAt: now,
+        expiresAt: new Date(now.getTime() + THROTTLE_TTL_MS),
+      },
+    },
+    { upsert: true, new: true }
+  );
+
+  const wait = backoffSeconds(throttle.failures, freeAttempts);
+  if (wait > 0) {
+    await LoginThrottle.updateOne(
+      { _id: throttle._id },
+      { $set: { blockedUntil: new Date(now.getTime() + wait * 1000) } }
+    );
+  }
+  return throttle;
+}
+
+/**
+ * Count a failed password (or second-factor) attempt.
+ */
+export async function recordLoginFailure({ ip, email, user = null }) {
+  await Promise.all([
+    bumpThrottle(ipKey(ip), IP_FREE_ATTEMPTS),
+    bumpThrottle(emailKey(email), FREE_ATTEMPTS),
+  ]);
+
+  if (!user) return;
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $set: { lastFailedLoginAt: new Date() },
+    },
+    { new: true, projection: { failedLoginAttempts: 1 } }
+  );
+
+  // 🔒 Too many in a row: lock the account for a while
+  if (updated && updated.failedLoginAttempts >= LOCKOUT_THRESHOLD) {
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          lockedUntil: new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000),
+          failedLoginAttempts: 0,
+        },
+      }
+    );
+  }
+}
+
+export async function recordLoginSuccess({ email, user }) {
+  await Promise.all([
+    LoginThrottle.deleteOne({ key: emailKey(email) }),
+    User.updateOne(
+      { _id: user._id },
+      {
+        $set: { failedLoginAttempts: 0 },
+        $unset: { lockedUntil: "", lastFailedLoginAt: "" },
+      }
+    ),
+  ]);
+}
+
+/**
+ * Locked accounts and throttled IPs/emails (admin view).
+ */
+export async function listLockouts() {
+  const now = new Date();
+  const [users, throttles] = await Promise.all([
+    User.find({
+      $or: [{ lockedUntil: { $gt: now } }, { failedLoginAttempts: { $gt: 0 } }],
+    })
+      .select("name email failedLoginAttempts lastFailedLoginAt lockedUntil")
+      .lean(),
+    LoginThrottle.find({ blockedUntil: { $gt: now } })
+      .select("key failures lastFailureAt blockedUntil -_id")
+      .lean(),
+  ]);
+
+  return {
+    users: users.map((u) => ({ ...u, locked: u.lockedUntil > now })),
+    throttles,
+  };
+}
+
+/**
+ * Clear a user's lockout and their email's backoff.
+ * @returns {Promise<Object|null>} The user, or null if not found
+ */
+export async function clearUserLockout(userId) {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    {
+      $set: { failedLoginAttempts: 0 },
+      $unset: { lockedUntil: "", lastFailedLoginAt: "" },
+    },
+    { new: true }
+  ).select("name email");
+  if (!user) return null;
+
+  await LoginThrottle.deleteMany({
+    key: { $in: [emailKey(user.email), stepUpKey(user._id)] },
+  });
+  return user;
+}
+
+/**
+ * Clear the backoff of one IP address.
+ * @returns {Promise<Boolean>} Whether there was anything to clear
+ */
+export async function clearIpThrottle(ip) {
+  const { deletedCount } = await LoginThrottle.deleteOne({ key: ipKey(ip) });
+  return deletedCount > 0;
+}
+
+/* ---------- TOTP step-up ---------- */
+
+/**
+ * May this user try another step-up code?
+ * @returns {Promise<{allowed: Boolean, retryAfter?: Number}>} retryAfter in seconds
+ */
+export async function checkStepUpAllowed(userId) {
+  const throttle = await LoginThrottle.findOne({
+    key: stepUpKey(userId),
+    blockedUntil: { $gt: new Date() },
+  }).lean();
+
+  return throttle
+    ? { allowed: false, retryAfter: secondsUntil(throttle.blockedUntil) }
+    : { allowed: true };
+}
+
+/**
+ * Count a wrong step-up code: backoff, then a lockout after as many
+ * consecutive failures as locks an account at login.
+ */
+export async function recordStepUpFailure(userId) {
+  const throttle = await bumpThrottle(stepUpKey(userId), FREE_ATTEMPTS);
+
+  // 🔒 Too many in a row: no step-up for a while
+  if (throttle.failures >= LOCKOUT_THRESHOLD) {
+    await LoginThrottle.updateOne(
+      { _id: throttle._id },
+      {
+        $set: {
+          failures: 0,
+          blockedUntil: new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000),
+        },
+      }
+    );
+  }
+}
+
+export async function recordStepUpSuccess(userId) {
+  await LoginThrottle.deleteOne({ key: stepUpKey(userId) });
+}
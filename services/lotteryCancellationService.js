@@ -0,0 +1,120 @@
+import mongoose from "mongoose";
+import Lottery from "../models/Lottery.js";
+import TicketPurchase from "../models/TicketPurchase.js";
+import { updateWallet } from "./walletService.js";
+import { markTicketsRefunded } from "./ticketInventoryService.js";
+import { emitLotteryStatus } from "./socketService.js";
+import { notifyUser } from "./notificationService.js";
+import { NOTIFICATION_TYPES } from "../constants/notification-types.js";
+import { LEDGER_ACCOUNTS } from "../constants/ledger-accounts.js";
+import { toCents, formatCents } from "../utils/money.js";
+
+const cancellationError = (message, code) =>
+  Object.assign(new Error(message), { code });
+
+/**
+ * Cancel a lottery and refund every active purchase in one transaction.
+ * @param {String} lotteryId
+ * @param {Object} options
+ * @param {String} options.reason - Shown to users on the refund
+ * @param {String} [options.cancelledBy] - Admin ID (empty for system/undersold)
+ * @param {ClientSession} [options.session] - Existing session (a local transaction is used otherwise; the caller announces the cancellation after commit)
+ * @returns {Promise<{lottery: Object, refunded: Number}>}
+ */
+export async function cancelLottery(
+  lotteryId,
+  { reason, cancelledBy = null, session = null } = {}
+) {
+  let externalSession = !!session;
+  if (!externalSession) {
+    session = await mongoose.startSession();
+    session.startTransaction();
+  }
+
+  try {
+    const lottery = await Lottery.findById(lotteryId).session(session);
+    if (!lottery) throw cancellationError("Lottery not found", "NOT_FOUND");
+    if (lottery.flags.isCancelled)
+      throw cancellationError("Lottery already cancelled", "ALREADY_CANCELLED");
+    if (lottery.flags.resultAnnounced)
+      throw cancellationError(
+        "Result already announced; lottery can no longer be cancelled",
+        "ALREADY_DRAWN"
+      );
+
+    // 💸 Refund every purchase through the ledger
+    const purchases = await TicketPurchase.find({
+      lotteryId: lottery._id,
+      status: { $ne: "refunded" },
+    }).session(session);
+
+    for (const purchase of purchases) {
+      const refundCents = toCents((purchase.totalPrice || 0).toFixed(2));
+
+      if (refundCents > 0n) {
+        const { transaction } = await updateWallet(
+          purchase.userId,
+          formatCents(refundCents),
+          `Refund for lottery ${lottery.title} (${reason})`,
+          session,
+          {
+            counterAccount: LEDGER_ACCOUNTS.TICKET_SALES,
+            idempotencyKey: `refund:${purchase._id}`,
+            reference: { kind: "TicketPurchase", id: purchase._id.toString() },
+          }
+        );
+        purchase.refundTransaction = transaction._id;
+      }
+
+      purchase.status = "refunded";
+      purchase.refundedAt = new Date();
+      await purchase.save({ session });
+      await markTicketsRefunded(purchase._id, session);
+
+      await notifyUser(
+        purchase.userId,
+        {
+          type: NOTIFICATION_TYPES.REFUND,
+          title: "Lottery cancelled",
+          message: `${lottery.title} was cancelled (${reason}). ${formatCents(
+            refundCents
+          )} was refunded to your wallet.`,
+          data: {
+            lotteryId: lottery._id.toString(),
+            purchaseId: purchase._id.toString(),
+            amount: formatCents(refundCents),
+            reason,
+          },
+        },
+        session
+      );
+    }
+
+    // 🔄 Close the lottery
+    lottery.flags.isCancelled = true;
+    lottery.flags.isEnded = true;
+    lottery.flags.isActive = false;
+    lottery.flags.isUpcoming = false;
+    lottery.cancellation = {
+      reason,
+      cancelledAt: new Date(),
+      cancelledBy,
+      refundedPurchases: purchases.length,
+    };
+    await lottery.save({ session });
+
+    if (!externalSession) {
+      await session.commitTransaction();
+      session.endSession();
+      emitLotteryStatus(lottery._id, "cancelled");
+    }
+
+    return { lottery, refunded: purchases.length };
+  } catch (err) {
+    if (!externalSession) {
+      await session.abortTransaction();
+      session.endSession();
+    }
+    throw err;
+  }
+}
@@ -0,0 +1,197 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Lottery from "../models/Lottery.js";
+import TicketPurchase from "../models/TicketPurchase.js";
+import User from "../models/User.js";
+import Transaction from "../models/Transaction.js";
+import Ticket from "../models/Ticket.js";
+import Notification from "../models/Notification.js";
+import { LEDGER_ACCOUNTS } from "../constants/ledger-accounts.js";
+import { fakeQuery, fakeSession } from "../utils/testing.js";
+import { cancelLottery } from "./lotteryCancellationService.js";
+
+const buyers = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+let session;
+let lottery;
+let purchases;
+let balances;
+let ledger;
+let notifications;
+
+const saved = (doc) => Object.assign(doc, { save: mock.fn(async () => doc) });
+
+beforeEach(() => {
+  mock.restoreAll();
+  session = fakeSession();
+  balances = new Map(buyers.map((id) => [id.toString(), 0n]));
+  ledger = [];
+  notifications = [];
+
+  lottery = saved({
+    _id: "lottery-1",
+    title: "Friday Draw",
+    flags: { isActive: false, isEnded: true, isCancelled: false },
+  });
+  purchases = [
+    saved({ _id: "p1", userId: buyers[0], totalPrice: 30.1, status: "active" }),
+    saved({ _id: "p2", userId: buyers[1], totalPrice: 0.3, status: "active" }),
+  ];
+
+  mock.method(mongoose, "startSession", async () => session);
+  mock.method(Lottery, "findById", () => fakeQuery(lottery));
+  mock.method(TicketPurchase, "find", () => fakeQuery(purchases));
+  mock.method(Ticket, "updateMany", async () => ({ modifiedCount: 1 }));
+  mock.method(Notification, "insertMany", async (docs) => {
+    notifications.push(...docs);
+    return docs;
+  });
+
+  // Ledger: balances in cents, entries looked up by idempotency key
+  mock.method(User, "findOneAndUpdate", async (filter, update) => {
+    const id = filter._id.toString();
+    const cents = BigInt(
+      Math.round(Number(update.$inc.walletBalance.toString()) * 100)
+    );
+    balances.set(id, balances.get(id) + cents);
+    return {
+      _id: filter._id,
+      walletBalance: (Number(balances.get(id)) / 100).toFixed(2),
+    };
+  });
+  mock.method(Transaction, "findOne", ({ idempotencyKey }) =>
+    fakeQuery(ledger.find((t) => t.idempotencyKey === idempotencyKey) ?? null)
+  );
+  mock.method(Transaction, "create", async ([entry]) => {
+    const transaction = { _id: new mongoose.Types.ObjectId(), ...entry };
+    ledger.push(transaction);
+    return [transaction];
+  });
+});
+
+test("cancelLottery refunds every purchase exactly and closes the lottery", async () => {
+  const result = await cancelLottery("lottery-1", {
+    reason: "Venue closed",
+    cancelledBy: "admin-1",
+  });
+
+  assert.equal(result.refunded, 2);
+  assert.equal(balances.get(buyers[0].toString()), 3010n);
+  assert.equal(balances.get(buyers[1].toString()), 30n);
+
+  assert.deepEqual(
+    ledger.map((t) => [t.idempotencyKey, t.type, t.amount.toString()]),
+    [
+      ["refund:p1", "credit", "30.10"],
+      ["refund:p2", "credit", "0.30"],
+    ]
+  );
+  assert.ok(
+    ledger.every((t) => t.counterAccount === LEDGER_ACCOUNTS.TICKET_SALES)
+  );
+
+  for (const purchase of purchases) {
+    assert.equal(purchase.status, "refunded");
+    assert.ok(purchase.refundedAt);
+    assert.equal(purchase.save.mock.callCount(), 1);
+  }
+  assert.equal(purchases[0].refundTransaction, ledger[0]._id);
+  assert.deepEqual(
+    Ticket.updateMany.mock.calls.map((call) => call.arguments[0]),
+    [{ purchaseId: "p1" }, { purchaseId: "p2" }]
+  );
+
+  assert.equal(lottery.flags.isCancelled, true);
+  assert.equal(lottery.flags.isActive, false);
+  assert.equal(lottery.cancellation.reason, "Venue closed");
+  assert.equal(lottery.cancellation.refundedPurchases, 2);
+  assert.equal(session.state, "committed");
+
+  assert.deepEqual(
+    notifications.map((n) => [String(n.user), n.data.amount]),
+    [
+      [buyers[0].toString(), "30.10"],
+      [buyers[1].toString(), "0.30"],
+    ]
+  );
+  assert.ok(
+    Notification.insertMany.mock.calls.every(
+      (call) => call.arguments[1].session === session
+    )
+  );
+});
+
+test("a refund already on the ledger isn't paid twice", async () => {
+  ledger.push({
+    _id: new mongoose.Types.ObjectId(),
+    idempotencyKey: "refund:p1",
+    user: buyers[0],
+    amount: mongoose.Types.Decimal128.fromString("30.10"),
+    type: "credit",
+    balanceAfter: mongoose.Types.Decimal128.fromString("30.10"),
+  });
+
+  await cancelLottery("lottery-1", { reason: "Retry" });
+
+  assert.equal(balances.get(buyers[0].toString()), 0n);
+  assert.equal(balances.get(buyers[1].toString()), 30n);
+  assert.equal(ledger.length, 2);
+});
+
+test("free purchases are marked refunded without a ledger entry", async () => {
+  purchases = [
+    saved({ _id: "p3", userId: buyers[0], totalPrice: 0, status: "active" }),
+  ];
+
+  const { refunded } = await cancelLottery("lottery-1", { reason: "Test" });
+
+  assert.equal(refunded, 1);
+  assert.equal(ledger.length, 0);
+  assert.equal(purchases[0].status, "refunded");
+});
+
+test("cancelLottery refuses cancelled or drawn lotteries", async () => {
+  lottery.flags.isCancelled = true;
+  await assert.rejects(cancelLottery("lottery-1", { reason: "x" }), {
+    code: "ALREADY_CANCELLED",
+  });
+  assert.equal(session.state, "aborted");
+
+  lottery.flags = { isCancelled: false, resultAnnounced: true };
+  await assert.rejects(cancelLottery("lottery-1", { reason: "x" }), {
+    code: "ALREADY_DRAWN",
+  });
+
+  mock.method(Lottery, "findById", () => fakeQuery(null));
+  await assert.rejects(cancelLottery("missing", { reason: "x" }), {
+    code: "NOT_FOUND",
+  });
+  assert.equal(ledger.length, 0);
+});
+
+test("a failed refund aborts the whole cancellation", async () => {
+  let calls = 0;
+  Transaction.create.mock.mockImplementation(async () => {
+    if (++calls === 2) throw new Error("write failed");
+    return [{ _id: new mongoose.Types.ObjectId() }];
+  });
+
+  await assert.rejects(
+    cancelLottery("lottery-1", { reason: "x" }),
+    /write failed/
+  );
+  assert.equal(session.state, "aborted");
+  assert.equal(session.ended, true);
+  assert.equal(lottery.save.mock.callCount(), 0);
+});
+
+test("inside a caller's session the caller owns the transaction", async () => {
+  const outer = fakeSession();
+  outer.startTransaction();
+
+  await cancelLottery("lottery-1", { reason: "Undersold", session: outer });
+
+  assert.equal(outer.state, "started");
+  assert.equal(mongoose.startSession.mock.callCount(), 0);
+});
@@ -0,0 +1,85 @@
+import Lottery from "../models/Lottery.js";
+import { drawLottery, withLotteryLock } from "./drawLotteryService.js";
+import { cancelLottery } from "./lotteryCancellationService.js";
+import { emitLotteryResult } from "./socketService.js";
+import { enqueueJob } from "./jobQueueService.js";
+import { DRAW_METHODS } from "../constants/draw-methods.js";
+import { JOB_TYPES } from "../constants/jobs.js";
+
+/**
+ * Queue the settle job for an ended lottery, due at its draw time.
+ * One job per lottery: enqueueing it again is a no-op.
+ * @param {{_id: *, drawDatetime: Date}} lottery
+ */
+export const enqueueLotterySettlement = (lottery) =>
+  enqueueJob(
+    JOB_TYPES.SETTLE_LOTTERY,
+    { lotteryId: lottery._id.toString() },
+    {
+      dedupeKey: `${JOB_TYPES.SETTLE_LOTTERY}:${lottery._id}`,
+      runAt: lottery.drawDatetime,
+    }
+  );
+
+/**
+ * Settle a lottery that has ended and reached its draw time: draw and pay
+ * out, or cancel and refund if it undersold. Runs as the lottery.settle job,
+ * so it is safe to run again after a partial failure.
+ * @param {String} lotteryId
+ * @returns {Promise<{outcome: String}>}
+ */
+export async function settleEndedLottery(lotteryId) {
+  // 🔒 Never alongside an admin draw/cancel of the same lottery
+  return withLotteryLock(lotteryId, async (signal) => {
+    const lottery = await Lottery.findById(lotteryId);
+    if (!lottery) {
+      throw Object.assign(new Error("Lottery not found"), {
+        code: "NOT_FOUND",
+        retryable: false,
+      });
+    }
+
+    // Already settled (by an earlier attempt or an admin)
+    if (lottery.flags.resultAnnounced || lottery.flags.isCancelled) {
+      return { outcome: "already-settled" };
+    }
+
+    // 🔒 Another process took over the lock while we were loading (retried)
+    signal.throwIfAborted();
+
+    // Undersold → cancel and refund everyone instead of drawing
+    if (lottery.ticketsSold < (lottery.minTicketsSold || 0)) {
+      const { refunded } = await cancelLottery(lottery._id, {
+        reason: `Minimum tickets not sold (${lottery.ticketsSold}/${lottery.minTicketsSold})`,
+      });
+      console.log(
+        `↩️ Lottery ${lottery._id} undersold. Cancelled and refunded ${refunded} purchase(s).`
+      );
+      return { outcome: "cancelled", refunded };
+    }
+
+    if (lottery.ticketsSold === 0) {
+      // No tickets sold → skip actual draw but mark as resultAnnounced
+      await Lottery.updateOne(
+        { _id: lottery._id },
+        { $set: { "flags.resultAnnounced": true } }
+      );
+      emitLotteryResult(lottery._id, []);
+      console.log(
+        `⚠️ Lottery ${lottery._id} has no tickets sold. Marked as resultAnnounced without drawing.`
+      );
+      return { outcome: "no-tickets" };
+    }
+
+    // Manual lotteries wait for admins to enter + confirm winners
+    if (lottery.drawMethod === DRAW_METHODS.MANUAL) {
+      return { outcome: "awaiting-manual-draw" };
+    }
+
+    // Tickets sold → do normal draw
+    console.log(`🎲 Auto-drawing lottery ${lottery._id}...`);
+    await drawLottery(lottery._id);
+    console.log(`🏆 Results announced for lottery ${lottery._id}.`);
+    return { outcome: "drawn" };
+  });
+}
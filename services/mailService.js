@@ -0,0 +1,74 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import nodemailer from "nodemailer";
+
+/**
+ * Outgoing mail.
+ *
+ * MAIL_TRANSPORT selects where messages go:
+ *  - "smtp"    → SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+ *  - "file"    → one JSON file per message in MAIL_FILE_DIR (local dev, tests)
+ *  - "console" → printed to the log (default)
+ */
+
+const MAIL_FROM = process.env.MAIL_FROM || "Lottme <no-reply@lottme.local>";
+const MAIL_FILE_DIR =
+  process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), "lottme-mail");
+
+let transporter = null;
+
+function createTransporter() {
+  switch (process.env.MAIL_TRANSPORT || "console") {
+    case "smtp":
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+    case "file":
+    case "console":
+      // Render the message without sending it anywhere
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${process.env.MAIL_TRANSPORT}"`);
+  }
+}
+
+/**
+ * Send an email through the configured transport.
+ * @param {Object} message
+ * @param {String} message.to
+ * @param {String} message.subject
+ * @param {String} message.text - Plain-text body
+ * @param {String} [message.html]
+ * @returns {Promise<Object>} Transport info (messageId, ...)
+ */
+export async function sendMail({ to, subject, text, html }) {
+  if (!transporter) transporter = createTransporter();
+
+  const info = await transporter.sendMail({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+  });
+
+  const mode = process.env.MAIL_TRANSPORT || "console";
+  if (mode === "file") {
+    await fs.mkdir(MAIL_FILE_DIR, { recursive: true });
+    const file = path.join(
+      MAIL_FILE_DIR,
+      `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, "")}.json`
+    );
+    await fs.writeFile(file, info.message);
+  } else if (mode === "console") {
+    console.log(`📧 Mail to ${to}: ${subject}\n${text}`);
+  }
+
+  return info;
+}
@@ -0,0 +1,167 @@
+import User from "../models/User.js";
+import Lottery from "../models/Lottery.js";
+import Notification from "../models/Notification.js";
+import TicketPurchase from "../models/TicketPurchase.js";
+import { ROLES } from "../constants/roles.js";
+import {
+  NOTIFICATION_TYPES,
+  ANNOUNCEMENT_SEGMENTS,
+} from "../constants/notification-types.js";
+
+/**
+ * In-app notification inbox.
+ *
+ * Notifications are written next to the change they describe (in its
+ * transaction when there is one). Admin announcements fan out to one
+ * notification per recipient so reads are tracked per user.
+ */
+
+const BROADCAST_BATCH_SIZE = 1000;
+
+const notificationError = (message, code) =>
+  Object.assign(new Error(message), { code });
+
+/**
+ * Same notification for several users.
+ * @param {Array<String|ObjectId>} userIds
+ * @param {{type: String, title: String, message: String, data?: Object, sentBy?: String}} notification
+ * @param {ClientSession} [session]
+ * @returns {Promise<Number>} Notifications created
+ */
+export async function notifyUsers(userIds, notification, session = null) {
+  if (userIds.length === 0) return 0;
+  const docs = userIds.map((user) => ({ ...notification, user }));
+  await Notification.insertMany(docs, { session });
+  return docs.length;
+}
+
+export async function notifyUser(userId, notification, session = null) {
+  await notifyUsers([userId], notification, session);
+}
+
+// Users holding (non-refunded) tickets for a lottery
+const participantIds = (lotteryId, session = null) =>
+  TicketPurchase.distinct("userId", {
+    lotteryId,
+    status: { $ne: "refunded" },
+  }).session(session);
+
+/**
+ * Notify everyone who bought into a lottery.
+ * @returns {Promise<Number>}
+ */
+export async function notifyLotteryParticipants(
+  lotteryId,
+  notification,
+  session = null
+) {
+  return notifyUsers(
+    await participantIds(lotteryId, session),
+    notification,
+    session
+  );
+}
+
+/**
+ * One page of a user's inbox, newest first.
+ * @param {Object} options
+ * @param {Boolean} [options.unread] - Only unread notifications
+ */
+export async function listNotifications(userId, { page, limit, unread }) {
+  const filter = { user: userId, ...(unread && { readAt: null }) };
+
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select("-user -sentBy")
+      .lean(),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ user: userId, readAt: null }),
+  ]);
+
+  return {
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit),
+    totalRecords: total,
+    unreadCount,
+    content: notifications,
+  };
+}
+
+/**
+ * @throws code NOT_FOUND
+ */
+export async function markNotificationRead(userId, notificationId) {
+  const notification = await Notification.findOneAndUpdate(
+    { _id: notificationId, user: userId },
+    [{ $set: { readAt: { $ifNull: ["$readAt", "$$NOW"] } } }],
+    { new: true, projection: { user: 0, sentBy: 0 } }
+  ).lean();
+  if (!notification) {
+    throw notificationError("Notification not found", "NOT_FOUND");
+  }
+  return notification;
+}
+
+/**
+ * @returns {Promise<Number>} Notifications marked read
+ */
+export async function markAllNotificationsRead(userId) {
+  const { modifiedCount } = await Notification.updateMany(
+    { user: userId, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+  return modifiedCount;
+}
+
+/**
+ * Send an admin announcement to every user in a segment.
+ * @param {Object} announcement
+ * @param {String} announcement.title
+ * @param {String} announcement.message
+ * @param {String} announcement.segment - ANNOUNCEMENT_SEGMENTS
+ * @param {String} [announcement.lotteryId] - For lottery-participants
+ * @param {String} adminId
+ * @returns {Promise<Number>} Recipients
+ * @throws code NOT_FOUND (lottery)
+ */
+export async function broadcastAnnouncement(
+  { title, message, segment, lotteryId },
+  adminId
+) {
+  const filter = { role: ROLES.USER, isDeleted: { $ne: true } };
+  if (segment === ANNOUNCEMENT_SEGMENTS.VERIFIED) {
+    filter.emailVerified = true;
+  }
+  if (segment === ANNOUNCEMENT_SEGMENTS.LOTTERY_PARTICIPANTS) {
+    if (!(await Lottery.exists({ _id: lotteryId }))) {
+      throw notificationError("Lottery not found", "NOT_FOUND");
+    }
+    filter._id = { $in: await participantIds(lotteryId) };
+  }
+
+  const notification = {
+    type: NOTIFICATION_TYPES.ANNOUNCEMENT,
+    title,
+    message,
+    data: lotteryId ? { lotteryId } : {},
+    sentBy: adminId,
+  };
+
+  // 📣 Fan out in batches so large audiences don't load all ids at once
+  let recipients = 0;
+  let batch = [];
+  for await (const user of User.find(filter).select("_id").lean().cursor()) {
+    batch.push(user._id);
+    if (batch.length === BROADCAST_BATCH_SIZE) {
+      recipients += await notifyUsers(batch, notification);
+      batch = [];
+    }
+  }
+  recipients += await notifyUsers(batch, notification);
+
+  return recipients;
+}
@@ -0,0 +1,217 @@
+import User from "../models/User.js";
+import AdminRole from "../models/AdminRole.js";
+import { ROLES } from "../constants/roles.js";
+import {
+  ADMIN_ROLES,
+  BUILT_IN_ROLE_PERMISSIONS,
+  PERMISSION_NAMES,
+} from "../constants/permissions.js";
+
+/**
+ * Admin permissions.
+ *
+ * An admin's permissions are the union of their roles' permissions. Built-in
+ * roles are fixed in code; custom roles are stored in AdminRole. Admins with
+ * no roles have no permissions (admins from before roles existed get theirs
+ * from scripts/migrateAdminRoles.js).
+ */
+
+const permissionError = (message, code) =>
+  Object.assign(new Error(message), { code });
+
+const isBuiltIn = (name) =>
+  Object.prototype.hasOwnProperty.call(BUILT_IN_ROLE_PERMISSIONS, name);
+
+/**
+ * @param {Object} user
+ * @returns {Promise<Set<String>>}
+ */
+export async function resolvePermissions(user) {
+  if (user.role !== ROLES.ADMIN) return new Set();
+
+  const names = user.adminRoles || [];
+  const permissions = new Set();
+  const custom = [];
+
+  for (const name of names) {
+    if (isBuiltIn(name)) {
+      BUILT_IN_ROLE_PERMISSIONS[name].forEach((p) => permissions.add(p));
+    } else {
+      custom.push(name);
+    }
+  }
+
+  if (custom.length > 0) {
+    const roles = await AdminRole.find({ name: { $in: custom } })
+      .select("permissions")
+      .lean();
+    roles.forEach((r) => r.permissions.forEach((p) => permissions.add(p)));
+  }
+
+  return permissions;
+}
+
+/**
+ * Built-in and custom roles with their permissions.
+ */
+export async function listAdminRoles() {
+  const custom = await AdminRole.find().sort({ name: 1 }).lean();
+
+  return [
+    ...Object.entries(BUILT_IN_ROLE_PERMISSIONS).map(([name, permissions]) => ({
+      name,
+      permissions,
+      builtIn: true,
+    })),
+    ...custom.map((r) => ({
+      _id: r._id,
+      name: r.name,
+      description: r.description,
+      permissions: r.permissions,
+      builtIn: false,
+    })),
+  ];
+}
+
+function validatePermissions(permissions) {
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    throw permissionError(
+      "permissions must be a non-empty array",
+      "INVALID_PERMISSIONS"
+    );
+  }
+  const unknown = permissions.filter((p) => !PERMISSION_NAMES.includes(p));
+  if (unknown.length > 0) {
+    throw permissionError(
+      `Unknown permissions: ${unknown.join(", ")}`,
+      "INVALID_PERMISSIONS"
+    );
+  }
+  return [...new Set(permissions)];
+}
+
+export async function createAdminRole(
+  { name, description, permissions },
+  adminId
+) {
+  if (!name || typeof name !== "string") {
+    throw permissionError("Role name is required", "INVALID_ROLE");
+  }
+  if (isBuiltIn(name)) {
+    throw permissionError("Role already exists", "ROLE_EXISTS");
+  }
+
+  try {
+    return await AdminRole.create({
+      name,
+      description,
+      permissions: validatePermissions(permissions),
+      createdBy: adminId,
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw permissionError("Role already exists", "ROLE_EXISTS");
+    }
+    throw err;
+  }
+}
+
+export async function updateAdminRole(name, { description, permissions }) {
+  if (isBuiltIn(name)) {
+    throw permissionError("Built-in roles can't be changed", "BUILT_IN_ROLE");
+  }
+
+  const update = {};
+  if (permissions !== undefined) {
+    update.permissions = validatePermissions(permissions);
+  }
+  if (description !== undefined) update.description = description;
+
+  const role = await AdminRole.findOneAndUpdate({ name }, update, {
+    new: true,
+  });
+  if (!role) throw permissionError("Role not found", "ROLE_NOT_FOUND");
+  return role;
+}
+
+export async function deleteAdminRole(name) {
+  if (isBuiltIn(name)) {
+    throw permissionError("Built-in roles can't be deleted", "BUILT_IN_ROLE");
+  }
+
+  const assigned = await User.countDocuments({ adminRoles: name });
+  if (assigned > 0) {
+    throw permissionError(
+      `Role is assigned to ${assigned} admin(s); unassign it first`,
+      "ROLE_IN_USE"
+    );
+  }
+
+  const { deletedCount } = await AdminRole.deleteOne({ name });
+  if (deletedCount === 0) {
+    throw permissionError("Role not found", "ROLE_NOT_FOUND");
+  }
+}
+
+/**
+ * Replace an admin's roles.
+ * @param {String} userId
+ * @param {String[]} roles
+ */
+export async function assignAdminRoles(userId, roles) {
+  if (!Array.isArray(roles)) {
+    throw permissionError("roles must be an array", "INVALID_ROLE");
+  }
+  const names = [...new Set(roles)];
+
+  const custom = names.filter((n) => !isBuiltIn(n));
+  const existing = await AdminRole.find({ name: { $in: custom } })
+    .select("name")
+    .lean();
+  const unknown = custom.filter((n) => !existing.some((r) => r.name === n));
+  if (unknown.length > 0) {
+    throw permissionError(
+      `Unknown roles: ${unknown.join(", ")}`,
+      "ROLE_NOT_FOUND"
+    );
+  }
+
+  const user = await User.findOne({ _id: userId, role: ROLES.ADMIN });
+  if (!user) throw permissionError("Admin not found", "USER_NOT_FOUND");
+
+  if (!names.includes(ADMIN_ROLES.SUPER_ADMIN)) {
+    await assertNotLastSuperAdmin(user);
+  }
+
+  user.adminRoles = names;
+  await user.save();
+  return user;
+}
+
+/**
+ * 🛡 Never leave the system without a super-admin: call before `user` loses
+ * the role (or stops being an admin).
+ * @param {Object} user
+ * @throws code LAST_SUPER_ADMIN
+ */
+export async function assertNotLastSuperAdmin(user) {
+  if (
+    user.role !== ROLES.ADMIN ||
+    !user.adminRoles?.includes(ADMIN_ROLES.SUPER_ADMIN)
+  ) {
+    return;
+  }
+
+  const others = await User.countDocuments({
+    _id: { $ne: user._id },
+    role: ROLES.ADMIN,
+    adminRoles: ADMIN_ROLES.SUPER_ADMIN,
+    isDeleted: { $ne: true },
+  });
+  if (others === 0) {
+    throw permissionError(
+      "Can't remove the last super-admin",
+      "LAST_SUPER_ADMIN"
+    );
+  }
+}
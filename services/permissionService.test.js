@@ -0,0 +1,176 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import AdminRole from "../models/AdminRole.js";
+import { ROLES } from "../constants/roles.js";
+import { ADMIN_ROLES, PERMISSIONS } from "../constants/permissions.js";
+import { fakeQuery, matches } from "../utils/testing.js";
+import {
+  resolvePermissions,
+  createAdminRole,
+  deleteAdminRole,
+  assignAdminRoles,
+  assertNotLastSuperAdmin,
+} from "./permissionService.js";
+
+let users;
+let customRoles;
+
+const admin = (adminRoles) => {
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    role: ROLES.ADMIN,
+    adminRoles,
+    save: async () => user,
+  };
+  users.push(user);
+  return user;
+};
+
+beforeEach(() => {
+  mock.restoreAll();
+  users = [];
+  customRoles = [{ name: "auditor", permissions: [PERMISSIONS.WALLET_READ] }];
+
+  mock.method(AdminRole, "find", (filter = {}) =>
+    fakeQuery(customRoles.filter((r) => matches(r, filter)))
+  );
+  mock.method(AdminRole, "create", async (doc) => {
+    if (customRoles.some((r) => r.name === doc.name)) {
+      throw Object.assign(new Error("E11000"), { code: 11000 });
+    }
+    customRoles.push(doc);
+    return doc;
+  });
+  mock.method(AdminRole, "deleteOne", async ({ name }) => {
+    const before = customRoles.length;
+    customRoles = customRoles.filter((r) => r.name !== name);
+    return { deletedCount: before - customRoles.length };
+  });
+
+  // adminRoles is an array: a plain value in a filter means "contains"
+  const userMatches = (user, { adminRoles, ...filter }) =>
+    matches(user, filter) &&
+    (adminRoles === undefined || (user.adminRoles || []).includes(adminRoles));
+  mock.method(User, "findOne", (filter) =>
+    fakeQuery(users.find((u) => userMatches(u, filter)) ?? null)
+  );
+  mock.method(
+    User,
+    "countDocuments",
+    async (filter) => users.filter((u) => userMatches(u, filter)).length
+  );
+});
+
+test("an admin gets the union of their roles' permissions", async () => {
+  const permissions = await resolvePermissions(
+    admin([ADMIN_ROLES.LOTTERY_OPERATOR, "auditor"])
+  );
+
+  assert.deepEqual(
+    [...permissions].sort(),
+    [
+      PERMISSIONS.DRAWS_EXECUTE,
+      PERMISSIONS.JOBS_MANAGE,
+      PERMISSIONS.JOBS_READ,
+      PERMISSIONS.LOTTERIES_MANAGE,
+      PERMISSIONS.LOTTERIES_READ,
+      PERMISSIONS.WALLET_READ,
+    ].sort()
+  );
+});
+
+test("admins without roles and regular users have no permissions", async () => {
+  assert.equal((await resolvePermissions(admin([]))).size, 0);
+  assert.equal((await resolvePermissions(admin(undefined))).size, 0);
+  assert.equal(
+    (
+      await resolvePermissions({
+        role: ROLES.USER,
+        adminRoles: [ADMIN_ROLES.SUPER_ADMIN],
+      })
+    ).size,
+    0
+  );
+});
+
+test("support can manage users but not roles or withdrawals", async () => {
+  const permissions = await resolvePermissions(admin([ADMIN_ROLES.SUPPORT]));
+
+  assert.ok(permissions.has(PERMISSIONS.USERS_MANAGE));
+  assert.ok(!permissions.has(PERMISSIONS.ADMIN_ROLES_MANAGE));
+  assert.ok(!permissions.has(PERMISSIONS.WALLET_APPROVE_WITHDRAWALS));
+});
+
+test("custom roles need a free name and known permissions", async () => {
+  await assert.rejects(
+    createAdminRole({
+      name: ADMIN_ROLES.FINANCE,
+      permissions: [PERMISSIONS.USERS_READ],
+    }),
+    { code: "ROLE_EXISTS" }
+  );
+  await assert.rejects(
+    createAdminRole({ name: "auditor", permissions: [PERMISSIONS.USERS_READ] }),
+    { code: "ROLE_EXISTS" }
+  );
+  await assert.rejects(
+    createAdminRole({ name: "x", permissions: ["users:everything"] }),
+    { code: "INVALID_PERMISSIONS" }
+  );
+  await assert.rejects(createAdminRole({ name: "x", permissions: [] }), {
+    code: "INVALID_PERMISSIONS",
+  });
+});
+
+test("a role still assigned to an admin can't be deleted", async () => {
+  admin(["auditor"]);
+
+  await assert.rejects(deleteAdminRole("auditor"), { code: "ROLE_IN_USE" });
+  await assert.rejects(deleteAdminRole(ADMIN_ROLES.SUPPORT), {
+    code: "BUILT_IN_ROLE",
+  });
+});
+
+test("only known roles can be assigned", async () => {
+  const target = admin([]);
+
+  await assert.rejects(assignAdminRoles(target._id, ["auditor", "ghost"]), {
+    code: "ROLE_NOT_FOUND",
+  });
+
+  await assignAdminRoles(target._id, ["auditor", ADMIN_ROLES.FINANCE]);
+  assert.deepEqual(target.adminRoles, ["auditor", ADMIN_ROLES.FINANCE]);
+});
+
+test("the last super-admin can't be demoted", async () => {
+  const root = admin([ADMIN_ROLES.SUPER_ADMIN]);
+
+  await assert.rejects(assignAdminRoles(root._id, [ADMIN_ROLES.SUPPORT]), {
+    code: "LAST_SUPER_ADMIN",
+  });
+  assert.deepEqual(root.adminRoles, [ADMIN_ROLES.SUPER_ADMIN]);
+
+  admin([ADMIN_ROLES.SUPER_ADMIN]);
+  await assignAdminRoles(root._id, [ADMIN_ROLES.SUPPORT]);
+  assert.deepEqual(root.adminRoles, [ADMIN_ROLES.SUPPORT]);
+});
+
+test("the last super-admin can't stop being an admin", async () => {
+  const root = admin([ADMIN_ROLES.SUPER_ADMIN]);
+  const support = admin([ADMIN_ROLES.SUPPORT]);
+
+  await assert.rejects(assertNotLastSuperAdmin(root), {
+    code: "LAST_SUPER_ADMIN",
+  });
+  await assertNotLastSuperAdmin(support);
+
+  users.push({ ...root, _id: new mongoose.Types.ObjectId(), isDeleted: true });
+  await assert.rejects(assertNotLastSuperAdmin(root), {
+    code: "LAST_SUPER_ADMIN",
+  });
+
+  admin([ADMIN_ROLES.SUPER_ADMIN]);
+  await assertNotLastSuperAdmin(root);
+});
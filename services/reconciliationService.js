@@ -0,0 +1,320 @@
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Transaction from "../models/Transaction.js";
+import WalletTransactionRecord from "../models/WalletTransactionRecord.js";
+import WalletDiscrepancy from "../models/WalletDiscrepancy.js";
+import ReconciliationRun from "../models/ReconciliationRun.js";
+import { ROLES } from "../constants/roles.js";
+import { LEDGER_ACCOUNTS } from "../constants/ledger-accounts.js";
+import { toCents, formatCents, centsToDecimal128 } from "../utils/money.js";
+import { updateWallet, recordLedgerAdjustment } from "./walletService.js";
+
+/**
+ * Wallet reconciliation.
+ *
+ * Expected balance of a user =
+ *   Σ Transaction credits − Σ Transaction debits
+ * + legacy WalletTransactionRecord changes made before the ledger existed
+ *   (approved top-ups, pending/approved withdrawals with no ledger entry)
+ * + the opening balance users got before the signup bonus was a ledger entry
+ *   (not for users still waiting on email verification: they have no bonus yet)
+ */
+
+// Default walletBalance before signup bonuses were posted to the ledger.
+// Users without a signup-bonus entry are assumed to have started with it.
+const LEGACY_OPENING_BALANCE = "10000.00";
+
+const reconciliationError = (message, code) =>
+  Object.assign(new Error(message), { code });
+
+// userId (string) -> { ledger, hasSignupBonus }
+async function sumLedger(match = {}) {
+  const rows = await Transaction.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: "$user",
+        ledger: {
+          $sum: {
+            $cond: [
+              { $eq: ["$type", "credit"] },
+              "$amount",
+              { $multiply: ["$amount", -1] },
+            ],
+          },
+        },
+        hasSignupBonus: {
+          $max: {
+            $eq: ["$counterAccount", LEDGER_ACCOUNTS.SIGNUP_BONUS],
+          },
+        },
+      },
+    },
+  ]);
+
+  return new Map(
+    rows.map((r) => [
+      r._id.toString(),
+      {
+        ledger: toCents(r.ledger.toString()),
+        hasSignupBonus: r.hasSignupBonus,
+      },
+    ])
+  );
+}
+
+// userId (string) -> cents changed by pre-ledger wallet requests
+async function sumLegacyRecords(match = {}) {
+  const rows = await WalletTransactionRecord.aggregate([
+    {
+      $match: {
+        ...match,
+        $or: [
+          { ledgerTransactions: { $exists: false } },
+          { ledgerTransactions: { $size: 0 } },
+        ],
+      },
+    },
+    {
+      $group: {
+        _id: "$user",
+        legacy: {
+          $sum: {
+            $switch: {
+              branches: [
+                {
+                  case: {
+                    $and: [
+                      { $eq: ["$type", "topup"] },
+                      { $eq: ["$status", "approved"] },
+                    ],
+                  },
+                  then: "$amount",
+                },
+                {
+                  // reserved on request; restored only on rejection
+                  case: {
+                    $and: [
+                      { $eq: ["$type", "withdraw"] },
+                      { $in: ["$status", ["pending", "approved"]] },
+                    ],
+                  },
+                  then: { $multiply: ["$amount", -1] },
+                },
+              ],
+              default: 0,
+            },
+          },
+        },
+      },
+    },
+  ]);
+
+  return new Map(
+    rows.map((r) => [r._id.toString(), toCents(r.legacy.toString())])
+  );
+}
+
+function expectedFor(user, ledgerMap, legacyMap) {
+  const userId = user._id.toString();
+  const ledger = ledgerMap.get(userId) || { ledger: 0n, hasSignupBonus: false };
+  const legacy = legacyMap.get(userId) || 0n;
+  const opening =
+    ledger.hasSignupBonus || user.emailVerified === false
+      ? 0n
+      : toCents(LEGACY_OPENING_BALANCE);
+
+  return {
+    ledger: ledger.ledger,
+    legacy,
+    opening,
+    expected: ledger.ledger + legacy + opening,
+  };
+}
+
+/**
+ * Live breakdown for one user (admin drill-down)
+ */
+export async function getUserReconciliation(userId) {
+  const user = await User.findOne({ _id: userId, role: ROLES.USER })
+    .select("name email walletBalance emailVerified")
+    .lean();
+  if (!user) throw reconciliationError("User not found", "NOT_FOUND");
+
+  const objectId = new mongoose.Types.ObjectId(userId);
+  const [ledgerMap, legacyMap] = await Promise.all([
+    sumLedger({ user: objectId }),
+    sumLegacyRecords({ user: objectId }),
+  ]);
+
+  const parts = expectedFor(user, ledgerMap, legacyMap);
+  const actual = toCents(user.walletBalance ?? 0);
+
+  return {
+    user: { _id: user._id, name: user.name, email: user.email },
+    actualBalance: formatCents(actual),
+    expectedBalance: formatCents(parts.expected),
+    difference: formatCents(actual - parts.expected),
+    breakdown: {
+      ledger: formatCents(parts.ledger),
+      legacyRecords: formatCents(parts.legacy),
+      openingBalance: formatCents(parts.opening),
+    },
+    balanced: actual === parts.expected,
+  };
+}
+
+/**
+ * Recompute every user's balance and open/resolve discrepancies.
+ * @param {Object} [options]
+ * @param {"cron"|"admin"} [options.trigger]
+ * @param {String} [options.triggeredBy] - Admin who started the run
+ */
+export async function runReconciliation({
+  trigger = "cron",
+  triggeredBy,
+} = {}) {
+  const run = await ReconciliationRun.create({ trigger, triggeredBy });
+
+  try {
+    const [ledgerMap, legacyMap] = await Promise.all([
+      sumLedger(),
+      sumLegacyRecords(),
+    ]);
+
+    const users = User.find({ role: ROLES.USER })
+      .select("walletBalance emailVerified")
+      .lean()
+      .cursor();
+
+    for await (const user of users) {
+      run.usersChecked++;
+
+      const { expected } = expectedFor(user, ledgerMap, legacyMap);
+      const actual = toCents(user.walletBalance ?? 0);
+
+      if (actual === expected) continue;
+
+      run.mismatches++;
+      const now = new Date();
+      await WalletDiscrepancy.findOneAndUpdate(
+        { user: user._id, status: "open" },
+        {
+          $set: {
+            expectedBalance: centsToDecimal128(expected),
+            actualBalance: centsToDecimal128(actual),
+            difference: centsToDecimal128(actual - expected),
+            lastDetectedAt: now,
+            lastRun: run._id,
+          },
+          $setOnInsert: { firstDetectedAt: now },
+        },
+        { upsert: true }
+      );
+    }
+
+    // ✅ Open discrepancies not seen in this run have been fixed
+    const resolved = await WalletDiscrepancy.updateMany(
+      { status: "open", lastRun: { $ne: run._id } },
+      {
+        $set: {
+          status: "resolved",
+          resolution: "auto",
+          resolvedAt: new Date(),
+        },
+      }
+    );
+    run.resolved = resolved.modifiedCount;
+  } catch (err) {
+    run.error = err.message;
+    throw err;
+  } finally {
+    run.finishedAt = new Date();
+    await run.save();
+  }
+
+  return run;
+}
+
+/**
+ * Post a correcting entry for a user's open discrepancy.
+ * @param {String} userId
+ * @param {Object} options
+ * @param {"balance"|"ledger"} options.target - What is wrong:
+ *   "balance" → move walletBalance to the ledger's expected value
+ *   "ledger"  → keep the balance, record the missing ledger entry
+ * @param {String} options.reason - Required explanation (kept on the discrepancy)
+ * @param {String} options.adminId - Admin posting the correction
+ */
+export async function postCorrectingEntry(userId, { target, reason, adminId }) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const discrepancy = await WalletDiscrepancy.findOne({
+      user: userId,
+      status: "open",
+    }).session(session);
+    if (!discrepancy) {
+      throw reconciliationError(
+        "No open discrepancy for this user",
+        "NO_DISCREPANCY"
+      );
+    }
+
+    // Re-check live values; the stored ones may be stale
+    const live = await getUserReconciliation(userId);
+    const difference = toCents(live.difference); // actual - expected
+    if (difference === 0n) {
+      throw reconciliationError(
+        "Balance already reconciles; nothing to correct",
+        "NO_DISCREPANCY"
+      );
+    }
+
+    const description = `Reconciliation correction: ${reason}`;
+    const options = {
+      counterAccount: LEDGER_ACCOUNTS.ADJUSTMENTS,
+      idempotencyKey: `reconciliation:${discrepancy._id}`,
+      reference: { kind: "WalletDiscrepancy", id: discrepancy._id.toString() },
+    };
+
+    const { transaction } =
+      target === "balance"
+        ? await updateWallet(
+            userId,
+            formatCents(-difference),
+            description,
+            session,
+            options
+          )
+        : await recordLedgerAdjustment(
+            userId,
+            formatCents(difference),
+            description,
+            session,
+            options
+          );
+
+    discrepancy.status = "resolved";
+    discrepancy.resolution = "correction";
+    discrepancy.resolvedAt = new Date();
+    discrepancy.correction = {
+      target,
+      transaction: transaction._id,
+      postedBy: adminId,
+      reason,
+      postedAt: new Date(),
+    };
+    await discrepancy.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return { discrepancy, transaction };
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
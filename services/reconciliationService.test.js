@@ -0,0 +1,140 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Transaction from "../models/Transaction.js";
+import WalletTransactionRecord from "../models/WalletTransactionRecord.js";
+import WalletDiscrepancy from "../models/WalletDiscrepancy.js";
+import ReconciliationRun from "../models/ReconciliationRun.js";
+import { fakeQuery } from "../utils/testing.js";
+import {
+  runReconciliation,
+  getUserReconciliation,
+} from "./reconciliationService.js";
+
+const decimal = (value) => mongoose.Types.Decimal128.fromString(value);
+const ids = Array.from({ length: 3 }, () => new mongoose.Types.ObjectId());
+
+let ledgerRows;
+let legacyRows;
+let users;
+let discrepancies;
+let savedRun;
+
+beforeEach(() => {
+  mock.restoreAll();
+  discrepancies = [];
+  savedRun = null;
+
+  // 0: balanced on the ledger, 1: 5.00 too much, 2: legacy user on the opening balance
+  ledgerRows = [
+    { _id: ids[0], ledger: decimal("250.00"), hasSignupBonus: true },
+    { _id: ids[1], ledger: decimal("100.00"), hasSignupBonus: true },
+  ];
+  legacyRows = [{ _id: ids[2], legacy: decimal("-40.00") }];
+  users = [
+    { _id: ids[0], walletBalance: decimal("250.00") },
+    { _id: ids[1], walletBalance: decimal("105.00") },
+    { _id: ids[2], walletBalance: decimal("9960.00") },
+  ];
+
+  mock.method(Transaction, "aggregate", async () => ledgerRows);
+  mock.method(WalletTransactionRecord, "aggregate", async () => legacyRows);
+  mock.method(User, "find", () => fakeQuery(users));
+  mock.method(WalletDiscrepancy, "findOneAndUpdate", async (filter, update) => {
+    discrepancies.push({ filter, update });
+  });
+  mock.method(WalletDiscrepancy, "updateMany", async () => ({
+    modifiedCount: 2,
+  }));
+  mock.method(ReconciliationRun, "create", async (fields) => {
+    const run = new ReconciliationRun(fields);
+    run.save = async () => {
+      savedRun = run;
+    };
+    return run;
+  });
+});
+
+test("runReconciliation flags only users whose balance differs from the ledger", async () => {
+  const run = await runReconciliation({ trigger: "admin" });
+
+  assert.equal(run.usersChecked, 3);
+  assert.equal(run.mismatches, 1);
+  assert.equal(discrepancies.length, 1);
+
+  const [{ filter, update }] = discrepancies;
+  assert.equal(filter.user, ids[1]);
+  assert.equal(filter.status, "open");
+  assert.equal(update.$set.expectedBalance.toString(), "100.00");
+  assert.equal(update.$set.actualBalance.toString(), "105.00");
+  assert.equal(update.$set.difference.toString(), "5.00");
+  assert.equal(update.$set.lastRun, run._id);
+});
+
+test("runReconciliation resolves open discrepancies the run didn't see again", async () => {
+  const run = await runReconciliation();
+
+  const [[filter, update]] = WalletDiscrepancy.updateMany.mock.calls.map(
+    (call) => call.arguments
+  );
+  assert.deepEqual(filter, { status: "open", lastRun: { $ne: run._id } });
+  assert.equal(update.$set.status, "resolved");
+  assert.equal(update.$set.resolution, "auto");
+  assert.equal(run.resolved, 2);
+  assert.equal(savedRun, run);
+  assert.ok(run.finishedAt);
+});
+
+test("runReconciliation records a failed run before rethrowing", async () => {
+  Transaction.aggregate.mock.mockImplementation(async () => {
+    throw new Error("aggregate failed");
+  });
+
+  await assert.rejects(runReconciliation(), /aggregate failed/);
+  assert.equal(savedRun.error, "aggregate failed");
+  assert.ok(savedRun.finishedAt);
+});
+
+test("getUserReconciliation breaks the expected balance down", async () => {
+  mock.method(User, "findOne", () =>
+    fakeQuery({ ...users[2], name: "Legacy", email: "legacy@example.com" })
+  );
+  Transaction.aggregate.mock.mockImplementation(async () => []);
+
+  const report = await getUserReconciliation(ids[2].toString());
+
+  assert.deepEqual(report.breakdown, {
+    ledger: "0.00",
+    legacyRecords: "-40.00",
+    openingBalance: "10000.00",
+  });
+  assert.equal(report.expectedBalance, "9960.00");
+  assert.equal(report.difference, "0.00");
+  assert.equal(report.balanced, true);
+});
+
+test("getUserReconciliation skips the opening balance once a signup bonus is on the ledger", async () => {
+  mock.method(User, "findOne", () => fakeQuery(users[1]));
+  Transaction.aggregate.mock.mockImplementation(async () => [
+    {
+      _id: ids[1],
+      ledger: decimal("100.00"),
+      hasSignupBonus: true,
+    },
+  ]);
+  WalletTransactionRecord.aggregate.mock.mockImplementation(async () => []);
+
+  const report = await getUserReconciliation(ids[1].toString());
+
+  assert.equal(report.breakdown.openingBalance, "0.00");
+  assert.equal(report.difference, "5.00");
+  assert.equal(report.balanced, false);
+});
+
+test("getUserReconciliation rejects unknown users", async () => {
+  mock.method(User, "findOne", () => fakeQuery(null));
+  await assert.rejects(getUserReconciliation(ids[0].toString()), {
+    code: "NOT_FOUND",
+  });
+});
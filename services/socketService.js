@@ -0,0 +1,202 @@
+import mongoose from "mongoose";
+import { Server } from "socket.io";
+import { createAdapter } from "@socket.io/mongo-adapter";
+import { validate as isUUID } from "uuid";
+import UserEvent from "../models/UserEvent.js";
+import { verifyAccessToken } from "./tokenService.js";
+import { serializeUserEvent } from "./userEventService.js";
+import { ROLES } from "../constants/roles.js";
+import {
+  SOCKET_EVENTS,
+  LOTTERIES_ROOM,
+  lotteryRoom,
+  userRoom,
+} from "../constants/socket-events.js";
+
+/**
+ * Real-time lottery events.
+ *
+ * Clients connect with their access token (`auth: { token }` or an
+ * Authorization header) and are checked like authMiddleware does. Every
+ * socket joins the lotteries room (list updates); `lottery:subscribe` adds
+ * the room of one lottery (detail page), and its user's private room.
+ * Emitters are no-ops until initSocket has run, so services can call them
+ * from crons and scripts. With attachSocketAdapter, an event emitted on one
+ * API instance reaches sockets connected to any of them.
+ */
+
+const RELAY_RETRY_MS = 5000;
+const ADAPTER_COLLECTION =
+  process.env.SOCKET_ADAPTER_COLLECTION || "socket.io-adapter-events";
+const ADAPTER_COLLECTION_BYTES = 1e6;
+
+let io = null;
+
+function handshakeToken(socket) {
+  const { auth, headers } = socket.handshake;
+  if (typeof auth?.token === "string") {
+    return auth.token.replace(/^Bearer /, "");
+  }
+  const header = headers.authorization;
+  return header?.startsWith("Bearer ") ? header.split(" ")[1] : null;
+}
+
+// 🔐 Same checks as authMiddleware: valid session, admins signed in with 2FA
+async function authenticate(socket, next) {
+  const token = handshakeToken(socket);
+  if (!token) return next(new Error("Token missing"));
+
+  try {
+    const { user, decoded } = await verifyAccessToken(token);
+    if (user.role === ROLES.ADMIN && !decoded.amr?.includes("otp")) {
+      return next(new Error("Please sign in again with your two-factor code"));
+    }
+
+    socket.data.user = { id: user._id.toString(), role: user.role };
+    socket.data.tokenExpiresAt = decoded.exp * 1000;
+    next();
+  } catch (err) {
+    if (!err.code) console.error("Socket auth error:", err);
+    next(new Error(err.code ? err.message : "Internal server error"));
+  }
+}
+
+function onConnection(socket) {
+  socket.join([LOTTERIES_ROOM, userRoom(socket.data.user.id)]);
+
+  // ⏰ Drop the socket when its access token expires; the client reconnects
+  // with a refreshed one
+  const expiry = setTimeout(
+    () => socket.disconnect(true),
+    Math.max(0, socket.data.tokenExpiresAt - Date.now())
+  );
+  socket.on("disconnect", () => clearTimeout(expiry));
+
+  socket.on(SOCKET_EVENTS.LOTTERY_SUBSCRIBE, (lotteryId, ack) => {
+    if (!isUUID(lotteryId)) {
+      return ack?.({ ok: false, error: "Invalid lotteryId" });
+    }
+    socket.join(lotteryRoom(lotteryId));
+    ack?.({ ok: true });
+  });
+
+  socket.on(SOCKET_EVENTS.LOTTERY_UNSUBSCRIBE, (lotteryId, ack) => {
+    if (isUUID(lotteryId)) socket.leave(lotteryRoom(lotteryId));
+    ack?.({ ok: true });
+  });
+}
+
+/**
+ * Attach Socket.IO to the HTTP server.
+ * @param {http.Server} server
+ * @param {Object} [options] - Socket.IO server options (cors, ...)
+ * @returns {Server}
+ */
+export function initSocket(server, options = {}) {
+  io = new Server(server, options);
+  io.use(authenticate);
+  io.on("connection", onConnection);
+  return io;
+}
+
+/**
+ * Fan events out across instances through a capped Mongo collection
+ * (@socket.io/mongo-adapter): nothing to run beyond the database, locally
+ * or in production. Call once Mongo is connected.
+ */
+export async function attachSocketAdapter() {
+  if (!io) return;
+
+  const db = mongoose.connection.db;
+  try {
+    await db.createCollection(ADAPTER_COLLECTION, {
+      capped: true,
+      size: ADAPTER_COLLECTION_BYTES,
+    });
+  } catch (err) {
+    // Another instance created it first
+    if (err.codeName !== "NamespaceExists") throw err;
+  }
+  io.adapter(createAdapter(db.collection(ADAPTER_COLLECTION)));
+}
+
+const emitLotteryEvent = (lotteryId, event, payload) => {
+  if (!io) return;
+  const id = lotteryId.toString();
+  io.to([LOTTERIES_ROOM, lotteryRoom(id)]).emit(event, {
+    lotteryId: id,
+    ...payload,
+  });
+};
+
+/**
+ * Ticket count changed (purchase).
+ * @param {{_id, ticketsSold: Number, maxTickets: Number}} lottery
+ */
+export function emitTicketsSold(lottery) {
+  emitLotteryEvent(lottery._id, SOCKET_EVENTS.LOTTERY_TICKETS, {
+    ticketsSold: lottery.ticketsSold,
+    maxTickets: lottery.maxTickets,
+    ticketsRemaining: lottery.maxTickets - lottery.ticketsSold,
+  });
+}
+
+/**
+ * Status transition, in currentStatus terms
+ * (upcoming | active | ended | cancelled | closed).
+ */
+export function emitLotteryStatus(lotteryId, status) {
+  emitLotteryEvent(lotteryId, SOCKET_EVENTS.LOTTERY_STATUS, { status });
+}
+
+/**
+ * Result announced. Only public fields of the winners are sent.
+ * @param {String} lotteryId
+ * @param {Array<Object>} winners - As returned by the draw
+ */
+export function emitLotteryResult(lotteryId, winners) {
+  emitLotteryEvent(lotteryId, SOCKET_EVENTS.LOTTERY_RESULT, {
+    winners: winners.map((w) => ({
+      rank: w.rank,
+      rankRange: w.rankRange,
+      ticketNumber: w.ticketNumber,
+      prizeAmount: w.prizeAmount?.toString() ?? null,
+    })),
+  });
+}
+
+/**
+ * Push committed UserEvents to their user's sockets on this server. A change
+ * stream only sees committed writes, so nothing is sent for a transaction
+ * that aborts. Every instance runs one, so emits stay local (the adapter
+ * would deliver each event once per instance otherwise). Restarts after
+ * errors, resuming where it stopped.
+ */
+export function startUserEventRelay() {
+  let resumeAfter;
+
+  const open = () => {
+    const stream = UserEvent.watch(
+      [{ $match: { operationType: "insert" } }],
+      resumeAfter ? { resumeAfter } : {}
+    );
+
+    stream.on("change", (change) => {
+      resumeAfter = change._id;
+      const event = change.fullDocument;
+      io?.local
+        .to(userRoom(event.user.toString()))
+        .emit(SOCKET_EVENTS.USER_EVENT, serializeUserEvent(event));
+    });
+
+    stream.on("error", (err) => {
+      console.error("❌ User event stream error:", err.message);
+      // Resume point fell off the oplog; clients catch up through replay
+      if (err.code === 286) resumeAfter = undefined;
+      stream.close().catch(() => {});
+      setTimeout(open, RELAY_RETRY_MS);
+    });
+  };
+
+  open();
+}
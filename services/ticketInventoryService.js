@@ -0,0 +1,447 @@
+import Ticket from "../models/Ticket.js";
+import TicketBlock from "../models/TicketBlock.js";
+import { TICKET_STATUS } from "../constants/ticket-statuses.js";
+
+/**
+ * Ticket inventory.
+ *
+ * Only taken numbers are stored (models/Ticket.js, unique per lottery);
+ * free numbers are everything else in 1..maxTickets. Per-block counters
+ * (models/TicketBlock.js) let us skip full blocks and jump to any page of
+ * free numbers, so no request ever materialises the whole number range.
+ */
+
+export const TICKET_BLOCK_SIZE = 1000;
+
+// Numbers examined per search request before handing back a cursor
+const SEARCH_SCAN_LIMIT = 100000;
+const SEARCH_WINDOW = 5000;
+
+const inventoryError = (message, code, extra = {}) =>
+  Object.assign(new Error(message), { code }, extra);
+
+const blockOf = (number) => Math.floor((number - 1) / TICKET_BLOCK_SIZE);
+
+export function formatTicketNumber(prefix, number) {
+  return `${prefix}-${String(number).padStart(4, "0")}`;
+}
+
+/**
+ * "PL-DA-01012025-0042" -> 42, or null if it isn't one of this lottery's numbers
+ */
+export function parseTicketNumber(lottery, ticketNumber) {
+  if (typeof ticketNumber !== "string") return null;
+
+  const expectedPrefix = `${lottery.lotteryPrefix}-`;
+  if (!ticketNumber.startsWith(expectedPrefix)) return null;
+
+  const digits = ticketNumber.slice(expectedPrefix.length);
+  if (!/^\d+$/.test(digits)) return null;
+
+  const number = parseInt(digits, 10);
+  if (number < 1 || number > lottery.maxTickets) return null;
+  if (formatTicketNumber(lottery.lotteryPrefix, number) !== ticketNumber) {
+    return null; // e.g. extra leading zeros
+  }
+  return number;
+}
+
+async function loadBlocks(lotteryId, session = null) {
+  const blocks = await TicketBlock.find({ lotteryId })
+    .select("block taken -_id")
+    .session(session)
+    .lean();
+  return new Map(blocks.map((b) => [b.block, b.taken]));
+}
+
+const blockSize = (lottery, block) =>
+  Math.min(TICKET_BLOCK_SIZE, lottery.maxTickets - block * TICKET_BLOCK_SIZE);
+
+async function takenNumbersBetween(lotteryId, from, to, session) {
+  const docs = await Ticket.find({
+    lotteryId,
+    number: { $gte: from, $lte: to },
+  })
+    .select("number -_id")
+    .session(session)
+    .lean();
+  return new Set(docs.map((d) => d.number));
+}
+
+/**
+ * Up to `limit` free numbers greater than `after`, in ascending order.
+ */
+async function findFreeNumbers(
+  lottery,
+  { after = 0, limit, session = null, blocks = null }
+) {
+  const takenByBlock = blocks || (await loadBlocks(lottery._id, session));
+  const free = [];
+  let from = after + 1;
+  let window = Math.max(limit * 2, 16);
+
+  while (free.length < limit && from <= lottery.maxTickets) {
+    // ⏭ Skip blocks with nothing left
+    const block = blockOf(from);
+    if ((takenByBlock.get(block) || 0) >= blockSize(lottery, block)) {
+      from = (block + 1) * TICKET_BLOCK_SIZE + 1;
+      continue;
+    }
+
+    const to = Math.min(
+      lottery.maxTickets,
+      from + window - 1,
+      (block + 1) * TICKET_BLOCK_SIZE
+    );
+    const taken = await takenNumbersBetween(lottery._id, from, to, session);
+
+    for (let n = from; n <= to && free.length < limit; n++) {
+      if (!taken.has(n)) free.push(n);
+    }
+
+    // Dense region: look further ahead next time
+    if (taken.size === to - from + 1) window *= 2;
+    from = to + 1;
+  }
+
+  return free;
+}
+
+/**
+ * Cursor (last number before) the `offset`-th free number, 0-based.
+ */
+async function cursorForOffset(lottery, offset, blocks) {
+  const blockCount = Math.ceil(lottery.maxTickets / TICKET_BLOCK_SIZE);
+  let remaining = offset;
+
+  for (let block = 0; block < blockCount; block++) {
+    const free = blockSize(lottery, block) - (blocks.get(block) || 0);
+    if (remaining < free) {
+      const blockStart = block * TICKET_BLOCK_SIZE;
+      if (remaining === 0) return blockStart;
+
+      const skipped = await findFreeNumbers(lottery, {
+        after: blockStart,
+        limit: remaining,
+        blocks,
+      });
+      return skipped[skipped.length - 1];
+    }
+    remaining -= free;
+  }
+
+  return lottery.maxTickets; // past the end
+}
+
+/**
+ * Free numbers whose formatted ticket number contains `search`.
+ */
+async function searchFreeNumbers(lottery, { after, skip, limit, search }) {
+  const needle = search.toLowerCase();
+  const found = [];
+  let matched = 0;
+  let from = after + 1;
+  let scanned = 0;
+
+  while (
+    found.length < limit &&
+    from <= lottery.maxTickets &&
+    scanned < SEARCH_SCAN_LIMIT
+  ) {
+    const to = Math.min(lottery.maxTickets, from + SEARCH_WINDOW - 1);
+    const candidates = [];
+    for (let n = from; n <= to; n++) {
+      if (
+        formatTicketNumber(lottery.lotteryPrefix, n)
+          .toLowerCase()
+          .includes(needle)
+      ) {
+        candidates.push(n);
+      }
+    }
+
+    if (candidates.length > 0) {
+      const taken = await Ticket.find({
+        lotteryId: lottery._id,
+        number: { $in: candidates },
+      })
+        .select("number -_id")
+        .lean();
+      const takenSet = new Set(taken.map((t) => t.number));
+
+      for (const n of candidates) {
+        if (takenSet.has(n)) continue;
+        if (matched++ < skip) continue;
+        found.push(n);
+        if (found.length === limit) break;
+      }
+    }
+
+    scanned += to - from + 1;
+    from = to + 1;
+  }
+
+  const lastExamined =
+    found.length === limit ? found[found.length - 1] : from - 1;
+  return {
+    numbers: found,
+    nextCursor: lastExamined < lottery.maxTickets ? lastExamined : null,
+  };
+}
+
+/**
+ * Paginated free tickets.
+ * @param {Object} lottery - Needs _id, lotteryPrefix, maxTickets
+ * @param {Object} options
+ * @param {Number} [options.page=1] - Page number (ignored when cursor is given)
+ * @param {Number} [options.limit=10]
+ * @param {Number} [options.cursor] - Continue after this ticket number (from nextCursor)
+ * @param {String} [options.search] - Substring of the formatted ticket number
+ */
+export async function listAvailableTickets(
+  lottery,
+  { page = 1, limit = 10, cursor = null, search = "" } = {}
+) {
+  const blocks = await loadBlocks(lottery._id);
+  let taken = 0;
+  for (const count of blocks.values()) taken += count;
+  const totalAvailable = Math.max(0, lottery.maxTickets - taken);
+
+  if (search) {
+    // Search results can't be counted without a full scan: cursor-paginated
+    const { numbers, nextCursor } = await searchFreeNumbers(lottery, {
+      after: cursor ?? 0,
+      skip: cursor == null ? (page - 1) * limit : 0,
+      limit,
+      search,
+    });
+    return {
+      totalAvailable,
+      totalPages: null,
+      tickets: numbers.map((n) => formatTicketNumber(lottery.lotteryPrefix, n)),
+      nextCursor,
+    };
+  }
+
+  const after =
+    cursor ?? (await cursorForOffset(lottery, (page - 1) * limit, blocks));
+  const numbers = await findFreeNumbers(lottery, { after, limit, blocks });
+  const last = numbers[numbers.length - 1];
+
+  return {
+    totalAvailable,
+    totalPages: Math.ceil(totalAvailable / limit),
+    tickets: numbers.map((n) => formatTicketNumber(lottery.lotteryPrefix, n)),
+    nextCursor:
+      numbers.length === limit && last < lottery.maxTickets ? last : null,
+  };
+}
+
+async function bumpBlocks(lotteryId, numbers, delta, session) {
+  const perBlock = new Map();
+  numbers.forEach((n) =>
+    perBlock.set(blockOf(n), (perBlock.get(blockOf(n)) || 0) + 1)
+  );
+
+  await TicketBlock.bulkWrite(
+    [...perBlock].map(([block, count]) => ({
+      updateOne: {
+        filter: { lotteryId, block },
+        update: { $inc: { taken: count * delta } },
+        upsert: true,
+      },
+    })),
+    { session }
+  );
+}
+
+/**
+ * Free the numbers of "reserved" tickets matching `filter`.
+ * @returns {Promise<Number>} Tickets released
+ */
+export async function releaseHeldTickets(filter, session = null) {
+  const held = await Ticket.find({ ...filter, status: TICKET_STATUS.RESERVED })
+    .select("lotteryId number")
+    .session(session)
+    .lean();
+  if (held.length === 0) return 0;
+
+  await Ticket.deleteMany(
+    { _id: { $in: held.map((t) => t._id) } },
+    { session }
+  );
+
+  const byLottery = new Map();
+  held.forEach((t) => {
+    const key = t.lotteryId.toString();
+    if (!byLottery.has(key))
+      byLottery.set(key, { id: t.lotteryId, numbers: [] });
+    byLottery.get(key).numbers.push(t.number);
+  });
+  for (const { id, numbers } of byLottery.values()) {
+    await bumpBlocks(id, numbers, -1, session);
+  }
+
+  return held.length;
+}
+
+// Chosen ticket numbers -> integers; rejects malformed, duplicate and taken ones
+async function parseChosenNumbers(lottery, ticketNumbers, session) {
+  const seen = new Set();
+  const invalid = [];
+  const numbers = [];
+  for (const ticketNumber of ticketNumbers) {
+    const number = parseTicketNumber(lottery, ticketNumber);
+    if (number === null || seen.has(number)) {
+      invalid.push(ticketNumber);
+      continue;
+    }
+    seen.add(number);
+    numbers.push(number);
+  }
+
+  // ⌛ Holds that ran out but weren't cleaned up yet don't block anyone
+  await releaseHeldTickets(
+    {
+      lotteryId: lottery._id,
+      number: { $in: numbers },
+      reservedUntil: { $lte: new Date() },
+    },
+    session
+  );
+
+  const taken = await Ticket.find({
+    lotteryId: lottery._id,
+    number: { $in: numbers },
+  })
+    .select("ticketNumber -_id")
+    .session(session)
+    .lean();
+  invalid.push(...taken.map((t) => t.ticketNumber));
+
+  if (invalid.length > 0) {
+    throw inventoryError(
+      "Some chosen tickets are invalid or already sold",
+      "INVALID_TICKETS",
+      { invalid }
+    );
+  }
+  return numbers;
+}
+
+async function insertTickets(lottery, numbers, fields, session) {
+  const docs = numbers.map((number) => ({
+    lotteryId: lottery._id,
+    number,
+    ticketNumber: formatTicketNumber(lottery.lotteryPrefix, number),
+    ...fields,
+  }));
+
+  try {
+    await Ticket.insertMany(docs, { session });
+  } catch (err) {
+    // Someone else took one of these numbers in the meantime
+    if (err.code === 11000) {
+      throw inventoryError(
+        "Some chosen tickets are invalid or already sold",
+        "TICKETS_TAKEN"
+      );
+    }
+    throw err;
+  }
+  await bumpBlocks(lottery._id, numbers, 1, session);
+
+  return docs.map((d) => d.ticketNumber);
+}
+
+/**
+ * Take ticket numbers for a purchase.
+ * @param {Object} lottery
+ * @param {Object} options
+ * @param {String[]} [options.ticketNumbers] - Specific numbers chosen by the user
+ * @param {Number} options.quantity - Used when no numbers are chosen (lowest free first)
+ * @param {ClientSession} options.session
+ * @returns {Promise<String[]>} Allocated ticket numbers
+ */
+export async function allocateTickets(
+  lottery,
+  { userId, purchaseId, ticketNumbers = [], quantity, session }
+) {
+  let numbers;
+
+  if (ticketNumbers.length > 0) {
+    numbers = await parseChosenNumbers(lottery, ticketNumbers, session);
+  } else {
+    numbers = await findFreeNumbers(lottery, {
+      limit: quantity,
+      session,
+    });
+    if (numbers.length < quantity) {
+      throw inventoryError(
+        "Not enough tickets available",
+        "NOT_ENOUGH_TICKETS"
+      );
+    }
+  }
+
+  return insertTickets(
+    lottery,
+    numbers,
+    { status: TICKET_STATUS.SOLD, userId, purchaseId },
+    session
+  );
+}
+
+/**
+ * Hold specific numbers for a reservation until `reservedUntil`.
+ * @returns {Promise<String[]>} Held ticket numbers
+ */
+export async function holdTickets(
+  lottery,
+  { userId, reservationId, ticketNumbers, reservedUntil, session }
+) {
+  const numbers = await parseChosenNumbers(lottery, ticketNumbers, session);
+
+  return insertTickets(
+    lottery,
+    numbers,
+    { status: TICKET_STATUS.RESERVED, userId, reservationId, reservedUntil },
+    session
+  );
+}
+
+/**
+ * Turn a reservation's held tickets into sold tickets of `purchaseId`.
+ * @returns {Promise<String[]>} Sold ticket numbers
+ */
+export async function claimHeldTickets(reservationId, { purchaseId, session }) {
+  const held = await Ticket.find({
+    reservationId,
+    status: TICKET_STATUS.RESERVED,
+  })
+    .select("ticketNumber")
+    .session(session)
+    .lean();
+
+  await Ticket.updateMany(
+    { _id: { $in: held.map((t) => t._id) } },
+    {
+      $set: { status: TICKET_STATUS.SOLD, purchaseId },
+      $unset: { reservedUntil: "" },
+    },
+    { session }
+  );
+
+  return held.map((t) => t.ticketNumber);
+}
+
+/**
+ * Mark a purchase's tickets refunded (numbers stay taken; lottery is closed).
+ */
+export async function markTicketsRefunded(purchaseId, session = null) {
+  await Ticket.updateMany(
+    { purchaseId },
+    { $set: { status: TICKET_STATUS.REFUNDED } },
+    { session }
+  );
+}
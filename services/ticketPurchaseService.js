@@ -0,0 +1,254 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import Lottery from "../models/Lottery.js";
+import TicketPurchase from "../models/TicketPurchase.js";
+import { computeLotteryFlags } from "../utils/computeLotteryFlags.js";
+import { updateWallet } from "./walletService.js";
+import { allocateTickets } from "./ticketInventoryService.js";
+import {
+  findActiveReservation,
+  claimReservation,
+} from "./ticketReservationService.js";
+import { emitTicketsSold } from "./socketService.js";
+import { recordUserEvent } from "./userEventService.js";
+import { LEDGER_ACCOUNTS } from "../constants/ledger-accounts.js";
+import { USER_EVENTS } from "../constants/user-events.js";
+import { toCents, formatCents } from "../utils/money.js";
+
+/**
+ * Ticket purchase.
+ *
+ * Safe under concurrent buyers:
+ *  - ticket numbers are unique per lottery (Ticket unique index)
+ *  - ticketsSold is raised with a conditional $inc that never passes maxTickets
+ *  - the per-user limit is a conditional $inc on the user's single purchase
+ *    document (unique per lottery + user)
+ * Write conflicts between parallel transactions are retried.
+ */
+
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+const purchaseError = (message, code) =>
+  Object.assign(new Error(message), { code });
+
+const userLimitError = (lottery) =>
+  purchaseError(
+    `Cannot purchase more than ${lottery.maxTicketsPerUser} ticket(s) for this lottery.`,
+    "USER_LIMIT"
+  );
+
+const isRetryable = (err) =>
+  err.hasErrorLabel?.("TransientTransactionError") ||
+  err.hasErrorLabel?.("UnknownTransactionCommitResult");
+
+async function attemptPurchase(
+  lotteryId,
+  userId,
+  { quantity, chosenTickets, reservationId, beforeCommit }
+) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const lottery = await Lottery.findById(lotteryId).session(session);
+    if (!lottery) throw purchaseError("Lottery not found", "NOT_FOUND");
+
+    const flags = computeLotteryFlags(lottery);
+    if (lottery.flags.isCancelled || !flags.isActive || flags.isEnded) {
+      throw purchaseError("Lottery is not active", "NOT_ACTIVE");
+    }
+
+    // 🛒 Checking out a hold: it decides how many tickets are bought
+    if (reservationId) {
+      const reservation = await findActiveReservation(reservationId, {
+        lotteryId: lottery._id,
+        userId,
+        session,
+      });
+      if (quantity === undefined) quantity = reservation.ticketNumbers.length;
+      if (quantity !== reservation.ticketNumbers.length) {
+        throw purchaseError(
+          "Quantity does not match reserved tickets count",
+          "INVALID_QUANTITY"
+        );
+      }
+    }
+
+    // The conditional upsert below only guards later purchases: a user's
+    // first purchase inserts the whole quantity
+    if (quantity > lottery.maxTicketsPerUser) throw userLimitError(lottery);
+
+    // 📈 Reserve capacity: only matches while ticketsSold + quantity <= maxTickets
+    const reserved = await Lottery.updateOne(
+      {
+        _id: lottery._id,
+        "flags.isCancelled": { $ne: true },
+        $expr: {
+          $lte: [{ $add: ["$ticketsSold", quantity] }, "$maxTickets"],
+        },
+      },
+      { $inc: { ticketsSold: quantity }, $set: { updatedAt: new Date() } },
+      { session }
+    );
+    if (reserved.modifiedCount === 0) {
+      throw purchaseError("Not enough tickets available", "NOT_ENOUGH_TICKETS");
+    }
+
+    // 🧮 Per-user limit: one purchase document per user, raised conditionally.
+    // If the user is over the limit the filter misses and the upsert hits the
+    // unique index instead.
+    const ticketPriceCents = toCents(lottery.ticketPrice);
+    const totalCostCents = ticketPriceCents * BigInt(quantity);
+
+    let purchase;
+    try {
+      purchase = await TicketPurchase.findOneAndUpdate(
+        {
+          lotteryId: lottery._id,
+          userId,
+          quantity: { $lte: lottery.maxTicketsPerUser - quantity },
+        },
+        {
+          $inc: { quantity },
+          $set: { perTicketPrice: Number(formatCents(ticketPriceCents)) },
+          $setOnInsert: {
+            _id: crypto.randomUUID(),
+            ticketNumbers: [],
+            totalPrice: 0,
+          },
+        },
+        { upsert: true, new: true, session }
+      );
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      purchase = null;
+    }
+    if (!purchase) throw userLimitError(lottery);
+
+    // 🎟 Take the numbers (unique index rejects anything already sold)
+    const ticketsToBuy = reservationId
+      ? await claimReservation(reservationId, {
+          lotteryId: lottery._id,
+          userId,
+          purchaseId: purchase._id,
+          session,
+        })
+      : await allocateTickets(lottery, {
+          userId,
+          purchaseId: purchase._id,
+          ticketNumbers: chosenTickets,
+          quantity,
+          session,
+        });
+
+    // 💰 Deduct money from wallet
+    await updateWallet(
+      userId,
+      formatCents(-totalCostCents),
+      `Purchase ${quantity} ticket(s) for ${lottery.title}`,
+      session,
+      {
+        counterAccount: LEDGER_ACCOUNTS.TICKET_SALES,
+        reference: { kind: "TicketPurchase", id: purchase._id.toString() },
+      }
+    );
+
+    purchase.ticketNumbers.push(...ticketsToBuy);
+    purchase.totalPrice = Number(
+      formatCents(
+        toCents((purchase.totalPrice || 0).toFixed(2)) + totalCostCents
+      )
+    );
+    await purchase.save({ session });
+
+    await recordUserEvent(
+      userId,
+      USER_EVENTS.PURCHASE_COMPLETED,
+      {
+        lotteryId: lottery._id.toString(),
+        lotteryTitle: lottery.title,
+        purchaseId: purchase._id.toString(),
+        tickets: ticketsToBuy,
+        totalCost: formatCents(totalCostCents),
+      },
+      session
+    );
+
+    const result = { lottery, purchase, tickets: ticketsToBuy };
+    if (beforeCommit) await beforeCommit(session, result);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return result;
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+// 📡 Live ticket count for everyone watching the lottery (best effort)
+function announceTicketCount(lotteryId) {
+  Lottery.findById(lotteryId)
+    .select("ticketsSold maxTickets")
+    .lean()
+    .then((counts) => counts && emitTicketsSold(counts))
+    .catch((err) =>
+      console.error(`❌ Ticket count update failed for ${lotteryId}:`, err)
+    );
+}
+
+/**
+ * Buy tickets for a user.
+ * @param {String} lotteryId
+ * @param {String} userId
+ * @param {Object} options
+ * @param {Number} options.quantity - Number of tickets (positive integer; optional with a reservation)
+ * @param {String[]} [options.chosenTickets] - Specific numbers; lowest free numbers otherwise
+ * @param {String} [options.reservationId] - Buy the numbers held by this reservation
+ * @param {Function} [options.beforeCommit] - async (session, result), runs in
+ *   the purchase transaction right before it commits
+ * @returns {Promise<{lottery: Object, purchase: Object, tickets: String[]}>}
+ */
+export async function purchaseTickets(
+  lotteryId,
+  userId,
+  { quantity, chosenTickets = [], reservationId = null, beforeCommit }
+) {
+  if (reservationId && chosenTickets.length > 0) {
+    throw purchaseError(
+      "Use either a reservation or chosen tickets, not both",
+      "INVALID_QUANTITY"
+    );
+  }
+  if (
+    !(reservationId && quantity === undefined) &&
+    (!Number.isInteger(quantity) || quantity <= 0)
+  ) {
+    throw purchaseError("Invalid ticket quantity", "INVALID_QUANTITY");
+  }
+  if (chosenTickets.length > 0 && chosenTickets.length !== quantity) {
+    throw purchaseError(
+      "Quantity does not match chosen tickets count",
+      "INVALID_QUANTITY"
+    );
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await attemptPurchase(lotteryId, userId, {
+        quantity,
+        chosenTickets,
+        reservationId,
+        beforeCommit,
+      });
+      announceTicketCount(lotteryId);
+      return result;
+    } catch (err) {
+      // Another buyer touched the same documents; run it again
+      if (isRetryable(err) && attempt < MAX_TRANSACTION_ATTEMPTS) continue;
+      throw err;
+    }
+  }
+}
@@ -0,0 +1,291 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import Lottery from "../models/Lottery.js";
+import TicketPurchase from "../models/TicketPurchase.js";
+import Ticket from "../models/Ticket.js";
+import TicketBlock from "../models/TicketBlock.js";
+import User from "../models/User.js";
+import Transaction from "../models/Transaction.js";
+import UserEvent from "../models/UserEvent.js";
+import { fakeQuery, fakeSession, matches } from "../utils/testing.js";
+import { purchaseTickets } from "./ticketPurchaseService.js";
+
+const buyer = new mongoose.Types.ObjectId();
+const HOUR = 60 * 60 * 1000;
+
+let lottery;
+let purchases;
+let tickets;
+let balanceCents;
+let ledger;
+let sessions;
+let events;
+
+const transientError = () =>
+  Object.assign(new Error("WriteConflict"), {
+    hasErrorLabel: (label) => label === "TransientTransactionError",
+  });
+
+beforeEach(() => {
+  mock.restoreAll();
+  sessions = [];
+  purchases = [];
+  tickets = [];
+  balanceCents = 10000n;
+  ledger = [];
+  events = [];
+
+  lottery = {
+    _id: "lottery-1",
+    title: "Friday Draw",
+    lotteryPrefix: "FD",
+    ticketPrice: "2.50",
+    maxTickets: 10,
+    maxTicketsPerUser: 4,
+    ticketsSold: 0,
+    startDatetime: new Date(Date.now() - HOUR),
+    endDatetime: new Date(Date.now() + HOUR),
+    drawDatetime: new Date(Date.now() + 2 * HOUR),
+    flags: { isCancelled: false },
+  };
+
+  mock.method(mongoose, "startSession", async () => {
+    const session = fakeSession();
+    sessions.push(session);
+    return session;
+  });
+  mock.method(Lottery, "findById", () => fakeQuery({ ...lottery }));
+
+  // Conditional capacity $inc
+  mock.method(Lottery, "updateOne", async (filter, update) => {
+    const quantity = update.$inc.ticketsSold;
+    if (lottery.ticketsSold + quantity > lottery.maxTickets) {
+      return { modifiedCount: 0 };
+    }
+    lottery.ticketsSold += quantity;
+    return { modifiedCount: 1 };
+  });
+
+  // One document per lottery + user: the filter's quantity bound must match,
+  // otherwise the upsert collides with the unique index like Mongo does
+  mock.method(TicketPurchase, "findOneAndUpdate", async (filter, update) => {
+    const existing = purchases.find((p) => p.userId.equals(filter.userId));
+    if (existing) {
+      if (existing.quantity > filter.quantity.$lte) {
+        throw Object.assign(new Error("E11000"), { code: 11000 });
+      }
+      existing.quantity += update.$inc.quantity;
+      return existing;
+    }
+    const purchase = {
+      ...update.$setOnInsert,
+      lotteryId: filter.lotteryId,
+      userId: filter.userId,
+      quantity: update.$inc.quantity,
+      save: async () => purchase,
+    };
+    purchases.push(purchase);
+    return purchase;
+  });
+
+  // Inventory: taken numbers, unique per lottery
+  mock.method(TicketBlock, "find", () => fakeQuery([]));
+  mock.method(TicketBlock, "bulkWrite", async () => ({}));
+  mock.method(Ticket, "find", (filter) =>
+    fakeQuery(tickets.filter((t) => matches(t, filter)))
+  );
+  mock.method(Ticket, "insertMany", async (docs) => {
+    if (docs.some((d) => tickets.some((t) => t.number === d.number))) {
+      throw Object.assign(new Error("E11000"), { code: 11000 });
+    }
+    tickets.push(...docs.map((d) => ({ _id: `t${d.number}`, ...d })));
+    return docs;
+  });
+  mock.method(Ticket, "deleteMany", async (filter) => {
+    const before = tickets.length;
+    tickets = tickets.filter((t) => !matches(t, filter));
+    return { deletedCount: before - tickets.length };
+  });
+
+  // Wallet: debit only while the balance covers it
+  mock.method(User, "findOneAndUpdate", async (filter, update) => {
+    const change = BigInt(
+      Math.round(Number(update.$inc.walletBalance.toString()) * 100)
+    );
+    if (balanceCents + change < 0n) return null;
+    balanceCents += change;
+    return {
+      _id: buyer,
+      walletBalance: (Number(balanceCents) / 100).toFixed(2),
+    };
+  });
+  mock.method(User, "findById", () => fakeQuery({ _id: buyer, role: "user" }));
+  mock.method(Transaction, "create", async ([entry]) => {
+    ledger.push(entry);
+    return [{ _id: new mongoose.Types.ObjectId(), ...entry }];
+  });
+  mock.method(User, "findByIdAndUpdate", async () => ({
+    _id: buyer,
+    eventSeq: events.length + 1,
+  }));
+  mock.method(UserEvent, "create", async ([event]) => {
+    events.push(event);
+    return [event];
+  });
+});
+
+const sell = (number, extra = {}) =>
+  tickets.push({
+    _id: `t${number}`,
+    lotteryId: "lottery-1",
+    number,
+    ticketNumber: `FD-${String(number).padStart(4, "0")}`,
+    status: "sold",
+    ...extra,
+  });
+
+test("buys the lowest free numbers and charges the exact price", async () => {
+  sell(1);
+
+  const { tickets: bought, purchase } = await purchaseTickets(
+    "lottery-1",
+    buyer,
+    { quantity: 3 }
+  );
+
+  assert.deepEqual(bought, ["FD-0002", "FD-0003", "FD-0004"]);
+  assert.equal(lottery.ticketsSold, 3);
+  assert.equal(balanceCents, 10000n - 750n);
+  assert.equal(ledger.length, 1);
+  assert.equal(ledger[0].type, "debit");
+  assert.equal(ledger[0].amount.toString(), "7.50");
+  assert.equal(purchase.totalPrice, 7.5);
+  assert.deepEqual(purchase.ticketNumbers, bought);
+  assert.equal(sessions[0].state, "committed");
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, "purchase.completed");
+  assert.deepEqual(events[0].data.tickets, bought);
+});
+
+test("the per-user limit counts earlier purchases", async () => {
+  await purchaseTickets("lottery-1", buyer, { quantity: 3 });
+
+  await assert.rejects(purchaseTickets("lottery-1", buyer, { quantity: 2 }), {
+    code: "USER_LIMIT",
+  });
+  assert.equal(sessions[1].state, "aborted");
+
+  // Topping up to exactly the limit is still allowed
+  await purchaseTickets("lottery-1", buyer, { quantity: 1 });
+  assert.equal(purchases[0].quantity, 4);
+});
+
+test("a first purchase can't exceed the per-user limit either", async () => {
+  await assert.rejects(purchaseTickets("lottery-1", buyer, { quantity: 5 }), {
+    code: "USER_LIMIT",
+  });
+
+  assert.equal(purchases.length, 0);
+  assert.equal(lottery.ticketsSold, 0);
+  assert.equal(balanceCents, 10000n);
+  assert.equal(sessions[0].state, "aborted");
+});
+
+test("never sells past maxTickets", async () => {
+  lottery.ticketsSold = 9;
+
+  await assert.rejects(purchaseTickets("lottery-1", buyer, { quantity: 2 }), {
+    code: "NOT_ENOUGH_TICKETS",
+  });
+  assert.equal(lottery.ticketsSold, 9);
+  assert.equal(sessions[0].state, "aborted");
+  assert.equal(balanceCents, 10000n);
+});
+
+test("chosen numbers that are already sold are rejected", async () => {
+  sell(5);
+
+  await assert.rejects(
+    purchaseTickets("lottery-1", buyer, {
+      quantity: 2,
+      chosenTickets: ["FD-0004", "FD-0005"],
+    }),
+    (err) => {
+      assert.equal(err.code, "INVALID_TICKETS");
+      assert.deepEqual(err.invalid, ["FD-0005"]);
+      return true;
+    }
+  );
+  assert.equal(sessions[0].state, "aborted");
+});
+
+test("insufficient funds abort the whole purchase", async () => {
+  balanceCents = 400n;
+
+  await assert.rejects(purchaseTickets("lottery-1", buyer, { quantity: 2 }), {
+    code: "INSUFFICIENT_FUNDS",
+  });
+  assert.equal(sessions[0].state, "aborted");
+  assert.equal(balanceCents, 400n);
+});
+
+test("write conflicts with another buyer are retried", async () => {
+  let conflicts = 2;
+  Ticket.insertMany.mock.mockImplementation(async (docs) => {
+    if (conflicts-- > 0) throw transientError();
+    tickets.push(...docs);
+    return docs;
+  });
+
+  const { tickets: bought } = await purchaseTickets("lottery-1", buyer, {
+    quantity: 1,
+  });
+
+  assert.deepEqual(bought, ["FD-0001"]);
+  assert.equal(Ticket.insertMany.mock.callCount(), 3);
+  assert.deepEqual(
+    sessions.map((s) => s.state),
+    ["aborted", "aborted", "committed"]
+  );
+});
+
+test("rejects invalid quantities before touching the database", async () => {
+  for (const quantity of [0, -1, 1.5, undefined]) {
+    await assert.rejects(purchaseTickets("lottery-1", buyer, { quantity }), {
+      code: "INVALID_QUANTITY",
+    });
+  }
+  await assert.rejects(
+    purchaseTickets("lottery-1", buyer, {
+      quantity: 2,
+      chosenTickets: ["FD-0001"],
+    }),
+    { code: "INVALID_QUANTITY" }
+  );
+  assert.equal(sessions.length, 0);
+});
+
+test("beforeCommit runs in the purchase transaction and can veto it", async () => {
+  const seen = [];
+  await purchaseTickets("lottery-1", buyer, {
+    quantity: 1,
+    beforeCommit: async (session, { tickets: bought }) => {
+      seen.push([session.state, bought]);
+    },
+  });
+  assert.deepEqual(seen, [["started", ["FD-0001"]]]);
+
+  await assert.rejects(
+    purchaseTickets("lottery-1", buyer, {
+      quantity: 1,
+      beforeCommit: async () => {
+        throw Object.assign(new Error("taken over"), {
+          code: "IDEMPOTENCY_CONFLICT",
+        });
+      },
+    }),
+    { code: "IDEMPOTENCY_CONFLICT" }
+  );
+  assert.equal(sessions[1].state, "aborted");
+});
@@ -0,0 +1,282 @@
+import mongoose from "mongoose";
+import Lottery from "../models/Lottery.js";
+import TicketPurchase from "../models/TicketPurchase.js";
+import TicketReservation from "../models/TicketReservation.js";
+import { computeLotteryFlags } from "../utils/computeLotteryFlags.js";
+import {
+  holdTickets,
+  claimHeldTickets,
+  releaseHeldTickets,
+} from "./ticketInventoryService.js";
+import { RESERVATION_STATUS } from "../constants/ticket-statuses.js";
+
+/**
+ * Checkout holds.
+ *
+ * A reservation takes specific numbers out of availability for a few minutes
+ * (as "reserved" tickets in the inventory). The same user can turn it into a
+ * purchase; otherwise it is released by the user or by the expiry cron.
+ * A user has at most one active hold per lottery: a new one replaces it.
+ */
+
+// Minutes a hold lasts (override with RESERVATION_HOLD_MINUTES)
+export const RESERVATION_HOLD_MINUTES =
+  Number(process.env.RESERVATION_HOLD_MINUTES) || 5;
+
+const reservationError = (message, code) =>
+  Object.assign(new Error(message), { code });
+
+async function releaseReservationDoc(reservation, status, session) {
+  reservation.status = status;
+  reservation.releasedAt = new Date();
+  await reservation.save({ session });
+  await releaseHeldTickets({ reservationId: reservation._id }, session);
+}
+
+/**
+ * Hold ticket numbers for checkout.
+ * @param {String} lotteryId
+ * @param {String} userId
+ * @param {String[]} ticketNumbers
+ * @returns {Promise<Object>} The active reservation
+ */
+export async function createReservation(lotteryId, userId, ticketNumbers) {
+  if (!Array.isArray(ticketNumbers) || ticketNumbers.length === 0) {
+    throw reservationError(
+      "ticketNumbers must be a non-empty array",
+      "INVALID_TICKETS"
+    );
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const lottery = await Lottery.findById(lotteryId).session(session);
+    if (!lottery) throw reservationError("Lottery not found", "NOT_FOUND");
+
+    const flags = computeLotteryFlags(lottery);
+    if (lottery.flags.isCancelled || !flags.isActive || flags.isEnded) {
+      throw reservationError("Lottery is not active", "NOT_ACTIVE");
+    }
+
+    // 🔄 Replace the user's previous hold, if any
+    const previous = await TicketReservation.findOne({
+      lotteryId: lottery._id,
+      userId,
+      status: RESERVATION_STATUS.ACTIVE,
+    }).session(session);
+    if (previous) {
+      await releaseReservationDoc(
+        previous,
+        RESERVATION_STATUS.RELEASED,
+        session
+      );
+    }
+
+    // 🧮 Can't hold more than the user may still buy
+    const purchase = await TicketPurchase.findOne({
+      lotteryId: lottery._id,
+      userId,
+    })
+      .select("quantity")
+      .session(session);
+    const purchased = purchase ? purchase.quantity : 0;
+    if (purchased + ticketNumbers.length > lottery.maxTicketsPerUser) {
+      throw reservationError(
+        `Cannot purchase more than ${lottery.maxTicketsPerUser} ticket(s) for this lottery.`,
+        "USER_LIMIT"
+      );
+    }
+
+    const expiresAt = new Date(
+      Date.now() + RESERVATION_HOLD_MINUTES * 60 * 1000
+    );
+    const reservation = new TicketReservation({
+      lotteryId: lottery._id,
+      userId,
+      ticketNumbers: [],
+      status: RESERVATION_STATUS.ACTIVE,
+      expiresAt,
+    });
+
+    reservation.ticketNumbers = await holdTickets(lottery, {
+      userId,
+      reservationId: reservation._id,
+      ticketNumbers,
+      reservedUntil: expiresAt,
+      session,
+    });
+    await reservation.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return reservation;
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+/**
+ * The user's current (unexpired) hold on a lottery, or null.
+ */
+export async function getActiveReservation(lotteryId, userId) {
+  return TicketReservation.findOne({
+    lotteryId,
+    userId,
+    status: RESERVATION_STATUS.ACTIVE,
+    expiresAt: { $gt: new Date() },
+  }).lean();
+}
+
+/**
+ * Give up a hold before it expires.
+ */
+export async function releaseReservation(reservationId, userId) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const reservation = await TicketReservation.findOne({
+      _id: reservationId,
+      userId,
+      status: RESERVATION_STATUS.ACTIVE,
+    }).session(session);
+    if (!reservation) {
+      throw reservationError("Reservation not found", "RESERVATION_NOT_FOUND");
+    }
+
+    await releaseReservationDoc(
+      reservation,
+      RESERVATION_STATUS.RELEASED,
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return reservation;
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+/**
+ * Convert a hold into sold tickets inside the purchase transaction.
+ * @param {String} reservationId
+ * @param {Object} options
+ * @param {String} options.lotteryId
+ * @param {String} options.userId - Must be the user who made the hold
+ * @param {String} options.purchaseId
+ * @param {ClientSession} options.session
+ * @returns {Promise<String[]>} Purchased ticket numbers
+ */
+export async function claimReservation(
+  reservationId,
+  { lotteryId, userId, purchaseId, session }
+) {
+  // Conditional status change: a hold can only be converted once
+  const reservation = await TicketReservation.findOneAndUpdate(
+    {
+      _id: reservationId,
+      lotteryId,
+      userId,
+      status: RESERVATION_STATUS.ACTIVE,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { status: RESERVATION_STATUS.CONVERTED, purchaseId } },
+    { new: true, session }
+  );
+  if (!reservation) {
+    throw reservationError(
+      "Reservation not found or expired",
+      "RESERVATION_NOT_FOUND"
+    );
+  }
+
+  const tickets = await claimHeldTickets(reservation._id, {
+    purchaseId,
+    session,
+  });
+  if (tickets.length !== reservation.ticketNumbers.length) {
+    throw reservationError(
+      "Reservation not found or expired",
+      "RESERVATION_NOT_FOUND"
+    );
+  }
+  return tickets;
+}
+
+/**
+ * Look up a user's active hold inside a transaction (for its size).
+ */
+export async function findActiveReservation(
+  reservationId,
+  { lotteryId, userId, session }
+) {
+  const reservation = await TicketReservation.findOne({
+    _id: reservationId,
+    lotteryId,
+    userId,
+    status: RESERVATION_STATUS.ACTIVE,
+    expiresAt: { $gt: new Date() },
+  }).session(session);
+  if (!reservation) {
+    throw reservationError(
+      "Reservation not found or expired",
+      "RESERVATION_NOT_FOUND"
+    );
+  }
+  return reservation;
+}
+
+/**
+ * Release every hold past its expiry (cron).
+ * @returns {Promise<Number>} Reservations expired
+ */
+export async function releaseExpiredReservations() {
+  const expired = await TicketReservation.find({
+    status: RESERVATION_STATUS.ACTIVE,
+    expiresAt: { $lte: new Date() },
+  });
+
+  let count = 0;
+  for (const reservation of expired) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      // Skip if it was converted/released since we listed it
+      const current = await TicketReservation.findOne({
+        _id: reservation._id,
+        status: RESERVATION_STATUS.ACTIVE,
+      }).session(session);
+      if (current) {
+        await releaseReservationDoc(
+          current,
+          RESERVATION_STATUS.EXPIRED,
+          session
+        );
+        count++;
+      }
+      await session.commitTransaction();
+    } catch (err) {
+      await session.abortTransaction();
+      console.error(
+        `❌ Failed to release reservation ${reservation._id}:`,
+        err.message
+      );
+    } finally {
+      session.endSession();
+    }
+  }
+
+  // Expired holds whose reservation is already closed (e.g. crash mid-way)
+  await releaseHeldTickets({ reservedUntil: { $lte: new Date() } });
+
+  return count;
+}
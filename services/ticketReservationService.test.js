@@ -0,0 +1,261 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Lottery from "../models/Lottery.js";
+import TicketPurchase from "../models/TicketPurchase.js";
+import TicketReservation from "../models/TicketReservation.js";
+import Ticket from "../models/Ticket.js";
+import TicketBlock from "../models/TicketBlock.js";
+import { RESERVATION_STATUS } from "../constants/ticket-statuses.js";
+import { fakeQuery, fakeSession, matches } from "../utils/testing.js";
+import {
+  createReservation,
+  claimReservation,
+  releaseReservation,
+  releaseExpiredReservations,
+} from "./ticketReservationService.js";
+
+const HOUR = 60 * 60 * 1000;
+const LOTTERY_ID = crypto.randomUUID();
+const alice = new mongoose.Types.ObjectId();
+const bob = new mongoose.Types.ObjectId();
+
+let lottery;
+let tickets;
+let reservations;
+let purchased;
+let sessions;
+
+const ticketNumber = (n) => `FD-${String(n).padStart(4, "0")}`;
+const ticketsOf = (reservation) =>
+  tickets.filter((t) => String(t.reservationId) === String(reservation._id));
+
+beforeEach(() => {
+  mock.restoreAll();
+  tickets = [];
+  reservations = [];
+  purchased = new Map();
+  sessions = [];
+
+  lottery = {
+    _id: LOTTERY_ID,
+    lotteryPrefix: "FD",
+    maxTickets: 20,
+    maxTicketsPerUser: 3,
+    ticketsSold: 0,
+    startDatetime: new Date(Date.now() - HOUR),
+    endDatetime: new Date(Date.now() + HOUR),
+    drawDatetime: new Date(Date.now() + 2 * HOUR),
+    flags: { isCancelled: false },
+  };
+
+  mock.method(mongoose, "startSession", async () => {
+    const session = fakeSession();
+    sessions.push(session);
+    return session;
+  });
+  mock.method(Lottery, "findById", () => fakeQuery(lottery));
+  mock.method(TicketPurchase, "findOne", ({ userId }) =>
+    fakeQuery(
+      purchased.has(String(userId))
+        ? { quantity: purchased.get(String(userId)) }
+        : null
+    )
+  );
+
+  // Reservations
+  mock.method(TicketReservation.prototype, "save", async function () {
+    if (!reservations.includes(this)) reservations.push(this);
+    return this;
+  });
+  const findReservations = (filter) =>
+    reservations.filter((r) => matches(r, filter));
+  mock.method(TicketReservation, "find", (filter) =>
+    fakeQuery(findReservations(filter))
+  );
+  mock.method(TicketReservation, "findOne", (filter) =>
+    fakeQuery(findReservations(filter)[0] ?? null)
+  );
+  mock.method(TicketReservation, "findOneAndUpdate", async (filter, update) => {
+    const reservation = findReservations(filter)[0];
+    if (!reservation) return null;
+    Object.assign(reservation, update.$set);
+    return reservation;
+  });
+
+  // Inventory: one Ticket per taken number
+  mock.method(TicketBlock, "bulkWrite", async () => ({}));
+  mock.method(Ticket, "find", (filter) =>
+    fakeQuery(tickets.filter((t) => matches(t, filter)))
+  );
+  mock.method(Ticket, "insertMany", async (docs) => {
+    if (docs.some((d) => tickets.some((t) => t.number === d.number))) {
+      throw Object.assign(new Error("E11000"), { code: 11000 });
+    }
+    tickets.push(...docs.map((d) => ({ _id: crypto.randomUUID(), ...d })));
+    return docs;
+  });
+  mock.method(Ticket, "deleteMany", async (filter) => {
+    const before = tickets.length;
+    tickets = tickets.filter((t) => !matches(t, filter));
+    return { deletedCount: before - tickets.length };
+  });
+  mock.method(Ticket, "updateMany", async (filter, update) => {
+    const matched = tickets.filter((t) => matches(t, filter));
+    matched.forEach((t) => {
+      Object.assign(t, update.$set);
+      Object.keys(update.$unset || {}).forEach((key) => delete t[key]);
+    });
+    return { modifiedCount: matched.length };
+  });
+});
+
+test("a reservation holds the chosen numbers until it expires", async () => {
+  const reservation = await createReservation(LOTTERY_ID, alice, [
+    ticketNumber(4),
+    ticketNumber(7),
+  ]);
+
+  assert.equal(reservation.status, RESERVATION_STATUS.ACTIVE);
+  assert.deepEqual([...reservation.ticketNumbers], ["FD-0004", "FD-0007"]);
+  assert.ok(reservation.expiresAt > new Date());
+  assert.deepEqual(
+    ticketsOf(reservation).map((t) => [t.number, t.status]),
+    [
+      [4, "reserved"],
+      [7, "reserved"],
+    ]
+  );
+  assert.equal(sessions[0].state, "committed");
+});
+
+test("held numbers can't be taken by someone else", async () => {
+  await createReservation(LOTTERY_ID, alice, [ticketNumber(4)]);
+
+  await assert.rejects(
+    createReservation(LOTTERY_ID, bob, [ticketNumber(4), ticketNumber(5)]),
+    (err) => {
+      assert.equal(err.code, "INVALID_TICKETS");
+      assert.deepEqual(err.invalid, ["FD-0004"]);
+      return true;
+    }
+  );
+  assert.equal(sessions[1].state, "aborted");
+});
+
+test("a new hold replaces the user's previous one", async () => {
+  const first = await createReservation(LOTTERY_ID, alice, [ticketNumber(1)]);
+  const second = await createReservation(LOTTERY_ID, alice, [ticketNumber(2)]);
+
+  assert.equal(first.status, RESERVATION_STATUS.RELEASED);
+  assert.ok(first.releasedAt);
+  assert.equal(ticketsOf(first).length, 0);
+  assert.equal(second.status, RESERVATION_STATUS.ACTIVE);
+  assert.deepEqual(
+    tickets.map((t) => t.number),
+    [2]
+  );
+});
+
+test("can't hold more than the user may still buy", async () => {
+  purchased.set(String(alice), 2);
+
+  await assert.rejects(
+    createReservation(LOTTERY_ID, alice, [ticketNumber(1), ticketNumber(2)]),
+    { code: "USER_LIMIT" }
+  );
+  assert.equal(tickets.length, 0);
+});
+
+test("holds that ran out don't block anyone, even before the cron runs", async () => {
+  const stale = await createReservation(LOTTERY_ID, alice, [ticketNumber(9)]);
+  ticketsOf(stale)[0].reservedUntil = new Date(Date.now() - 1000);
+
+  const reservation = await createReservation(LOTTERY_ID, bob, [
+    ticketNumber(9),
+  ]);
+
+  assert.deepEqual(
+    tickets.map((t) => String(t.reservationId)),
+    [String(reservation._id)]
+  );
+});
+
+test("claiming converts a hold into sold tickets exactly once", async () => {
+  const reservation = await createReservation(LOTTERY_ID, alice, [
+    ticketNumber(3),
+  ]);
+  const purchaseId = crypto.randomUUID();
+  const claim = () =>
+    claimReservation(reservation._id, {
+      lotteryId: LOTTERY_ID,
+      userId: alice,
+      purchaseId,
+      session: fakeSession(),
+    });
+
+  assert.deepEqual(await claim(), ["FD-0003"]);
+  assert.equal(reservation.status, RESERVATION_STATUS.CONVERTED);
+  assert.equal(tickets[0].status, "sold");
+  assert.equal(tickets[0].purchaseId, purchaseId);
+  assert.equal(tickets[0].reservedUntil, undefined);
+
+  await assert.rejects(claim(), { code: "RESERVATION_NOT_FOUND" });
+});
+
+test("only the user who made the hold can claim or release it", async () => {
+  const reservation = await createReservation(LOTTERY_ID, alice, [
+    ticketNumber(3),
+  ]);
+
+  await assert.rejects(
+    claimReservation(reservation._id, {
+      lotteryId: LOTTERY_ID,
+      userId: bob,
+      purchaseId: crypto.randomUUID(),
+      session: fakeSession(),
+    }),
+    { code: "RESERVATION_NOT_FOUND" }
+  );
+  await assert.rejects(releaseReservation(reservation._id, bob), {
+    code: "RESERVATION_NOT_FOUND",
+  });
+
+  await releaseReservation(reservation._id, alice);
+  assert.equal(reservation.status, RESERVATION_STATUS.RELEASED);
+  assert.equal(tickets.length, 0);
+});
+
+test("an expired hold can't be claimed", async () => {
+  const reservation = await createReservation(LOTTERY_ID, alice, [
+    ticketNumber(3),
+  ]);
+  reservation.expiresAt = new Date(Date.now() - 1000);
+
+  await assert.rejects(
+    claimReservation(reservation._id, {
+      lotteryId: LOTTERY_ID,
+      userId: alice,
+      purchaseId: crypto.randomUUID(),
+      session: fakeSession(),
+    }),
+    { code: "RESERVATION_NOT_FOUND" }
+  );
+});
+
+test("the expiry sweep releases only holds past their time", async () => {
+  const expired = await createReservation(LOTTERY_ID, alice, [ticketNumber(1)]);
+  const current = await createReservation(LOTTERY_ID, bob, [ticketNumber(2)]);
+  expired.expiresAt = new Date(Date.now() - 1000);
+  ticketsOf(expired)[0].reservedUntil = expired.expiresAt;
+
+  assert.equal(await releaseExpiredReservations(), 1);
+
+  assert.equal(expired.status, RESERVATION_STATUS.EXPIRED);
+  assert.equal(current.status, RESERVATION_STATUS.ACTIVE);
+  assert.deepEqual(
+    tickets.map((t) => t.number),
+    [2]
+  );
+});
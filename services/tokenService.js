@@ -0,0 +1,183 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import User from "../models/User.js";
+import RefreshToken from "../models/RefreshToken.js";
+
+/**
+ * Auth tokens.
+ *
+ * - access token: short-lived JWT carrying the user's tokenVersion (`tv`)
+ *   and how the session was authenticated (`amr`: "pwd", "otp");
+ *   bumping User.tokenVersion invalidates all of them at once
+ * - refresh token: random opaque string, stored hashed in RefreshToken,
+ *   rotated on every use. Presenting an already-rotated token revokes the
+ *   whole family (likely stolen).
+ */
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const tokenError = (message, code) =>
+  Object.assign(new Error(message), { code });
+
+// Secrets sent to users (refresh/reset tokens) are only stored as this hash
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+export function signAccessToken(user, amr = ["pwd"]) {
+  return jwt.sign(
+    { id: user._id, role: user.role, tv: user.tokenVersion || 0, amr },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Verify an access token and load its (still valid) user.
+ * @param {String} token
+ * @returns {Promise<{user: Object, decoded: Object}>}
+ * @throws code INVALID_TOKEN | USER_NOT_FOUND | SESSION_REVOKED | ACCOUNT_DISABLED
+ */
+export async function verifyAccessToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch {
+    throw tokenError("Invalid or expired token", "INVALID_TOKEN");
+  }
+
+  const user = await User.findById(decoded.id).select("-passwordHash");
+  if (!user) throw tokenError("User not found", "USER_NOT_FOUND");
+
+  if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    throw tokenError("Session has been revoked", "SESSION_REVOKED");
+  }
+  if (user.blocked || user.isDeleted) {
+    throw tokenError("Account is disabled", "ACCOUNT_DISABLED");
+  }
+
+  return { user, decoded };
+}
+
+async function createRefreshToken(user, family, amr, { userAgent, ip } = {}) {
+  const token = crypto.randomBytes(48).toString("base64url");
+  const record = await RefreshToken.create({
+    tokenHash: hashToken(token),
+    userId: user._id,
+    family,
+    amr,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    userAgent,
+    ip,
+  });
+  return { token, record };
+}
+
+/**
+ * New session (login).
+ * @param {Object} user
+ * @param {Object} [meta] - { userAgent, ip } for the session list
+ * @param {String[]} [amr] - Authentication methods used ("pwd", "otp")
+ */
+export async function issueTokens(user, meta = {}, amr = ["pwd"]) {
+  const { token } = await createRefreshToken(
+    user,
+    crypto.randomUUID(),
+    amr,
+    meta
+  );
+  return {
+    accessToken: signAccessToken(user, amr),
+    refreshToken: token,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair.
+ * @throws code INVALID_REFRESH_TOKEN | REFRESH_TOKEN_REUSED | ACCOUNT_DISABLED
+ */
+export async function rotateRefreshToken(token, meta = {}) {
+  if (typeof token !== "string" || !token) {
+    throw tokenError("Invalid refresh token", "INVALID_REFRESH_TOKEN");
+  }
+
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!record || record.expiresAt <= new Date()) {
+    throw tokenError("Invalid refresh token", "INVALID_REFRESH_TOKEN");
+  }
+
+  if (record.revokedAt) {
+    // 🚨 A rotated token came back: assume theft, end the whole session chain
+    if (record.replacedBy) {
+      await RefreshToken.updateMany(
+        { family: record.family, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: "reuse-detected" } }
+      );
+      throw tokenError("Refresh token reuse detected", "REFRESH_TOKEN_REUSED");
+    }
+    throw tokenError("Invalid refresh token", "INVALID_REFRESH_TOKEN");
+  }
+
+  const user = await User.findById(record.userId);
+  if (!user || user.blocked || user.isDeleted) {
+    throw tokenError("Account is disabled", "ACCOUNT_DISABLED");
+  }
+
+  // Conditional revoke so two parallel refreshes can't both rotate
+  const { token: nextToken, record: next } = await createRefreshToken(
+    user,
+    record.family,
+    record.amr,
+    meta
+  );
+  const rotated = await RefreshToken.updateOne(
+    { _id: record._id, revokedAt: null },
+    {
+      $set: {
+        revokedAt: new Date(),
+        revokedReason: "rotated",
+        replacedBy: next._id,
+      },
+    }
+  );
+  if (rotated.modifiedCount === 0) {
+    await RefreshToken.deleteOne({ _id: next._id });
+    throw tokenError("Invalid refresh token", "INVALID_REFRESH_TOKEN");
+  }
+
+  return {
+    accessToken: signAccessToken(user, record.amr),
+    refreshToken: nextToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+  };
+}
+
+/**
+ * Logout: revoke one refresh token's session chain. Unknown tokens are ignored.
+ */
+export async function revokeRefreshToken(token) {
+  if (typeof token !== "string" || !token) return;
+
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!record) return;
+
+  await RefreshToken.updateMany(
+    { family: record.family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: "logout" } }
+  );
+}
+
+/**
+ * End every session of a user: access tokens stop working immediately and
+ * all refresh tokens are revoked.
+ * @param {String} userId
+ * @param {String} reason - e.g. "logout-all", "blocked", "password-reset"
+ */
+export async function revokeAllSessions(userId, reason) {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
@@ -0,0 +1,165 @@
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import RefreshToken from "../models/RefreshToken.js";
+import { fakeQuery, matches } from "../utils/testing.js";
+import {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  verifyAccessToken,
+} from "./tokenService.js";
+
+process.env.JWT_SECRET ||= "test-secret";
+
+let user;
+let tokens;
+
+const live = () => tokens.filter((t) => !t.revokedAt);
+
+beforeEach(() => {
+  mock.restoreAll();
+  tokens = [];
+  user = {
+    _id: new mongoose.Types.ObjectId(),
+    role: "user",
+    tokenVersion: 0,
+    blocked: false,
+  };
+
+  mock.method(User, "findById", (id) =>
+    fakeQuery(String(id) === String(user._id) ? user : null)
+  );
+  mock.method(User, "updateOne", async (filter, { $inc }) => {
+    user.tokenVersion += $inc.tokenVersion;
+    return { modifiedCount: 1 };
+  });
+
+  mock.method(RefreshToken, "create", async (doc) => {
+    const record = { _id: new mongoose.Types.ObjectId(), ...doc };
+    tokens.push(record);
+    return record;
+  });
+  mock.method(RefreshToken, "findOne", (filter) =>
+    fakeQuery(tokens.find((t) => matches(t, filter)) ?? null)
+  );
+  const update = (filter, { $set }, limit = Infinity) => {
+    const matched = tokens.filter((t) => matches(t, filter)).slice(0, limit);
+    matched.forEach((t) => Object.assign(t, $set));
+    return { modifiedCount: matched.length };
+  };
+  mock.method(RefreshToken, "updateOne", async (filter, change) =>
+    update(filter, change, 1)
+  );
+  mock.method(RefreshToken, "updateMany", async (filter, change) =>
+    update(filter, change)
+  );
+  mock.method(RefreshToken, "deleteOne", async (filter) => {
+    tokens = tokens.filter((t) => !matches(t, filter));
+    return { deletedCount: 1 };
+  });
+});
+
+test("refresh tokens are stored hashed", async () => {
+  const { refreshToken } = await issueTokens(user);
+
+  assert.equal(tokens.length, 1);
+  assert.notEqual(tokens[0].tokenHash, refreshToken);
+  assert.ok(!JSON.stringify(tokens).includes(refreshToken));
+});
+
+test("every refresh rotates the token within the same family", async () => {
+  const login = await issueTokens(user);
+  const first = await rotateRefreshToken(login.refreshToken);
+  const second = await rotateRefreshToken(first.refreshToken);
+
+  assert.notEqual(first.refreshToken, login.refreshToken);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(new Set(tokens.map((t) => t.family)).size, 1);
+  assert.deepEqual(
+    tokens.map((t) => t.revokedReason),
+    ["rotated", "rotated", undefined]
+  );
+  assert.equal(String(tokens[0].replacedBy), String(tokens[1]._id));
+  await verifyAccessToken(second.accessToken);
+});
+
+test("reusing a rotated token revokes the whole family", async () => {
+  const login = await issueTokens(user);
+  const other = await issueTokens(user); // another device
+  const stolen = login.refreshToken;
+  const { refreshToken } = await rotateRefreshToken(stolen);
+
+  await assert.rejects(rotateRefreshToken(stolen), {
+    code: "REFRESH_TOKEN_REUSED",
+  });
+  await assert.rejects(rotateRefreshToken(refreshToken), {
+    code: "INVALID_REFRESH_TOKEN",
+  });
+  assert.deepEqual(
+    live().map((t) => t.family),
+    [tokens.find((t) => t.family !== tokens[0].family).family]
+  );
+  await rotateRefreshToken(other.refreshToken);
+});
+
+test("unknown, expired and logged-out tokens are refused", async () => {
+  const { refreshToken } = await issueTokens(user);
+
+  await assert.rejects(rotateRefreshToken("nope"), {
+    code: "INVALID_REFRESH_TOKEN",
+  });
+  await assert.rejects(rotateRefreshToken(undefined), {
+    code: "INVALID_REFRESH_TOKEN",
+  });
+
+  tokens[0].expiresAt = new Date(Date.now() - 1000);
+  await assert.rejects(rotateRefreshToken(refreshToken), {
+    code: "INVALID_REFRESH_TOKEN",
+  });
+
+  const session = await issueTokens(user);
+  await revokeRefreshToken(session.refreshToken);
+  await assert.rejects(rotateRefreshToken(session.refreshToken), {
+    code: "INVALID_REFRESH_TOKEN",
+  });
+  assert.equal(tokens[1].revokedReason, "logout");
+});
+
+test("two parallel refreshes with one token can't both win", async () => {
+  const { refreshToken } = await issueTokens(user);
+
+  const results = await Promise.allSettled([
+    rotateRefreshToken(refreshToken),
+    rotateRefreshToken(refreshToken),
+  ]);
+
+  assert.equal(results.filter((r) => r.status === "fulfilled").length, 1);
+  assert.equal(live().length, 1);
+});
+
+test("blocked users can't refresh", async () => {
+  const { refreshToken } = await issueTokens(user);
+  user.blocked = true;
+
+  await assert.rejects(rotateRefreshToken(refreshToken), {
+    code: "ACCOUNT_DISABLED",
+  });
+});
+
+test("revoking all sessions kills access and refresh tokens", async () => {
+  const a = await issueTokens(user);
+  const b = await issueTokens(user);
+
+  await revokeAllSessions(user._id, "logout-all");
+
+  await assert.rejects(verifyAccessToken(a.accessToken), {
+    code: "SESSION_REVOKED",
+  });
+  await assert.rejects(rotateRefreshToken(b.refreshToken), {
+    code: "INVALID_REFRESH_TOKEN",
+  });
+  assert.equal(live().length, 0);
+});
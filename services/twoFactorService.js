@@ -0,0 +1,259 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import QRCode from "qrcode";
+import User from "../models/User.js";
+import { ROLES } from "../constants/roles.js";
+import { generateTotpSecret, verifyTotp, totpAuthUrl } from "../utils/totp.js";
+import { hashToken } from "./tokenService.js";
+
+/**
+ * TOTP two-factor authentication.
+ *
+ * Required for admins, optional for users. Secrets are stored encrypted
+ * (AES-256-GCM, key from TOTP_ENCRYPTION_KEY or JWT_SECRET); recovery codes
+ * are stored hashed and each works once. A code's time step is remembered so
+ * the same code can't be replayed.
+ */
+
+const ISSUER = process.env.TOTP_ISSUER || "Lottme";
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_TTL = "5m";
+const CHALLENGE_PURPOSE = "2fa-login";
+
+const twoFactorError = (message, code) =>
+  Object.assign(new Error(message), { code });
+
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data]
+    .map((b) => b.toString("hex"))
+    .join(":");
+}
+
+function decryptSecret(stored) {
+  const [iv, tag, data] = stored.split(":").map((h) => Buffer.from(h, "hex"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString(
+    "utf8"
+  );
+}
+
+function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(4).toString("hex");
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+}
+
+const normaliseRecoveryCode = (code) =>
+  String(code).trim().toLowerCase().replace(/\s/g, "");
+
+async function loadWithSecrets(userId) {
+  const user = await User.findById(userId).select(
+    "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep"
+  );
+  if (!user) throw twoFactorError("User not found", "USER_NOT_FOUND");
+  return user;
+}
+
+/**
+ * Accept a TOTP code once (atomically moves lastUsedStep forward).
+ */
+async function consumeTotp(user, secret, code) {
+  const step = verifyTotp(secret, code);
+  if (step === null) return false;
+
+  const updated = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { "twoFactor.lastUsedStep": null },
+        { "twoFactor.lastUsedStep": { $lt: step } },
+      ],
+    },
+    { $set: { "twoFactor.lastUsedStep": step } }
+  );
+  return updated.modifiedCount === 1;
+}
+
+/**
+ * Begin enrollment: new secret + QR code for the authenticator app.
+ * @returns {Promise<{secret: String, otpauthUrl: String, qrCode: String}>}
+ */
+export async function startEnrollment(userId) {
+  const user = await loadWithSecrets(userId);
+  if (user.twoFactor?.enabled) {
+    throw twoFactorError(
+      "Two-factor authentication is already enabled",
+      "ALREADY_ENABLED"
+    );
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save();
+
+  const otpauthUrl = totpAuthUrl(secret, {
+    issuer: ISSUER,
+    account: user.email,
+  });
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl),
+  };
+}
+
+/**
+ * Finish enrollment with a code from the app.
+ * @returns {Promise<String[]>} Recovery codes (shown to the user once)
+ */
+export async function confirmEnrollment(userId, code) {
+  const user = await loadWithSecrets(userId);
+  if (user.twoFactor?.enabled) {
+    throw twoFactorError(
+      "Two-factor authentication is already enabled",
+      "ALREADY_ENABLED"
+    );
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    throw twoFactorError("Start two-factor setup first", "NO_PENDING_SETUP");
+  }
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) {
+    throw twoFactorError("Invalid two-factor code", "INVALID_TWO_FACTOR_CODE");
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.recoveryCodes = recoveryCodes.map((c) => hashToken(c));
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = new Date();
+  await user.save();
+
+  return recoveryCodes;
+}
+
+/**
+ * Check a second factor: a TOTP `code` or a one-time `recoveryCode`.
+ * @throws code TWO_FACTOR_NOT_ENABLED | INVALID_TWO_FACTOR_CODE
+ */
+export async function verifySecondFactor(userId, { code, recoveryCode } = {}) {
+  const user = await loadWithSecrets(userId);
+  if (!user.twoFactor?.enabled) {
+    throw twoFactorError(
+      "Two-factor authentication is not enabled",
+      "TWO_FACTOR_NOT_ENABLED"
+    );
+  }
+
+  if (code) {
+    const secret = decryptSecret(user.twoFactor.secret);
+    if (await consumeTotp(user, secret, String(code))) return user;
+  } else if (recoveryCode) {
+    // $pull only matches an unused code, so each one works once
+    const used = await User.updateOne(
+      {
+        _id: user._id,
+        "twoFactor.recoveryCodes": hashToken(
+          normaliseRecoveryCode(recoveryCode)
+        ),
+      },
+      {
+        $pull: {
+          "twoFactor.recoveryCodes": hashToken(
+            normaliseRecoveryCode(recoveryCode)
+          ),
+        },
+      }
+    );
+    if (used.modifiedCount === 1) return user;
+  }
+
+  throw twoFactorError("Invalid two-factor code", "INVALID_TWO_FACTOR_CODE");
+}
+
+/**
+ * Turn 2FA off (users only; admins must keep it).
+ */
+export async function disableTwoFactor(userId, factor) {
+  const user = await verifySecondFactor(userId, factor);
+  if (user.role === ROLES.ADMIN) {
+    throw twoFactorError(
+      "Two-factor authentication is required for admins",
+      "TWO_FACTOR_REQUIRED"
+    );
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.secret": "",
+        "twoFactor.pendingSecret": "",
+        "twoFactor.recoveryCodes": "",
+        "twoFactor.lastUsedStep": "",
+        "twoFactor.enabledAt": "",
+      },
+    }
+  );
+}
+
+/**
+ * Replace all recovery codes (needs a current TOTP code).
+ * @returns {Promise<String[]>}
+ */
+export async function regenerateRecoveryCodes(userId, code) {
+  const user = await verifySecondFactor(userId, { code });
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        "twoFactor.recoveryCodes": recoveryCodes.map((c) => hashToken(c)),
+      },
+    }
+  );
+  return recoveryCodes;
+}
+
+// Short-lived proof that the password step of login succeeded
+export function createLoginChallenge(user) {
+  return jwt.sign(
+    { sub: user._id.toString(), purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: LOGIN_CHALLENGE_TTL }
+  );
+}
+
+/**
+ * @returns {String} userId of a valid challenge
+ * @throws code INVALID_CHALLENGE
+ */
+export function verifyLoginChallenge(challengeToken) {
+  try {
+    const payload = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    if (payload.purpose !== CHALLENGE_PURPOSE) throw new Error();
+    return payload.sub;
+  } catch {
+    throw twoFactorError(
+      "Login challenge is invalid or has expired. Please log in again.",
+      "INVALID_CHALLENGE"
+    );
+  }
+}
@@ -0,0 +1,82 @@
+import User from "../models/User.js";
+import UserEvent from "../models/UserEvent.js";
+
+/**
+ * Private events for one user (wins, wallet reviews, purchases).
+ *
+ * Events are written in the same transaction as the change they describe and
+ * numbered per user (seq), so a client that reconnects can ask for everything
+ * after the last seq it saw. Sockets get them from a change stream once the
+ * transaction commits (services/socketService.js).
+ */
+
+export const MAX_EVENTS_PER_PAGE = 100;
+
+/**
+ * @param {String} userId
+ * @param {String} type - USER_EVENTS
+ * @param {Object} data - JSON-safe payload
+ * @param {ClientSession} [session]
+ * @returns {Promise<Object>} The stored event
+ */
+export async function recordUserEvent(userId, type, data, session = null) {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { eventSeq: 1 } },
+    { new: true, session, projection: { eventSeq: 1 } }
+  );
+  if (!user) throw new Error("User not found");
+
+  const [event] = await UserEvent.create(
+    [{ user: user._id, seq: user.eventSeq, type, data }],
+    { session }
+  );
+  return event;
+}
+
+// Shape sent over the socket and by the replay endpoint
+export const serializeUserEvent = (event) => ({
+  seq: event.seq,
+  type: event.type,
+  data: event.data,
+  createdAt: event.createdAt,
+});
+
+/**
+ * Events after `since`, oldest first.
+ * @returns {Promise<{events: Object[], cursor: Number, hasMore: Boolean, truncated: Boolean}>}
+ *   truncated: some events after `since` have already expired, so the client
+ *   should reload its state instead of relying on the replay
+ */
+export async function listUserEventsSince(
+  userId,
+  since = 0,
+  limit = MAX_EVENTS_PER_PAGE
+) {
+  const events = await UserEvent.find({ user: userId, seq: { $gt: since } })
+    .sort({ seq: 1 })
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = events.length > limit;
+  const page = events.slice(0, limit).map(serializeUserEvent);
+
+  if (page.length > 0) {
+    return {
+      events: page,
+      cursor: page[page.length - 1].seq,
+      hasMore,
+      truncated: page[0].seq > since + 1,
+    };
+  }
+
+  // Nothing left to replay: either up to date, or everything expired
+  const user = await User.findById(userId).select("eventSeq").lean();
+  const latest = user?.eventSeq || 0;
+  return {
+    events: [],
+    cursor: Math.max(since, latest),
+    hasMore: false,
+    truncated: latest > since,
+  };
+}
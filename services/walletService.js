@@ -1,22 +1,52 @@
 import mongoose from "mongoose";
 import User from "../models/User.js";
 import Transaction from "../models/Transaction.js";
+import { recordUserEvent } from "./userEventService.js";
+import { ROLES } from "../constants/roles.js";
+import { USER_EVENTS } from "../constants/user-events.js";
+import {
+  LEDGER_ACCOUNTS,
+  LEDGER_ACCOUNT_NAMES,
+} from "../constants/ledger-accounts.js";
+import { toCents, formatCents, centsToDecimal128 } from "../utils/money.js";
+
+/**
+ * Wallet ledger.
+ *
+ * Every change to User.walletBalance must go through updateWallet so that
+ * the Transaction history always sums to the balance:
+ *  - amounts are handled in exact cents (utils/money.js), never floats
+ *  - the balance is changed with an atomic conditional $inc (no overdraft)
+ *  - the ledger row is written in the same Mongo session
+ *  - an idempotency key makes retries return the original entry
+ */
 
 /**
  * Update wallet balance and store transaction
  * @param {String} userId - User's ID
- * @param {Number|String} amount - Amount to change (positive for credit, negative for debit)
+ * @param {Number|String|Decimal128} amount - Amount to change (positive for credit, negative for debit)
  * @param {String} description - Description of the transaction
+ * @param {ClientSession} [session] - Existing session (a local transaction is used otherwise)
+ * @param {Object} options
+ * @param {String} options.counterAccount - Other side of the entry (LEDGER_ACCOUNTS)
+ * @param {String} [options.idempotencyKey] - Unique key for this entry
+ * @param {{kind: String, id: String}} [options.reference] - What caused the entry
+ * @returns {Promise<{balance: Decimal128, transaction: Object, replayed: Boolean}>}
  */
 export async function updateWallet(
   userId,
   amount,
   description = "",
-  session = null
+  session = null,
+  { counterAccount, idempotencyKey, reference } = {}
 ) {
-  if (!amount || isNaN(amount)) {
+  const change = toCents(amount);
+  if (change === 0n) {
     throw new Error("Invalid amount");
   }
+  if (!LEDGER_ACCOUNT_NAMES.includes(counterAccount)) {
+    throw new Error("Invalid ledger counter account");
+  }
 
   let externalSession = !!session;
   if (!externalSession) {
@@ -25,48 +55,99 @@ export async function updateWallet(
   }
 
   try {
-    const user = await User.findById(userId).session(session);
-    if (!user) throw new Error("User not found");
-    if (user.role !== "user") throw new Error("Only users have wallets");
+    // 🔁 Already posted? Return the original entry
+    if (idempotencyKey) {
+      const existing = await Transaction.findOne({ idempotencyKey }).session(
+        session
+      );
+      if (existing) {
+        const sameEntry =
+          existing.user.equals(userId) &&
+          toCents(existing.amount) === (change < 0n ? -change : change) &&
+          existing.type === (change >= 0n ? "credit" : "debit");
+        if (!sameEntry) {
+          const err = new Error("Idempotency key reused for a different entry");
+          err.code = "IDEMPOTENCY_CONFLICT";
+          throw err;
+        }
 
-    const currentBalance = parseFloat(user.walletBalance.toString());
-    const change = parseFloat(amount);
-    const newBalance = currentBalance + change;
+        if (!externalSession) {
+          await session.commitTransaction();
+          session.endSession();
+        }
+        return {
+          balance: existing.balanceAfter,
+          transaction: existing,
+          replayed: true,
+        };
+      }
+    }
+
+    // 💰 Atomic balance change; debits only match if funds are sufficient
+    const filter = { _id: userId, role: ROLES.USER };
+    if (change < 0n) {
+      filter.walletBalance = { $gte: centsToDecimal128(-change) };
+    }
+
+    const user = await User.findOneAndUpdate(
+      filter,
+      { $inc: { walletBalance: centsToDecimal128(change) } },
+      { new: true, session, projection: { walletBalance: 1 } }
+    );
+
+    if (!user) {
+      const existingUser = await User.findById(userId)
+        .select("role")
+        .session(session);
+      if (!existingUser) throw new Error("User not found");
+      if (existingUser.role !== ROLES.USER)
+        throw new Error("Only users have wallets");
 
-    if (newBalance < 0) {
       const err = new Error("Insufficient funds");
       err.code = "INSUFFICIENT_FUNDS";
       throw err;
     }
 
-    user.walletBalance = mongoose.Types.Decimal128.fromString(
-      newBalance.toFixed(2)
-    );
-    await user.save({ session });
+    // Stored with 2dp like every other amount
+    const balanceAfter = centsToDecimal128(toCents(user.walletBalance));
 
-    await Transaction.create(
+    const [transaction] = await Transaction.create(
       [
         {
           user: user._id,
-          amount: mongoose.Types.Decimal128.fromString(
-            Math.abs(change).toFixed(2)
-          ),
-          type: change >= 0 ? "credit" : "debit",
+          amount: centsToDecimal128(change < 0n ? -change : change),
+          type: change >= 0n ? "credit" : "debit",
           description,
-          balanceAfter: mongoose.Types.Decimal128.fromString(
-            newBalance.toFixed(2)
-          ),
+          balanceAfter,
+          counterAccount,
+          idempotencyKey,
+          reference,
         },
       ],
       { session }
     );
 
+    // 🏆 Tell the winner right away (pushed once this commits)
+    if (counterAccount === LEDGER_ACCOUNTS.PRIZES && change > 0n) {
+      await recordUserEvent(
+        user._id,
+        USER_EVENTS.PRIZE_WON,
+        {
+          amount: formatCents(change),
+          balance: balanceAfter.toString(),
+          description,
+          lotteryId: reference?.id ?? null,
+        },
+        session
+      );
+    }
+
     if (!externalSession) {
       await session.commitTransaction();
       session.endSession();
     }
 
-    return { balance: newBalance };
+    return { balance: balanceAfter, transaction, replayed: false };
   } catch (err) {
     if (!externalSession) {
       await session.abortTransaction();
@@ -75,3 +156,53 @@ export async function updateWallet(
     throw err;
   }
 }
+
+/**
+ * Ledger-only correcting entry: records `amount` against the wallet WITHOUT
+ * moving the balance. Used by reconciliation when the balance is right but
+ * the history is missing an entry (e.g. pre-ledger changes).
+ * @param {String} userId - User's ID
+ * @param {Number|String|Decimal128} amount - Signed amount the history is missing
+ * @param {String} description - Description of the transaction
+ * @param {ClientSession} session - Existing session
+ * @param {Object} options - Same as updateWallet
+ */
+export async function recordLedgerAdjustment(
+  userId,
+  amount,
+  description,
+  session,
+  {
+    counterAccount = LEDGER_ACCOUNTS.ADJUSTMENTS,
+    idempotencyKey,
+    reference,
+  } = {}
+) {
+  const change = toCents(amount);
+  if (change === 0n) {
+    throw new Error("Invalid amount");
+  }
+
+  const user = await User.findOne({ _id: userId, role: ROLES.USER })
+    .select("walletBalance")
+    .session(session);
+  if (!user) throw new Error("User not found");
+
+  const [transaction] = await Transaction.create(
+    [
+      {
+        user: user._id,
+        amount: centsToDecimal128(change < 0n ? -change : change),
+        type: change >= 0n ? "credit" : "debit",
+        description,
+        balanceAfter: centsToDecimal128(toCents(user.walletBalance)),
+        counterAccount,
+        idempotencyKey,
+        reference,
+      },
+    ],
+    { session }
+  );
+
+  return { balance: transaction.balanceAfter, transaction };
+}
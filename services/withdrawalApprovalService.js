@@ -0,0 +1,108 @@
+import WalletTransactionRecord from "../models/WalletTransactionRecord.js";
+import { toCents, parsePositiveCents } from "../utils/money.js";
+
+/**
+ * Withdrawal approval ("four eyes").
+ *
+ * Withdrawals above WITHDRAWAL_DUAL_APPROVAL_THRESHOLD (an amount, e.g.
+ * "1000.00"; unset = off) need approvals from two different admins before
+ * they are paid out. The request stays "pending" until the last approval, so
+ * either admin can still reject it (which releases the reserved funds).
+ */
+
+const approvalError = (message, code) =>
+  Object.assign(new Error(message), { code });
+
+const dualApprovalThresholdCents = () =>
+  parsePositiveCents(process.env.WITHDRAWAL_DUAL_APPROVAL_THRESHOLD);
+
+/**
+ * Approvals a withdrawal of this amount needs.
+ * @param {Number|String|Decimal128} amount
+ * @returns {Number} 1 or 2
+ */
+export function requiredApprovalsFor(amount) {
+  const threshold = dualApprovalThresholdCents();
+  return threshold !== null && toCents(amount) > threshold ? 2 : 1;
+}
+
+/**
+ * Record one admin's approval of a pending withdrawal; the last required
+ * approval marks it approved. Safe against double clicks and parallel
+ * approvals: each admin is counted once and the status flips once.
+ * @param {String} recordId
+ * @param {String} adminId
+ * @param {ClientSession} [session] - Caller's transaction (audit it in there)
+ * @returns {Promise<{before: Object, record: Object, approved: Boolean}>}
+ * @throws code NOT_FOUND | NOT_WITHDRAWAL | ALREADY_PROCESSED | ALREADY_APPROVED
+ */
+export async function approveWithdrawal(recordId, adminId, session = null) {
+  const before = await WalletTransactionRecord.findById(recordId)
+    .session(session)
+    .lean();
+  if (!before) throw approvalError("Record not found", "NOT_FOUND");
+  if (before.type !== "withdraw") {
+    throw approvalError("Not a withdrawal record", "NOT_WITHDRAWAL");
+  }
+  if (before.status !== "pending") {
+    throw approvalError("Already processed", "ALREADY_PROCESSED");
+  }
+
+  // The threshold may have changed since the request was made: use the stricter
+  const requiredApprovals = Math.max(
+    before.requiredApprovals || 1,
+    requiredApprovalsFor(before.amount)
+  );
+
+  // ✍️ Add this admin's approval (once per admin, only while pending)
+  const now = new Date();
+  let record = await WalletTransactionRecord.findOneAndUpdate(
+    {
+      _id: recordId,
+      status: "pending",
+      "approvals.admin": { $ne: adminId },
+    },
+    {
+      $push: { approvals: { admin: adminId, approvedAt: now } },
+      $set: { requiredApprovals, updatedAt: now },
+    },
+    { new: true, session }
+  );
+  if (!record) {
+    const current = await WalletTransactionRecord.findById(recordId)
+      .session(session)
+      .lean();
+    if (current?.status !== "pending") {
+      throw approvalError("Already processed", "ALREADY_PROCESSED");
+    }
+    throw approvalError(
+      "You have already approved this withdrawal; another admin must approve it",
+      "ALREADY_APPROVED"
+    );
+  }
+
+  if (record.approvals.length < requiredApprovals) {
+    return { before, record, approved: false };
+  }
+
+  // ✅ Enough approvals: flip to approved (only one caller wins)
+  // NOTE: Funds were already deducted when request was created
+  const approved = await WalletTransactionRecord.findOneAndUpdate(
+    { _id: recordId, status: "pending" },
+    {
+      $set: {
+        status: "approved",
+        reviewedBy: adminId,
+        reviewedAt: now,
+        updatedAt: now,
+      },
+    },
+    { new: true, session }
+  );
+  if (!approved) {
+    throw approvalError("Already processed", "ALREADY_PROCESSED");
+  }
+  record = approved;
+
+  return { before, record, approved: true };
+}
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+/**
+ * Exact money arithmetic in integer cents (BigInt).
+ *
+ * Amounts arrive as numbers, strings or Decimal128 and are stored as
+ * Decimal128 with two decimal places. Never add or multiply money as floats:
+ * convert to cents, do the math, then convert back.
+ */
+
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+const invalidAmount = () => new Error("Invalid amount");
+
+/**
+ * @param {Number|String|mongoose.Types.Decimal128|BigInt} value
+ * @returns {BigInt} cents
+ */
+export function toCents(value) {
+  if (typeof value === "bigint") return value * 100n;
+  if (value === null || value === undefined) throw invalidAmount();
+  if (typeof value === "number" && !Number.isFinite(value)) {
+    throw invalidAmount();
+  }
+
+  const match = String(value).trim().match(DECIMAL_PATTERN);
+  if (!match || (!match[2] && !match[3])) throw invalidAmount();
+
+  const [, sign, intPart = "", fracPart = "", exp = "0"] = match;
+  let digits = `${intPart}${fracPart}`.replace(/^0+(?=\d)/, "") || "0";
+  let scale = fracPart.length - parseInt(exp, 10); // digits after the point
+
+  // Normalise to exactly 2 decimal places; anything finer is rejected
+  while (scale > 2) {
+    if (!digits.endsWith("0")) throw invalidAmount();
+    digits = digits.slice(0, -1) || "0";
+    scale--;
+  }
+  const cents = BigInt(digits) * 10n ** BigInt(2 - scale);
+
+  return sign === "-" ? -cents : cents;
+}
+
+// 12345n -> "123.45"
+export function formatCents(cents) {
+  const negative = cents < 0n;
+  const abs = negative ? -cents : cents;
+  const whole = abs / 100n;
+  const fraction = String(abs % 100n).padStart(2, "0");
+  return `${negative ? "-" : ""}${whole}.${fraction}`;
+}
+
+export function centsToDecimal128(cents) {
+  return mongoose.Types.Decimal128.fromString(formatCents(cents));
+}
+
+// Normalise any money value to a 2dp Decimal128
+export function toDecimal128(value) {
+  return centsToDecimal128(toCents(value));
+}
+
+// Request input → positive cents, or null if missing/invalid/≤ 0
+export function parsePositiveCents(value) {
+  try {
+    const cents = toCents(value);
+    return cents > 0n ? cents : null;
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+import {
+  toCents,
+  formatCents,
+  centsToDecimal128,
+  toDecimal128,
+  parsePositiveCents,
+} from "./money.js";
+
+test("toCents reads numbers, strings, Decimal128 and BigInt exactly", () => {
+  assert.equal(toCents(12.34), 1234n);
+  assert.equal(toCents("0.1"), 10n);
+  assert.equal(toCents(" 5 "), 500n);
+  assert.equal(toCents(".5"), 50n);
+  assert.equal(toCents("-7.25"), -725n);
+  assert.equal(toCents("1e2"), 10000n);
+  assert.equal(toCents("1.5e-1"), 15n);
+  assert.equal(toCents("2.500"), 250n);
+  assert.equal(toCents(mongoose.Types.Decimal128.fromString("19.99")), 1999n);
+  assert.equal(toCents(3n), 300n);
+});
+
+test("toCents avoids float drift", () => {
+  assert.equal(toCents(0.1) + toCents(0.2), toCents(0.3));
+  // A float result with sub-cent noise is refused, not silently rounded
+  assert.throws(() => toCents(0.1 + 0.2), /Invalid amount/);
+});
+
+test("toCents rejects anything that isn't a whole number of cents", () => {
+  for (const value of [
+    "1.001",
+    "abc",
+    "",
+    ".",
+    "1.2.3",
+    null,
+    undefined,
+    NaN,
+    Infinity,
+  ]) {
+    assert.throws(() => toCents(value), /Invalid amount/, String(value));
+  }
+});
+
+test("formatCents always has two decimals", () => {
+  assert.equal(formatCents(12345n), "123.45");
+  assert.equal(formatCents(5n), "0.05");
+  assert.equal(formatCents(0n), "0.00");
+  assert.equal(formatCents(-1050n), "-10.50");
+});
+
+test("Decimal128 round trip", () => {
+  assert.equal(centsToDecimal128(1999n).toString(), "19.99");
+  assert.equal(toDecimal128("3").toString(), "3.00");
+  assert.equal(toCents(toDecimal128("42.10")), 4210n);
+});
+
+test("parsePositiveCents returns null for missing, invalid or ≤ 0", () => {
+  assert.equal(parsePositiveCents("10.50"), 1050n);
+  assert.equal(parsePositiveCents("0"), null);
+  assert.equal(parsePositiveCents("-1"), null);
+  assert.equal(parsePositiveCents("0.001"), null);
+  assert.equal(parsePositiveCents(undefined), null);
+});
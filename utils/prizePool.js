@@ -0,0 +1,157 @@
+import { toCents, formatCents } from "./money.js";
+import { PRIZE_FUNDING } from "../constants/prize-funding.js";
+
+/**
+ * Prize pool funding.
+ *
+ *  - fixed: each winner gets the range's prizeAmount, whatever sells
+ *  - percentage: prizePoolPercent of ticket sales is paid out; each range gets
+ *    its sharePercent of that pool, split evenly between its winners
+ *  - guaranteed: as percentage, but no winner gets less than the range's
+ *    prizeAmount
+ *
+ * Shares are rounded down to the cent and leftovers stay with the house.
+ */
+
+const rangeSize = (ws) => ws.toRank - ws.fromRank + 1;
+
+// Percentages carry up to 2 decimals; work in hundredths of a percent
+const basisPoints = (percent) => BigInt(Math.round((percent || 0) * 100));
+
+const percentOf = (cents, percent) => (cents * basisPoints(percent)) / 10000n;
+
+const amountCents = (value) =>
+  value === null || value === undefined ? 0n : toCents(value);
+
+/**
+ * Prize per winner for each range of the winner structure.
+ * @param {Object} lottery
+ * @param {Number} [ticketsSold] - Defaults to lottery.ticketsSold
+ * @returns {BigInt[]} cents, indexed like winnerStructure
+ */
+export function tierPayouts(lottery, ticketsSold = lottery.ticketsSold || 0) {
+  const funding = lottery.prizeFunding || PRIZE_FUNDING.FIXED;
+  const salesCents = toCents(lottery.ticketPrice) * BigInt(ticketsSold);
+  const poolCents = percentOf(salesCents, lottery.prizePoolPercent);
+
+  return (lottery.winnerStructure || []).map((ws) => {
+    const fixedCents = amountCents(ws.prizeAmount);
+    if (funding === PRIZE_FUNDING.FIXED) return fixedCents;
+
+    const shareCents =
+      percentOf(poolCents, ws.sharePercent) / BigInt(rangeSize(ws));
+    if (funding === PRIZE_FUNDING.GUARANTEED && shareCents < fixedCents) {
+      return fixedCents;
+    }
+    return shareCents;
+  });
+}
+
+/**
+ * Total paid out if every rank is won.
+ * @returns {BigInt} cents
+ */
+export function prizePoolCents(lottery, ticketsSold) {
+  return tierPayouts(lottery, ticketsSold).reduce(
+    (total, cents, tier) =>
+      total + cents * BigInt(rangeSize(lottery.winnerStructure[tier])),
+    0n
+  );
+}
+
+// Prize pool at current sales, for display
+export function estimatedPrizePool(lottery) {
+  if (!lottery.winnerStructure?.length || !lottery.ticketPrice) return 0;
+  return Number(formatCents(prizePoolCents(lottery)));
+}
+
+/**
+ * Rule violations in a lottery's winner structure and funding.
+ * Ranks must run 1..n in order without gaps or overlaps, there can't be more
+ * winners than tickets, and committed prizes can't exceed sell-out revenue.
+ * @returns {Array<{path: Array<String|Number>, message: String}>}
+ */
+export function prizeStructureIssues({
+  ticketPrice,
+  maxTickets,
+  prizeFunding = PRIZE_FUNDING.FIXED,
+  prizePoolPercent,
+  winnerStructure = [],
+}) {
+  const issues = [];
+  const issue = (path, message) => issues.push({ path, message });
+
+  if (winnerStructure.length === 0) {
+    issue(["winnerStructure"], "Add at least one prize");
+    return issues;
+  }
+
+  const needsAmount = prizeFunding !== PRIZE_FUNDING.PERCENTAGE;
+  const needsShare = prizeFunding !== PRIZE_FUNDING.FIXED;
+
+  let nextRank = 1;
+  winnerStructure.forEach((ws, index) => {
+    const path = ["winnerStructure", index];
+    if (ws.fromRank !== nextRank) {
+      issue(
+        [...path, "fromRank"],
+        `Must be ${nextRank}: ranks must follow on without gaps or overlaps`
+      );
+    }
+    if (ws.toRank < ws.fromRank) {
+      issue([...path, "toRank"], "Must be greater than or equal to fromRank");
+    }
+    if (
+      needsAmount &&
+      (ws.prizeAmount === null || ws.prizeAmount === undefined)
+    ) {
+      issue([...path, "prizeAmount"], `Required for ${prizeFunding} prizes`);
+    }
+    if (needsShare && !(ws.sharePercent > 0)) {
+      issue([...path, "sharePercent"], `Required for ${prizeFunding} prizes`);
+    }
+    nextRank = Math.max(nextRank, ws.toRank + 1);
+  });
+  if (issues.length > 0) return issues;
+
+  const numWinners = nextRank - 1;
+  if (numWinners > maxTickets) {
+    issue(
+      ["winnerStructure"],
+      `${numWinners} winners but only ${maxTickets} ticket(s) on sale`
+    );
+  }
+
+  if (needsShare) {
+    if (!(prizePoolPercent > 0 && prizePoolPercent <= 100)) {
+      issue(["prizePoolPercent"], "Must be more than 0 and at most 100");
+    }
+    const totalShare = winnerStructure.reduce(
+      (total, ws) => total + basisPoints(ws.sharePercent),
+      0n
+    );
+    if (totalShare !== 10000n) {
+      issue(["winnerStructure"], "Range shares must add up to 100%");
+    }
+  }
+
+  // 💰 Prizes owed regardless of sales must be covered by a sell-out
+  if (needsAmount) {
+    const committedCents = winnerStructure.reduce(
+      (total, ws) =>
+        total + amountCents(ws.prizeAmount) * BigInt(rangeSize(ws)),
+      0n
+    );
+    const revenueCents = toCents(ticketPrice) * BigInt(maxTickets);
+    if (committedCents > revenueCents) {
+      issue(
+        ["winnerStructure"],
+        `Prizes total ${formatCents(
+          committedCents
+        )} but a sell-out only brings in ${formatCents(revenueCents)}`
+      );
+    }
+  }
+
+  return issues;
+}
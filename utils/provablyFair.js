@@ -0,0 +1,121 @@
+import crypto from "crypto";
+
+/**
+ * Provably-fair draw helpers (commit–reveal).
+ *
+ * 1. When a lottery is created we generate a random server seed and publish
+ *    only its SHA-256 hash (the commitment).
+ * 2. At draw time the ticket numbers are sorted and hashed (ticketsDigest),
+ *    then shuffled with Fisher–Yates driven by HMAC-SHA256(seed, digest:counter).
+ * 3. The seed is revealed on the result so anyone can re-run the shuffle and
+ *    check both the commitment and the winners.
+ *
+ * Keep this file free of DB access: scripts/ reuses it for offline checks.
+ */
+
+export const DRAW_ALGORITHM_VERSION = "hmac-sha256-fisher-yates/v1";
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+// 32 random bytes, hex encoded
+export function generateServerSeed() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+// Commitment published before any ticket is sold
+export function hashServerSeed(serverSeed) {
+  return sha256(serverSeed);
+}
+
+// Stable ordering independent of purchase order / DB order
+export function sortTicketNumbers(ticketNumbers) {
+  return [...ticketNumbers].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+export function digestTickets(sortedTicketNumbers) {
+  return sha256(sortedTicketNumbers.join("\n"));
+}
+
+/**
+ * Deterministic random integer stream: HMAC-SHA256(seed, `${digest}:${n}`)
+ * blocks consumed 4 bytes at a time, rejection sampled to avoid modulo bias.
+ */
+function createRandomIntStream(serverSeed, ticketsDigest) {
+  let counter = 0;
+  let block = Buffer.alloc(0);
+  let offset = 0;
+
+  const nextUint32 = () => {
+    if (offset + 4 > block.length) {
+      block = crypto
+        .createHmac("sha256", serverSeed)
+        .update(`${ticketsDigest}:${counter++}`)
+        .digest();
+      offset = 0;
+    }
+    const value = block.readUInt32BE(offset);
+    offset += 4;
+    return value;
+  };
+
+  // Uniform integer in [0, max)
+  return (max) => {
+    const limit = Math.floor(0x100000000 / max) * max;
+    let value;
+    do {
+      value = nextUint32();
+    } while (value >= limit);
+    return value % max;
+  };
+}
+
+/**
+ * Shuffle ticket numbers for a draw.
+ * @param {String[]} ticketNumbers - Every ticket sold (any order)
+ * @param {String} serverSeed - Revealed seed
+ * @returns {{ ticketsDigest: String, ticketCount: Number, shuffled: String[] }}
+ */
+export function shuffleTickets(ticketNumbers, serverSeed) {
+  const sorted = sortTicketNumbers(ticketNumbers);
+  const ticketsDigest = digestTickets(sorted);
+  const randomInt = createRandomIntStream(serverSeed, ticketsDigest);
+
+  const shuffled = [...sorted];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return { ticketsDigest, ticketCount: sorted.length, shuffled };
+}
+
+/**
+ * Walk the winner structure and assign shuffled tickets to ranks.
+ * @returns {Array<{ rank, rankRange, ticketNumber, tier }>}
+ */
+export function assignWinners(shuffledTicketNumbers, winnerStructure) {
+  const winners = [];
+  let currentIndex = 0;
+  let rank = 1;
+
+  winnerStructure.forEach((ws, tier) => {
+    const groupSize = ws.toRank - ws.fromRank + 1;
+
+    for (
+      let i = 0;
+      i < groupSize && currentIndex < shuffledTicketNumbers.length;
+      i++
+    ) {
+      winners.push({
+        rank,
+        rankRange: `${ws.fromRank}-${ws.toRank}`,
+        ticketNumber: shuffledTicketNumbers[currentIndex++],
+        tier,
+      });
+      rank++;
+    }
+  });
+
+  return winners;
+}
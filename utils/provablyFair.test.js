@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import {
+  hashServerSeed,
+  sortTicketNumbers,
+  digestTickets,
+  shuffleTickets,
+  assignWinners,
+} from "./provablyFair.js";
+
+const SEED = "a".repeat(64);
+const TICKETS = Array.from({ length: 50 }, (_, i) =>
+  String(i + 1).padStart(4, "0")
+);
+
+test("the same seed and tickets always give the same shuffle", () => {
+  const first = shuffleTickets(TICKETS, SEED);
+  const again = shuffleTickets(TICKETS, SEED);
+
+  assert.deepEqual(again, first);
+  assert.equal(first.ticketCount, TICKETS.length);
+  assert.deepEqual([...first.shuffled].sort(), TICKETS);
+  assert.notDeepEqual(first.shuffled, TICKETS);
+});
+
+test("purchase order doesn't change the shuffle", () => {
+  const reversed = [...TICKETS].reverse();
+  assert.deepEqual(
+    shuffleTickets(reversed, SEED),
+    shuffleTickets(TICKETS, SEED)
+  );
+});
+
+test("a different seed or ticket set gives a different shuffle", () => {
+  const { shuffled, ticketsDigest } = shuffleTickets(TICKETS, SEED);
+
+  assert.notDeepEqual(
+    shuffleTickets(TICKETS, "b".repeat(64)).shuffled,
+    shuffled
+  );
+
+  const fewer = shuffleTickets(TICKETS.slice(1), SEED);
+  assert.notEqual(fewer.ticketsDigest, ticketsDigest);
+});
+
+test("the digest and commitment are plain SHA-256", () => {
+  const sha256 = (value) =>
+    crypto.createHash("sha256").update(value).digest("hex");
+  const sorted = sortTicketNumbers(["0003", "0001", "0002"]);
+
+  assert.deepEqual(sorted, ["0001", "0002", "0003"]);
+  assert.equal(digestTickets(sorted), sha256("0001\n0002\n0003"));
+  assert.equal(hashServerSeed(SEED), sha256(SEED));
+});
+
+// Published draws must stay verifiable: changing the algorithm needs a new
+// DRAW_ALGORITHM_VERSION, not a silent change to v1
+test("v1 shuffle output is pinned", () => {
+  assert.deepEqual(shuffleTickets(TICKETS, SEED).shuffled.slice(0, 5), [
+    "0018",
+    "0020",
+    "0013",
+    "0047",
+    "0010",
+  ]);
+});
+
+test("a single ticket shuffles to itself", () => {
+  assert.deepEqual(shuffleTickets(["0007"], SEED).shuffled, ["0007"]);
+});
+
+test("assignWinners fills ranks in order and stops when tickets run out", () => {
+  const structure = [
+    { fromRank: 1, toRank: 1 },
+    { fromRank: 2, toRank: 4 },
+  ];
+
+  assert.deepEqual(assignWinners(["a", "b", "c"], structure), [
+    { rank: 1, rankRange: "1-1", ticketNumber: "a", tier: 0 },
+    { rank: 2, rankRange: "2-4", ticketNumber: "b", tier: 1 },
+    { rank: 3, rankRange: "2-4", ticketNumber: "c", tier: 1 },
+  ]);
+});
@@ -0,0 +1,108 @@
+/**
+ * Test doubles for mongoose, used by the *.test.js files next to services.
+ * There is no database in unit tests: model methods are replaced with
+ * node:test mocks that return these.
+ */
+
+/**
+ * A chainable query (select, lean, session, sort, ...) that resolves to
+ * `result`; cursor() iterates it when it is an array.
+ */
+export function fakeQuery(result) {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    exec: () => Promise.resolve(result),
+    cursor: () => ({
+      async *[Symbol.asyncIterator]() {
+        yield* result;
+      },
+    }),
+  };
+  for (const method of [
+    "select",
+    "lean",
+    "session",
+    "sort",
+    "skip",
+    "limit",
+    "populate",
+  ]) {
+    query[method] = () => query;
+  }
+  return query;
+}
+
+/**
+ * A client session that records what happened to its transaction.
+ */
+export function fakeSession() {
+  const session = {
+    state: "none",
+    ended: false,
+    startTransaction: () => {
+      session.state = "started";
+    },
+    commitTransaction: async () => {
+      session.state = "committed";
+    },
+    abortTransaction: async () => {
+      session.state = "aborted";
+    },
+    inTransaction: () => session.state === "started",
+    endSession: () => {
+      session.ended = true;
+    },
+  };
+  return session;
+}
+
+const same = (a, b) =>
+  a instanceof Date || b instanceof Date
+    ? new Date(a).getTime() === new Date(b).getTime()
+    : String(a) === String(b);
+
+/**
+ * Does a plain document match a (simple) Mongo filter? Covers equality,
+ * $in/$nin/$ne/$exists/$gt/$gte/$lt/$lte, $or and $and on top-level fields.
+ */
+export function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === "$or") return condition.some((sub) => matches(doc, sub));
+    if (field === "$and") return condition.every((sub) => matches(doc, sub));
+
+    const value = doc[field];
+    const isOperator =
+      condition &&
+      typeof condition === "object" &&
+      !(condition instanceof Date) &&
+      Object.keys(condition).some((key) => key.startsWith("$"));
+    if (!isOperator) {
+      return condition === null || condition === undefined
+        ? value === null || value === undefined
+        : value !== undefined && same(value, condition);
+    }
+
+    return Object.entries(condition).every(([op, arg]) => {
+      switch (op) {
+        case "$in":
+          return arg.some((a) => value !== undefined && same(value, a));
+        case "$nin":
+          return !arg.some((a) => value !== undefined && same(value, a));
+        case "$ne":
+          return value === undefined || !same(value, arg);
+        case "$exists":
+          return (value !== undefined) === arg;
+        case "$gt":
+          return value !== undefined && value > arg;
+        case "$gte":
+          return value !== undefined && value >= arg;
+        case "$lt":
+          return value !== undefined && value < arg;
+        case "$lte":
+          return value !== undefined && value <= arg;
+        default:
+          throw new Error(`matches(): unsupported operator ${op}`);
+      }
+    });
+  });
+}
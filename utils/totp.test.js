@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  totpStep,
+  totpAuthUrl,
+} from "./totp.js";
+
+// RFC 6238 appendix B (SHA1): the 8-digit values, truncated to 6 digits
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+const RFC_VECTORS = [
+  [59, "287082"],
+  [1111111109, "081804"],
+  [1111111111, "050471"],
+  [1234567890, "005924"],
+  [2000000000, "279037"],
+];
+
+test("base32 round trip", () => {
+  assert.equal(RFC_SECRET, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+  assert.equal(base32Decode(RFC_SECRET).toString(), "12345678901234567890");
+  assert.deepEqual(base32Decode("gezd gnbv"), base32Decode("GEZDGNBV"));
+  assert.throws(() => base32Decode("not*base32"), /Invalid base32/);
+});
+
+test("generateTotp matches the RFC 6238 test vectors", () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    assert.equal(generateTotp(RFC_SECRET, seconds * 1000), code);
+  }
+});
+
+test("verifyTotp returns the matching step within the drift window", () => {
+  const time = 1234567890 * 1000;
+  const step = totpStep(time);
+
+  assert.equal(verifyTotp(RFC_SECRET, "005924", { time }), step);
+  // Previous step's code is still accepted, one step either way
+  assert.equal(
+    verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time - 30000), { time }),
+    step - 1
+  );
+  assert.equal(
+    verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time - 60000), { time }),
+    null
+  );
+  assert.equal(
+    verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time - 60000), {
+      time,
+      window: 2,
+    }),
+    step - 2
+  );
+});
+
+test("verifyTotp rejects malformed codes", () => {
+  for (const code of ["", "12345", "1234567", "abcdef", 5924, null]) {
+    assert.equal(verifyTotp(RFC_SECRET, code), null, String(code));
+  }
+});
+
+test("generated secrets are 160-bit base32", () => {
+  const secret = generateTotpSecret();
+  assert.match(secret, /^[A-Z2-7]{32}$/);
+  assert.equal(base32Decode(secret).length, 20);
+  assert.notEqual(secret, generateTotpSecret());
+});
+
+test("totpAuthUrl builds an otpauth URI", () => {
+  const url = new URL(
+    totpAuthUrl(RFC_SECRET, { issuer: "Lotto", account: "a@b.c" })
+  );
+  assert.equal(url.protocol, "otpauth:");
+  assert.equal(url.searchParams.get("secret"), RFC_SECRET);
+  assert.equal(url.searchParams.get("issuer"), "Lotto");
+  assert.equal(url.searchParams.get("digits"), "6");
+  assert.equal(url.searchParams.get("period"), "30");
+});
@@ -0,0 +1,111 @@
+import { isIP } from "net";
+import { z, objectId, text, password, date, pagination } from "./fields.js";
+import { ROLES } from "../constants/roles.js";
+import { PERMISSION_NAMES } from "../constants/permissions.js";
+import { AUDIT_ACTION_NAMES } from "../constants/audit-actions.js";
+
+// Request schemas for admin user, role and audit log routes
+
+const userParams = z.object({ id: objectId("user ID") });
+
+export const userIdSchema = { params: userParams };
+
+export const listUsersSchema = {
+  query: z.object({ search: z.string().trim().max(100).optional() }),
+};
+
+export const updateUserSchema = {
+  params: userParams,
+  body: z
+    .object({
+      name: text(100).optional(),
+      email: z
+        .string()
+        .trim()
+        .pipe(z.email("Must be a valid email address"))
+        .optional(),
+      role: z.enum([ROLES.USER, ROLES.ADMIN]).optional(),
+    })
+    .refine(
+      (body) => Object.values(body).some((value) => value !== undefined),
+      "Nothing to update"
+    ),
+};
+
+export const changePasswordSchema = {
+  params: userParams,
+  body: z.object({ newPassword: password }),
+};
+
+export const blockUserSchema = {
+  params: userParams,
+  body: z.object({ blocked: z.boolean("Must be true or false") }),
+};
+
+export const ipThrottleSchema = {
+  params: z.object({
+    ip: z.string().refine((ip) => isIP(ip) !== 0, "Invalid IP address"),
+  }),
+};
+
+/* ---------- Roles ---------- */
+
+const roleName = z
+  .string()
+  .trim()
+  .regex(
+    /^[a-z0-9][a-z0-9-]{1,49}$/,
+    "Use 2-50 lowercase letters, digits and dashes"
+  );
+const permissions = z.array(z.enum(PERMISSION_NAMES)).min(1);
+const roleDescription = z.string().trim().max(200).optional();
+
+const roleParams = z.object({ name: z.string().trim().min(1).max(50) });
+
+export const createRoleSchema = {
+  body: z.object({ name: roleName, description: roleDescription, permissions }),
+};
+
+export const updateRoleSchema = {
+  params: roleParams,
+  body: z
+    .object({
+      description: roleDescription,
+      permissions: permissions.optional(),
+    })
+    .refine(
+      (body) => body.description !== undefined || body.permissions,
+      "Nothing to update"
+    ),
+};
+
+export const roleNameSchema = { params: roleParams };
+
+export const assignRolesSchema = {
+  params: userParams,
+  body: z.object({ roles: z.array(z.string().trim().min(1).max(50)) }),
+};
+
+/* ---------- Audit log ---------- */
+
+export const auditLogSchema = {
+  query: z.object({
+    actor: objectId("actor ID").optional(),
+    actorEmail: z.string().trim().max(254).optional(),
+    // Comma-separated list
+    action: z
+      .string()
+      .refine(
+        (value) =>
+          value.split(",").every((a) => AUDIT_ACTION_NAMES.includes(a)),
+        "Unknown action"
+      )
+      .optional(),
+    targetKind: z.string().trim().max(50).optional(),
+    targetId: z.string().trim().max(100).optional(),
+    requestId: z.string().trim().max(128).optional(),
+    from: date.optional(),
+    to: date.optional(),
+    ...pagination({ limit: 50, maxLimit: 200 }),
+  }),
+};
@@ -0,0 +1,71 @@
+import { z, text, password, totpCode } from "./fields.js";
+
+// Request schemas for routes/auth/*
+
+const emailAddress = z
+  .string()
+  .trim()
+  .pipe(z.email("Must be a valid email address"));
+const token = text(2048);
+
+// Login looks the address up as stored, so it's only checked for presence
+const loginEmail = text(254);
+
+export const registerSchema = {
+  body: z.object({
+    name: text(100),
+    email: emailAddress,
+    password,
+  }),
+};
+
+export const loginSchema = {
+  body: z.object({
+    email: loginEmail,
+    password: z.string().min(1, "Must not be empty").max(128),
+  }),
+};
+
+// TOTP code or one-time recovery code
+const secondFactorFields = {
+  code: totpCode.optional(),
+  recoveryCode: text(32).optional(),
+};
+const hasSecondFactor = [
+  (body) => Boolean(body.code || body.recoveryCode),
+  { message: "Either code or recoveryCode is required", path: ["code"] },
+];
+
+export const loginTwoFactorSchema = {
+  body: z
+    .object({ challengeToken: token, ...secondFactorFields })
+    .refine(...hasSecondFactor),
+};
+
+export const forgotPasswordSchema = {
+  body: z.object({ email: loginEmail }),
+};
+
+export const resetPasswordSchema = {
+  body: z.object({ token, password }),
+};
+
+export const refreshSchema = {
+  body: z.object({ refreshToken: token }),
+};
+
+export const logoutSchema = {
+  body: z.object({ refreshToken: token.optional() }),
+};
+
+export const verifyEmailSchema = {
+  body: z.object({ token }),
+};
+
+export const totpCodeSchema = {
+  body: z.object({ code: totpCode }),
+};
+
+export const disableTwoFactorSchema = {
+  body: z.object(secondFactorFields).refine(...hasSecondFactor),
+};
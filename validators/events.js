@@ -0,0 +1,11 @@
+import { z, queryInt } from "./fields.js";
+import { MAX_EVENTS_PER_PAGE } from "../services/userEventService.js";
+
+// Request schemas for routes/user/userEvent.js
+
+export const userEventsSchema = {
+  query: z.object({
+    since: queryInt(0).default(0),
+    limit: queryInt(1).max(MAX_EVENTS_PER_PAGE).default(MAX_EVENTS_PER_PAGE),
+  }),
+};
@@ -0,0 +1,90 @@
+import { z } from "zod";
+import { validate as isUUID } from "uuid";
+import { parsePositiveCents, formatCents } from "../utils/money.js";
+
+/**
+ * Building blocks for the request schemas in this folder
+ * (used through middleware/validate.js).
+ */
+
+// Missing fields read "Required" instead of zod's type message
+z.config({
+  customError: (issue) =>
+    issue.code === "invalid_type" && issue.input === undefined
+      ? "Required"
+      : undefined,
+});
+
+export const MIN_PASSWORD_LENGTH = 6;
+
+// Lotteries, purchases and reservations use UUIDs; users use ObjectIds
+export const uuid = (label = "id") =>
+  z.string().refine((value) => isUUID(value), `Invalid ${label}`);
+
+export const objectId = (label = "id") =>
+  z.string().regex(/^[a-f\d]{24}$/i, `Invalid ${label}`);
+
+export const text = (max = 500) =>
+  z.string().trim().min(1, "Must not be empty").max(max);
+
+export const password = z
+  .string()
+  .min(
+    MIN_PASSWORD_LENGTH,
+    `Must be at least ${MIN_PASSWORD_LENGTH} characters long`
+  )
+  .max(128);
+
+// Positive money amount with at most 2 decimals ("10", 10, "10.50"),
+// normalised to a 2dp string ("10.00")
+export const money = z
+  .union([z.string().trim(), z.number()], {
+    error: (issue) =>
+      issue.input === undefined ? "Required" : "Must be a number or string",
+  })
+  .refine(
+    (value) => parsePositiveCents(value) !== null,
+    "Must be a positive amount with at most 2 decimal places"
+  )
+  .transform((value) => formatCents(parsePositiveCents(value)));
+
+// Percentage with at most 2 decimals, e.g. 12.5
+export const percent = z
+  .number()
+  .gt(0, "Must be more than 0")
+  .max(100, "Must be at most 100")
+  .refine(
+    (value) => Math.abs(value * 100 - Math.round(value * 100)) < 1e-9,
+    "At most 2 decimal places"
+  );
+
+// Body integers must really be integers; query ones arrive as strings
+export const positiveInt = z.number().int("Must be a whole number").min(1);
+export const nonNegativeInt = z.number().int("Must be a whole number").min(0);
+export const queryInt = (min = 1) =>
+  z.coerce.number().int("Must be a whole number").min(min);
+
+export const date = z.coerce
+  .date({ error: "Must be a valid date" })
+  .refine((value) => !Number.isNaN(value.getTime()), "Must be a valid date");
+
+// 6-digit authenticator code (numbers are accepted too)
+export const totpCode = z.coerce
+  .string()
+  .trim()
+  .regex(/^\d{6}$/, "Must be a 6-digit code");
+
+/**
+ * ?page=&limit= with defaults and an upper bound on limit.
+ */
+export const pagination = ({ limit = 10, maxLimit = 100 } = {}) => ({
+  page: queryInt(1).default(1),
+  limit: queryInt(1).max(maxLimit).default(limit),
+});
+
+// Query flags like ?today=true
+export const queryBoolean = z
+  .enum(["true", "false", "1", "0"])
+  .transform((value) => value === "true" || value === "1");
+
+export { z };
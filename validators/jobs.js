@@ -0,0 +1,16 @@
+import { z, objectId, pagination } from "./fields.js";
+import { JOB_STATUS_NAMES, JOB_TYPE_NAMES } from "../constants/jobs.js";
+
+// Request schemas for the admin job queue
+
+export const listJobsSchema = {
+  query: z.object({
+    status: z.enum(JOB_STATUS_NAMES, "Invalid status").optional(),
+    type: z.enum(JOB_TYPE_NAMES, "Invalid job type").optional(),
+    ...pagination({ limit: 20 }),
+  }),
+};
+
+export const jobIdSchema = {
+  params: z.object({ id: objectId("job ID") }),
+};
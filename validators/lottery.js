@@ -0,0 +1,199 @@
+import {
+  z,
+  uuid,
+  text,
+  money,
+  percent,
+  positiveInt,
+  nonNegativeInt,
+  queryInt,
+  queryBoolean,
+  date,
+  pagination,
+} from "./fields.js";
+import { LOTTERY_TYPE_NAMES } from "../constants/lottery-types.js";
+import { DRAW_METHOD_NAMES } from "../constants/draw-methods.js";
+import {
+  PRIZE_FUNDING,
+  PRIZE_FUNDING_NAMES,
+} from "../constants/prize-funding.js";
+import { prizeStructureIssues } from "../utils/prizePool.js";
+
+// Request schemas for lottery, ticket and draw routes
+
+export const MAX_TICKETS_PER_PAGE = 100;
+
+const ticketNumber = text(64);
+const ticketNumbers = z.array(ticketNumber).max(1000);
+
+const lotteryParams = z.object({ id: uuid("lotteryId") });
+
+export const lotteryIdSchema = { params: lotteryParams };
+
+export const availableTicketsSchema = {
+  params: lotteryParams,
+  query: z.object({
+    search: z.string().trim().max(64).default(""),
+    ...pagination({ limit: 10, maxLimit: MAX_TICKETS_PER_PAGE }),
+    // Last ticket number of the previous page ("" = first page)
+    cursor: z.preprocess(
+      (value) => (value === "" ? undefined : value),
+      queryInt(0).optional()
+    ),
+  }),
+};
+
+export const createReservationSchema = {
+  params: lotteryParams,
+  body: z.object({
+    ticketNumbers: ticketNumbers.min(1, "Choose at least one ticket"),
+  }),
+};
+
+export const releaseReservationSchema = {
+  params: lotteryParams.extend({ reservationId: uuid("reservationId") }),
+};
+
+export const purchaseSchema = {
+  params: lotteryParams,
+  body: z
+    .object({
+      quantity: positiveInt.optional(),
+      chosenTickets: ticketNumbers.default([]),
+      reservationId: uuid("reservationId").optional(),
+    })
+    .superRefine((body, ctx) => {
+      if (body.reservationId) {
+        if (body.chosenTickets.length > 0) {
+          ctx.addIssue({
+            code: "custom",
+            path: ["chosenTickets"],
+            message: "Use either a reservation or chosen tickets, not both",
+          });
+        }
+        return;
+      }
+      if (body.quantity === undefined) {
+        ctx.addIssue({
+          code: "custom",
+          path: ["quantity"],
+          message: "Required",
+        });
+        return;
+      }
+      if (
+        body.chosenTickets.length > 0 &&
+        body.chosenTickets.length !== body.quantity
+      ) {
+        ctx.addIssue({
+          code: "custom",
+          path: ["chosenTickets"],
+          message: "Must contain exactly `quantity` ticket numbers",
+        });
+      }
+      if (new Set(body.chosenTickets).size !== body.chosenTickets.length) {
+        ctx.addIssue({
+          code: "custom",
+          path: ["chosenTickets"],
+          message: "Must not contain duplicates",
+        });
+      }
+    }),
+};
+
+export const resultsSchema = {
+  query: z.object({
+    date: date.optional(),
+    last30: queryBoolean.optional(),
+    today: queryBoolean.optional(),
+    ...pagination({ limit: 10 }),
+  }),
+};
+
+export const winnersSchema = {
+  params: lotteryParams,
+  query: z.object({
+    search: z.string().trim().max(64).optional(),
+    ...pagination({ limit: 20 }),
+  }),
+};
+
+/* ---------- Admin ---------- */
+
+const winnerRange = z.object({
+  fromRank: positiveInt,
+  toRank: positiveInt,
+  prizeAmount: money.optional(),
+  sharePercent: percent.optional(),
+});
+
+export const createLotterySchema = {
+  body: z
+    .object({
+      title: text(100),
+      category: z.enum(LOTTERY_TYPE_NAMES, "Invalid lottery category"),
+      description: z.string().trim().max(2000).optional(),
+      ticketPrice: money,
+      maxTickets: positiveInt,
+      maxTicketsPerUser: positiveInt.optional(),
+      minTicketsSold: nonNegativeInt.default(0),
+      winnerStructure: z.array(winnerRange).min(1, "Add at least one prize"),
+      prizeFunding: z
+        .enum(PRIZE_FUNDING_NAMES, "Invalid prize funding")
+        .default(PRIZE_FUNDING.FIXED),
+      prizePoolPercent: percent.optional(),
+      drawMethod: z.enum(DRAW_METHOD_NAMES, "Invalid draw method"),
+      startDatetime: date,
+      imageUrl: z.string().trim().max(2048).optional(),
+    })
+    .superRefine((body, ctx) => {
+      const issue = (path, message) =>
+        ctx.addIssue({ code: "custom", path, message });
+
+      if (body.maxTicketsPerUser > body.maxTickets) {
+        issue(["maxTicketsPerUser"], "Must not exceed maxTickets");
+      }
+      if (body.minTicketsSold > body.maxTickets) {
+        issue(["minTicketsSold"], "Must not exceed maxTickets");
+      }
+
+      // 🏆 Same rules the Lottery model enforces on save
+      prizeStructureIssues(body).forEach(({ path, message }) =>
+        issue(path, message)
+      );
+    }),
+};
+
+export const manualDrawSchema = {
+  params: lotteryParams,
+  body: z.object({
+    winningTickets: z
+      .array(z.object({ rank: positiveInt, ticketNumber }))
+      .min(1, "Enter at least one winning ticket"),
+  }),
+};
+
+export const rejectManualDrawSchema = {
+  params: lotteryParams,
+  body: z.object({ reason: z.string().trim().max(500).optional() }),
+};
+
+export const cancelLotterySchema = {
+  params: lotteryParams,
+  body: z.object({ reason: text(500) }),
+};
+
+/* ---------- Purchased tickets ---------- */
+
+export const purchasedTicketsSchema = {
+  query: z.object(pagination({ limit: 10 })),
+};
+
+export const purchasedTicketSchema = {
+  params: z.object({ ticketId: uuid("ticketId") }),
+};
+
+export const purchasedTicketNumbersSchema = {
+  params: z.object({ ticketId: uuid("ticketId") }),
+  query: z.object(pagination({ limit: 20 })),
+};
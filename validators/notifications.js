@@ -0,0 +1,42 @@
+import { z, uuid, objectId, text, pagination, queryBoolean } from "./fields.js";
+import {
+  ANNOUNCEMENT_SEGMENTS,
+  ANNOUNCEMENT_SEGMENT_NAMES,
+} from "../constants/notification-types.js";
+
+// Request schemas for the notification inbox and admin announcements
+
+export const listNotificationsSchema = {
+  query: z.object({
+    unread: queryBoolean.optional(),
+    ...pagination({ limit: 20 }),
+  }),
+};
+
+export const notificationIdSchema = {
+  params: z.object({ id: objectId("notification ID") }),
+};
+
+export const broadcastSchema = {
+  body: z
+    .object({
+      title: text(120),
+      message: text(2000),
+      segment: z
+        .enum(ANNOUNCEMENT_SEGMENT_NAMES, "Invalid segment")
+        .default(ANNOUNCEMENT_SEGMENTS.ALL),
+      lotteryId: uuid("lotteryId").optional(),
+    })
+    .superRefine((body, ctx) => {
+      if (
+        body.segment === ANNOUNCEMENT_SEGMENTS.LOTTERY_PARTICIPANTS &&
+        !body.lotteryId
+      ) {
+        ctx.addIssue({
+          code: "custom",
+          path: ["lotteryId"],
+          message: "Required for the lottery-participants segment",
+        });
+      }
+    }),
+};
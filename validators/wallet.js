@@ -0,0 +1,60 @@
+import { z, objectId, text, money, pagination } from "./fields.js";
+
+// Request schemas for routes/common/wallet.js and routes/admin/adminWallet.js
+
+const description = z.string().trim().max(200).optional();
+
+export const walletPageSchema = {
+  query: z.object(pagination({ limit: 10 })),
+};
+
+export const addFundsSchema = {
+  body: z.object({
+    amount: money,
+    description,
+    referenceNumber: text(100),
+  }),
+};
+
+export const withdrawSchema = {
+  body: z.object({ amount: money, description }),
+};
+
+/* ---------- Admin ---------- */
+
+const recordParams = z.object({ id: objectId("record ID") });
+
+export const walletRecordSchema = { params: recordParams };
+
+export const rejectTopUpSchema = {
+  params: recordParams,
+  body: z.object({ reason: z.string().trim().max(500).optional() }),
+};
+
+export const rejectWithdrawalSchema = {
+  params: recordParams,
+  body: z.object({ reason: text(500) }),
+};
+
+export const withdrawRequestsSchema = {
+  query: z.object({ awaiting: z.enum(["second-approval"]).optional() }),
+};
+
+export const reconciliationReportSchema = {
+  query: z.object({
+    status: z.enum(["open", "resolved", "all"]).default("open"),
+    ...pagination({ limit: 20 }),
+  }),
+};
+
+const reconciliationParams = z.object({ userId: objectId("user ID") });
+
+export const userReconciliationSchema = { params: reconciliationParams };
+
+export const correctionSchema = {
+  params: reconciliationParams,
+  body: z.object({
+    target: z.enum(["balance", "ledger"], 'Must be "balance" or "ledger"'),
+    reason: text(500),
+  }),
+};